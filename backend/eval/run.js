@@ -0,0 +1,122 @@
+// backend/eval/run.js
+// Evaluate the RAG pipeline against a golden dataset and save the report.
+// Run with: npm run eval -- [dataset.json] [--top-k 3] [--chunking section]
+//   [--compare results/earlier.json] [--verbose]
+// Providers, retrieval and grounding follow the usual settings from the
+// environment, but LLM_PROVIDER defaults to "local" and the store is always
+// in memory, so a run needs no network, database or API key.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { execSync } = require('child_process');
+
+const { loadDataset, runEvaluation, compareReports } = require('../utils/evaluation');
+const { MemoryVectorStore } = require('../utils/vectorStore');
+const { createProvidersFromEnv } = require('../utils/providers');
+const { chunkingConfigFromEnv, resolveChunking } = require('../utils/chunker');
+const { retrievalConfigFromEnv } = require('../utils/hybridSearch');
+const { rerankConfigFromEnv } = require('../utils/reranker');
+const { groundingConfigFromEnv } = require('../utils/grounding');
+
+const DEFAULT_DATASET = path.join(__dirname, 'datasets', 'manual.json');
+const RESULTS_DIR = path.join(__dirname, 'results');
+
+const LABELS = {
+  recallAtK: 'recall@k',
+  mrr: 'MRR',
+  citationAccuracy: 'citation accuracy',
+  answerSimilarity: 'answer similarity',
+  groundedness: 'groundedness',
+};
+
+/**
+ * The latest saved report for a dataset, if any
+ * @param {string} dataset - Dataset name
+ * @returns {string|null} File path
+ */
+function latestReport(dataset) {
+  if (!fs.existsSync(RESULTS_DIR)) {
+    return null;
+  }
+  // Names end in an ISO timestamp, so they sort by time
+  const files = fs.readdirSync(RESULTS_DIR)
+    .filter(name => name.startsWith(`${dataset}-`) && name.endsWith('.json'))
+    .sort();
+  return files.length > 0 ? path.join(RESULTS_DIR, files[files.length - 1]) : null;
+}
+
+function currentCommit() {
+  try {
+    return execSync('git rev-parse --short HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch {
+    return null;
+  }
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'top-k': { type: 'string', default: '3' },
+      chunking: { type: 'string' },
+      compare: { type: 'string' },
+      verbose: { type: 'boolean', default: false },
+    },
+  });
+
+  const dataset = loadDataset(path.resolve(positionals[0] || DEFAULT_DATASET));
+  const { chatProvider, embeddingProvider } = createProvidersFromEnv({ LLM_PROVIDER: 'local', ...process.env });
+  const chunking = resolveChunking(values.chunking || null, chunkingConfigFromEnv());
+  const previousFile = values.compare ? path.resolve(values.compare) : latestReport(dataset.name);
+
+  // The pipeline logs every step; keep the report readable
+  const log = console.log;
+  if (!values.verbose) {
+    console.log = () => {};
+  }
+
+  let report;
+  try {
+    report = await runEvaluation(dataset, {
+      vectorStore: new MemoryVectorStore(),
+      chatProvider,
+      embeddingProvider,
+      topK: parseInt(values['top-k'], 10),
+      chunking,
+      retrieval: { ...retrievalConfigFromEnv(), rerank: rerankConfigFromEnv() },
+      grounding: groundingConfigFromEnv(),
+    });
+  } finally {
+    console.log = log;
+  }
+  report.commit = currentCommit();
+
+  fs.mkdirSync(RESULTS_DIR, { recursive: true });
+  const file = path.join(RESULTS_DIR, `${dataset.name}-${report.createdAt.replace(/[:.]/g, '-')}.json`);
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+
+  const previous = previousFile ? JSON.parse(fs.readFileSync(previousFile, 'utf8')) : null;
+  const changes = new Map(previous ? compareReports(previous, report).map(change => [change.metric, change]) : []);
+
+  console.log(`\n📊 ${dataset.name}: ${report.summary.questionCount} questions, top ${report.config.topK}, ${chunking.strategy} chunking (${report.config.chatModel} / ${report.config.embeddingModel})`);
+  for (const [metric, label] of Object.entries(LABELS)) {
+    const change = changes.get(metric);
+    const delta = change ? `   (was ${change.previous.toFixed(3)}, ${change.delta >= 0 ? '+' : ''}${change.delta.toFixed(3)})` : '';
+    console.log(`  ${label.padEnd(18)} ${report.summary[metric].toFixed(3)}${delta}`);
+  }
+
+  const misses = report.questions.filter(q => q.recallAtK < 1);
+  if (misses.length > 0) {
+    console.log(`\n⚠️  Expected pages not retrieved for: ${misses.map(q => q.id).join(', ')}`);
+  }
+  if (previous) {
+    console.log(`\nCompared with ${path.relative(process.cwd(), previousFile)}${previous.commit ? ` (${previous.commit})` : ''}`);
+  }
+  console.log(`💾 Saved ${path.relative(process.cwd(), file)}`);
+}
+
+main().catch(error => {
+  console.error('❌ Evaluation failed:', error.message);
+  process.exitCode = 1;
+});
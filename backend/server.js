@@ -1,458 +1,2298 @@
 // backend/server.js - VERSION 6: With MongoDB Atlas Vector Search
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
 const multer = require("multer");
-const pdfParse = require("pdf-parse");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const { MongoClient } = require("mongodb");
 require("dotenv").config();
 
-const { splitIntoChunksWithMetadata } = require("./utils/chunker");
+const { ingestDocument, reindexDocument } = require("./utils/ingestion");
+const { chunkingConfigFromEnv, resolveChunking } = require("./utils/chunker");
+const { JobQueue, FINISHED_STATUSES } = require("./utils/jobQueue");
+const { getLoader, SUPPORTED_EXTENSIONS } = require("./utils/loaders");
+const { getProviders } = require("./utils/providers");
 const {
-  generateEmbeddings,
-  generateSingleEmbedding,
+  embeddingBatchConfigFromEnv,
+  setEmbeddingCache,
+  getEmbeddingCache,
 } = require("./utils/embeddings");
+const {
+  embeddingCacheConfigFromEnv,
+  createEmbeddingCache,
+} = require("./utils/embeddingCache");
+const { createVectorStore, accessFilter } = require("./utils/vectorStore");
+const { createFileStore } = require("./utils/fileStore");
+const {
+  REINDEX_ACTIVE,
+  embeddingSignature,
+  resolveEmbeddingSignature,
+  indexMismatch,
+  recordedChunkingStrategy,
+  reindexReason,
+} = require("./utils/reindex");
+const { retrievalConfigFromEnv } = require("./utils/hybridSearch");
+const { rerankConfigFromEnv } = require("./utils/reranker");
+const { groundingConfigFromEnv } = require("./utils/grounding");
+const { answerQuestion, streamAnswer } = require("./utils/ragPipeline");
+const { extractSpan } = require("./utils/spans");
+const { initSSE, sendEvent, abortOnDisconnect } = require("./utils/sse");
+const {
+  authConfigFromEnv,
+  isAdmin,
+  normalizeEmail,
+  passwordIssue,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  requireAuth,
+} = require("./utils/auth");
+const {
+  ROLES,
+  can,
+  memberRole,
+  userAccess,
+  documentRole,
+  membersUpdate,
+  membersIssue,
+} = require("./utils/workspaces");
+const {
+  generateApiKey,
+  hashApiKey,
+  isApiKey,
+  parseScopes,
+  requiredScope,
+} = require("./utils/apiKeys");
+const {
+  QUOTA_KINDS,
+  rateLimitConfigFromEnv,
+  lowerLimit,
+  RateLimiter,
+  quotaDay,
+  quotaResetsAt,
+} = require("./utils/rateLimit");
+const {
+  LATEST_VERSION,
+  contentHash,
+  versionFields,
+  seriesIdOf,
+  seriesFilter,
+  compareChunks,
+} = require("./utils/versions");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Initialize Google Gemini
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+// Chat and embedding providers (LLM_PROVIDER / EMBEDDING_PROVIDER)
+const { chatProvider, embeddingProvider } = getProviders();
+
+// Embeddings already made are reused across uploads and questions
+// (EMBEDDING_CACHE, EMBEDDING_CACHE_PATH)
+const embeddingCacheConfig = embeddingCacheConfigFromEnv();
+
+// Embedding requests: batch size, requests in flight and retries with
+// backoff (EMBEDDING_BATCH_SIZE, EMBEDDING_CONCURRENCY,
+// EMBEDDING_MAX_RETRIES, EMBEDDING_RETRY_BASE_MS)
+const embeddingBatching = embeddingBatchConfigFromEnv();
+
+// Model and vector size new embeddings have; documents indexed otherwise
+// are left out of vector search until re-indexed (POST /api/reindex). The
+// size is filled in from stored documents once storage is connected, when
+// EMBEDDING_DIMENSIONS does not give it.
+let indexSignature = embeddingSignature(embeddingProvider);
+
+// Retrieval: vector, keyword (BM25) or hybrid (RETRIEVAL_MODE, HYBRID_*_WEIGHT),
+// then reranking of the over-fetched candidates (RERANKER, RERANK_*)
+const retrieval = { ...retrievalConfigFromEnv(), rerank: rerankConfigFromEnv() };
+
+// Claim-by-claim check of answers against the excerpts (GROUNDING_CHECK,
+// GROUNDING_THRESHOLD)
+const groundingConfig = groundingConfigFromEnv();
+
+// Chunking defaults (CHUNK_STRATEGY, CHUNK_SIZE, CHUNK_OVERLAP, CHUNK_TOKENS,
+// CHUNK_TOKEN_OVERLAP); uploads may pick another strategy
+const chunkingConfig = chunkingConfigFromEnv();
+
+// Accounts and access tokens (JWT_SECRET, JWT_TTL), the admins (ADMIN_EMAILS)
+// and the browser origins allowed to call the API (CORS_ORIGINS)
+const authConfig = authConfigFromEnv();
+
+// Per-minute rate limits per API key and per client IP, and daily question
+// and upload quotas (RATE_LIMIT_KEY_PER_MINUTE, RATE_LIMIT_IP_PER_MINUTE,
+// DAILY_ASK_QUOTA, DAILY_UPLOAD_QUOTA, TRUST_PROXY)
+const rateLimitConfig = rateLimitConfigFromEnv();
+const rateLimiter = new RateLimiter();
+app.set("trust proxy", rateLimitConfig.trustProxy);
+
+// Storage: documents + vectors (VECTOR_STORE = atlas | memory | file)
+let vectorStore;
+
+// Original uploaded files (FILE_STORE = gridfs | disk), served for the viewer
+let fileStore;
+
+// Other collections live in the same database as the vector store
+const conversationsCollection = () => vectorStore.db.collection("conversations");
+const usersCollection = () => vectorStore.db.collection("users");
+const workspacesCollection = () => vectorStore.db.collection("workspaces");
+const apiKeysCollection = () => vectorStore.db.collection("apiKeys");
+const usageCollection = () => vectorStore.db.collection("usage");
+
+// Background ingestion jobs (records in the "jobs" collection)
+let jobQueue;
+
+// Connect to the configured vector store and file store, or use the ones
+// given (tests pass in-memory stores)
+async function connectToStorage(stores = {}) {
+  vectorStore = stores.vectorStore || (await createVectorStore());
+  console.log(`✅ Vector store ready: ${vectorStore.name}`);
+
+  setEmbeddingCache(createEmbeddingCache(embeddingCacheConfig, vectorStore.db));
+
+  // Check/create indexes (Atlas vector search index, sized for the model)
+  indexSignature = await resolveEmbeddingSignature(embeddingProvider, vectorStore);
+  await vectorStore.init({ embeddingSignature: indexSignature });
+
+  fileStore = stores.fileStore || createFileStore(vectorStore);
+  console.log(`✅ File store ready: ${fileStore.name}`);
+
+  await usersCollection().createIndex({ email: 1 }, { unique: true });
+  await apiKeysCollection().createIndex({ keyHash: 1 }, { unique: true });
+  await vectorStore.documents.createIndex({ contentHash: 1 });
+  // Two uploads racing to be the next version cannot both get its number
+  await vectorStore.documents.createIndex(
+    { seriesId: 1, version: 1 },
+    { unique: true, partialFilterExpression: { seriesId: { $exists: true } } },
+  );
+
+  // Uploads held in memory by a previous process are gone; fail their jobs.
+  // The files were kept, so the documents can be resumed.
+  jobQueue = new JobQueue({ collection: vectorStore.db.collection("jobs") });
+  if ((await jobQueue.recoverInterruptedJobs()) > 0) {
+    await vectorStore.documents.updateMany(
+      { status: { $in: ["pending", "processing"] } },
+      { $set: { status: "failed", error: "Interrupted by a server restart", resumable: true } },
+    );
+    // Re-indexes that were cut short leave the old vectors in place
+    await vectorStore.documents.updateMany(
+      { "reindex.status": { $in: REINDEX_ACTIVE } },
+      { $set: { "reindex.status": "failed", "reindex.error": "Interrupted by a server restart" } },
+    );
+    await vectorStore.deleteStagedVectors();
+  }
+
+  await adoptUnownedRecords();
+}
+
+// Send the standard RateLimit-* headers for a RateLimiter.hit() result
+function setRateLimitHeaders(res, result) {
+  if (result.limit === 0) return;
+  res.set({
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(Math.ceil((result.resetAt - Date.now()) / 1000)),
+  });
+}
+
+// Answer 429 with how long to wait before trying again
+function sendTooManyRequests(res, error, resetAt, details = {}) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set("Retry-After", String(retryAfter));
+  res.status(429).json({ error, retryAfter, ...details });
+}
+
+// Middleware
+app.use(cors({ origin: authConfig.corsOrigins }));
+app.use(express.json());
+
+// Per-IP rate limit on every request, signed in or not
+app.use((req, res, next) => {
+  const result = rateLimiter.hit(`ip:${req.ip}`, rateLimitConfig.ipPerMinute);
+  setRateLimitHeaders(res, result);
+  if (!result.allowed) {
+    return sendTooManyRequests(
+      res,
+      `Rate limit exceeded: ${result.limit} requests per minute from this IP address`,
+      result.resetAt,
+    );
+  }
+  next();
+});
+
+// API keys ("X-API-Key: rag_..." or "Authorization: Bearer rag_...") act as
+// the user who created them, within their scopes and their own rate limit
+app.use(async (req, res, next) => {
+  const [, bearer] = (req.get("Authorization") || "").split(" ");
+  const key = req.get("X-API-Key") || bearer;
+  if (!isApiKey(key)) return next();
+
+  try {
+    const apiKey = await apiKeysCollection().findOne({
+      keyHash: hashApiKey(key),
+      revokedAt: null,
+    });
+    if (!apiKey) {
+      return res.status(401).json({ error: "Invalid or revoked API key" });
+    }
+
+    const result = rateLimiter.hit(
+      `key:${apiKey._id}`,
+      lowerLimit(apiKey.rateLimit, rateLimitConfig.keyPerMinute),
+    );
+    setRateLimitHeaders(res, result);
+    if (!result.allowed) {
+      return sendTooManyRequests(
+        res,
+        `Rate limit exceeded: ${result.limit} requests per minute for this API key`,
+        result.resetAt,
+      );
+    }
+
+    const scope = requiredScope(req.method, req.path);
+    if (!scope) {
+      return res.status(403).json({
+        error: "API keys cannot manage accounts, keys or workspaces; sign in instead",
+      });
+    }
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ error: `This API key lacks the "${scope}" scope` });
+    }
+
+    await apiKeysCollection().updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date() } },
+    );
+    req.user = { id: apiKey.userId, email: apiKey.email };
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Everything but these needs "Authorization: Bearer <token>" (or an API key)
+const PUBLIC_PATHS = ["/api/health", "/api/auth/register", "/api/auth/login"];
+app.use(requireAuth(authConfig, { publicPaths: PUBLIC_PATHS }));
+
+// The workspaces the caller belongs to, as req.access (see userAccess)
+app.use(async (req, res, next) => {
+  if (!req.user) return next();
+  try {
+    const workspaces = await workspacesCollection()
+      .find({ memberIds: req.user.id })
+      .toArray();
+    req.access = userAccess(req.user.id, workspaces);
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Whose usage record a caller's requests are shown under: the API key when
+// one is used, else the user (whose record also counts the keys' requests,
+// see quotaCounters())
+function quotaSubject({ user, apiKey }) {
+  return apiKey ? `key:${apiKey._id}` : `user:${user.id}`;
+}
+
+// The daily quota for a kind of request; a key's own can only be lower than
+// the server's (0 = unlimited)
+function quotaLimit({ apiKey }, kind) {
+  return lowerLimit(apiKey?.dailyQuota?.[kind], rateLimitConfig.dailyQuota[kind]);
+}
+
+// The usage records a request counts against, with their daily limits: the
+// user's, for the server's quota, and with an API key also the key's, for
+// its own. A key's requests count towards its owner's quota too, so making
+// more keys does not buy more of it.
+function quotaCounters(req, kind) {
+  const counters = [
+    { subject: `user:${req.user.id}`, limit: rateLimitConfig.dailyQuota[kind], owner: "account" },
+    ...(req.apiKey
+      ? [{ subject: `key:${req.apiKey._id}`, limit: quotaLimit(req, kind), owner: "API key" }]
+      : []),
+  ];
+  return counters.filter((counter) => counter.limit !== 0);
+}
+
+// Add one request of a kind to a usage record, creating it on the day's
+// first. Two first requests racing can both try to insert it; the loser gets
+// a duplicate key error and, as the record exists by then, updating again
+// counts it.
+async function countUsage(_id, kind, fields) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await usageCollection().findOneAndUpdate(
+        { _id },
+        { $inc: { [kind]: 1 }, $setOnInsert: fields },
+        { upsert: true, returnDocument: "after" },
+      );
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 3) throw error;
+    }
+  }
+}
+
+// Count a question or upload against today's quotas. Routes call this once
+// the request has been checked, so a refused one costs nothing. Answers 429
+// and returns false once a quota is used up. Usage records are
+// {_id: "<subject>:<day>", subject, userId, day, ask, upload} in the
+// "usage" collection.
+async function countQuota(req, res, kind) {
+  const day = quotaDay();
+  const counted = [];
+  for (const { subject, limit, owner } of quotaCounters(req, kind)) {
+    const usage = await countUsage(`${subject}:${day}`, kind, { subject, userId: req.user.id, day });
+    counted.push(usage._id);
+    if (usage[kind] > limit) {
+      // Refused requests do not count, on any record
+      await usageCollection().updateMany({ _id: { $in: counted } }, { $inc: { [kind]: -1 } });
+      const resetsAt = quotaResetsAt();
+      sendTooManyRequests(
+        res,
+        `Daily ${kind} quota of ${limit} for this ${owner} used up; it resets at ${resetsAt.toISOString()}`,
+        resetsAt.getTime(),
+        { quota: kind, limit, used: limit, resetsAt },
+      );
+      return false;
+    }
+  }
+  return true;
+}
+
+// Configure multer
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: 50 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (getLoader({ mimetype: file.mimetype, filename: file.originalname })) {
+      cb(null, true);
+    } else {
+      cb(
+        new Error(
+          `Unsupported file type. Allowed: ${SUPPORTED_EXTENSIONS.join(", ")}`,
+        ),
+      );
+    }
+  },
+});
+
+// Reject uploads without a file or with an unknown chunking strategy (form
+// field "chunking"), before they count against the upload quota
+function validateUpload(req, res, next) {
+  if (!req.file) {
+    return res.status(400).json({ error: "No file uploaded" });
+  }
+  try {
+    req.chunking = resolveChunking(req.body.chunking, chunkingConfig);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  next();
+}
+
+// Single-file upload that reports rejected files (type, size) as 400s
+function uploadSingle(field) {
+  return (req, res, next) =>
+    upload.single(field)(req, res, (error) =>
+      error ? res.status(400).json({ error: error.message }) : next(),
+    );
+}
+
+// Parse a "tags" form field ("a, b") or array into a clean list
+function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  return [...new Set(list.map((tag) => String(tag).trim()).filter(Boolean))];
+}
+
+function sendForbidden(res, role, permission) {
+  res.status(403).json({ error: `A workspace ${role} cannot ${permission} here` });
+}
+
+// Load a document the caller can see, or send a 404. Documents they cannot
+// see are reported as missing, never as forbidden; a 403 means their
+// workspace role does not allow the action.
+async function findDocumentOr404(docId, access, res, permission = "ask") {
+  const document = await vectorStore.getDocument(docId);
+  const role = documentRole(document, access);
+  if (!role) {
+    res.status(404).json({ error: "Document not found" });
+    return null;
+  }
+  if (!can(role, permission)) {
+    sendForbidden(res, role, permission);
+    return null;
+  }
+  return document;
+}
+
+// Work out which documents a question covers, out of the caller's own and
+// their workspaces'. Accepts, in order: docIds (array), docId, tag (every
+// document with that tag), workspaceId (every document in that workspace)
+// or allDocuments: true (everything the caller can see). Returns { docIds }
+// or sends a 400/404 and returns null.
+async function resolveDocumentScope(scope, access, res) {
+  if (Array.isArray(scope.docIds) && scope.docIds.length > 0) {
+    const docIds = [...new Set(scope.docIds)];
+    const documents = (await vectorStore.getDocuments(docIds)).filter(
+      (doc) => documentRole(doc, access),
+    );
+    if (documents.length !== docIds.length) {
+      const found = new Set(documents.map((doc) => doc._id));
+      const missing = docIds.filter((id) => !found.has(id));
+      res.status(404).json({ error: `Document not found: ${missing.join(", ")}` });
+      return null;
+    }
+    return { docIds };
+  }
+
+  if (scope.docId) {
+    const document = await findDocumentOr404(scope.docId, access, res);
+    if (!document) return null;
+    return { docIds: [scope.docId] };
+  }
+
+  if (scope.tag) {
+    const documents = await vectorStore.listDocuments({
+      filter: { tags: scope.tag, ...accessFilter(access), ...LATEST_VERSION },
+      limit: 0,
+    });
+    if (documents.length === 0) {
+      res.status(404).json({ error: `No documents tagged "${scope.tag}"` });
+      return null;
+    }
+    return { docIds: documents.map((doc) => doc._id) };
+  }
+
+  if (scope.workspaceId) {
+    if (!access.roles[scope.workspaceId]) {
+      res.status(404).json({ error: "Workspace not found" });
+      return null;
+    }
+    const documents = await vectorStore.listDocuments({
+      filter: { workspaceId: scope.workspaceId, ...LATEST_VERSION },
+      limit: 0,
+    });
+    return { docIds: documents.map((doc) => doc._id) };
+  }
+
+  if (scope.allDocuments === true) {
+    const documents = await vectorStore.listDocuments({
+      filter: { ...accessFilter(access), ...LATEST_VERSION },
+      limit: 0,
+    });
+    return { docIds: documents.map((doc) => doc._id) };
+  }
+
+  res.status(400).json({ error: "Missing docId, docIds, tag, workspaceId or allDocuments" });
+  return null;
+}
+
+// Accounts. Passwords are stored as scrypt hashes; register and login
+// both answer { token, user } and the token goes in the Authorization header.
+function userSummary(user) {
+  return { id: user._id, email: user.email, createdAt: user.createdAt };
+}
+
+function sendToken(res, status, user) {
+  res.status(status).json({
+    token: signToken(user, authConfig),
+    expiresIn: authConfig.tokenTtl,
+    user: userSummary(user),
+  });
+}
+
+// Records stored before accounts existed go to the first admin
+// (ADMIN_EMAILS) once that account exists: at startup, or when it
+// registers. Until then they stay unowned, and no one else's library
+// includes them.
+async function adoptUnownedRecords() {
+  const unowned = { ownerId: { $exists: false }, workspaceId: { $exists: false } };
+  const [adminEmail] = authConfig.adminEmails;
+  const admin = adminEmail && (await usersCollection().findOne({ email: adminEmail }));
+  if (!admin) {
+    const waiting = await vectorStore.documents.countDocuments(unowned);
+    if (waiting > 0) {
+      console.warn(`⚠️  ${waiting} document(s) from before accounts existed have no owner; set ADMIN_EMAILS and register that account to take them over`);
+    }
+    return;
+  }
+
+  const adopt = { $set: { ownerId: admin._id } };
+  const { modifiedCount } = await vectorStore.documents.updateMany(unowned, adopt);
+  await vectorStore.vectors.updateMany(unowned, adopt);
+  await conversationsCollection().updateMany(unowned, adopt);
+  await vectorStore.db.collection("jobs").updateMany(unowned, adopt);
+  if (modifiedCount > 0) {
+    console.log(`🔑 ${modifiedCount} existing document(s) now belong to ${adminEmail}`);
+  }
+}
+
+// Route: Create an account
+app.post("/api/auth/register", async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    if (!email) {
+      return res.status(400).json({ error: "A valid email is required" });
+    }
+    const issue = passwordIssue(req.body.password);
+    if (issue) {
+      return res.status(400).json({ error: issue });
+    }
+
+    const users = usersCollection();
+    if (await users.findOne({ email })) {
+      return res.status(409).json({ error: "An account with this email already exists" });
+    }
+
+    const user = {
+      _id: crypto.randomUUID(),
+      email,
+      passwordHash: await hashPassword(req.body.password),
+      createdAt: new Date(),
+    };
+    await users.insertOne(user);
+    if (email === authConfig.adminEmails[0]) {
+      await adoptUnownedRecords();
+    }
+
+    console.log("👤 Registered:", email);
+    sendToken(res, 201, user);
+  } catch (error) {
+    // Lost a race with another registration for the same email
+    if (error.code === 11000) {
+      return res.status(409).json({ error: "An account with this email already exists" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route: Log in
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    const user = email && (await usersCollection().findOne({ email }));
+    if (!user || !(await verifyPassword(req.body.password, user.passwordHash))) {
+      return res.status(401).json({ error: "Incorrect email or password" });
+    }
+
+    sendToken(res, 200, user);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route: The signed-in user
+app.get("/api/auth/me", async (req, res) => {
+  try {
+    const user = await usersCollection().findOne({ _id: req.user.id });
+    if (!user) {
+      return res.status(401).json({ error: "Account no longer exists" });
+    }
+    res.json({ user: userSummary(user) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// How many times an upload looks for its version number again after racing
+// uploads of the same name took it
+const VERSION_ATTEMPTS = 3;
+
+// Route: Upload a document (PDF, DOCX, Markdown, HTML or text; form field
+// "pdf" for backwards compatibility). Processing runs as a background job; follow it
+// with GET /api/jobs/:jobId or /api/jobs/:jobId/stream. The file is checked
+// (type, size, chunking, duplicates) before it counts against the upload
+// quota.
+app.post("/api/upload", uploadSingle("pdf"), validateUpload, async (req, res) => {
+  try {
+    const { chunking } = req;
+
+    // Upload to a workspace (form field "workspaceId") or, by default, to
+    // the caller's own library
+    const { workspaceId } = req.body;
+    if (workspaceId) {
+      const role = req.access.roles[workspaceId];
+      if (!role) {
+        return res.status(404).json({ error: "Workspace not found" });
+      }
+      if (!can(role, "upload")) {
+        return sendForbidden(res, role, "upload");
+      }
+    }
+
+    // The same file again (same library, same bytes) is the document
+    // already there; a changed file under a name already in the library is
+    // its next version
+    const library = workspaceId ? { workspaceId } : { ownerId: req.user.id };
+    const hash = contentHash(req.file.buffer);
+    const duplicate = await vectorStore.documents.findOne({
+      ...library,
+      contentHash: hash,
+      status: { $ne: "failed" },
+    });
+    if (duplicate) {
+      console.log("♊ Already uploaded:", req.file.originalname, "→", duplicate._id);
+      return res.json({
+        ...documentSummary(duplicate, req.access),
+        duplicate: true,
+        message: "This file is already in the library; nothing was re-processed",
+      });
+    }
+    if (!(await countQuota(req, res, "upload"))) return;
+
+    // Keep the original file, then save the document record so it is
+    // listed while it processes
+    const docId = crypto.randomUUID();
+    const loader = getLoader({
+      mimetype: req.file.mimetype,
+      filename: req.file.originalname,
+    });
+    await fileStore.save(docId, req.file.buffer, {
+      filename: req.file.originalname,
+      contentType: loader.mimeTypes[0],
+    });
+
+    // Another upload under the same name can take the version number this
+    // one picked ({seriesId, version} is unique); look again and follow it
+    let previous;
+    let documentRecord;
+    for (let attempt = 1; !documentRecord; attempt++) {
+      const latest = await latestVersionOf(library, req.file.originalname);
+      previous = latest.previous;
+      const record = {
+        _id: docId,
+        filename: req.file.originalname,
+        format: loader.format,
+        contentType: loader.mimeTypes[0],
+        fileSize: req.file.size,
+        contentHash: hash,
+        ...versionFields(docId, previous, latest.highestVersion),
+        // A new version keeps the previous one's tags unless given its own
+        tags: req.body.tags !== undefined || !previous ? parseTags(req.body.tags) : previous.tags || [],
+        chunking,
+        ...(workspaceId
+          ? { workspaceId, uploadedBy: req.user.id }
+          : { ownerId: req.user.id }),
+        uploadedAt: new Date(),
+        status: "pending",
+      };
+      try {
+        await vectorStore.saveDocument(record);
+        documentRecord = record;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        if (attempt === VERSION_ATTEMPTS) {
+          await fileStore.delete(docId);
+          return res.status(409).json({
+            error: `Other uploads of ${req.file.originalname} are being versioned at the same time; try again`,
+          });
+        }
+      }
+    }
+
+    console.log(
+      "📄 Queueing document:",
+      req.file.originalname,
+      previous ? `(version ${documentRecord.version})` : "",
+    );
+
+    const job = await queueIngestion(documentRecord, {
+      buffer: req.file.buffer,
+      mimetype: req.file.mimetype,
+      previous,
+      userId: req.user.id,
+    });
+
+    res.status(202).json({
+      docId,
+      jobId: job._id,
+      filename: req.file.originalname,
+      workspaceId: workspaceId || null,
+      version: documentRecord.version,
+      previousVersionId: documentRecord.previousVersionId,
+      duplicate: false,
+      tags: documentRecord.tags,
+      chunking,
+      status: "pending",
+      message: `Document queued for processing (${vectorStore.name})`,
+      database: vectorStore.name,
+    });
+  } catch (error) {
+    console.error("❌ Error queueing document:", error);
+    res.status(500).json({ error: "Failed to process document: " + error.message });
+  }
+});
+
+// The current version of the document uploaded to a library under this name,
+// if any, and the highest version number its series has used (failed
+// uploads keep theirs)
+async function latestVersionOf(library, filename) {
+  const [previous] = await vectorStore.listDocuments({
+    filter: { ...library, filename, status: { $ne: "failed" }, ...LATEST_VERSION },
+    limit: 1,
+  });
+  if (!previous) {
+    return { previous: null, highestVersion: 0 };
+  }
+  const [highest] = await vectorStore.documents
+    .find(seriesFilter(previous))
+    .sort({ version: -1 })
+    .limit(1)
+    .project({ version: 1 })
+    .toArray();
+  return { previous, highestVersion: highest?.version || 1 };
+}
+
+// Queue ingestion of a saved document record and its file contents. A new
+// version replaces `previous` once it is ready; until then the previous
+// version stays current.
+async function queueIngestion(document, { buffer, mimetype, previous, userId }) {
+  const docId = document._id;
+  const job = await jobQueue.enqueue(
+    { type: "ingest", docId, filename: document.filename, ownerId: userId },
+    async (progress) => {
+      const result = await ingestDocument({
+        vectorStore,
+        embeddingProvider,
+        docId,
+        buffer,
+        mimetype,
+        filename: document.filename,
+        chunking: document.chunking,
+        previousVersionId: previous?._id,
+        batching: embeddingBatching,
+        onProgress: progress,
+      });
+      if (previous) {
+        await vectorStore.updateDocument(previous._id, { supersededBy: docId });
+      }
+      // The first document the model embeds tells the index its size
+      if (!indexSignature.dimensions) {
+        indexSignature = await resolveEmbeddingSignature(embeddingProvider, vectorStore);
+      }
+      return result;
+    },
+  );
+  await vectorStore.updateDocument(docId, { jobId: job._id });
+  return job;
+}
+
+// Read a stored file (see utils/fileStore.js) into memory
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Route: Process a failed document again from its stored file, e.g. after
+// the embedding provider was rate-limiting or the server restarted. Chunks
+// the failed attempt did embed are not embedded again.
+app.post("/api/document/:docId/resume", async (req, res) => {
+  try {
+    const { docId } = req.params;
+    const document = await findDocumentOr404(docId, req.access, res, "upload");
+    if (!document) return;
+
+    if (document.status !== "failed") {
+      return res.status(409).json({ error: `Only failed documents can be resumed; this one is ${document.status}` });
+    }
+    const file = await fileStore.open(docId);
+    if (!file) {
+      return res.status(409).json({ error: "The original file was not kept for this document; upload it again" });
+    }
+    if (!(await countQuota(req, res, "upload"))) {
+      file.stream.destroy();
+      return;
+    }
+    const buffer = await readStream(file.stream);
+
+    // Still a new version of the one before it, unless that was replaced
+    // by another upload meanwhile
+    const previous = document.previousVersionId
+      ? await vectorStore.getDocument(document.previousVersionId)
+      : null;
+
+    console.log("⏯️  Resuming document:", document.filename, `(${document.chunksCheckpointed || 0} chunks kept)`);
+    await vectorStore.updateDocument(docId, {
+      status: "pending",
+      error: null,
+      resumable: false,
+      embeddingFailures: [],
+    });
+    const job = await queueIngestion(document, {
+      buffer,
+      mimetype: document.contentType,
+      previous: previous && !previous.supersededBy ? previous : null,
+      userId: req.user.id,
+    });
+
+    res.status(202).json({
+      docId,
+      jobId: job._id,
+      filename: document.filename,
+      status: "pending",
+      chunksCheckpointed: document.chunksCheckpointed || 0,
+      message: "Document queued to resume processing",
+    });
+  } catch (error) {
+    console.error("❌ Error resuming document:", error);
+    res.status(500).json({ error: "Failed to resume document: " + error.message });
+  }
+});
+
+// Re-chunk and re-embed a processed document in the background (see
+// reindexDocument() in utils/ingestion.js). The file is read when the job
+// runs, so queueing a whole library does not hold every file in memory.
+async function queueReindex(document, { chunking, reason, userId }) {
+  const docId = document._id;
+  await vectorStore.updateDocument(docId, {
+    reindex: { status: "queued", chunking, reason, requestedAt: new Date(), error: null },
+  });
+  const job = await jobQueue.enqueue(
+    { type: "reindex", docId, filename: document.filename, ownerId: userId },
+    async (progress) => {
+      try {
+        const file = await fileStore.open(docId);
+        if (!file) {
+          throw new Error("The original file is no longer stored");
+        }
+        return await reindexDocument({
+          vectorStore,
+          embeddingProvider,
+          docId,
+          buffer: await readStream(file.stream),
+          mimetype: document.contentType,
+          filename: document.filename,
+          chunking,
+          batching: embeddingBatching,
+          onProgress: progress,
+        });
+      } catch (error) {
+        // reindexDocument() records its own failures; this covers the file
+        await vectorStore.updateDocument(docId, { "reindex.status": "failed", "reindex.error": error.message });
+        throw error;
+      }
+    },
+  );
+  await vectorStore.updateDocument(docId, { "reindex.jobId": job._id });
+  return job;
+}
+
+// The chunking a re-index gives a document: the strategy asked for, else
+// the one it was indexed with, at today's sizes
+function reindexChunking(document, requested) {
+  return resolveChunking(requested || recordedChunkingStrategy(document), chunkingConfig);
+}
+
+// Why a document cannot be re-indexed now, if it cannot
+function reindexBlocker(document) {
+  if (document.status !== "processed") {
+    return `Only processed documents can be re-indexed; this one is ${document.status}`;
+  }
+  if (REINDEX_ACTIVE.includes(document.reindex?.status)) {
+    return "This document is already being re-indexed";
+  }
+  if (!document.contentType) {
+    return "The original file was not kept for this document; upload it again";
+  }
+  return null;
+}
+
+// Route: Re-chunk and re-embed one document (body: {chunking?}), e.g. after
+// the embedding model or the chunking settings changed. Its current vectors
+// keep answering questions until the new ones replace them.
+app.post("/api/document/:docId/reindex", async (req, res) => {
+  try {
+    const { docId } = req.params;
+    const document = await findDocumentOr404(docId, req.access, res, "edit");
+    if (!document) return;
+
+    // Same strategy as before unless another is asked for, with the
+    // current sizes
+    let chunking;
+    try {
+      chunking = reindexChunking(document, req.body.chunking);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const blocker = reindexBlocker(document);
+    if (blocker) {
+      return res.status(409).json({ error: blocker });
+    }
+
+    const reason = reindexReason(document, indexSignature, chunking) || "Requested";
+    console.log("🔁 Re-indexing document:", document.filename, `(${reason})`);
+    const job = await queueReindex(document, { chunking, reason, userId: req.user.id });
+
+    res.status(202).json({
+      docId,
+      jobId: job._id,
+      filename: document.filename,
+      chunking,
+      reason,
+      message: "Document queued for re-indexing",
+    });
+  } catch (error) {
+    console.error("❌ Error re-indexing document:", error);
+    res.status(500).json({ error: "Failed to re-index document: " + error.message });
+  }
+});
+
+// Route: Re-index a library (body: {workspaceId?, allLibraries?, chunking?,
+// all?}): the caller's own documents, a workspace's (owners only), or with
+// allLibraries every document on the server (admins only, see ADMIN_EMAILS).
+// Only documents embedded with another model or chunked with other settings
+// are queued, unless all is true. Earlier versions are included, so they
+// stay searchable too.
+app.post("/api/reindex", async (req, res) => {
+  try {
+    const { workspaceId, allLibraries, all } = req.body;
+    if (allLibraries && !isAdmin(req.user, authConfig)) {
+      return res.status(403).json({ error: "Only admins can re-index every library" });
+    }
+    if (workspaceId && !allLibraries) {
+      const workspace = await findWorkspaceOr404(workspaceId, req.access, res, "manage");
+      if (!workspace) return;
+    }
+    try {
+      resolveChunking(req.body.chunking, chunkingConfig);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    let library = { ownerId: req.user.id };
+    if (allLibraries) {
+      library = {};
+    } else if (workspaceId) {
+      library = { workspaceId };
+    }
+    const documents = await vectorStore.documents.find({ ...library, status: "processed" }).toArray();
+
+    const queued = [];
+    const skipped = [];
+    for (const document of documents) {
+      const chunking = reindexChunking(document, req.body.chunking);
+      const blocker = reindexBlocker(document);
+      const reason = reindexReason(document, indexSignature, chunking) || (all ? "Requested" : null);
+      if (blocker || !reason) {
+        skipped.push({ docId: document._id, filename: document.filename, reason: blocker || "Up to date" });
+        continue;
+      }
+      const job = await queueReindex(document, { chunking, reason, userId: req.user.id });
+      queued.push({ docId: document._id, filename: document.filename, jobId: job._id, reason });
+    }
+
+    console.log(`🔁 Re-indexing ${queued.length} of ${documents.length} documents`);
+    res.status(202).json({ queued, skipped });
+  } catch (error) {
+    console.error("❌ Error re-indexing library:", error);
+    res.status(500).json({ error: "Failed to re-index library: " + error.message });
+  }
+});
+
+// Ingestion job as returned by the API
+function jobSummary(job) {
+  return {
+    jobId: job._id,
+    type: job.type,
+    docId: job.docId,
+    filename: job.filename,
+    status: job.status,
+    stage: job.stage,
+    percent: job.percent,
+    chunksTotal: job.chunksTotal,
+    chunksEmbedded: job.chunksEmbedded,
+    error: job.error,
+    result: job.result,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+// A job started by the given user, or null
+async function findOwnedJob(jobId, ownerId) {
+  const job = await jobQueue.getJob(jobId);
+  return job && job.ownerId === ownerId ? job : null;
+}
+
+// Route: List the caller's recent jobs (optionally for one document)
+app.get("/api/jobs", async (req, res) => {
+  try {
+    const filter = { ownerId: req.user.id };
+    if (req.query.docId) {
+      filter.docId = req.query.docId;
+    }
+    const jobs = await jobQueue.listJobs(filter);
+    res.json({ jobs: jobs.map(jobSummary), total: jobs.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route: Poll a job
+app.get("/api/jobs/:jobId", async (req, res) => {
+  try {
+    const job = await findOwnedJob(req.params.jobId, req.user.id);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    res.json(jobSummary(job));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route: Follow a job as Server-Sent Events. Events: "progress" (job
+// record, on every change) until "done" or "failed" (final job record).
+app.get("/api/jobs/:jobId/stream", async (req, res) => {
+  const { jobId } = req.params;
+
+  let job;
+  try {
+    job = await findOwnedJob(jobId, req.user.id);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  initSSE(res);
+
+  const finish = (finished) => {
+    sendEvent(res, finished.status === "failed" ? "failed" : "done", jobSummary(finished));
+    res.end();
+  };
+
+  if (FINISHED_STATUSES.includes(job.status)) {
+    return finish(job);
+  }
+
+  const onUpdate = (updated) => {
+    if (updated._id !== jobId) return;
+    if (FINISHED_STATUSES.includes(updated.status)) {
+      jobQueue.off("update", onUpdate);
+      finish(updated);
+    } else {
+      sendEvent(res, "progress", jobSummary(updated));
+    }
+  };
+  jobQueue.on("update", onUpdate);
+  res.on("close", () => jobQueue.off("update", onUpdate));
+
+  // Catch the job finishing while it was being loaded
+  const latest = (await jobQueue.getJob(jobId).catch(() => null)) || job;
+  if (FINISHED_STATUSES.includes(latest.status)) {
+    jobQueue.off("update", onUpdate);
+    return finish(latest);
+  }
+  sendEvent(res, "progress", jobSummary(latest));
+});
+
+// Route: Ask question using MongoDB Vector Search.
+// Scope with docId, docIds, tag or allDocuments (see resolveDocumentScope).
+app.post("/api/ask", async (req, res) => {
+  try {
+    const { docId, question } = req.body;
+
+    if (!question) {
+      return res.status(400).json({ error: "Missing question" });
+    }
+
+    const scope = await resolveDocumentScope(req.body, req.access, res);
+    if (!scope) return;
+    if (!(await countQuota(req, res, "ask"))) return;
+
+    // Retrieve relevant chunks (reduce to 3 for smaller context)
+    const { answer, citations, grounding, sources, chunks, prompt, staleDocuments } = await answerQuestion({
+      vectorStore,
+      chatProvider,
+      embeddingProvider,
+      indexSignature,
+      docIds: scope.docIds,
+      access: req.access,
+      question,
+      topK: 3,
+      retrieval,
+      grounding: groundingConfig,
+    });
+
+    res.json({
+      answer,
+      question,
+      docId,
+      docIds: scope.docIds,
+      sources,
+      citations,
+      grounding,
+      model: chatProvider.chatModelName,
+      promptLength: prompt.length,
+      chunksUsed: chunks.length,
+      staleDocuments,
+      version: "6.0 - Optimized",
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    console.error("❌ Error:", error);
+    res.status(500).json({
+      error: "Failed to answer: " + error.message,
+    });
+  }
+});
+
+// Route: Ask question, streaming the answer as Server-Sent Events.
+// Events: "sources" (retrieved chunks), "token" (answer text as it is
+// generated), "done" (final metadata and checked citations) or "error".
+app.post("/api/ask/stream", async (req, res) => {
+  const { docId, question } = req.body;
+
+  if (!question) {
+    return res.status(400).json({ error: "Missing question" });
+  }
+
+  let scope;
+  try {
+    scope = await resolveDocumentScope(req.body, req.access, res);
+    if (!scope) return;
+    if (!(await countQuota(req, res, "ask"))) return;
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  initSSE(res);
+  const controller = abortOnDisconnect(res);
+
+  try {
+    const result = await streamAnswer({
+      vectorStore,
+      chatProvider,
+      embeddingProvider,
+      indexSignature,
+      docIds: scope.docIds,
+      access: req.access,
+      question,
+      topK: 3,
+      retrieval,
+      grounding: groundingConfig,
+      signal: controller.signal,
+      onSources: ({ sources, standaloneQuestion, staleDocuments }) =>
+        sendEvent(res, "sources", { sources, standaloneQuestion, staleDocuments }),
+      onToken: (text) => sendEvent(res, "token", { text }),
+    });
+
+    sendEvent(res, "done", {
+      question,
+      docId,
+      docIds: scope.docIds,
+      model: chatProvider.chatModelName,
+      promptLength: result.prompt.length,
+      chunksUsed: result.chunks.length,
+      citations: result.citations,
+      grounding: result.grounding,
+      cancelled: result.cancelled,
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    console.error("❌ Error:", error);
+    sendEvent(res, "error", { error: "Failed to answer: " + error.message });
+  }
+  res.end();
+});
+
+// Conversations: persistent multi-turn chats about a document, a set of
+// documents, a tag or the whole library. The scope is stored as given
+// (a tag is re-resolved on every question, so newly tagged documents join).
+function conversationSummary(conversation) {
+  return {
+    conversationId: conversation._id,
+    docId: conversation.docId,
+    docIds: conversation.docIds,
+    tag: conversation.tag,
+    workspaceId: conversation.workspaceId,
+    allDocuments: conversation.allDocuments,
+    title: conversation.title,
+    messageCount: conversation.messages?.length || 0,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+  };
+}
+
+// Load one of the user's conversations and resolve its documents, or send a 404
+async function findConversationOr404(conversationId, access, res) {
+  const conversation = await conversationsCollection().findOne({
+    _id: conversationId,
+    ownerId: access.userId,
+  });
+  if (!conversation) {
+    res.status(404).json({ error: "Conversation not found" });
+    return null;
+  }
+
+  const scope = await resolveDocumentScope(conversation, access, res);
+  if (!scope) return null;
+
+  return { conversation, scope };
+}
+
+// Append a question and its answer to a conversation
+async function saveConversationTurn(conversation, question, result, extra = {}) {
+  const now = new Date();
+  const userMessage = {
+    role: "user",
+    content: question,
+    standaloneQuestion: result.standaloneQuestion,
+    createdAt: now,
+  };
+  const assistantMessage = {
+    role: "assistant",
+    content: result.answer,
+    sources: result.sources,
+    citations: result.citations,
+    grounding: result.grounding,
+    model: chatProvider.chatModelName,
+    createdAt: now,
+    ...extra,
+  };
+
+  await conversationsCollection().updateOne(
+    { _id: conversation._id },
+    {
+      $push: { messages: { $each: [userMessage, assistantMessage] } },
+      $set: { updatedAt: now },
+    },
+  );
+
+  return [userMessage, assistantMessage];
+}
+
+// Title a new conversation after what it covers
+async function defaultConversationTitle({ tag, workspaceId, allDocuments }, { docIds }) {
+  if (tag) return `Chat about documents tagged "${tag}"`;
+  if (workspaceId) {
+    const workspace = await workspacesCollection().findOne({ _id: workspaceId });
+    return `Chat about ${workspace.name}`;
+  }
+  if (allDocuments === true) return "Chat about all documents";
+
+  const documents = await vectorStore.getDocuments(docIds);
+  if (documents.length === 1) return `Chat about ${documents[0].filename}`;
+  return `Chat about ${documents.length} documents`;
+}
+
+// Route: Start a conversation
+app.post("/api/conversations", async (req, res) => {
+  try {
+    const { docIds, docId, tag, workspaceId, allDocuments, title } = req.body;
+
+    const scope = await resolveDocumentScope(req.body, req.access, res);
+    if (!scope) return;
+
+    const now = new Date();
+    const conversation = {
+      _id: crypto.randomUUID(),
+      ownerId: req.user.id,
+      title: title || (await defaultConversationTitle(req.body, scope)),
+      messages: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    // Keep the scope the way it was asked for
+    if (Array.isArray(docIds) && docIds.length > 0) {
+      conversation.docIds = [...scope.docIds].sort();
+    } else if (docId) {
+      conversation.docId = docId;
+    } else if (tag) {
+      conversation.tag = tag;
+    } else if (workspaceId) {
+      conversation.workspaceId = workspaceId;
+    } else if (allDocuments) {
+      conversation.allDocuments = true;
+    }
+
+    await conversationsCollection().insertOne(conversation);
+    res.status(201).json(conversationSummary(conversation));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route: List the caller's conversations, optionally filtered by scope:
+// ?docId= (any conversation including it), ?docIds=a,b (exactly that set),
+// ?tag=, ?workspaceId= or ?allDocuments=true
+app.get("/api/conversations", async (req, res) => {
+  try {
+    const { docId, docIds, tag, workspaceId, allDocuments } = req.query;
+    let filter = {};
+    if (docIds) {
+      filter = { docIds: docIds.split(",").sort() };
+    } else if (docId) {
+      filter = { $or: [{ docId }, { docIds: docId }] };
+    } else if (tag) {
+      filter = { tag };
+    } else if (workspaceId) {
+      filter = { workspaceId };
+    } else if (allDocuments === "true") {
+      filter = { allDocuments: true };
+    }
+
+    const conversations = await conversationsCollection()
+      .find({ ...filter, ownerId: req.user.id })
+      .sort({ updatedAt: -1 })
+      .limit(50)
+      .toArray();
+
+    res.json({
+      conversations: conversations.map(conversationSummary),
+      total: conversations.length,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route: Get a conversation with its messages
+app.get("/api/conversations/:conversationId", async (req, res) => {
+  try {
+    const conversation = await conversationsCollection().findOne({
+      _id: req.params.conversationId,
+      ownerId: req.user.id,
+    });
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    res.json({
+      ...conversationSummary(conversation),
+      messages: conversation.messages,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route: Continue a conversation with a new question
+app.post("/api/conversations/:conversationId/messages", async (req, res) => {
+  try {
+    const { question } = req.body;
+
+    if (!question) {
+      return res.status(400).json({ error: "Missing question" });
+    }
+
+    const found = await findConversationOr404(req.params.conversationId, req.access, res);
+    if (!found) return;
+    if (!(await countQuota(req, res, "ask"))) return;
+    const { conversation, scope } = found;
+
+    const result = await answerQuestion({
+      vectorStore,
+      chatProvider,
+      embeddingProvider,
+      indexSignature,
+      docIds: scope.docIds,
+      access: req.access,
+      question,
+      history: conversation.messages,
+      topK: 3,
+      retrieval,
+      grounding: groundingConfig,
+    });
+
+    const messages = await saveConversationTurn(conversation, question, result);
+
+    res.json({
+      conversationId: conversation._id,
+      question,
+      standaloneQuestion: result.standaloneQuestion,
+      answer: result.answer,
+      sources: result.sources,
+      citations: result.citations,
+      grounding: result.grounding,
+      staleDocuments: result.staleDocuments,
+      messages,
+      model: chatProvider.chatModelName,
+      timestamp: messages[1].createdAt,
+    });
+  } catch (error) {
+    console.error("❌ Error:", error);
+    res.status(500).json({ error: "Failed to answer: " + error.message });
+  }
+});
+
+// Route: Continue a conversation, streaming the answer (same events as
+// /api/ask/stream; "done" also carries the stored messages)
+app.post(
+  "/api/conversations/:conversationId/messages/stream",
+  async (req, res) => {
+    const { question } = req.body;
+
+    if (!question) {
+      return res.status(400).json({ error: "Missing question" });
+    }
+
+    let found;
+    try {
+      found = await findConversationOr404(req.params.conversationId, req.access, res);
+      if (!found) return;
+      if (!(await countQuota(req, res, "ask"))) return;
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    const { conversation, scope } = found;
+
+    initSSE(res);
+    const controller = abortOnDisconnect(res);
+
+    try {
+      const result = await streamAnswer({
+        vectorStore,
+        chatProvider,
+        embeddingProvider,
+        indexSignature,
+        docIds: scope.docIds,
+        access: req.access,
+        question,
+        history: conversation.messages,
+        topK: 3,
+        retrieval,
+        grounding: groundingConfig,
+        signal: controller.signal,
+        onSources: ({ sources, standaloneQuestion, staleDocuments }) =>
+          sendEvent(res, "sources", { sources, standaloneQuestion, staleDocuments }),
+        onToken: (text) => sendEvent(res, "token", { text }),
+      });
+
+      // A cancelled answer is kept, marked as such, so the thread stays intact
+      const messages = await saveConversationTurn(
+        conversation,
+        question,
+        result,
+        result.cancelled ? { cancelled: true } : {},
+      );
+
+      sendEvent(res, "done", {
+        conversationId: conversation._id,
+        messages,
+        model: chatProvider.chatModelName,
+        chunksUsed: result.chunks.length,
+        cancelled: result.cancelled,
+        timestamp: messages[1].createdAt,
+      });
+    } catch (error) {
+      console.error("❌ Error:", error);
+      sendEvent(res, "error", { error: "Failed to answer: " + error.message });
+    }
+    res.end();
+  },
+);
+
+// Route: Delete a conversation
+app.delete("/api/conversations/:conversationId", async (req, res) => {
+  try {
+    const { deletedCount } = await conversationsCollection().deleteOne({
+      _id: req.params.conversationId,
+      ownerId: req.user.id,
+    });
+    if (deletedCount === 0) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
 
-// Initialize chat model
-const chatModel = genAI.getGenerativeModel({
-  model: "gemini-3-flash-preview",
-  generationConfig: {
-    temperature: 0.7,
-    topP: 0.95,
-    maxOutputTokens: 2048,
-  },
+    res.json({ message: "Conversation deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// MongoDB connection
-let db;
-let documentsCollection;
-let vectorCollection;
+// Document record as returned by the API; role is what the caller may do
+// with it (see utils/workspaces.js)
+function documentSummary(doc, access) {
+  return {
+    docId: doc._id,
+    filename: doc.filename,
+    workspaceId: doc.workspaceId || null,
+    uploadedBy: doc.uploadedBy || doc.ownerId,
+    role: documentRole(doc, access),
+    format: doc.format || "pdf",
+    hasFile: Boolean(doc.contentType),
+    totalPages: doc.totalPages,
+    chunkCount: doc.chunkCount,
+    chunking: doc.chunking || { strategy: "paragraph" },
+    tags: doc.tags || [],
+    seriesId: seriesIdOf(doc),
+    version: doc.version || 1,
+    previousVersionId: doc.previousVersionId || null,
+    supersededBy: doc.supersededBy || null,
+    latest: !doc.supersededBy,
+    chunksReused: doc.chunksReused || 0,
+    status: doc.status,
+    error: doc.error,
+    // A failed document POST /api/document/:docId/resume is worth trying
+    // on, and which chunks could not be embedded
+    resumable: doc.status === "failed" && Boolean(doc.resumable),
+    embeddingFailures: doc.embeddingFailures || [],
+    embeddingModel: doc.embeddingModel || null,
+    embeddingDimensions: doc.embeddingDimensions || null,
+    indexedAt: doc.indexedAt || doc.processedAt || null,
+    // Why vector search leaves it out until it is re-indexed, if it does
+    indexMismatch: indexMismatch(doc, indexSignature),
+    reindex: doc.reindex || null,
+    jobId: doc.jobId,
+    uploadedAt: doc.uploadedAt,
+  };
+}
 
-// Connect to MongoDB
-async function connectToMongoDB() {
+// Route: List the documents the caller can see: their own and their
+// workspaces' (?workspaceId= for one workspace, ?workspaceId=personal for
+// their own only). Only current versions unless ?versions=all.
+app.get("/api/documents", async (req, res) => {
   try {
-    const client = new MongoClient(process.env.MONGODB_URI);
-    await client.connect();
-    console.log("✅ Connected to MongoDB Atlas");
+    const { workspaceId } = req.query;
+    let filter = accessFilter(req.access);
+    if (workspaceId === "personal") {
+      filter = { ownerId: req.user.id };
+    } else if (workspaceId) {
+      if (!req.access.roles[workspaceId]) {
+        return res.status(404).json({ error: "Workspace not found" });
+      }
+      filter = { workspaceId };
+    }
+    if (req.query.versions !== "all") {
+      filter = { ...filter, ...LATEST_VERSION };
+    }
 
-    db = client.db(process.env.MONGODB_DATABASE || "pdf_qa_rag");
-    documentsCollection = db.collection("documents");
-    vectorCollection = db.collection("vectors");
+    const documents = await vectorStore.listDocuments({ filter, limit: 50 });
 
-    // Create vector search index (if not exists)
-    await createVectorSearchIndex();
+    res.json({
+      documents: documents.map((doc) => documentSummary(doc, req.access)),
+      total: documents.length,
+    });
   } catch (error) {
-    console.error("❌ MongoDB connection error:", error);
-    process.exit(1);
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
-// Create vector search index
-async function createVectorSearchIndex() {
+// Route: One document's record
+app.get("/api/document/:docId", async (req, res) => {
   try {
-    const indexes = await vectorCollection.listIndexes().toArray();
-    const vectorIndexExists = indexes.some((idx) => idx.name === "vectors");
+    const document = await findDocumentOr404(req.params.docId, req.access, res);
+    if (!document) return;
 
-    if (!vectorIndexExists) {
-      console.log("📊 Creating vector search index...");
+    res.json(documentSummary(document, req.access));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Note: Vector search index must be created via MongoDB Atlas UI
-      // or using the Atlas API. This is a placeholder for documentation.
-      console.log(`
-⚠️  IMPORTANT: Create vector search index manually in MongoDB Atlas:
-    
-    1. Go to MongoDB Atlas → Database → Search
-    2. Click "Create Search Index"
-    3. Choose "JSON Editor"
-    4. Use this configuration:
+// Route: Every version of a document, newest first
+app.get("/api/document/:docId/versions", async (req, res) => {
+  try {
+    const document = await findDocumentOr404(req.params.docId, req.access, res);
+    if (!document) return;
 
-    {
-      "mappings": {
-        "dynamic": true,
-        "fields": {
-          "embedding": {
-            "type": "knnVector",
-            "dimensions": 768,
-            "similarity": "cosine"
-          }
-        }
-      }
-    }
+    const versions = await vectorStore.listDocuments({ filter: seriesFilter(document), limit: 0 });
 
-    5. Name it: vector_index
-    6. Select collection: vectors
-      `);
-    } else {
-      console.log("✅ Vector search index already exists");
+    res.json({
+      seriesId: seriesIdOf(document),
+      versions: versions.map((doc) => documentSummary(doc, req.access)),
+      total: versions.length,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route: What changed between two versions, chunk by chunk. Compares with
+// ?with=<docId>, by default the version before this one.
+app.get("/api/document/:docId/compare", async (req, res) => {
+  try {
+    const document = await findDocumentOr404(req.params.docId, req.access, res);
+    if (!document) return;
+
+    const baseId = req.query.with || document.previousVersionId;
+    if (!baseId) {
+      return res.status(400).json({ error: "This is the first version; pass ?with=<docId> to compare" });
     }
+    const base = await findDocumentOr404(baseId, req.access, res);
+    if (!base) return;
+
+    const changes = compareChunks(
+      await vectorStore.getChunks(base._id),
+      await vectorStore.getChunks(document._id),
+    );
+
+    res.json({
+      docId: document._id,
+      version: document.version || 1,
+      base: { docId: base._id, version: base.version || 1, filename: base.filename },
+      ...changes,
+    });
   } catch (error) {
-    console.error("Error checking vector index:", error);
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Route: The original uploaded file (shown inline, e.g. by the PDF viewer)
+app.get("/api/document/:docId/file", async (req, res) => {
+  try {
+    const { docId } = req.params;
+    const document = await findDocumentOr404(docId, req.access, res);
+    if (!document) return;
 
-// Configure multer
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 50 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === "application/pdf") {
-      cb(null, true);
-    } else {
-      cb(new Error("Only PDF files are allowed"));
+    const file = await fileStore.open(docId);
+    if (!file) {
+      return res.status(404).json({ error: "The original file was not kept for this document" });
     }
-  },
+
+    res.set({
+      "Content-Type": document.contentType || "application/pdf",
+      "Content-Length": file.length,
+      "Content-Disposition": `inline; filename*=UTF-8''${encodeURIComponent(document.filename)}`,
+    });
+    file.stream.on("error", (error) => {
+      console.error("❌ Error streaming file:", error.message);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Helper function to extract pages from PDF
-async function extractPagesFromPDF(buffer) {
-  const data = await pdfParse(buffer);
-  const fullText = data.text;
+// Route: A span of a document's extracted text with the text around it,
+// by chunk (?chunkIndex=3) or by offsets (?start=120&end=480); ?context=N
+// sets the characters of context on each side
+app.get("/api/document/:docId/span", async (req, res) => {
+  try {
+    const { docId } = req.params;
+    const document = await findDocumentOr404(docId, req.access, res);
+    if (!document) return;
+
+    const extracted = await vectorStore.getText(docId);
+    if (!extracted) {
+      return res.status(404).json({
+        error: "No extracted text stored for this document; upload it again to enable spans",
+      });
+    }
 
-  const estimatedCharsPerPage = 2000;
-  const pages = [];
+    const integer = (value) => (value === undefined ? undefined : Number(value));
+    let start = integer(req.query.start);
+    let end = integer(req.query.end);
+    let chunk = null;
 
-  let currentPos = 0;
-  let pageNum = 1;
+    if (req.query.chunkIndex !== undefined) {
+      chunk = await vectorStore.getChunk(docId, integer(req.query.chunkIndex));
+      if (!chunk) {
+        return res.status(404).json({ error: "Chunk not found" });
+      }
+      ({ startChar: start, endChar: end } = chunk.metadata);
+    } else if (start === undefined || end === undefined) {
+      return res.status(400).json({ error: "Provide chunkIndex, or start and end" });
+    }
 
-  while (currentPos < fullText.length) {
-    const pageText = fullText.slice(
-      currentPos,
-      currentPos + estimatedCharsPerPage,
-    );
+    let span;
+    try {
+      span = extractSpan(extracted, { start, end, context: integer(req.query.context) });
+    } catch (error) {
+      if (error instanceof RangeError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
 
-    pages.push({
-      pageNumber: pageNum,
-      text: pageText,
-      startChar: currentPos,
-      endChar: currentPos + pageText.length,
+    res.json({
+      docId,
+      filename: document.filename,
+      format: document.format || "pdf",
+      hasFile: Boolean(document.contentType),
+      chunkIndex: chunk ? chunk.chunkIndex : null,
+      ...span,
     });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route: Replace a document's tags
+app.patch("/api/document/:docId", async (req, res) => {
+  try {
+    const { docId } = req.params;
 
-    currentPos += estimatedCharsPerPage;
-    pageNum++;
+    if (req.body.tags === undefined) {
+      return res.status(400).json({ error: "Missing tags" });
+    }
+
+    const document = await findDocumentOr404(docId, req.access, res, "edit");
+    if (!document) return;
+
+    const tags = parseTags(req.body.tags);
+    await vectorStore.updateDocument(docId, { tags });
+
+    res.json({ docId, tags });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
+
+// Delete a document's vectors, record and original file, and the
+// conversations about it alone; multi-document chats lose it from their
+// set and go once the set is empty
+async function deleteDocumentEverywhere(docId) {
+  await vectorStore.deleteDocument(docId);
+  await fileStore.delete(docId);
+
+  const conversations = conversationsCollection();
+  await conversations.deleteMany({ docId });
+  await conversations.updateMany({ docIds: docId }, { $pull: { docIds: docId } });
+  await conversations.deleteMany({ docIds: [] });
+}
 
-  return { pages, totalPages: pages.length, fullText };
+// Take a version out of its series: the one before it becomes current
+// again if it was, and the one after it now follows the one before
+async function unlinkVersion(document) {
+  await vectorStore.documents.updateMany(
+    { supersededBy: document._id },
+    { $set: { supersededBy: document.supersededBy || null } },
+  );
+  await vectorStore.documents.updateMany(
+    { previousVersionId: document._id },
+    { $set: { previousVersionId: document.previousVersionId || null } },
+  );
 }
 
-// Route: Upload and process PDF
-app.post("/api/upload", upload.single("pdf"), async (req, res) => {
+// Route: Delete a document version (?allVersions=true for all of them)
+app.delete("/api/document/:docId", async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
+    const { docId } = req.params;
+
+    const document = await findDocumentOr404(docId, req.access, res, "delete");
+    if (!document) return;
+
+    if (req.query.allVersions === "true") {
+      const versions = await vectorStore.listDocuments({ filter: seriesFilter(document), limit: 0 });
+      for (const version of versions) {
+        await deleteDocumentEverywhere(version._id);
+      }
+      return res.json({ message: "Document deleted successfully", versionsDeleted: versions.length });
     }
 
-    console.log("📄 Processing PDF:", req.file.originalname);
+    await unlinkVersion(document);
+    await deleteDocumentEverywhere(docId);
 
-    // Step 1: Extract text with page information
-    console.log("📝 Extracting text...");
-    const { pages, totalPages, fullText } = await extractPagesFromPDF(
-      req.file.buffer,
-    );
-    console.log(
-      `✅ Extracted ${fullText.length} characters from ${totalPages} pages`,
-    );
+    res.json({ message: "Document deleted successfully", versionsDeleted: 1 });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Step 2: Split into chunks with metadata
-    console.log("✂️  Splitting into chunks...");
-    const chunksWithMetadata = splitIntoChunksWithMetadata(pages);
-    console.log(`✅ Created ${chunksWithMetadata.length} chunks`);
-
-    // Step 3: Generate embeddings
-    console.log("🧮 Generating embeddings with Gemini...");
-    const texts = chunksWithMetadata.map((c) => c.text);
-    const embeddings = await generateEmbeddings(texts);
-    console.log(`✅ Generated ${embeddings.length} embeddings`);
-
-    // Step 4: Save document metadata to MongoDB
-    const docId = new Date().getTime().toString();
-    const documentRecord = {
-      _id: docId,
-      filename: req.file.originalname,
-      textLength: fullText.length,
-      chunkCount: chunksWithMetadata.length,
-      totalPages: totalPages,
-      uploadedAt: new Date(),
-      status: "processed",
+// Workspaces: documents shared by a team. Every member can read and ask
+// about them; what else they may do depends on their role (see
+// utils/workspaces.js). Uploads pick a workspace with the "workspaceId" field.
+function workspaceSummary(workspace, userId) {
+  return {
+    workspaceId: workspace._id,
+    name: workspace.name,
+    role: memberRole(workspace, userId),
+    members: workspace.members.map(({ userId: id, email, role, addedAt }) => ({
+      userId: id,
+      email,
+      role,
+      addedAt,
+    })),
+    createdAt: workspace.createdAt,
+    updatedAt: workspace.updatedAt,
+  };
+}
+
+// Load a workspace the caller belongs to, or send a 404 (not a member) or
+// 403 (their role does not allow the action)
+async function findWorkspaceOr404(workspaceId, access, res, permission = "ask") {
+  const workspace = await workspacesCollection().findOne({
+    _id: workspaceId,
+    memberIds: access.userId,
+  });
+  if (!workspace) {
+    res.status(404).json({ error: "Workspace not found" });
+    return null;
+  }
+
+  const role = memberRole(workspace, access.userId);
+  if (!can(role, permission)) {
+    sendForbidden(res, role, permission);
+    return null;
+  }
+  return workspace;
+}
+
+// Save a workspace's new member list, or send a 400 if it would leave the
+// workspace without an owner
+async function saveMembers(workspace, members, res) {
+  const issue = membersIssue(members);
+  if (issue) {
+    res.status(400).json({ error: issue });
+    return null;
+  }
+
+  const update = membersUpdate(members);
+  await workspacesCollection().updateOne({ _id: workspace._id }, { $set: update });
+  return { ...workspace, ...update };
+}
+
+// Route: Create a workspace; the caller becomes its owner
+app.post("/api/workspaces", async (req, res) => {
+  try {
+    const name = String(req.body.name || "").trim();
+    if (!name) {
+      return res.status(400).json({ error: "Missing name" });
+    }
+
+    const now = new Date();
+    const workspace = {
+      _id: crypto.randomUUID(),
+      name,
+      ...membersUpdate([
+        { userId: req.user.id, email: req.user.email, role: "owner", addedAt: now },
+      ]),
+      createdBy: req.user.id,
+      createdAt: now,
     };
+    await workspacesCollection().insertOne(workspace);
 
-    await documentsCollection.insertOne(documentRecord);
-    console.log("✅ Document metadata saved to MongoDB");
-
-    // Step 5: Save vectors to MongoDB
-    console.log("💾 Storing vectors in MongoDB...");
-    const vectorDocuments = chunksWithMetadata.map((chunk, idx) => ({
-      docId: docId,
-      chunkIndex: chunk.chunkIndex,
-      text: chunk.text,
-      embedding: embeddings[idx],
-      metadata: {
-        page: chunk.metadata.page,
-        paragraphNumber: chunk.metadata.paragraphNumber,
-        paragraphRange: chunk.metadata.paragraphRange,
-        startChar: chunk.metadata.startChar,
-        endChar: chunk.metadata.endChar,
-        chunkLength: chunk.metadata.chunkLength,
-      },
-      createdAt: new Date(),
-    }));
+    res.status(201).json(workspaceSummary(workspace, req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    await vectorCollection.insertMany(vectorDocuments);
-    console.log(`✅ ${vectorDocuments.length} vectors stored in MongoDB`);
+// Route: List the caller's workspaces
+app.get("/api/workspaces", async (req, res) => {
+  try {
+    const workspaces = await workspacesCollection()
+      .find({ memberIds: req.user.id })
+      .sort({ createdAt: 1 })
+      .toArray();
 
     res.json({
-      docId,
-      filename: req.file.originalname,
-      textLength: fullText.length,
-      chunkCount: chunksWithMetadata.length,
-      totalPages: totalPages,
-      message: "Document processed and stored in MongoDB (Version 6)",
-      database: "MongoDB Atlas Vector Search",
+      workspaces: workspaces.map((workspace) => workspaceSummary(workspace, req.user.id)),
+      total: workspaces.length,
     });
   } catch (error) {
-    console.error("❌ Error processing PDF:", error);
-    res.status(500).json({ error: "Failed to process PDF: " + error.message });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Route: Ask question using MongoDB Vector Search
-// backend/server.js - FIXED /api/ask route
-
-// Replace the /api/ask route with this improved version:
+// Route: One workspace with its members
+app.get("/api/workspaces/:workspaceId", async (req, res) => {
+  try {
+    const workspace = await findWorkspaceOr404(req.params.workspaceId, req.access, res);
+    if (!workspace) return;
 
-// backend/server.js - OPTIMIZED /api/ask route for Gemini
+    res.json(workspaceSummary(workspace, req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-app.post("/api/ask", async (req, res) => {
+// Route: Rename a workspace
+app.patch("/api/workspaces/:workspaceId", async (req, res) => {
   try {
-    const { docId, question } = req.body;
-
-    if (!docId || !question) {
-      return res.status(400).json({ error: "Missing docId or question" });
+    const name = String(req.body.name || "").trim();
+    if (!name) {
+      return res.status(400).json({ error: "Missing name" });
     }
 
-    const document = await documentsCollection.findOne({ _id: docId });
-    if (!document) {
-      return res.status(404).json({ error: "Document not found" });
-    }
+    const workspace = await findWorkspaceOr404(req.params.workspaceId, req.access, res, "manage");
+    if (!workspace) return;
 
-    console.log(`❓ Question: ${question}`);
+    const updatedAt = new Date();
+    await workspacesCollection().updateOne({ _id: workspace._id }, { $set: { name, updatedAt } });
 
-    // Generate question embedding
-    const questionEmbedding = await generateSingleEmbedding(question);
+    res.json(workspaceSummary({ ...workspace, name, updatedAt }, req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Retrieve relevant chunks (reduce to 3 for smaller context)
-    const topK = 3; // ← REDUCED from 5 to 3
+// Route: Delete a workspace with all its documents
+app.delete("/api/workspaces/:workspaceId", async (req, res) => {
+  try {
+    const workspace = await findWorkspaceOr404(req.params.workspaceId, req.access, res, "manage");
+    if (!workspace) return;
 
-    let relevantChunks = [];
+    const documents = await vectorStore.listDocuments({
+      filter: { workspaceId: workspace._id },
+      limit: 0,
+    });
+    for (const doc of documents) {
+      await deleteDocumentEverywhere(doc._id);
+    }
+    await conversationsCollection().deleteMany({ workspaceId: workspace._id });
+    await workspacesCollection().deleteOne({ _id: workspace._id });
 
-    try {
-      const pipeline = [
-        {
-          $vectorSearch: {
-            index: "vectors",
-            path: "embedding",
-            queryVector: questionEmbedding,
-            numCandidates: topK*10, // ← REDUCED from 50
-            limit: topK,
-            filter: { docId: docId },
-          },
-        },
-        {
-          $project: {
-            _id: 0,
-            text: 1,
-            metadata: 1,
-            score: { $meta: "vectorSearchScore" },
-          },
-        },
-      ];
+    res.json({
+      message: "Workspace deleted successfully",
+      documentsDeleted: documents.length,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route: Add a member by email (role: owner, editor or viewer; default viewer)
+app.post("/api/workspaces/:workspaceId/members", async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    const role = req.body.role || "viewer";
+    if (!email) {
+      return res.status(400).json({ error: "A valid email is required" });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Unknown role "${role}". Expected one of: ${ROLES.join(", ")}` });
+    }
 
-      relevantChunks = await vectorCollection.aggregate(pipeline).toArray();
-      console.log(`✅ Found ${relevantChunks.length} chunks`);
-    } catch (vectorSearchError) {
-      console.error("⚠️  Vector search failed, using fallback");
+    const workspace = await findWorkspaceOr404(req.params.workspaceId, req.access, res, "manage");
+    if (!workspace) return;
 
-      const { cosineSimilarity } = require("./utils/embeddings");
+    const user = await usersCollection().findOne({ email });
+    if (!user) {
+      return res.status(404).json({ error: "No account with that email" });
+    }
+    if (workspace.memberIds.includes(user._id)) {
+      return res.status(409).json({ error: "Already a member of this workspace" });
+    }
 
-      const allChunks = await vectorCollection
-        .find({ docId })
-        .limit(50)
-        .toArray();
+    const updated = await saveMembers(
+      workspace,
+      [...workspace.members, { userId: user._id, email, role, addedAt: new Date() }],
+      res,
+    );
+    if (!updated) return;
 
-      const chunksWithScores = allChunks.map((chunk) => ({
-        text: chunk.text,
-        metadata: chunk.metadata,
-        score: cosineSimilarity(questionEmbedding, chunk.embedding),
-      }));
+    res.status(201).json(workspaceSummary(updated, req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      chunksWithScores.sort((a, b) => b.score - a.score);
-      relevantChunks = chunksWithScores.slice(0, topK);
+// Route: Change a member's role
+app.patch("/api/workspaces/:workspaceId/members/:userId", async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Unknown role "${role}". Expected one of: ${ROLES.join(", ")}` });
     }
 
-    if (relevantChunks.length === 0) {
-      return res.json({
-        answer:
-          "No relevant information found. Please check if:\n1. Vector search index is created in MongoDB Atlas\n2. The document was uploaded successfully\n3. Your question relates to the document content",
-        question,
-        docId,
-        sources: [],
-      });
+    const workspace = await findWorkspaceOr404(req.params.workspaceId, req.access, res, "manage");
+    if (!workspace) return;
+    if (!workspace.memberIds.includes(req.params.userId)) {
+      return res.status(404).json({ error: "Member not found" });
     }
 
-    console.log("📊 Chunk scores:");
-    relevantChunks.forEach((chunk, idx) => {
-      console.log(
-        `  ${idx + 1}. Score: ${chunk.score?.toFixed(4)}, Page: ${chunk.metadata?.page}`,
-      );
-    });
+    const updated = await saveMembers(
+      workspace,
+      workspace.members.map((member) =>
+        member.userId === req.params.userId ? { ...member, role } : member,
+      ),
+      res,
+    );
+    if (!updated) return;
+
+    res.json(workspaceSummary(updated, req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Route: Remove a member; any member may remove themselves (leave)
+app.delete("/api/workspaces/:workspaceId/members/:userId", async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    const workspace = await findWorkspaceOr404(
+      req.params.workspaceId,
+      req.access,
+      res,
+      leaving ? "ask" : "manage",
+    );
+    if (!workspace) return;
+    if (!workspace.memberIds.includes(req.params.userId)) {
+      return res.status(404).json({ error: "Member not found" });
+    }
 
-    // OPTIMIZED PROMPT - Shorter and clearer
-    const context = relevantChunks
-      .map((chunk, idx) => {
-        const page = chunk.metadata?.page || "Unknown";
-        const para = chunk.metadata?.paragraphNumber || "Unknown";
-        // Limit chunk text to 800 characters max
-        const text =
-          chunk.text.length > 800
-            ? chunk.text.substring(0, 800) + "..."
-            : chunk.text;
-        return `[Source ${idx + 1} - Page ${page}, Para ${para}]\n${text}`;
-      })
-      .join(" ");
+    const updated = await saveMembers(
+      workspace,
+      workspace.members.filter((member) => member.userId !== req.params.userId),
+      res,
+    );
+    if (!updated) return;
 
-    console.log(context);
-    // SIMPLIFIED PROMPT
-const prompt = `Based on these document excerpts, answer the question.
-Document Excerpts:
-${context}
+    res.json({ message: leaving ? "Left the workspace" : "Member removed" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-Question: ${question}
+function apiKeySummary(apiKey) {
+  return {
+    keyId: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    rateLimit: apiKey.rateLimit || null,
+    dailyQuota: apiKey.dailyQuota || null,
+    createdAt: apiKey.createdAt,
+    lastUsedAt: apiKey.lastUsedAt || null,
+    revokedAt: apiKey.revokedAt || null,
+  };
+}
 
-Instructions:
-- Answer ONLY using information from the excerpts above
-- Cite sources like [Source 1 - Page 3, Para 2]
-- If the answer is not in the excerpts, say so clearly
-- Be concise and specific
+// A key's own limit: a positive whole number, or absent for the server's
+const isLimit = (value) => value === undefined || value === null || (Number.isInteger(value) && value > 0);
 
-Answer:`;
+// Route: Create an API key. The key itself is only ever returned here.
+// Body: { name, scopes?: ["read", "ask", "write"], rateLimit?: per minute,
+// dailyQuota?: { ask, upload } }
+app.post("/api/keys", async (req, res) => {
+  try {
+    const name = String(req.body.name || "").trim();
+    if (!name) {
+      return res.status(400).json({ error: "Missing name" });
+    }
 
-    console.log(`📝 Prompt length: ${prompt.length} characters`);
+    let scopes;
+    try {
+      scopes = parseScopes(req.body.scopes);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-    // Generate answer
-    const result = await chatModel.generateContent(prompt);
-    const answer = result.response.text();
+    const { rateLimit, dailyQuota = {} } = req.body;
+    if (!isLimit(rateLimit) || !QUOTA_KINDS.every((kind) => isLimit(dailyQuota[kind]))) {
+      return res.status(400).json({
+        error: "rateLimit and dailyQuota.ask/upload must be positive whole numbers",
+      });
+    }
 
-    console.log("✅ Answer generated");
-    console.log(`📄 Answer preview: ${answer.substring(0, 100)}...`);
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = {
+      _id: crypto.randomUUID(),
+      userId: req.user.id,
+      email: req.user.email,
+      name,
+      prefix,
+      keyHash,
+      scopes,
+      rateLimit: rateLimit || null,
+      dailyQuota: QUOTA_KINDS.some((kind) => dailyQuota[kind])
+        ? Object.fromEntries(QUOTA_KINDS.map((kind) => [kind, dailyQuota[kind] || null]))
+        : null,
+      createdAt: new Date(),
+      lastUsedAt: null,
+      revokedAt: null,
+    };
+    await apiKeysCollection().insertOne(apiKey);
 
-    res.json({
-      answer,
-      question,
-      docId,
-      sources: relevantChunks.map((chunk, idx) => ({
-        sourceNumber: idx + 1,
-        page: chunk.metadata?.page || "N/A",
-        paragraphNumber: chunk.metadata?.paragraphNumber || "N/A",
-        text: chunk.text.substring(0, 300) + "...",
-        similarity: chunk.score || 0,
-        startChar: chunk.metadata?.startChar || 0,
-        endChar: chunk.metadata?.endChar || 0,
-      })),
-      model: "gemini-3-pro-preview",
-      promptLength: prompt.length,
-      chunksUsed: relevantChunks.length,
-      version: "6.0 - Optimized",
-      timestamp: new Date(),
-    });
+    res.status(201).json({ ...apiKeySummary(apiKey), key });
   } catch (error) {
-    console.error("❌ Error:", error);
-    res.status(500).json({
-      error: "Failed to answer: " + error.message,
-    });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Route: List all documents
-app.get("/api/documents", async (req, res) => {
+// Route: List the caller's API keys, revoked ones included
+app.get("/api/keys", async (req, res) => {
   try {
-    const documents = await documentsCollection
-      .find({})
-      .sort({ uploadedAt: -1 })
-      .limit(50)
+    const apiKeys = await apiKeysCollection()
+      .find({ userId: req.user.id })
+      .sort({ createdAt: -1 })
       .toArray();
 
-    res.json({
-      documents: documents.map((doc) => ({
-        docId: doc._id,
-        filename: doc.filename,
-        totalPages: doc.totalPages,
-        chunkCount: doc.chunkCount,
-        uploadedAt: doc.uploadedAt,
-      })),
-      total: documents.length,
-    });
+    res.json({ keys: apiKeys.map(apiKeySummary), total: apiKeys.length });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Route: Delete document
-app.delete("/api/document/:docId", async (req, res) => {
+// Route: Revoke an API key; requests made with it are refused from now on
+app.delete("/api/keys/:keyId", async (req, res) => {
   try {
-    const { docId } = req.params;
+    const apiKey = await apiKeysCollection().findOne({
+      _id: req.params.keyId,
+      userId: req.user.id,
+    });
+    if (!apiKey) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    if (!apiKey.revokedAt) {
+      await apiKeysCollection().updateOne(
+        { _id: apiKey._id },
+        { $set: { revokedAt: new Date() } },
+      );
+    }
 
-    // Delete vectors
-    await vectorCollection.deleteMany({ docId });
+    res.json({ message: "API key revoked", keyId: apiKey._id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Delete document
-    await documentsCollection.deleteOne({ _id: docId });
+// Route: Quota usage, today and for the past ?days= days (default 7, at most
+// 31). Signed in, it covers the account (whose counts include its keys') and
+// each of its keys; with an API key, only that key.
+app.get("/api/usage", async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 31);
+    const now = new Date();
+    const today = quotaDay(now);
+    const since = quotaDay(new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000));
+
+    const apiKeys = req.apiKey
+      ? [req.apiKey]
+      : await apiKeysCollection()
+          .find({ userId: req.user.id })
+          .sort({ createdAt: -1 })
+          .toArray();
+    const callers = [
+      ...(req.apiKey ? [] : [{ user: req.user }]),
+      ...apiKeys.map((apiKey) => ({ user: req.user, apiKey })),
+    ];
+
+    const records = await usageCollection()
+      .find({ subject: { $in: callers.map(quotaSubject) }, day: { $gte: since } })
+      .toArray();
+    const perKind = (value) => Object.fromEntries(QUOTA_KINDS.map((kind) => [kind, value(kind)]));
+    const counts = (record) => perKind((kind) => record?.[kind] || 0);
 
-    res.json({ message: "Document deleted successfully" });
+    res.json({
+      day: today,
+      resetsAt: quotaResetsAt(now),
+      rateLimits: {
+        keyPerMinute: rateLimitConfig.keyPerMinute,
+        ipPerMinute: rateLimitConfig.ipPerMinute,
+      },
+      usage: callers.map((caller) => {
+        const own = records.filter((record) => record.subject === quotaSubject(caller));
+        const { apiKey } = caller;
+        return {
+          ...(apiKey
+            ? {
+                type: "key",
+                keyId: apiKey._id,
+                name: apiKey.name,
+                prefix: apiKey.prefix,
+                revoked: Boolean(apiKey.revokedAt),
+              }
+            : { type: "user" }),
+          today: counts(own.find((record) => record.day === today)),
+          // 0 means unlimited
+          dailyQuota: perKind((kind) => quotaLimit(caller, kind)),
+          history: own
+            .sort((a, b) => (a.day < b.day ? 1 : -1))
+            .map((record) => ({ day: record.day, ...counts(record) })),
+        };
+      }),
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Health check
+// Processed documents vector search leaves out (stale: see indexMismatch())
+// and those POST /api/reindex would queue (outdated: stale, or chunked with
+// other settings), across every library
+async function indexHealth() {
+  const documents = await vectorStore.documents
+    .find({ status: "processed" })
+    .project({ status: 1, embeddingModel: 1, embeddingDimensions: 1, chunking: 1 })
+    .toArray();
+  return {
+    staleDocuments: documents.filter((doc) => indexMismatch(doc, indexSignature)).length,
+    outdatedDocuments: documents.filter((doc) => reindexReason(doc, indexSignature, reindexChunking(doc))).length,
+  };
+}
+
+// Health check, open to anyone: whether the server and its storage answer,
+// and nothing about what is stored
 app.get("/api/health", async (req, res) => {
   try {
-    // Check MongoDB connection
-    await db.admin().ping();
+    await vectorStore.ping();
+    res.json({ status: "ok", version: "6.0", timestamp: new Date() });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
+
+// Route: Settings, providers and search index state, for signed-in users.
+// Counts across every library (documents, vectors, stale and outdated
+// documents) are for admins only (ADMIN_EMAILS).
+app.get("/api/health/details", async (req, res) => {
+  try {
+    // Check storage connection
+    await vectorStore.ping();
 
-    // Get stats
-    const docCount = await documentsCollection.countDocuments();
-    const vectorCount = await vectorCollection.countDocuments();
+    const admin = isAdmin(req.user, authConfig);
+    // Atlas only: without a ready search index, search falls back to a scan
+    const searchIndex = await vectorStore.searchIndexStatus();
 
     res.json({
-      status: "ok",
+      status: searchIndex && !searchIndex.queryable ? "degraded" : "ok",
       version: "6.0",
       vectorStore: {
-        mode: "mongodb",
-        type: "persistent",
+        mode: vectorStore.name,
+        type: vectorStore.type,
+        searchIndex,
+      },
+      message: `RAG server with ${vectorStore.name} vector store`,
+      retrieval,
+      grounding: groundingConfig,
+      chunking: chunkingConfig,
+      embeddingCache: getEmbeddingCache()
+        ? await getEmbeddingCache().stats()
+        : { store: "none" },
+      rateLimits: {
+        keyPerMinute: rateLimitConfig.keyPerMinute,
+        ipPerMinute: rateLimitConfig.ipPerMinute,
+        dailyQuota: rateLimitConfig.dailyQuota,
+      },
+      providers: {
+        chat: { name: chatProvider.name, model: chatProvider.chatModelName },
+        embedding: {
+          name: embeddingProvider.name,
+          model: embeddingProvider.embeddingModelName,
+          dimensions: indexSignature.dimensions,
+          batching: embeddingBatching,
+          ...(admin && (await indexHealth())),
+        },
       },
-      message: "RAG server with MongoDB Atlas Vector Search",
       database: {
         connected: true,
-        documents: docCount,
-        vectors: vectorCount,
+        store: vectorStore.name,
+        ...(admin && (await vectorStore.getStats())),
       },
       features: [
         "mongodb-atlas",
         "vector-search",
+        "hybrid-search",
+        "reranking",
         "persistent-storage",
         "page-tracking",
+        "document-viewer",
         "paragraph-tracking",
+        "background-ingestion",
         "automatic-citations",
+        "grounding-check",
+        "user-accounts",
+        "workspaces",
+        "api-keys",
+        "rate-limits",
+        "document-versions",
+        "embedding-cache",
+        "resumable-ingestion",
+        "reindexing",
       ],
       cost: "FREE! 🎉",
     });
@@ -467,8 +2307,12 @@ app.get("/api/health", async (req, res) => {
 // Start server
 async function startServer() {
   try {
-    // Connect to MongoDB first
-    await connectToMongoDB();
+    // Connect to storage first
+    await connectToStorage();
+
+    if (authConfig.ephemeralSecret) {
+      console.warn("⚠️  JWT_SECRET is not set; tokens will stop working when the server restarts");
+    }
 
     // Then start Express server
     app.listen(PORT, () => {
@@ -479,20 +2323,60 @@ async function startServer() {
 ╚═══════════════════════════════════════════╝
 
 🚀 Server running on port ${PORT}
-🤖 Using Gemini 1.5 Flash for answers
-🧮 Using Gemini text-embedding-004
-💾 Using MongoDB Atlas Vector Search
+🤖 Answers: ${chatProvider.name} (${chatProvider.chatModelName})
+🧮 Embeddings: ${embeddingProvider.name} (${embeddingProvider.embeddingModelName}), cache: ${embeddingCacheConfig.mode}, ${embeddingBatching.batchSize}/batch ×${embeddingBatching.concurrency}, ${embeddingBatching.maxRetries} retries
+💾 Vector store: ${vectorStore.name} (${vectorStore.type})
+✂️  Chunking: ${chunkingConfig.strategy} (${chunkingConfig.chunkSize} chars / ${chunkingConfig.chunkTokens} tokens)
+🔎 Retrieval: ${retrieval.mode} (vector ×${retrieval.vectorWeight}, keyword ×${retrieval.keywordWeight})
+🏅 Reranking: ${retrieval.rerank.reranker}${retrieval.rerank.mmr ? " + MMR" : ""} (${retrieval.rerank.candidates} candidates)
+🔍 Grounding check: ${groundingConfig.method} (threshold ${groundingConfig.threshold})
+🔐 Accounts: tokens last ${authConfig.tokenTtl}s, CORS ${authConfig.corsOrigins === "*" ? "any origin" : authConfig.corsOrigins.join(", ")}
+🚦 Limits: ${rateLimitConfig.keyPerMinute || "∞"}/min per key, ${rateLimitConfig.ipPerMinute || "∞"}/min per IP, ${rateLimitConfig.dailyQuota.ask || "∞"} questions and ${rateLimitConfig.dailyQuota.upload || "∞"} uploads a day
 📍 Tracks: Pages & Paragraphs
 📝 Auto-cites sources in answers
 💰 Total Cost: $0.00
 
-API Endpoints:
-  POST   /api/upload        - Upload PDF
-  POST   /api/ask           - Ask question
-  GET    /api/document/:id  - Get document info
-  GET    /api/documents     - List all documents
-  DELETE /api/document/:id  - Delete document
-  GET    /api/health        - Health check
+API Endpoints (all but health, register and login need a token or API key):
+  POST   /api/auth/register                      - Create account
+  POST   /api/auth/login                         - Log in
+  GET    /api/auth/me                            - Current user
+  POST   /api/keys                               - Create API key (read/ask/write)
+  GET    /api/keys                               - List API keys
+  DELETE /api/keys/:id                           - Revoke API key
+  GET    /api/usage                              - Quota usage (today + history)
+  POST   /api/upload                             - Upload document (same name = new version)
+  GET    /api/jobs                               - List ingestion jobs
+  GET    /api/jobs/:id                           - Get job progress
+  GET    /api/jobs/:id/stream                    - Follow job progress (SSE)
+  POST   /api/ask                                - Ask question (docId, docIds, tag, workspace or all)
+  POST   /api/ask/stream                         - Ask question (streamed, SSE)
+  GET    /api/document/:id                       - Get document info
+  GET    /api/documents                          - List all documents
+  GET    /api/document/:id/file                  - Original uploaded file
+  GET    /api/document/:id/span                  - Source span with context
+  GET    /api/document/:id/versions              - All versions of a document
+  GET    /api/document/:id/compare               - Chunks changed since a version
+  POST   /api/document/:id/resume                - Resume a failed document
+  POST   /api/document/:id/reindex               - Re-chunk and re-embed a document
+  POST   /api/reindex                            - Re-index a library (stale documents or all)
+  PATCH  /api/document/:id                       - Update document tags
+  DELETE /api/document/:id                       - Delete document
+  POST   /api/conversations                      - Start conversation
+  GET    /api/conversations                      - List conversations
+  GET    /api/conversations/:id                  - Get conversation
+  POST   /api/conversations/:id/messages         - Ask follow-up
+  POST   /api/conversations/:id/messages/stream  - Ask follow-up (SSE)
+  DELETE /api/conversations/:id                  - Delete conversation
+  POST   /api/workspaces                         - Create workspace
+  GET    /api/workspaces                         - List your workspaces
+  GET    /api/workspaces/:id                     - Get workspace and members
+  PATCH  /api/workspaces/:id                     - Rename workspace
+  DELETE /api/workspaces/:id                     - Delete workspace
+  POST   /api/workspaces/:id/members             - Add member (owner/editor/viewer)
+  PATCH  /api/workspaces/:id/members/:userId     - Change member role
+  DELETE /api/workspaces/:id/members/:userId     - Remove member or leave
+  GET    /api/health                             - Health check (liveness)
+  GET    /api/health/details                     - Settings, providers and index state
       `);
     });
   } catch (error) {
@@ -501,5 +2385,13 @@ API Endpoints:
   }
 }
 
-// Start the server
-startServer();
+// Start the server when run directly; tests import the app instead
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  app,
+  connectToStorage,
+  startServer,
+};
@@ -0,0 +1,41 @@
+// backend/test/apiKeys.test.js
+// API key generation and the scopes each route needs
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateApiKey, hashApiKey, isApiKey, parseScopes, requiredScope } = require('../utils/apiKeys');
+
+test('keys are random, recognisable and stored only as a hash', () => {
+  const { key, prefix, keyHash } = generateApiKey();
+
+  assert.equal(isApiKey(key), true);
+  assert.equal(isApiKey('eyJhbGciOiJIUzI1NiJ9.e30.sig'), false);
+  assert.ok(key.startsWith(prefix));
+  assert.equal(keyHash, hashApiKey(key));
+  assert.ok(!keyHash.includes(key));
+  assert.notEqual(generateApiKey().key, key);
+});
+
+test('scopes default to read and ask and reject unknown names', () => {
+  assert.deepEqual(parseScopes(), ['read', 'ask']);
+  assert.deepEqual(parseScopes('write, READ'), ['read', 'write']);
+  assert.throws(() => parseScopes(['admin']), /Unknown scope "admin"/);
+  assert.throws(() => parseScopes([]), /at least one scope/);
+});
+
+test('reads need read, questions need ask and changes need write', () => {
+  assert.equal(requiredScope('GET', '/api/documents'), 'read');
+  assert.equal(requiredScope('GET', '/api/workspaces'), 'read');
+  assert.equal(requiredScope('POST', '/api/ask/stream'), 'ask');
+  assert.equal(requiredScope('POST', '/api/conversations/abc/messages'), 'ask');
+  assert.equal(requiredScope('POST', '/api/upload'), 'write');
+  assert.equal(requiredScope('DELETE', '/api/document/abc'), 'write');
+});
+
+test('no key can manage accounts, keys or workspaces', () => {
+  assert.equal(requiredScope('GET', '/api/keys'), null);
+  assert.equal(requiredScope('POST', '/api/keys'), null);
+  assert.equal(requiredScope('GET', '/api/auth/me'), null);
+  assert.equal(requiredScope('POST', '/api/workspaces/abc/members'), null);
+});
@@ -0,0 +1,80 @@
+// backend/test/auth.test.js
+// Password hashing, access tokens and auth configuration
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  authConfigFromEnv,
+  isAdmin,
+  normalizeEmail,
+  passwordIssue,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+} = require('../utils/auth');
+
+const config = authConfigFromEnv({ JWT_SECRET: 'test-secret', JWT_TTL: '1h' });
+const user = { _id: 'user-1', email: 'ada@example.com' };
+
+test('passwords are salted and verified against their hash', async () => {
+  const hash = await hashPassword('correct horse');
+
+  assert.match(hash, /^scrypt\$/);
+  assert.notEqual(hash, await hashPassword('correct horse'));
+  assert.equal(await verifyPassword('correct horse', hash), true);
+  assert.equal(await verifyPassword('wrong horse', hash), false);
+  assert.equal(await verifyPassword('correct horse', 'garbage'), false);
+});
+
+test('a token identifies its user until it expires', () => {
+  const now = 1_700_000_000;
+  const token = signToken(user, config, now);
+
+  assert.deepEqual(verifyToken(token, config, now + 60), { id: 'user-1', email: 'ada@example.com' });
+  assert.equal(verifyToken(token, config, now + 3600), null);
+});
+
+test('tampered tokens and tokens signed with another secret are rejected', () => {
+  const token = signToken(user, config);
+  const [header, , sig] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'admin', exp: 9_999_999_999 })).toString('base64url');
+
+  assert.equal(verifyToken(`${header}.${forged}.${sig}`, config), null);
+  assert.equal(verifyToken(token, { ...config, secret: 'other-secret' }), null);
+  assert.equal(verifyToken('not-a-token', config), null);
+  assert.equal(verifyToken(undefined, config), null);
+});
+
+test('auth settings are read from the environment', () => {
+  assert.equal(config.tokenTtl, 3600);
+  assert.equal(config.ephemeralSecret, false);
+  assert.deepEqual(config.corsOrigins, ['http://localhost:5173']);
+
+  const defaults = authConfigFromEnv({});
+  assert.equal(defaults.tokenTtl, 7 * 86400);
+  assert.equal(defaults.ephemeralSecret, true);
+  assert.ok(defaults.secret.length >= 32);
+
+  assert.deepEqual(authConfigFromEnv({ CORS_ORIGINS: 'https://a.example/, https://b.example' }).corsOrigins,
+    ['https://a.example', 'https://b.example']);
+  assert.equal(authConfigFromEnv({ CORS_ORIGINS: '*' }).corsOrigins, '*');
+  assert.throws(() => authConfigFromEnv({ JWT_TTL: 'forever' }), /Invalid JWT_TTL/);
+});
+
+test('admins are the configured accounts only', () => {
+  const admins = authConfigFromEnv({ ADMIN_EMAILS: ' Ops@Example.com, not an email' });
+  assert.deepEqual(admins.adminEmails, ['ops@example.com']);
+  assert.equal(isAdmin({ id: 'u1', email: 'ops@example.com' }, admins), true);
+  assert.equal(isAdmin({ id: 'u2', email: 'dev@example.com' }, admins), false);
+  assert.equal(isAdmin(undefined, admins), false);
+  assert.deepEqual(authConfigFromEnv({}).adminEmails, []);
+});
+
+test('emails are normalised and short passwords refused', () => {
+  assert.equal(normalizeEmail('  Ada@Example.COM '), 'ada@example.com');
+  assert.equal(normalizeEmail('not an email'), null);
+  assert.match(passwordIssue('short'), /at least 8/);
+  assert.equal(passwordIssue('long enough'), null);
+});
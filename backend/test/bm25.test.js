@@ -0,0 +1,47 @@
+// backend/test/bm25.test.js
+// BM25 keyword index
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BM25Index, indexTerms } = require('../utils/bm25');
+
+function buildIndex() {
+  const index = new BM25Index();
+  index.add({ docId: 'a', chunkIndex: 0, text: 'Replace filter part AB-1234 every six months.' });
+  index.add({ docId: 'a', chunkIndex: 1, text: 'The pump runs quietly and the filter is easy to reach.' });
+  index.add({ docId: 'b', chunkIndex: 0, text: 'Firmware v2.1 adds support for the XR-9 sensor.' });
+  return index;
+}
+
+test('identifiers are indexed whole and by their parts', () => {
+  assert.deepEqual(indexTerms('Part AB-1234'), ['part', 'ab-1234', 'ab', '1234']);
+});
+
+test('exact identifiers rank the chunk that contains them first', () => {
+  const index = buildIndex();
+
+  const [best] = index.search('Where is AB-1234 used?');
+  assert.equal(best.docId, 'a');
+  assert.equal(best.chunkIndex, 0);
+
+  assert.equal(index.search('1234')[0].chunkIndex, 0);
+  assert.equal(index.search('v2.1')[0].docId, 'b');
+});
+
+test('rarer terms outweigh common ones', () => {
+  const index = buildIndex();
+  // "filter" is in two chunks, "quietly" in one
+  assert.ok(index.score('quietly', 'a', 1) > index.score('filter', 'a', 1));
+});
+
+test('search can be restricted to documents and chunks can be removed', () => {
+  const index = buildIndex();
+
+  assert.deepEqual(index.search('filter sensor', { docIds: ['b'] }).map(r => r.docId), ['b']);
+
+  index.removeDocument('a');
+  assert.equal(index.size, 1);
+  assert.deepEqual(index.search('filter'), []);
+  assert.equal(index.score('filter', 'a', 0), 0);
+});
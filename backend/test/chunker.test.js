@@ -0,0 +1,147 @@
+// backend/test/chunker.test.js
+// Chunking strategies: sentence, section, token and the original paragraph chunker
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  chunkDocument,
+  chunkingConfigFromEnv,
+  resolveChunking,
+  detectHeading,
+  splitIntoChunksWithMetadata,
+} = require('../utils/chunker');
+const { estimateTokens } = require('../utils/textUtils');
+
+const config = chunkingConfigFromEnv({
+  CHUNK_SIZE: '300',
+  CHUNK_OVERLAP: '80',
+  CHUNK_TOKENS: '60',
+  CHUNK_TOKEN_OVERLAP: '15',
+});
+
+// One long paragraph of distinct sentences, then a short numbered section
+const longParagraph = Array.from({ length: 30 }, (_, i) => `Sentence ${i + 1} describes step ${i + 1} of the setup.`).join(' ');
+const text = `1 Introduction\n\n${longParagraph}\n\n2 Installation\n\n2.1 Power supply\n\nUse only the 12 V adapter.`;
+const pages = [{ pageNumber: 1, pageLabel: '1', text, startChar: 0, endChar: text.length }];
+
+const chunk = strategy => chunkDocument(pages, resolveChunking(strategy, config));
+
+test('configuration picks the default strategy and rejects unknown ones', () => {
+  assert.equal(chunkingConfigFromEnv({}).strategy, 'sentence');
+  assert.equal(chunkingConfigFromEnv({ CHUNK_STRATEGY: 'Section' }).strategy, 'section');
+  assert.throws(() => chunkingConfigFromEnv({ CHUNK_STRATEGY: 'words' }), /Unknown chunking strategy "words"/);
+
+  assert.deepEqual(resolveChunking('token', config), { strategy: 'token', unit: 'tokens', size: 60, overlap: 15 });
+  assert.deepEqual(resolveChunking(null, config), { strategy: 'sentence', unit: 'characters', size: 300, overlap: 80 });
+});
+
+for (const strategy of ['sentence', 'section', 'token']) {
+  test(`${strategy} chunks end on sentence boundaries and point at their exact text`, () => {
+    const chunks = chunk(strategy);
+    assert.ok(chunks.length > 3);
+
+    for (const { text: chunkText, metadata } of chunks) {
+      assert.equal(text.slice(metadata.startChar, metadata.endChar), chunkText);
+      assert.match(chunkText, /(\.|Introduction|Installation|supply)$/);
+      assert.match(chunkText, /^(Sentence|Use|1 Intro|2 Install|2\.1)/);
+    }
+  });
+}
+
+test('a long paragraph is split within the size budget and overlaps by whole sentences', () => {
+  const chunks = chunk('sentence');
+
+  for (const { text: chunkText } of chunks) {
+    assert.ok(chunkText.length <= 300, `${chunkText.length} characters`);
+  }
+  // Consecutive chunks share their boundary sentence(s)
+  const [first, second] = chunks;
+  const lastSentence = first.text.match(/Sentence \d+ [^.]+\.$/)[0];
+  assert.ok(second.text.startsWith(lastSentence.split(' describes')[0]));
+  assert.ok(second.metadata.startChar < first.metadata.endChar);
+});
+
+test('token chunks stay within the token budget', () => {
+  for (const { text: chunkText } of chunk('token')) {
+    assert.ok(estimateTokens(chunkText) <= 60, `${estimateTokens(chunkText)} tokens`);
+  }
+});
+
+test('section chunks never cross a heading and record the heading path', () => {
+  const chunks = chunk('section');
+
+  const intro = chunks.filter(c => c.text.includes('Sentence'));
+  assert.ok(intro.every(c => c.metadata.headingPath.join(' > ') === '1 Introduction'));
+  assert.ok(!intro.some(c => c.text.includes('Installation')));
+
+  // A heading with no text of its own joins the section below it
+  const power = chunks.find(c => c.text.includes('12 V adapter'));
+  assert.equal(power.text, '2 Installation\n\n2.1 Power supply\n\nUse only the 12 V adapter.');
+  assert.deepEqual(power.metadata.headingPath, ['2 Installation', '2.1 Power supply']);
+  assert.equal(power.metadata.section, '2.1 Power supply');
+  assert.equal(power.metadata.paragraphRange, '3-5');
+});
+
+test('section headings carry over to the next page', () => {
+  const pageTwo = 'The adapter output is 12 V DC.';
+  const twoPages = [
+    ...pages,
+    { pageNumber: 2, pageLabel: '2', text: pageTwo, startChar: text.length + 2, endChar: text.length + 2 + pageTwo.length },
+  ];
+
+  const chunks = chunkDocument(twoPages, resolveChunking('section', config));
+  const last = chunks[chunks.length - 1];
+  assert.equal(last.metadata.page, 2);
+  assert.deepEqual(last.metadata.headingPath, ['2 Installation', '2.1 Power supply']);
+});
+
+test('heading detection', () => {
+  assert.deepEqual(detectHeading('3.2 Cleaning the filter'), { level: 2, title: '3.2 Cleaning the filter' });
+  assert.deepEqual(detectHeading('## Safety'), { level: 2, title: 'Safety' });
+  assert.deepEqual(detectHeading('Chapter 4: Maintenance'), { level: 1, title: 'Chapter 4: Maintenance' });
+  assert.equal(detectHeading('1. Unpack the box and check the contents.'), null);
+  assert.equal(detectHeading('12 V is the supply voltage'), null);
+  assert.equal(detectHeading('2 Installation\nUnpack the box'), null);
+});
+
+test('the paragraph strategy keeps the original chunker', () => {
+  const chunks = chunk('paragraph');
+  assert.equal(chunks[0].text, '1 Introduction');
+  assert.ok(chunks.some(c => c.text.length > 300));
+});
+
+test('paragraph chunks carry their page, paragraph and exact offsets', () => {
+  const first = 'First page opening.\n\nSecond paragraph on page one.';
+  const second = 'Page two only has this.';
+  const fullText = `${first}\n\n${second}`;
+  const twoPages = [
+    { pageNumber: 1, pageLabel: 'i', text: first, startChar: 0, endChar: first.length },
+    { pageNumber: 2, pageLabel: '1', text: second, startChar: first.length + 2, endChar: fullText.length },
+    { pageNumber: 3, pageLabel: '2', text: '', startChar: fullText.length, endChar: fullText.length },
+  ];
+
+  const chunks = splitIntoChunksWithMetadata(twoPages, 30, 0);
+
+  assert.deepEqual(chunks.map(c => [c.metadata.page, c.metadata.pageLabel, c.metadata.paragraphNumber]), [
+    [1, 'i', 1],
+    [1, 'i', 2],
+    [2, '1', 1],
+  ]);
+  chunks.forEach(c => assert.equal(fullText.slice(c.metadata.startChar, c.metadata.endChar), c.text));
+  assert.deepEqual(chunks.map(c => c.chunkIndex), [0, 1, 2]);
+});
+
+test('paragraphs are packed within the size budget, overlapping the previous chunk', () => {
+  const page = Array.from({ length: 12 }, (_, i) => `Paragraph ${i + 1} is short.`).join('\n\n');
+  const chunks = splitIntoChunksWithMetadata([{ pageNumber: 1, text: page, startChar: 0, endChar: page.length }], 100, 30);
+
+  assert.ok(chunks.length > 2);
+  assert.ok(chunks.every(c => c.text.length <= 100));
+  // Each chunk starts inside the previous one, at a word
+  chunks.slice(1).forEach((c, i) => {
+    assert.ok(c.metadata.startChar < chunks[i].metadata.endChar);
+    assert.match(page[c.metadata.startChar - 1], /\s/);
+  });
+  assert.equal(chunks.at(-1).metadata.endChar, page.length);
+});
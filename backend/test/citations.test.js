@@ -0,0 +1,63 @@
+// backend/test/citations.test.js
+// Citation parsing and checking against retrieved sources
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCitations, checkCitations } = require('../utils/citations');
+
+const sources = [
+  { sourceNumber: 1, page: 4, pageLabel: '2', section: null, headingPath: [] },
+  { sourceNumber: 2, page: 7, pageLabel: '7', section: null, headingPath: [] },
+  { sourceNumber: 3, page: 2, pageLabel: '2', section: 'Power supply', headingPath: ['Installation', 'Power supply'] },
+];
+
+test('citations are parsed with their page, section and position', () => {
+  const answer = 'Use 12 V [Source 1 - Page 2, Para 3]. See [Source 3 - manual.md, Section "Installation > Power supply", Para 1].';
+  const citations = parseCitations(answer);
+
+  assert.deepEqual(citations.map(c => [c.sourceNumber, c.page, c.section]), [
+    [1, '2', null],
+    [3, null, 'Installation > Power supply'],
+  ]);
+  assert.equal(answer.slice(citations[0].start, citations[0].end), '[Source 1 - Page 2, Para 3]');
+});
+
+test('brackets citing several sources yield one citation each', () => {
+  const citations = parseCitations('Both agree [Sources 1, 2 and 3] and [Source 1 - Page 2; Source 2 - Page 7].');
+
+  assert.deepEqual(citations.map(c => c.sourceNumber), [1, 2, 3, 1, 2]);
+  assert.deepEqual(citations.slice(3).map(c => c.page), ['2', '7']);
+  // Sources cited together share the bracket's position
+  assert.equal(citations[0].start, citations[2].start);
+});
+
+test('text without citations has none', () => {
+  assert.deepEqual(parseCitations('No sources here [see page 3].'), []);
+  assert.deepEqual(parseCitations(''), []);
+});
+
+test('citations are checked against the retrieved sources', () => {
+  const answer = [
+    'Fine [Source 1 - Page 2, Para 1].',
+    'PDF page number also fine [Source 1 - Page 4].',
+    'Invented [Source 5 - Page 9, Para 1].',
+    'Wrong page [Source 2 - Page 8].',
+    'Wrong section [Source 3 - Section "Maintenance"].',
+  ].join(' ');
+
+  const { items, invalidCount, uncitedSources } = checkCitations(answer, sources);
+
+  assert.deepEqual(items.map(item => item.issue), [null, null, 'unknown-source', 'wrong-page', 'wrong-section']);
+  assert.deepEqual(items.map(item => item.valid), [true, true, false, false, false]);
+  assert.equal(invalidCount, 3);
+  assert.deepEqual(uncitedSources, []);
+});
+
+test('sources the answer never cites are reported', () => {
+  const { items, uncitedSources } = checkCitations('Only this [Source 2].', sources);
+
+  assert.equal(items.length, 1);
+  assert.ok(items[0].valid);
+  assert.deepEqual(uncitedSources, [1, 3]);
+});
@@ -0,0 +1,107 @@
+// backend/test/embeddingCache.test.js
+// Embedding cache keys, lookups and use by embedding generation
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  embeddingCacheConfigFromEnv,
+  normalizeText,
+  EmbeddingCache,
+  createEmbeddingCache,
+} = require('../utils/embeddingCache');
+const { generateEmbeddings, generateSingleEmbedding } = require('../utils/embeddings');
+const { LocalDb } = require('../utils/localDb');
+const { LocalProvider } = require('../utils/providers/local');
+
+const newCache = () => new EmbeddingCache({ collection: new LocalDb().collection('embeddingCache') });
+
+// A local provider that records what it was asked to embed
+function countingProvider(dimensions = 16) {
+  const provider = new LocalProvider({ dimensions });
+  provider.embedded = [];
+  const embedDocuments = provider.embedDocuments.bind(provider);
+  provider.embedDocuments = async (texts) => {
+    provider.embedded.push(...texts);
+    return embedDocuments(texts);
+  };
+  const embedQuery = provider.embedQuery.bind(provider);
+  provider.embedQuery = async (text) => {
+    provider.embedded.push(text);
+    return embedQuery(text);
+  };
+  return provider;
+}
+
+test('the cache is configured from the environment', () => {
+  assert.equal(embeddingCacheConfigFromEnv({}).mode, 'database');
+  assert.equal(embeddingCacheConfigFromEnv({ EMBEDDING_CACHE: 'None' }).mode, 'none');
+  assert.throws(() => embeddingCacheConfigFromEnv({ EMBEDDING_CACHE: 'redis' }), /Unknown embedding cache "redis"/);
+  assert.equal(createEmbeddingCache({ mode: 'none' }, new LocalDb()), null);
+});
+
+test('keys ignore spacing but not the model or the embedding size', () => {
+  const cache = newCache();
+  const small = new LocalProvider({ dimensions: 16 });
+
+  assert.equal(normalizeText('  Pump\n\nservice\tinterval '), 'Pump service interval');
+  assert.equal(cache.key('Pump  service', small)._id, cache.key('Pump service\n', small)._id);
+  assert.notEqual(cache.key('Pump service', small)._id, cache.key('pump service', small)._id);
+  assert.notEqual(cache.key('Pump service', small)._id, cache.key('Pump service', new LocalProvider({ dimensions: 32 }))._id);
+  assert.notEqual(cache.key('Pump service', small)._id, cache.key('Pump service', { embeddingModelName: 'other' })._id);
+});
+
+test('only texts not seen before are embedded, and hits are counted', async () => {
+  const cache = newCache();
+  const provider = countingProvider();
+
+  const first = await generateEmbeddings(['alpha', 'beta'], provider, { cache });
+  const progress = [];
+  const second = await generateEmbeddings(['beta', 'gamma', 'alpha '], provider, {
+    cache,
+    onProgress: (done, total) => progress.push([done, total]),
+  });
+
+  assert.deepEqual(provider.embedded, ['alpha', 'beta', 'gamma']);
+  assert.deepEqual(second[0], first[1]);
+  assert.deepEqual(second[2], first[0]);
+  assert.deepEqual(progress, [[2, 3], [3, 3]]);
+  assert.deepEqual(await cache.stats(), { store: 'database', hits: 2, misses: 3, hitRate: 0.4, errors: 0, entries: 3 });
+});
+
+test('repeated questions are embedded once', async () => {
+  const cache = newCache();
+  const provider = countingProvider();
+
+  const first = await generateSingleEmbedding('How often is the pump serviced?', provider, { cache });
+  const second = await generateSingleEmbedding('How often is the pump serviced? ', provider, { cache });
+
+  assert.deepEqual(second, first);
+  assert.equal(provider.embedded.length, 1);
+});
+
+test('a failing cache falls back to the provider', async () => {
+  const broken = {
+    find: () => { throw new Error('cache offline'); },
+    countDocuments: async () => { throw new Error('cache offline'); },
+  };
+  const cache = new EmbeddingCache({ collection: broken });
+  const provider = countingProvider();
+
+  const [embedding] = await generateEmbeddings(['alpha'], provider, { cache });
+  assert.equal(embedding.length, 16);
+  assert.equal((await cache.stats()).errors, 2);
+});
+
+test('the disk cache survives a restart', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'embedding-cache-')), 'cache.json');
+  const provider = countingProvider();
+
+  await generateEmbeddings(['alpha'], provider, { cache: createEmbeddingCache({ mode: 'disk', path: filePath }) });
+  await generateEmbeddings(['alpha'], provider, { cache: createEmbeddingCache({ mode: 'disk', path: filePath }) });
+
+  assert.deepEqual(provider.embedded, ['alpha']);
+});
@@ -0,0 +1,168 @@
+// backend/test/embeddings.test.js
+// Cosine similarity and batched embedding generation, with retries and
+// per-chunk failures
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  EmbeddingError,
+  embeddingBatchConfigFromEnv,
+  cosineSimilarity,
+  generateEmbeddings,
+} = require('../utils/embeddings');
+const { LocalProvider } = require('../utils/providers/local');
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+// Batching with no waiting between retries
+const batching = (overrides = {}) => ({
+  ...embeddingBatchConfigFromEnv({}),
+  retryBaseMs: 0,
+  ...overrides,
+});
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+test('cosine similarity depends on direction only', () => {
+  close(cosineSimilarity([1, 2, 3], [1, 2, 3]), 1);
+  close(cosineSimilarity([1, 2, 3], [2, 4, 6]), 1);
+  close(cosineSimilarity([1, 0], [0, 1]), 0);
+  close(cosineSimilarity([1, 0], [-1, 0]), -1);
+  close(cosineSimilarity([1, 1], [1, 0]), Math.SQRT1_2);
+});
+
+test('cosine similarity with a zero vector is 0, and lengths must match', () => {
+  assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+  assert.throws(() => cosineSimilarity([1, 0], [1, 0, 0]), /same length/);
+});
+
+test('embeddings are generated in batches with progress', async () => {
+  const provider = new LocalProvider({ dimensions: 16 });
+  const batches = [];
+  const calls = [];
+  const embedDocuments = provider.embedDocuments.bind(provider);
+  provider.embedDocuments = async (texts) => {
+    batches.push(texts.length);
+    return embedDocuments(texts);
+  };
+
+  const texts = Array.from({ length: 150 }, (_, i) => `chunk ${i}`);
+  const embeddings = await generateEmbeddings(texts, provider, {
+    onProgress: (done, total) => calls.push([done, total]),
+  });
+
+  assert.equal(embeddings.length, 150);
+  assert.deepEqual(batches, [100, 50]);
+  assert.deepEqual(calls, [[100, 150], [150, 150]]);
+  assert.deepEqual(embeddings[3], await provider.embedQuery('chunk 3'));
+});
+
+test('provider failures surface as embedding errors', async () => {
+  const provider = { name: 'broken', embedDocuments: async () => { throw new Error('quota exceeded'); } };
+
+  await assert.rejects(generateEmbeddings(['text'], provider), /Failed to generate embeddings: quota exceeded/);
+});
+
+test('batch settings come from the environment', () => {
+  assert.deepEqual(embeddingBatchConfigFromEnv({}), {
+    batchSize: 100,
+    concurrency: 2,
+    maxRetries: 5,
+    retryBaseMs: 500,
+    retryMaxMs: 30000,
+  });
+  const config = embeddingBatchConfigFromEnv({ EMBEDDING_BATCH_SIZE: '20', EMBEDDING_CONCURRENCY: '4', EMBEDDING_MAX_RETRIES: '0' });
+  assert.equal(config.batchSize, 20);
+  assert.equal(config.concurrency, 4);
+  assert.equal(config.maxRetries, 0);
+  assert.throws(() => embeddingBatchConfigFromEnv({ EMBEDDING_CONCURRENCY: '0' }), /Invalid EMBEDDING_CONCURRENCY/);
+  assert.throws(() => embeddingBatchConfigFromEnv({ EMBEDDING_BATCH_SIZE: 'lots' }), /Invalid EMBEDDING_BATCH_SIZE/);
+});
+
+test('batches respect the provider maximum and the concurrency limit', async () => {
+  const provider = new LocalProvider({ dimensions: 8 });
+  provider.maxBatchSize = 10;
+  const embedDocuments = provider.embedDocuments.bind(provider);
+  const batches = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+  provider.embedDocuments = async (texts) => {
+    batches.push(texts.length);
+    maxInFlight = Math.max(maxInFlight, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    inFlight--;
+    return embedDocuments(texts);
+  };
+
+  const texts = Array.from({ length: 45 }, (_, i) => `chunk ${i}`);
+  const embeddings = await generateEmbeddings(texts, provider, { cache: null, batching: batching({ concurrency: 3 }) });
+
+  assert.deepEqual(batches, [10, 10, 10, 10, 5]);
+  assert.equal(maxInFlight, 3);
+  assert.deepEqual(embeddings[44], await provider.embedQuery('chunk 44'));
+});
+
+test('rate-limited batches are retried with backoff', async () => {
+  const provider = new LocalProvider({ dimensions: 8 });
+  const embedDocuments = provider.embedDocuments.bind(provider);
+  let calls = 0;
+  provider.embedDocuments = async (texts) => {
+    if (calls++ < 2) throw httpError(429);
+    return embedDocuments(texts);
+  };
+  const delays = [];
+
+  const embeddings = await generateEmbeddings(['a', 'b'], provider, {
+    cache: null,
+    batching: batching({ retryBaseMs: 100 }),
+    sleep: async (ms) => { delays.push(ms); },
+  });
+
+  assert.equal(embeddings.length, 2);
+  assert.equal(calls, 3);
+  assert.equal(delays.length, 2);
+  assert.ok(delays[0] <= 100 && delays[1] <= 200);
+});
+
+test('a rejected batch is embedded chunk by chunk to isolate the bad chunk', async () => {
+  const provider = new LocalProvider({ dimensions: 8 });
+  const embedDocuments = provider.embedDocuments.bind(provider);
+  provider.embedDocuments = async (texts) => {
+    if (texts.includes('too long')) throw httpError(400);
+    return embedDocuments(texts);
+  };
+
+  const error = await generateEmbeddings(['one', 'too long', 'three'], provider, { cache: null, batching: batching() })
+    .catch(e => e);
+
+  assert.ok(error instanceof EmbeddingError);
+  assert.match(error.message, /Failed to generate embeddings: HTTP 400 \(1 of 3 chunks failed\)/);
+  assert.deepEqual(error.failures, [{ index: 1, error: 'HTTP 400' }]);
+  assert.deepEqual(error.embeddings[0], await provider.embedQuery('one'));
+  assert.equal(error.embeddings[1], null);
+  assert.deepEqual(error.embeddings[2], await provider.embedQuery('three'));
+});
+
+test('a provider that keeps failing stops further requests and keeps what was done', async () => {
+  const provider = new LocalProvider({ dimensions: 8 });
+  const embedDocuments = provider.embedDocuments.bind(provider);
+  let calls = 0;
+  provider.embedDocuments = async (texts) => {
+    if (calls++ > 0) throw httpError(503);
+    return embedDocuments(texts);
+  };
+
+  const texts = Array.from({ length: 5 }, (_, i) => `chunk ${i}`);
+  const error = await generateEmbeddings(texts, provider, {
+    cache: null,
+    batching: batching({ batchSize: 2, concurrency: 1, maxRetries: 1 }),
+  }).catch(e => e);
+
+  assert.ok(error instanceof EmbeddingError);
+  // The first batch, then the second batch and its one retry
+  assert.equal(calls, 3);
+  assert.deepEqual(error.failures.map(failure => failure.index), [2, 3, 4]);
+  assert.match(error.failures[2].error, /^Not attempted: HTTP 503/);
+  assert.ok(error.embeddings[0] && error.embeddings[1]);
+});
@@ -0,0 +1,76 @@
+// backend/test/evaluation.test.js
+// Evaluation metrics and a full offline run of the golden dataset
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const {
+  loadDataset,
+  retrievalScores,
+  citationAccuracy,
+  answerSimilarity,
+  runEvaluation,
+  compareReports,
+} = require('../utils/evaluation');
+const { MemoryVectorStore } = require('../utils/vectorStore');
+const { LocalProvider } = require('../utils/providers/local');
+
+const chunkOn = (page, pageLabel = String(page)) => ({ metadata: { page, pageLabel } });
+const sourceOn = (sourceNumber, page) => ({ sourceNumber, page, pageLabel: String(page), headingPath: [] });
+
+test('recall@k and reciprocal rank follow the expected pages', () => {
+  const chunks = [chunkOn(4), chunkOn(2), chunkOn(3, 'iii')];
+
+  assert.deepEqual(retrievalScores(chunks, [2]), { recall: 1, reciprocalRank: 0.5, retrievedPages: ['4', '2', 'iii'] });
+  assert.deepEqual(retrievalScores(chunks, ['iii', 9]).recall, 0.5);
+  assert.equal(retrievalScores(chunks, ['iii', 9]).reciprocalRank, 1 / 3);
+  assert.equal(retrievalScores(chunks, [7]).reciprocalRank, 0);
+});
+
+test('citation accuracy counts citations of sources on the expected pages', () => {
+  const sources = [sourceOn(1, 2), sourceOn(2, 5)];
+
+  assert.equal(citationAccuracy('Yes [Source 1 - Page 2]. Also [Source 2 - Page 5].', sources, [2]), 0.5);
+  // A citation that does not match its source counts against the answer
+  assert.equal(citationAccuracy('Yes [Source 1 - Page 7].', sources, [2]), 0);
+  assert.equal(citationAccuracy('No citations at all.', sources, [2]), 0);
+});
+
+test('answer similarity is token F1 without citations', () => {
+  assert.equal(answerSimilarity('Two AA batteries. [Source 1 - Page 3]', 'Two AA batteries.'), 1);
+  assert.equal(answerSimilarity('Completely different words', 'Two AA batteries.'), 0);
+  const partial = answerSimilarity('It uses two batteries', 'Two AA batteries.');
+  assert.ok(partial > 0 && partial < 1);
+});
+
+test('the golden dataset runs offline and finds every expected page', async () => {
+  const dataset = loadDataset(path.join(__dirname, '..', 'eval', 'datasets', 'manual.json'));
+  const provider = new LocalProvider({ dimensions: 256 });
+
+  const report = await runEvaluation(dataset, {
+    vectorStore: new MemoryVectorStore(),
+    chatProvider: provider,
+    embeddingProvider: provider,
+    topK: 3,
+    retrieval: { mode: 'hybrid', vectorWeight: 1, keywordWeight: 1, rrfK: 60 },
+  });
+
+  assert.equal(report.summary.questionCount, dataset.questions.length);
+  assert.equal(report.documents[0].chunkCount > 0, true);
+  assert.equal(report.summary.recallAtK, 1);
+  assert.equal(report.summary.mrr, 1);
+  assert.ok(report.summary.citationAccuracy > 0.5);
+  assert.ok(report.summary.answerSimilarity > 0.3);
+  assert.ok(report.questions.every(q => typeof q.answer === 'string' && q.answer.length > 0));
+});
+
+test('reports are compared metric by metric', () => {
+  const previous = { summary: { recallAtK: 0.8, mrr: 0.5 } };
+  const current = { summary: { recallAtK: 0.9, mrr: 0.5, citationAccuracy: 1 } };
+
+  assert.deepEqual(compareReports(previous, current).map(change => [change.metric, Number(change.delta.toFixed(2))]), [
+    ['recallAtK', 0.1],
+    ['mrr', 0],
+  ]);
+});
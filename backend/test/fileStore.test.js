@@ -0,0 +1,48 @@
+// backend/test/fileStore.test.js
+// Original upload storage on local disk
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DiskFileStore, createFileStore } = require('../utils/fileStore');
+const { MemoryVectorStore } = require('../utils/vectorStore');
+
+const readAll = async stream => {
+  const parts = [];
+  for await (const part of stream) parts.push(part);
+  return Buffer.concat(parts);
+};
+
+test('disk store saves, streams, replaces and deletes files', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+  const store = new DiskFileStore({ dir });
+
+  assert.equal(await store.open('1'), null);
+
+  await store.save('1', Buffer.from('first'));
+  await store.save('1', Buffer.from('%PDF-1.4 second'));
+  const file = await store.open('1');
+  assert.equal(file.length, 15);
+  assert.equal((await readAll(file.stream)).toString(), '%PDF-1.4 second');
+
+  // Ids cannot reach outside the directory
+  await store.save('../escape', Buffer.from('x'));
+  assert.ok(!fs.existsSync(path.join(dir, '..', 'escape')));
+
+  await store.delete('1');
+  await store.delete('1');
+  assert.equal(await store.open('1'), null);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('configuration picks the file store', () => {
+  const vectorStore = new MemoryVectorStore();
+  assert.equal(createFileStore(vectorStore, {}).name, 'disk');
+  assert.equal(createFileStore(vectorStore, { UPLOADS_DIR: '/tmp/x' }).dir, '/tmp/x');
+  assert.throws(() => createFileStore(vectorStore, { FILE_STORE: 'gridfs' }), /needs the atlas vector store/);
+  assert.throws(() => createFileStore(vectorStore, { FILE_STORE: 's3' }), /Unknown file store "s3"/);
+});
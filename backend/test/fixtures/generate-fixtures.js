@@ -0,0 +1,242 @@
+// backend/test/fixtures/generate-fixtures.js
+// Writes the small PDF and DOCX files used by the extraction tests and
+// the evaluation golden set.
+// Run with: node test/fixtures/generate-fixtures.js
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Escape a string for use inside a PDF literal string
+ * @param {string} text
+ * @returns {string}
+ */
+function escapePdfString(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+/**
+ * Build a minimal single-font PDF. Every page is an array of lines,
+ * drawn top to bottom with a fixed leading.
+ * @param {Array<Array<string>>} pages - Lines of text for each page
+ * @param {string} [pageLabels] - Raw /PageLabels number tree, if any
+ * @returns {Buffer}
+ */
+function buildPdf(pages, pageLabels) {
+  const objects = [];
+  const fontId = 3;
+  const firstPageId = 4;
+
+  const pageIds = pages.map((_, idx) => firstPageId + idx * 2);
+  const catalogExtra = pageLabels ? ` /PageLabels ${pageLabels}` : '';
+
+  objects[1] = `<< /Type /Catalog /Pages 2 0 R${catalogExtra} >>`;
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[fontId] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+
+  pages.forEach((lines, idx) => {
+    const pageId = pageIds[idx];
+    const contentId = pageId + 1;
+    // Blank pages get an empty text object rather than an empty stream
+    const body = lines.length > 0
+      ? lines
+        .map((line, lineIdx) => `BT /F1 10 Tf 50 ${760 - lineIdx * 14} Td (${escapePdfString(line)}) Tj ET`)
+        .join('\n')
+      : 'BT ET';
+
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`;
+    objects[contentId] = `<< /Length ${Buffer.byteLength(body)} >>\nstream\n${body}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf);
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * CRC-32 (as used by ZIP)
+ * @param {Buffer} data
+ * @returns {number}
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (crc & 1 ? 0xedb88320 : 0);
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build an uncompressed ZIP archive
+ * @param {Object<string, string>} files - Path → contents
+ * @returns {Buffer}
+ */
+function buildZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, contents] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const data = Buffer.from(contents, 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    localParts.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+/**
+ * Build a minimal Word document. Paragraphs are [style, text] pairs;
+ * style is a built-in style id such as "Heading1", or null for body text.
+ * @param {Array<[string|null, string]>} paragraphs
+ * @returns {Buffer}
+ */
+function buildDocx(paragraphs) {
+  const escapeXml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const body = paragraphs
+    .map(([style, text]) => {
+      const props = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+      return `<w:p>${props}<w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+    })
+    .join('');
+
+  const headingStyles = [1, 2, 3]
+    .map(level => `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/></w:style>`)
+    .join('');
+
+  return buildZip({
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/></Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>',
+    'word/_rels/document.xml.rels': '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>',
+    'word/styles.xml': `<?xml version="1.0" encoding="UTF-8"?><w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">${headingStyles}</w:styles>`,
+    'word/document.xml': `<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`,
+  });
+}
+
+/**
+ * Repeat a numbered sentence to fill a page with a known amount of text
+ */
+function fillerLines(prefix, count) {
+  return Array.from({ length: count }, (_, i) =>
+    `${prefix} line ${i + 1}: the quick brown fox jumps over the lazy dog.`
+  );
+}
+
+const fixtures = {
+  // Page 2 is far longer than 2000 characters, so fixed-size slicing
+  // would push page 2 text into a made-up "page 3".
+  'three-pages.pdf': buildPdf([
+    ['Alpha page introduction.', 'This text only appears on the first page.'],
+    fillerLines('Bravo', 45),
+    ['Charlie page conclusion.', 'This text only appears on the third page.'],
+  ]),
+
+  // Roman-numeral front matter (i, ii) followed by a blank page and
+  // body pages numbered from 1.
+  'page-labels.pdf': buildPdf(
+    [
+      ['Front matter: title page.'],
+      ['Front matter: table of contents.'],
+      [],
+      ['Chapter one begins here.'],
+      ['Chapter one continues here.'],
+    ],
+    '<< /Nums [0 << /S /r >> 2 << /S /D >>] >>'
+  ),
+
+  // Product manual with one topic per page, for the evaluation golden set
+  // (eval/datasets/manual.json)
+  'manual.pdf': buildPdf([
+    [
+      'Aqualine 300 Water Filter - User Manual',
+      'The Aqualine 300 removes chlorine, lead and sediment from tap water.',
+      'It filters up to 2 litres of water per minute.',
+    ],
+    [
+      'Installation',
+      'Mount the filter under the sink with the two screws supplied.',
+      'Connect the inlet hose to the cold water supply only.',
+      'Hot water above 40 degrees damages the membrane.',
+    ],
+    [
+      'Display and batteries',
+      'The status display runs on two AA batteries.',
+      'A red light means the cartridge must be replaced within 14 days.',
+      'A blinking green light means the filter is flushing.',
+    ],
+    [
+      'Maintenance',
+      'Replace the carbon cartridge every 6 months or after 3000 litres, whichever comes first.',
+      'Flush a new cartridge for 5 minutes before drinking the water.',
+      'Clean the housing with a damp cloth; never use solvents.',
+    ],
+    [
+      'Warranty',
+      'The warranty covers the housing for 5 years and the pump for 2 years.',
+      'Cartridges are consumables and are not covered by the warranty.',
+      'Register the product within 30 days to extend the warranty by one year.',
+    ],
+  ]),
+
+  // Two chapters with a nested section, as Word "Heading N" styles
+  'sections.docx': buildDocx([
+    [null, 'Preface text before any heading.'],
+    ['Heading1', 'Installation'],
+    [null, 'Unpack the device and check the contents.'],
+    ['Heading2', 'Power supply'],
+    [null, 'Use only the supplied 12 V adapter PSU-12.'],
+    ['Heading1', 'Maintenance'],
+    [null, 'Clean the filter every month.'],
+  ]),
+};
+
+for (const [name, buffer] of Object.entries(fixtures)) {
+  fs.writeFileSync(path.join(__dirname, name), buffer);
+  console.log(`✅ Wrote ${name} (${buffer.length} bytes)`);
+}
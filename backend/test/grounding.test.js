@@ -0,0 +1,102 @@
+// backend/test/grounding.test.js
+// Claim splitting and the grounding check of answers against their excerpts
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { splitClaims, checkGrounding, groundingConfigFromEnv } = require('../utils/grounding');
+const { LocalProvider } = require('../utils/providers/local');
+const { claimSupport } = require('../utils/textUtils');
+
+const passages = [
+  'The device runs on a 12 V adapter. Never use a 24 V supply with this model.',
+  'The warranty covers the battery for two years from the date of purchase.',
+];
+
+const lexical = { method: 'lexical', threshold: 0.6 };
+
+test('grounding settings come from the environment', () => {
+  assert.deepEqual(groundingConfigFromEnv({}), { method: 'lexical', threshold: 0.6 });
+  assert.deepEqual(groundingConfigFromEnv({ GROUNDING_CHECK: 'LLM', GROUNDING_THRESHOLD: '0.8' }), { method: 'llm', threshold: 0.8 });
+  assert.throws(() => groundingConfigFromEnv({ GROUNDING_CHECK: 'vibes' }), /Unknown grounding check/);
+});
+
+test('claims are the answer sentences, located in the answer, without citations', () => {
+  const answer = 'It uses a 12 V adapter. [Source 1 - Page 2, Para 1] Yes. The battery is covered for two years [Source 2].';
+  const claims = splitClaims(answer);
+
+  assert.deepEqual(claims.map(claim => claim.text), [
+    'It uses a 12 V adapter.',
+    'The battery is covered for two years.',
+  ]);
+  assert.equal(answer.slice(claims[0].start, claims[0].end), 'It uses a 12 V adapter.');
+  assert.ok(answer.slice(claims[1].start, claims[1].end).startsWith('The battery'));
+});
+
+test('a citation without a full stop after it ends its claim', () => {
+  const answer = 'Shipping Information [Source 3] Orders ship within two days [Source 1].';
+  const claims = splitClaims(answer);
+
+  assert.deepEqual(claims.map(claim => claim.text), ['Shipping Information', 'Orders ship within two days.']);
+  assert.equal(answer.slice(claims[0].start, claims[0].end).trim(), 'Shipping Information');
+});
+
+test('claims start after Markdown list and heading markers', () => {
+  const answer = '## Power supply details\n- **Use** the 12 V adapter.\n> Never use 24 V.';
+  const claims = splitClaims(answer);
+
+  assert.deepEqual(claims.map(claim => answer.slice(claim.start, claim.end)), [
+    'Power supply details',
+    '**Use** the 12 V adapter.',
+    'Never use 24 V.',
+  ]);
+});
+
+test('saying the excerpts lack the answer is not a claim', () => {
+  assert.deepEqual(splitClaims('The answer is not in the provided excerpts.'), []);
+  assert.deepEqual(splitClaims('No relevant information found.'), []);
+});
+
+test('claim support follows stems and insists on the same numbers', () => {
+  assert.equal(claimSupport('The device uses a 12 V adapter', 'Devices use 12 V adapters'), 1);
+  assert.equal(claimSupport('The device uses a 15 V adapter', 'Devices use 12 V adapters'), 0);
+});
+
+test('unsupported claims are flagged and the answer scored', async () => {
+  const answer = 'The device runs on a 12 V adapter [Source 1]. The battery warranty lasts two years. It also ships with a free carrying case.';
+  const result = await checkGrounding(answer, passages, { grounding: lexical });
+
+  assert.deepEqual(result.claims.map(claim => claim.status), ['supported', 'supported', 'unsupported']);
+  assert.deepEqual(result.claims.map(claim => claim.sourceNumber), [1, 2, null]);
+  assert.equal(result.unsupportedCount, 1);
+  assert.equal(result.score, 2 / 3);
+  assert.equal(result.method, 'lexical');
+});
+
+test('a changed figure makes a claim unsupported', async () => {
+  const result = await checkGrounding('The device runs on a 36 V adapter.', passages, { grounding: lexical });
+
+  assert.equal(result.claims[0].status, 'unsupported');
+});
+
+test('the LLM judge goes through the provider and falls back to lexical', async () => {
+  const answer = 'The device runs on a 12 V adapter. It also ships with a free carrying case.';
+  const grounding = { method: 'llm', threshold: 0.6 };
+
+  const judged = await checkGrounding(answer, passages, { grounding, chatProvider: new LocalProvider() });
+  assert.equal(judged.method, 'llm');
+  assert.deepEqual(judged.claims.map(claim => claim.status), ['supported', 'unsupported']);
+
+  const broken = { generateText: async () => 'I think they are mostly fine.' };
+  const fallback = await checkGrounding(answer, passages, { grounding, chatProvider: broken });
+  assert.equal(fallback.method, 'lexical');
+  assert.deepEqual(fallback.claims.map(claim => claim.status), ['supported', 'unsupported']);
+});
+
+test('an answer without claims has no score', async () => {
+  const result = await checkGrounding('', passages, { grounding: lexical });
+  assert.deepEqual(result, { method: 'lexical', threshold: 0.6, score: null, unsupportedCount: 0, claims: [] });
+
+  const off = await checkGrounding('The device runs on a 12 V adapter.', passages, { grounding: { method: 'none', threshold: 0.6 } });
+  assert.equal(off.claims.length, 0);
+});
@@ -0,0 +1,106 @@
+// backend/test/hybridSearch.test.js
+// Reciprocal rank fusion and hybrid retrieval
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryVectorStore } = require('../utils/vectorStore');
+const { LocalProvider } = require('../utils/providers/local');
+const { reciprocalRankFusion, hybridSearch, retrievalConfigFromEnv } = require('../utils/hybridSearch');
+
+const item = (chunkIndex) => ({ docId: 'd', chunkIndex });
+
+test('fusion rewards items ranked well by both lists and honours weights', () => {
+  const vector = [item(1), item(2), item(3)];
+  const keyword = [item(4), item(2)];
+
+  const fused = reciprocalRankFusion([vector, keyword], { k: 60 });
+  assert.equal(fused[0].key, 'd:2');
+  assert.deepEqual(fused[0].ranks, [2, 2]);
+  assert.equal(fused[0].score, 2 / 62);
+
+  const vectorOnly = reciprocalRankFusion([vector, keyword], { weights: [1, 0], k: 60 });
+  assert.equal(vectorOnly[0].key, 'd:1');
+});
+
+test('retrieval settings come from the environment', () => {
+  assert.deepEqual(retrievalConfigFromEnv({}), { mode: 'hybrid', vectorWeight: 1, keywordWeight: 1, rrfK: 60 });
+  assert.deepEqual(
+    retrievalConfigFromEnv({ RETRIEVAL_MODE: 'Vector', HYBRID_KEYWORD_WEIGHT: '0.5', RRF_K: '10' }),
+    { mode: 'vector', vectorWeight: 1, keywordWeight: 0.5, rrfK: 10 },
+  );
+  assert.throws(() => retrievalConfigFromEnv({ RETRIEVAL_MODE: 'fuzzy' }), /Unknown retrieval mode/);
+});
+
+test('hybrid search finds exact identifiers and reports both scores', async () => {
+  const provider = new LocalProvider({ dimensions: 64 });
+  const store = new MemoryVectorStore();
+  const texts = [
+    'General maintenance advice for the pump and its housing.',
+    'Order replacement seal kit QX-7781 from the parts catalogue.',
+    'The pump housing should be cleaned with a soft brush.',
+  ];
+  const chunks = texts.map((text, chunkIndex) => ({ text, chunkIndex, metadata: { page: chunkIndex + 1 } }));
+  await store.addDocuments('manual', chunks, await provider.embedDocuments(texts));
+
+  const query = 'pump seal QX-7781';
+  const results = await hybridSearch(store, {
+    query,
+    queryEmbedding: await provider.embedQuery(query),
+    docIds: ['manual'],
+    topK: 3,
+    retrieval: { mode: 'hybrid', vectorWeight: 1, keywordWeight: 1, rrfK: 60 },
+  });
+
+  assert.equal(results[0].chunkIndex, 1);
+  for (const result of results) {
+    assert.equal(typeof result.vectorScore, 'number');
+    assert.equal(typeof result.keywordScore, 'number');
+    assert.equal(result.embedding, undefined);
+  }
+
+  const keywordOnly = await hybridSearch(store, {
+    query: 'QX-7781',
+    queryEmbedding: null,
+    topK: 3,
+    retrieval: { mode: 'keyword', vectorWeight: 1, keywordWeight: 1, rrfK: 60 },
+  });
+  assert.deepEqual(keywordOnly.map(r => r.chunkIndex), [1]);
+  assert.equal(keywordOnly[0].vectorScore, null);
+});
+
+test('documents left out of vector search are still found by keyword in vector mode', async () => {
+  const provider = new LocalProvider({ dimensions: 64 });
+  const store = new MemoryVectorStore();
+  const current = 'Check the pump seal every month.';
+  await store.addDocuments('current', [{ text: current, chunkIndex: 0, metadata: {} }], await provider.embedDocuments([current]));
+  // Embedded with another model: its vectors cannot be compared
+  await store.addDocuments('stale', [{ text: 'Seal kit QX-7781 fits the pump.', chunkIndex: 0, metadata: {} }], [[1, 0]]);
+
+  const query = 'pump seal QX-7781';
+  const results = await hybridSearch(store, {
+    query,
+    queryEmbedding: await provider.embedQuery(query),
+    docIds: ['current', 'stale'],
+    vectorDocIds: ['current'],
+    topK: 3,
+    retrieval: { mode: 'vector', vectorWeight: 1, keywordWeight: 1, rrfK: 60 },
+  });
+
+  assert.deepEqual(results.map(r => r.docId).sort(), ['current', 'stale']);
+  const stale = results.find(r => r.docId === 'stale');
+  assert.equal(stale.vectorScore, null);
+  assert.equal(typeof stale.keywordScore, 'number');
+});
+
+test('the keyword index follows documents being added and deleted', async () => {
+  const store = new MemoryVectorStore();
+  await store.addDocuments('a', [{ text: 'alpha ZZ-1', chunkIndex: 0, metadata: {} }], [[1, 0]]);
+  assert.equal((await store.keywordSearch('ZZ-1')).length, 1);
+
+  await store.addDocuments('b', [{ text: 'beta ZZ-1', chunkIndex: 0, metadata: {} }], [[0, 1]]);
+  assert.equal((await store.keywordSearch('ZZ-1')).length, 2);
+
+  await store.deleteDocument('a');
+  assert.deepEqual((await store.keywordSearch('ZZ-1')).map(r => r.docId), ['b']);
+});
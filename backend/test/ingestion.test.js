@@ -0,0 +1,243 @@
+// backend/test/ingestion.test.js
+// Background ingestion jobs and document status
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { JobQueue } = require('../utils/jobQueue');
+const { ingestDocument, reindexDocument } = require('../utils/ingestion');
+const { LocalDb } = require('../utils/localDb');
+const { MemoryVectorStore } = require('../utils/vectorStore');
+const { LocalProvider } = require('../utils/providers/local');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+test('jobs run in order and record stage, percent and result', async () => {
+  const queue = new JobQueue({ collection: new LocalDb().collection('jobs') });
+  const updates = [];
+  queue.on('update', job => updates.push(`${job.status}:${job.stage}:${job.percent}`));
+
+  const job = await queue.enqueue({ type: 'test' }, async (progress) => {
+    await progress('working', 49.6);
+    return { answer: 42 };
+  });
+  assert.equal(job.status, 'queued');
+
+  await queue.idle();
+  const finished = await queue.getJob(job._id);
+  assert.equal(finished.status, 'completed');
+  assert.equal(finished.percent, 100);
+  assert.deepEqual(finished.result, { answer: 42 });
+  assert.deepEqual(updates, ['queued:queued:0', 'running:queued:0', 'running:working:50', 'completed:done:100']);
+});
+
+test('a failing job records its error and the queue moves on', async () => {
+  const queue = new JobQueue({ collection: new LocalDb().collection('jobs') });
+
+  const bad = await queue.enqueue({}, async () => { throw new Error('boom'); });
+  const good = await queue.enqueue({}, async () => 'ok');
+  await queue.idle();
+
+  assert.equal((await queue.getJob(bad._id)).error, 'boom');
+  assert.equal((await queue.getJob(good._id)).status, 'completed');
+});
+
+test('jobs left running by an earlier process are marked failed', async () => {
+  const collection = new LocalDb().collection('jobs');
+  await collection.insertOne({ _id: 'stale', status: 'running' });
+
+  const queue = new JobQueue({ collection });
+  assert.equal(await queue.recoverInterruptedJobs(), 1);
+  assert.equal((await queue.getJob('stale')).status, 'failed');
+});
+
+test('ingestion moves the document from pending to processed', async () => {
+  const vectorStore = new MemoryVectorStore();
+  await vectorStore.saveDocument({ _id: 'doc', filename: 'three-pages.pdf', status: 'pending', uploadedAt: new Date() });
+
+  const stages = [];
+  const result = await ingestDocument({
+    vectorStore,
+    embeddingProvider: new LocalProvider({ dimensions: 32 }),
+    docId: 'doc',
+    buffer: fixture('three-pages.pdf'),
+    onProgress: async (stage, percent) => stages.push([stage, Math.round(percent)]),
+  });
+
+  assert.equal(result.totalPages, 3);
+  assert.deepEqual([...new Set(stages.map(([stage]) => stage))], ['extracting', 'chunking', 'embedding', 'storing']);
+  assert.deepEqual(stages.map(([, percent]) => percent), [...stages.map(([, percent]) => percent)].sort((a, b) => a - b));
+
+  const doc = await vectorStore.getDocument('doc');
+  assert.equal(doc.status, 'processed');
+  assert.equal(doc.chunkCount, result.chunkCount);
+  assert.equal((await vectorStore.getChunks('doc')).length, result.chunkCount);
+});
+
+test('failed ingestion marks the document failed and stores no vectors', async () => {
+  const vectorStore = new MemoryVectorStore();
+  await vectorStore.saveDocument({ _id: 'doc', filename: 'bad.pdf', status: 'pending', uploadedAt: new Date() });
+
+  await assert.rejects(ingestDocument({
+    vectorStore,
+    embeddingProvider: new LocalProvider({ dimensions: 32 }),
+    docId: 'doc',
+    buffer: Buffer.from('not a pdf'),
+  }));
+
+  const doc = await vectorStore.getDocument('doc');
+  assert.equal(doc.status, 'failed');
+  assert.ok(doc.error);
+  assert.deepEqual(await vectorStore.getChunks('doc'), []);
+});
+
+test('a new version only embeds the chunks that changed', async () => {
+  const vectorStore = new MemoryVectorStore();
+  const provider = new LocalProvider({ dimensions: 32 });
+  const embedded = [];
+  const embedDocuments = provider.embedDocuments.bind(provider);
+  provider.embedDocuments = async (texts) => {
+    embedded.push(...texts);
+    return embedDocuments(texts);
+  };
+
+  const ingest = async (docId, body, previousVersionId) => {
+    await vectorStore.saveDocument({ _id: docId, filename: 'manual.md', status: 'pending', uploadedAt: new Date() });
+    return ingestDocument({
+      vectorStore,
+      embeddingProvider: provider,
+      docId,
+      buffer: Buffer.from(body),
+      mimetype: 'text/markdown',
+      filename: 'manual.md',
+      previousVersionId,
+    });
+  };
+  const setup = '# Setup\n\nPlug the unit into a grounded outlet before switching it on.';
+
+  const first = await ingest('v1', `${setup}\n\n# Cleaning\n\nWipe the filter monthly.`);
+  assert.equal(first.chunksReused, 0);
+  embedded.length = 0;
+
+  const second = await ingest('v2', `${setup}\n\n# Cleaning\n\nRinse the filter weekly in warm water.`, 'v1');
+  assert.equal(second.chunksReused, 1);
+  assert.equal(embedded.length, second.chunkCount - 1);
+  assert.ok(embedded.every(text => text.includes('Rinse')));
+
+  const [oldSetup] = await vectorStore.getChunks('v1');
+  const [newSetup] = await vectorStore.getChunks('v2');
+  assert.deepEqual(newSetup.embedding, oldSetup.embedding);
+  assert.equal((await vectorStore.getDocument('v2')).embeddingModel, provider.embeddingModelName);
+});
+
+test('a document that failed part-way through embedding resumes where it stopped', async () => {
+  const vectorStore = new MemoryVectorStore();
+  const provider = new LocalProvider({ dimensions: 32 });
+  const embedDocuments = provider.embedDocuments.bind(provider);
+  const embedded = [];
+  let failing = true;
+  provider.embedDocuments = async (texts) => {
+    if (failing && texts.some(text => text.includes('Cleaning'))) {
+      throw Object.assign(new Error('Service unavailable'), { status: 503 });
+    }
+    embedded.push(...texts);
+    return embedDocuments(texts);
+  };
+
+  const body = '# Setup\n\nPlug the unit in.\n\n# Use\n\nPress start.\n\n# Cleaning\n\nWipe the filter monthly.';
+  await vectorStore.saveDocument({ _id: 'doc', filename: 'manual.md', status: 'pending', uploadedAt: new Date() });
+  const ingest = () => ingestDocument({
+    vectorStore,
+    embeddingProvider: provider,
+    docId: 'doc',
+    buffer: Buffer.from(body),
+    mimetype: 'text/markdown',
+    filename: 'manual.md',
+    batching: { batchSize: 1, concurrency: 1, maxRetries: 0, retryBaseMs: 0, retryMaxMs: 0 },
+  });
+
+  await assert.rejects(ingest(), /Service unavailable/);
+  const failed = await vectorStore.getDocument('doc');
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.resumable, true);
+  assert.equal(failed.chunksCheckpointed, 2);
+  assert.deepEqual(failed.embeddingFailures, [{ chunkIndex: 2, error: 'Service unavailable' }]);
+  assert.deepEqual(await vectorStore.getChunks('doc'), []);
+
+  failing = false;
+  embedded.length = 0;
+  const result = await ingest();
+  assert.equal(result.chunksResumed, 2);
+  assert.deepEqual(embedded, [(await vectorStore.getChunks('doc'))[2].text]);
+  assert.equal((await vectorStore.getDocument('doc')).status, 'processed');
+  assert.equal((await vectorStore.getCheckpoint('doc', provider.embeddingModelName)).size, 0);
+});
+
+test('re-indexing re-chunks and re-embeds a document, keeping the old index on failure', async () => {
+  const vectorStore = new MemoryVectorStore();
+  const body = Buffer.from('# Setup\n\nPlug the unit in. Then press start.\n\n# Cleaning\n\nWipe the filter monthly.');
+  const options = { vectorStore, docId: 'doc', buffer: body, mimetype: 'text/markdown', filename: 'manual.md' };
+  await vectorStore.saveDocument({ _id: 'doc', filename: 'manual.md', status: 'pending', uploadedAt: new Date() });
+  const first = await ingestDocument({ ...options, embeddingProvider: new LocalProvider({ dimensions: 32 }) });
+
+  // A new model: every chunk is embedded again, at the new size
+  const provider = new LocalProvider({ dimensions: 48 });
+  const sentences = { strategy: 'sentence', unit: 'characters', size: 20, overlap: 0 };
+  const result = await reindexDocument({ ...options, embeddingProvider: provider, chunking: sentences });
+
+  assert.ok(result.chunkCount > first.chunkCount);
+  assert.equal(result.chunksReused, 0);
+  const doc = await vectorStore.getDocument('doc');
+  assert.deepEqual(
+    [doc.status, doc.embeddingModel, doc.embeddingDimensions, doc.chunking.strategy, doc.reindex.status],
+    ['processed', 'local-hash-48', 48, 'sentence', 'completed'],
+  );
+  const chunks = await vectorStore.getChunks('doc');
+  assert.equal(chunks.length, result.chunkCount);
+  assert.ok(chunks.every(chunk => chunk.embedding.length === 48 && chunk.embeddingModel === 'local-hash-48'));
+
+  // The same model again only re-embeds chunks whose text changed
+  const again = await reindexDocument({ ...options, embeddingProvider: provider, chunking: sentences });
+  assert.equal(again.chunksReused, again.chunkCount);
+
+  provider.embedDocuments = async () => { throw new Error('Model not found'); };
+  await assert.rejects(
+    reindexDocument({ ...options, embeddingProvider: provider, chunking: { ...sentences, size: 40 } }),
+    /Model not found/,
+  );
+  const failed = await vectorStore.getDocument('doc');
+  assert.deepEqual([failed.status, failed.reindex.status, failed.chunkCount], ['processed', 'failed', result.chunkCount]);
+  assert.match(failed.reindex.error, /Model not found/);
+  assert.equal((await vectorStore.getChunks('doc')).length, result.chunkCount);
+});
+
+test('a re-index that fails part-way through embedding leaves nothing behind', async () => {
+  const vectorStore = new MemoryVectorStore();
+  const body = Buffer.from('# Setup\n\nPlug the unit in.\n\n# Use\n\nPress start.\n\n# Cleaning\n\nWipe the filter monthly.');
+  const options = { vectorStore, docId: 'doc', buffer: body, mimetype: 'text/markdown', filename: 'manual.md' };
+  await vectorStore.saveDocument({ _id: 'doc', filename: 'manual.md', status: 'pending', uploadedAt: new Date() });
+  const first = await ingestDocument({ ...options, embeddingProvider: new LocalProvider({ dimensions: 32 }) });
+
+  const provider = new LocalProvider({ dimensions: 48 });
+  const embedDocuments = provider.embedDocuments.bind(provider);
+  provider.embedDocuments = async (texts) => {
+    if (texts.some(text => text.includes('Cleaning'))) {
+      throw Object.assign(new Error('Service unavailable'), { status: 503 });
+    }
+    return embedDocuments(texts);
+  };
+  await assert.rejects(reindexDocument({
+    ...options,
+    embeddingProvider: provider,
+    chunking: { strategy: 'section', unit: 'characters', size: 1000, overlap: 0 },
+    batching: { batchSize: 1, concurrency: 1, maxRetries: 0, retryBaseMs: 0, retryMaxMs: 0 },
+  }), /Service unavailable/);
+
+  assert.equal((await vectorStore.getCheckpoint('doc', provider.embeddingModelName)).size, 0);
+  assert.equal(await vectorStore.vectors.countDocuments({ docId: { $regex: ':staging:' } }), 0);
+  const doc = await vectorStore.getDocument('doc');
+  assert.deepEqual([doc.status, doc.reindex.status, doc.embeddingModel], ['processed', 'failed', 'local-hash-32']);
+  assert.equal((await vectorStore.getChunks('doc')).length, first.chunkCount);
+});
@@ -0,0 +1,111 @@
+// backend/test/loaders.test.js
+// DOCX, Markdown, HTML and text loaders and the loader registry
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { getLoader, loadDocument } = require('../utils/loaders');
+const { splitIntoChunksWithMetadata } = require('../utils/chunker');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+test('markdown headings become sections with their heading path', async () => {
+  const markdown = [
+    '---',
+    'title: Manual',
+    '---',
+    '# Installation',
+    '',
+    'Unpack the **device**.',
+    '',
+    '## Power supply',
+    '',
+    'Use the [12 V adapter](https://example.com).',
+    '',
+    '```',
+    '# not a heading',
+    '```',
+    '',
+    'Maintenance',
+    '===========',
+    '',
+    'Clean the filter.',
+  ].join('\n');
+
+  const { format, pages, fullText } = await loadDocument(Buffer.from(markdown), { filename: 'manual.md' });
+
+  assert.equal(format, 'markdown');
+  assert.deepEqual(pages.map(p => p.headingPath), [
+    ['Installation'],
+    ['Installation', 'Power supply'],
+    ['Maintenance'],
+  ]);
+  assert.equal(pages[1].section, 'Power supply');
+  assert.match(pages[1].text, /Use the \[12 V adapter\]/);
+  assert.match(pages[1].text, /# not a heading/);
+  assert.ok(!fullText.includes('title: Manual'));
+  for (const page of pages) {
+    assert.equal(fullText.slice(page.startChar, page.endChar), page.text);
+  }
+});
+
+test('html loader keeps headings, drops scripts and decodes entities', async () => {
+  const html = `<!DOCTYPE html><html><head><title>x</title><style>p { color: red }</style></head>
+    <body><h1>Safety</h1><p>Keep away from water &amp; heat.</p>
+    <script>alert("no")</script>
+    <h2>Fuses</h2><ul><li>Fuse F1: 2&nbsp;A</li></ul></body></html>`;
+
+  const { format, pages } = await loadDocument(Buffer.from(html), { mimetype: 'text/html' });
+
+  assert.equal(format, 'html');
+  assert.deepEqual(pages.map(p => p.section), ['Safety', 'Fuses']);
+  assert.match(pages[0].text, /water & heat/);
+  assert.ok(!pages.some(p => /alert|color: red/.test(p.text)));
+  assert.match(pages[1].text, /Fuse F1: 2 A/);
+});
+
+test('plain text splits pages on form feeds', async () => {
+  const { format, pages, totalPages } = await loadDocument(
+    Buffer.from('First page.\fSecond page.'),
+    { mimetype: 'text/plain', filename: 'notes.txt' },
+  );
+
+  assert.equal(format, 'text');
+  assert.equal(totalPages, 2);
+  assert.deepEqual(pages.map(p => p.text), ['First page.', 'Second page.']);
+});
+
+test('docx paragraphs styled as headings become sections', async () => {
+  const { format, pages } = await loadDocument(fixture('sections.docx'), { filename: 'sections.docx' });
+
+  assert.equal(format, 'docx');
+  assert.deepEqual(pages.map(p => p.headingPath), [
+    [],
+    ['Installation'],
+    ['Installation', 'Power supply'],
+    ['Maintenance'],
+  ]);
+  assert.match(pages[2].text, /PSU-12/);
+
+  const chunks = splitIntoChunksWithMetadata(pages);
+  const psuChunk = chunks.find(c => c.text.includes('PSU-12'));
+  assert.deepEqual(psuChunk.metadata.headingPath, ['Installation', 'Power supply']);
+  assert.equal(psuChunk.metadata.section, 'Power supply');
+});
+
+test('registry picks loaders by MIME type, then by extension', () => {
+  assert.equal(getLoader({ mimetype: 'application/pdf', filename: 'a.bin' }).format, 'pdf');
+  assert.equal(getLoader({ mimetype: 'text/markdown; charset=utf-8' }).format, 'markdown');
+  assert.equal(getLoader({ mimetype: 'application/octet-stream', filename: 'README.MD' }).format, 'markdown');
+  assert.equal(getLoader({ mimetype: '', filename: 'page.htm' }).format, 'html');
+  assert.equal(getLoader({ mimetype: 'image/png', filename: 'photo.png' }), null);
+});
+
+test('unsupported files are rejected', async () => {
+  await assert.rejects(
+    loadDocument(Buffer.from('x'), { mimetype: 'image/png', filename: 'photo.png' }),
+    /Unsupported file type: photo\.png/,
+  );
+});
@@ -0,0 +1,167 @@
+// backend/test/mongodb.test.js
+// The Atlas store and the HTTP routes against a real MongoDB server, started
+// by mongodb-memory-server. Skipped when it cannot get a mongod binary (it
+// downloads one on first use; MONGOMS_SYSTEM_BINARY points it at an
+// installed one instead).
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MongoClient } = require('mongodb');
+const { AtlasVectorStore } = require('../utils/vectorStore');
+const { LocalProvider } = require('../utils/providers/local');
+const { setProviders } = require('../utils/providers');
+
+const ANSWER = 'The kettle holds one litre. [Source 1 - Page 1, Para 1]';
+
+// Canned answers for questions, the real local provider for everything else
+class StubChatProvider extends LocalProvider {
+  constructor() {
+    super({ dimensions: 64 });
+    this.name = 'stub';
+    this.chatModelName = 'stub-chat';
+  }
+
+  async generateText(prompt, context = {}) {
+    return context.task === 'answer' ? ANSWER : super.generateText(prompt, context);
+  }
+}
+
+// The routes log every step; keep the test output readable
+console.log = () => {};
+process.env.RATE_LIMIT_IP_PER_MINUTE = '0';
+
+const chatProvider = new StubChatProvider();
+setProviders({ chatProvider, embeddingProvider: chatProvider });
+const { app, connectToStorage } = require('../server');
+
+let mongod;
+let client;
+// Why the tests are skipped, when they are
+let unavailable = null;
+let server;
+let baseUrl;
+
+before(async () => {
+  try {
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    mongod = await MongoMemoryServer.create();
+  } catch (error) {
+    unavailable = `No MongoDB server to test against: ${error.message.split('\n')[0]}`;
+    return;
+  }
+  client = new MongoClient(mongod.getUri());
+  await client.connect();
+
+  // The server keeps its files in GridFS, as it does on Atlas
+  const vectorStore = new AtlasVectorStore({ db: client.db('routes'), client });
+  await connectToStorage({ vectorStore });
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  await client?.close();
+  await mongod?.stop();
+});
+
+let token;
+
+const api = async (method, route, body, as = token) => {
+  const headers = as ? { Authorization: `Bearer ${as}` } : {};
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: body && !(body instanceof FormData) ? { ...headers, 'Content-Type': 'application/json' } : headers,
+    ...(body && { body: body instanceof FormData ? body : JSON.stringify(body) }),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const uploadForm = (name, contents) => {
+  const form = new FormData();
+  form.append('pdf', new Blob([contents], { type: 'text/plain' }), name);
+  return form;
+};
+
+async function waitForJob(jobId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await api('GET', `/api/jobs/${jobId}`);
+    if (body.status === 'completed' || body.status === 'failed') return body;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+const chunk = (chunkIndex, text, page = 1) => ({
+  text,
+  chunkIndex,
+  metadata: { page, pageLabel: String(page), paragraphNumber: 1, startChar: 0, endChar: text.length, chunkLength: text.length },
+});
+
+test('the Atlas store keeps documents and vectors in MongoDB and searches them exactly without a search index', async (t) => {
+  if (unavailable) return t.skip(unavailable);
+  const store = new AtlasVectorStore({ db: client.db('store') });
+  // A plain mongod has no search indexes; the store says so and carries on
+  await store.init({ embeddingSignature: { model: 'm', dimensions: 2 } });
+  assert.equal((await store.searchIndexStatus()).queryable, false);
+
+  await store.saveDocument({ _id: 'doc-a', filename: 'a.pdf', ownerId: 'u1', uploadedAt: new Date('2024-01-01') });
+  await store.saveDocument({ _id: 'doc-b', filename: 'b.pdf', workspaceId: 'w1', uploadedAt: new Date('2024-02-01') });
+  await store.addDocuments('doc-a', [chunk(0, 'x'), chunk(1, 'y', 2)], [[1, 0], [0, 1]], { ownerId: 'u1' });
+  await store.addDocuments('doc-b', [chunk(0, 'z')], [[1, 0]], { workspaceId: 'w1' });
+
+  const results = await store.search([0.9, 0.1], { docId: 'doc-a', topK: 5 });
+  assert.deepEqual(results.map(r => r.text), ['x', 'y']);
+  assert.equal(results[1].metadata.page, 2);
+  assert.equal(results[0].embedding, undefined);
+
+  const own = await store.search([1, 0], { access: { userId: 'u1', workspaceIds: [] }, topK: 5 });
+  assert.deepEqual(own.map(r => r.docId), ['doc-a', 'doc-a']);
+  const shared = await store.search([1, 0], { access: { userId: 'u2', workspaceIds: ['w1'] }, topK: 5 });
+  assert.deepEqual(shared.map(r => r.text), ['z']);
+
+  assert.equal(await store.deleteDocument('doc-a'), true);
+  assert.deepEqual(await store.getStats(), { documents: 1, vectors: 1 });
+});
+
+test('a text file is uploaded to GridFS, indexed and answered from', async (t) => {
+  if (unavailable) return t.skip(unavailable);
+  const registered = await api('POST', '/api/auth/register', { email: 'alice@example.com', password: 'correct horse' }, null);
+  assert.equal(registered.status, 201);
+  token = registered.body.token;
+
+  const { status, body } = await api('POST', '/api/upload', uploadForm('kettle.txt', 'The kettle holds one litre.'));
+  assert.equal(status, 202);
+  assert.equal((await waitForJob(body.jobId)).status, 'completed');
+
+  const file = await fetch(`${baseUrl}/api/document/${body.docId}/file`, { headers: { Authorization: `Bearer ${token}` } });
+  assert.equal(file.status, 200);
+  assert.equal(await file.text(), 'The kettle holds one litre.');
+
+  const answered = await api('POST', '/api/ask', { docId: body.docId, question: 'How much does the kettle hold?' });
+  assert.equal(answered.status, 200);
+  assert.equal(answered.body.answer, ANSWER);
+  assert.match(answered.body.sources[0].text, /one litre/);
+
+  const { body: usage } = await api('GET', '/api/usage');
+  assert.deepEqual([usage.usage[0].today.ask, usage.usage[0].today.upload], [1, 1]);
+});
+
+test("MongoDB's unique index gives uploads of a new version at the same time a version number each", async (t) => {
+  if (unavailable) return t.skip(unavailable);
+  const { body: first } = await api('POST', '/api/upload', uploadForm('boiler.txt', 'The boiler runs at 60 degrees.'));
+  await waitForJob(first.jobId);
+
+  const uploads = await Promise.all([
+    api('POST', '/api/upload', uploadForm('boiler.txt', 'The boiler runs at 70 degrees.')),
+    api('POST', '/api/upload', uploadForm('boiler.txt', 'The boiler runs at 80 degrees.')),
+  ]);
+  assert.deepEqual(uploads.map(upload => upload.status), [202, 202]);
+  assert.deepEqual(uploads.map(upload => upload.body.version).sort(), [2, 3]);
+  await Promise.all(uploads.map(upload => waitForJob(upload.body.jobId)));
+
+  const { body: history } = await api('GET', `/api/document/${first.docId}/versions`);
+  assert.deepEqual(history.versions.map(doc => [doc.version, doc.latest]), [[3, true], [2, false], [1, false]]);
+});
@@ -0,0 +1,181 @@
+// backend/test/offsets.test.js
+// Property-style checks that every chunk maps back to its exact span of the
+// extracted text, for every chunking strategy, over many generated documents
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { chunkDocument, chunkingConfigFromEnv, resolveChunking, CHUNKING_STRATEGIES } = require('../utils/chunker');
+const { loadDocument } = require('../utils/loaders');
+const { extractSpan } = require('../utils/spans');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+// Quieten the chunkers' stats logging
+const quietly = fn => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+};
+
+/**
+ * Small seeded PRNG (mulberry32) so failures can be replayed
+ * @param {number} seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const WORDS = ['the', 'filter', 'X-100', 'must', 'be', 'cleaned', 'every', 'month', 'v2.1', '12', 'V',
+  'adapter', 'warranty', 'does', 'not', 'cover', 'damage', 'Internationalization', 'e.g.', '3.5'];
+const PARAGRAPH_BREAKS = ['\n\n', '\n\n\n', '\n \n', '\n\t\n\n'];
+
+/**
+ * A generated document: pages of paragraphs with repeated paragraphs,
+ * odd separators, headings, run-on sentences and page-level whitespace
+ * @param {Function} rand
+ * @returns {{pages: Array, fullText: string}}
+ */
+function generateDocument(rand) {
+  const pick = list => list[Math.floor(rand() * list.length)];
+  const sentence = () => {
+    const length = 1 + Math.floor(rand() * (rand() < 0.1 ? 120 : 15));
+    const words = Array.from({ length }, () => pick(WORDS));
+    words[0] = words[0][0].toUpperCase() + words[0].slice(1);
+    return words.join(rand() < 0.05 ? '\n' : ' ') + pick(['.', '.', '?', '!', '']);
+  };
+  const paragraph = () => Array.from({ length: 1 + Math.floor(rand() * 6) }, sentence).join(' ');
+
+  const reused = paragraph();
+  const pages = [];
+  let fullText = '';
+  const pageCount = 1 + Math.floor(rand() * 4);
+
+  for (let p = 0; p < pageCount; p++) {
+    const paragraphs = [];
+    const paragraphCount = Math.floor(rand() * 8);
+    for (let i = 0; i < paragraphCount; i++) {
+      const roll = rand();
+      if (roll < 0.2) paragraphs.push(reused);
+      else if (roll < 0.3) paragraphs.push(`${1 + Math.floor(rand() * 5)}.${1 + Math.floor(rand() * 5)} Setup section`);
+      else paragraphs.push(paragraph());
+    }
+    let text = paragraphs.map((para, i) => (i > 0 ? pick(PARAGRAPH_BREAKS) : '') + para).join('');
+    if (rand() < 0.3) text = `  ${text}\n`;
+
+    if (p > 0) fullText += '\n\n';
+    pages.push({ pageNumber: p + 1, pageLabel: String(p + 1), text, startChar: fullText.length, endChar: fullText.length + text.length });
+    fullText += text;
+  }
+
+  return { pages, fullText };
+}
+
+/**
+ * The invariants every chunking must hold
+ */
+function assertExactOffsets(chunks, { pages, fullText }, label) {
+  chunks.forEach((chunk, idx) => {
+    const { startChar, endChar, chunkLength, page } = chunk.metadata;
+    const where = `${label}, chunk ${idx}`;
+
+    assert.equal(chunk.chunkIndex, idx, where);
+    assert.ok(chunk.text.trim().length > 0, `${where}: empty chunk`);
+    assert.equal(fullText.slice(startChar, endChar), chunk.text, `${where}: offsets do not match the text`);
+    assert.equal(chunkLength, chunk.text.length, where);
+
+    const source = pages.find(p => p.pageNumber === page);
+    assert.ok(startChar >= source.startChar && endChar <= source.endChar, `${where}: outside page ${page}`);
+  });
+
+  // Every non-whitespace character of the document is in some chunk
+  const covered = new Uint8Array(fullText.length);
+  chunks.forEach(({ metadata }) => covered.fill(1, metadata.startChar, metadata.endChar));
+  for (let i = 0; i < fullText.length; i++) {
+    if (!covered[i] && /\S/.test(fullText[i])) {
+      assert.fail(`${label}: character ${i} (${JSON.stringify(fullText.slice(i, i + 20))}) is in no chunk`);
+    }
+  }
+}
+
+const SIZES = [
+  { CHUNK_SIZE: '1000', CHUNK_OVERLAP: '200', CHUNK_TOKENS: '256', CHUNK_TOKEN_OVERLAP: '40' },
+  { CHUNK_SIZE: '120', CHUNK_OVERLAP: '40', CHUNK_TOKENS: '30', CHUNK_TOKEN_OVERLAP: '8' },
+  { CHUNK_SIZE: '40', CHUNK_OVERLAP: '0', CHUNK_TOKENS: '10', CHUNK_TOKEN_OVERLAP: '0' },
+];
+
+for (const strategy of CHUNKING_STRATEGIES) {
+  test(`${strategy} chunks map back to their exact span (generated documents)`, () => {
+    for (let seed = 1; seed <= 150; seed++) {
+      const document = generateDocument(random(seed));
+      for (const sizes of SIZES) {
+        const chunking = resolveChunking(strategy, chunkingConfigFromEnv(sizes));
+        const chunks = quietly(() => chunkDocument(document.pages, chunking));
+        assertExactOffsets(chunks, document, `seed ${seed}, size ${chunking.size}`);
+      }
+    }
+  });
+}
+
+test('a repeated paragraph gets the offsets of each of its occurrences', () => {
+  const paragraph = 'Clean the filter every month.';
+  const text = [paragraph, 'Something else entirely, long enough to fill a chunk.', paragraph].join('\n\n');
+  const pages = [{ pageNumber: 1, pageLabel: '1', text, startChar: 0, endChar: text.length }];
+
+  for (const strategy of CHUNKING_STRATEGIES) {
+    const chunking = resolveChunking(strategy, chunkingConfigFromEnv({ CHUNK_SIZE: '40', CHUNK_OVERLAP: '0', CHUNK_TOKENS: '10', CHUNK_TOKEN_OVERLAP: '0' }));
+    const chunks = quietly(() => chunkDocument(pages, chunking)).filter(c => c.text === paragraph);
+    assert.deepEqual(chunks.map(c => c.metadata.startChar), [0, text.lastIndexOf(paragraph)], strategy);
+  }
+});
+
+test('chunks of real PDF and DOCX extractions map back to their exact span', async () => {
+  const files = [
+    ['three-pages.pdf', 'application/pdf'],
+    ['page-labels.pdf', 'application/pdf'],
+    ['sections.docx', null],
+  ];
+
+  for (const [name, mimetype] of files) {
+    const document = await loadDocument(fixture(name), { mimetype, filename: name });
+    for (const page of document.pages) {
+      assert.equal(document.fullText.slice(page.startChar, page.endChar), page.text, `${name} page ${page.pageNumber}`);
+    }
+    for (const strategy of CHUNKING_STRATEGIES) {
+      const chunking = resolveChunking(strategy, chunkingConfigFromEnv({ CHUNK_SIZE: '60', CHUNK_OVERLAP: '20' }));
+      assertExactOffsets(quietly(() => chunkDocument(document.pages, chunking)), document, `${name} ${strategy}`);
+    }
+  }
+});
+
+test('spans come back exactly, with context cut at word boundaries', () => {
+  const fullText = 'Alpha beta gamma.\n\nDelta epsilon zeta eta theta.';
+  const pages = [
+    { pageNumber: 1, pageLabel: 'i', section: null, headingPath: [], startChar: 0, endChar: 17 },
+    { pageNumber: 2, pageLabel: 'ii', section: null, headingPath: [], startChar: 19, endChar: fullText.length },
+  ];
+
+  const span = extractSpan({ fullText, pages }, { start: 25, end: 37, context: 9 });
+  assert.equal(span.text, 'epsilon zeta');
+  assert.equal(span.before, 'Delta ');
+  assert.equal(span.after, ' eta');
+  assert.equal(span.before + span.text + span.after, fullText.slice(span.contextStart, span.contextEnd));
+  assert.equal(span.pageLabel, 'ii');
+
+  assert.throws(() => extractSpan({ fullText, pages }, { start: 40, end: 100 }), RangeError);
+  assert.throws(() => extractSpan({ fullText, pages }, { start: 5, end: 2 }), RangeError);
+});
@@ -0,0 +1,63 @@
+// backend/test/pdfExtractor.test.js
+// Checks that extraction keeps real page boundaries, using fixture PDFs
+// whose layout is known (see fixtures/generate-fixtures.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { extractPagesFromPDF } = require('../utils/pdfExtractor');
+const { splitIntoChunksWithMetadata } = require('../utils/chunker');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+test('keeps each page\'s own text and number', async () => {
+  const { pages, totalPages } = await extractPagesFromPDF(fixture('three-pages.pdf'));
+
+  assert.equal(totalPages, 3);
+  assert.deepEqual(pages.map(p => p.pageNumber), [1, 2, 3]);
+  assert.match(pages[0].text, /^Alpha page introduction\./);
+  assert.match(pages[1].text, /^Bravo line 1:/);
+  assert.match(pages[1].text, /Bravo line 45:/);
+  assert.match(pages[2].text, /^Charlie page conclusion\./);
+
+  // Page 2 is longer than the old 2000-character pseudo-page
+  assert.ok(pages[1].text.length > 2000);
+  assert.ok(!pages[1].text.includes('Charlie'));
+});
+
+test('page offsets index into the full text', async () => {
+  const { pages, fullText } = await extractPagesFromPDF(fixture('three-pages.pdf'));
+
+  for (const page of pages) {
+    assert.equal(fullText.slice(page.startChar, page.endChar), page.text);
+  }
+});
+
+test('uses the PDF\'s printed page labels', async () => {
+  const { pages } = await extractPagesFromPDF(fixture('page-labels.pdf'));
+
+  assert.deepEqual(pages.map(p => p.pageLabel), ['i', 'ii', '1', '2', '3']);
+  assert.equal(pages[2].text, '');
+  assert.equal(pages[3].text, 'Chapter one begins here.');
+});
+
+test('falls back to the page number when there are no labels', async () => {
+  const { pages } = await extractPagesFromPDF(fixture('three-pages.pdf'));
+
+  assert.deepEqual(pages.map(p => p.pageLabel), ['1', '2', '3']);
+});
+
+test('chunks point to the page their text came from', async () => {
+  const { pages } = await extractPagesFromPDF(fixture('page-labels.pdf'));
+  const chunks = splitIntoChunksWithMetadata(pages);
+
+  const chapter = chunks.find(c => c.text.includes('Chapter one begins'));
+  assert.equal(chapter.metadata.page, 4);
+  assert.equal(chapter.metadata.pageLabel, '2');
+
+  const contents = chunks.find(c => c.text.includes('table of contents'));
+  assert.equal(contents.metadata.page, 2);
+  assert.equal(contents.metadata.pageLabel, 'ii');
+});
@@ -0,0 +1,107 @@
+// backend/test/providers.test.js
+// Provider selection, OpenAI-compatible streaming and the deterministic local provider
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createProvidersFromEnv } = require('../utils/providers');
+const { LocalProvider } = require('../utils/providers/local');
+const { OpenAICompatibleProvider } = require('../utils/providers/openai');
+const { cosineSimilarity } = require('../utils/embeddings');
+
+test('selects providers from the environment', () => {
+  const { chatProvider, embeddingProvider } = createProvidersFromEnv({
+    LLM_PROVIDER: 'openai',
+    OPENAI_BASE_URL: 'http://localhost:8080/v1/',
+    EMBEDDING_PROVIDER: 'local',
+    EMBEDDING_DIMENSIONS: '64',
+  });
+
+  assert.equal(chatProvider.name, 'openai');
+  assert.equal(chatProvider.baseUrl, 'http://localhost:8080/v1');
+  assert.equal(embeddingProvider.name, 'local');
+  assert.equal(embeddingProvider.dimensions, 64);
+});
+
+test('the embedding size is passed to every provider', () => {
+  const env = { GOOGLE_API_KEY: 'key', EMBEDDING_DIMENSIONS: '256' };
+  assert.equal(createProvidersFromEnv({ ...env, LLM_PROVIDER: 'gemini' }).embeddingProvider.dimensions, 256);
+  assert.equal(createProvidersFromEnv({ ...env, LLM_PROVIDER: 'openai' }).embeddingProvider.dimensions, 256);
+  assert.equal(createProvidersFromEnv({ LLM_PROVIDER: 'openai' }).embeddingProvider.dimensions, undefined);
+});
+
+test('rejects unknown providers', () => {
+  assert.throws(() => createProvidersFromEnv({ LLM_PROVIDER: 'nope' }), /Unknown provider "nope"/);
+});
+
+// Stream a completion from a server that sends the given body
+async function streamFrom(body) {
+  const fetch = globalThis.fetch;
+  globalThis.fetch = async () => new Response(body);
+  try {
+    const texts = [];
+    for await (const text of new OpenAICompatibleProvider().streamText('prompt')) {
+      texts.push(text);
+    }
+    return texts;
+  } finally {
+    globalThis.fetch = fetch;
+  }
+}
+
+const delta = content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}`;
+
+test('streamed completions keep a last line sent without a newline', async () => {
+  assert.deepEqual(await streamFrom(`${delta('Hello')}\n\n${delta(' world')}`), ['Hello', ' world']);
+  assert.deepEqual(await streamFrom(`: keep-alive\n${delta('Hi')}\n\ndata: [DONE]\n\n${delta('ignored')}\n`), ['Hi']);
+});
+
+test('an unreadable streamed event is reported as a provider error', async () => {
+  await assert.rejects(streamFrom(`${delta('Hi')}\n\ndata: {"choices": [\n\n`), /streamed an unreadable event: \{"choices": \[/);
+});
+
+test('local embeddings are deterministic and normalised', async () => {
+  const provider = new LocalProvider({ dimensions: 128 });
+  const [a] = await provider.embedDocuments(['Quarterly revenue grew in Europe']);
+  const b = await provider.embedQuery('Quarterly revenue grew in Europe');
+
+  assert.equal(a.length, 128);
+  assert.deepEqual(a, b);
+  assert.ok(Math.abs(cosineSimilarity(a, a) - 1) < 1e-9);
+});
+
+test('local embeddings rank related text higher', async () => {
+  const provider = new LocalProvider();
+  const query = await provider.embedQuery('What was the revenue growth?');
+  const [related, unrelated] = await provider.embedDocuments([
+    'Revenue growth was 12 percent this year.',
+    'The cafeteria menu changes on Mondays.',
+  ]);
+
+  assert.ok(cosineSimilarity(query, related) > cosineSimilarity(query, unrelated));
+});
+
+test('local answerer quotes the best matching sentences with citations', async () => {
+  const provider = new LocalProvider();
+  const answer = await provider.generateText('ignored prompt', {
+    task: 'answer',
+    question: 'When does the warranty expire?',
+    sources: [
+      { label: 'Source 1 - Page 2, Para 1', text: 'The device ships in March. Batteries are included.' },
+      { label: 'Source 2 - Page 5, Para 3', text: 'The warranty expires after 24 months.' },
+    ],
+  });
+
+  assert.equal(answer, 'The warranty expires after 24 months. [Source 2 - Page 5, Para 3]');
+});
+
+test('local answerer says so when nothing matches', async () => {
+  const provider = new LocalProvider();
+  const answer = await provider.generateText('', {
+    task: 'answer',
+    question: 'Who is the CEO?',
+    sources: [{ label: 'Source 1 - Page 1, Para 1', text: 'Batteries are included.' }],
+  });
+
+  assert.match(answer, /not in the provided excerpts/);
+});
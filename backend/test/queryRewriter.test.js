@@ -0,0 +1,52 @@
+// backend/test/queryRewriter.test.js
+// Follow-up questions are rewritten into standalone queries
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rewriteQuestion } = require('../utils/queryRewriter');
+const { LocalProvider } = require('../utils/providers/local');
+
+const history = [
+  { role: 'user', content: 'What is the warranty period for the X200 router?', standaloneQuestion: 'What is the warranty period for the X200 router?' },
+  { role: 'assistant', content: 'Two years. [Source 1 - Page 4, Para 2]' },
+];
+
+test('first questions are used as-is', async () => {
+  const provider = { generateText: async () => { throw new Error('should not be called'); } };
+  assert.equal(await rewriteQuestion('What is the X200?', [], provider), 'What is the X200?');
+});
+
+test('uses the model\'s rewrite', async () => {
+  let seenPrompt = '';
+  const provider = {
+    generateText: async (prompt) => {
+      seenPrompt = prompt;
+      return '"Does the X200 router warranty cover water damage?"\n';
+    },
+  };
+
+  const rewritten = await rewriteQuestion('Does it cover water damage?', history, provider);
+
+  assert.equal(rewritten, 'Does the X200 router warranty cover water damage?');
+  assert.match(seenPrompt, /User: What is the warranty period for the X200 router\?/);
+  assert.match(seenPrompt, /Follow-up question: Does it cover water damage\?/);
+});
+
+test('falls back to the original question when the model fails', async () => {
+  const provider = { generateText: async () => { throw new Error('429'); } };
+  assert.equal(await rewriteQuestion('And after that?', history, provider), 'And after that?');
+});
+
+test('local provider carries the earlier question into referring follow-ups', async () => {
+  const provider = new LocalProvider();
+
+  assert.equal(
+    await rewriteQuestion('Does it cover water damage?', history, provider),
+    'Does it cover water damage? (regarding: What is the warranty period for the X200 router?)'
+  );
+  assert.equal(
+    await rewriteQuestion('Which ports does the switch firmware support?', history, provider),
+    'Which ports does the switch firmware support?'
+  );
+});
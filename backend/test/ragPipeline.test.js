@@ -0,0 +1,45 @@
+// backend/test/ragPipeline.test.js
+// Retrieval and prompting around the chat model
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryVectorStore } = require('../utils/vectorStore');
+const { LocalProvider } = require('../utils/providers/local');
+const { prepareAnswer } = require('../utils/ragPipeline');
+
+console.log = () => {};
+console.warn = () => {};
+
+async function indexedStore(provider) {
+  const store = new MemoryVectorStore();
+  const text = 'The pump is rated for 40 litres a minute.';
+  await store.saveDocument({
+    _id: 'doc',
+    filename: 'pump.txt',
+    status: 'processed',
+    embeddingModel: provider.embeddingModelName,
+    embeddingDimensions: provider.dimensions,
+  });
+  await store.addDocuments('doc', [{ text, chunkIndex: 0, metadata: { page: 1 } }], [await provider.embedQuery(text)]);
+  return store;
+}
+
+test('documents are checked against the signature the index was resolved to', async () => {
+  const provider = new LocalProvider({ dimensions: 16 });
+  const vectorStore = await indexedStore(provider);
+  const options = {
+    vectorStore,
+    chatProvider: provider,
+    embeddingProvider: provider,
+    docId: 'doc',
+    question: 'How fast is the pump?',
+    retrieval: { mode: 'hybrid', vectorWeight: 1, keywordWeight: 1, rrfK: 60, rerank: { reranker: 'none' } },
+  };
+
+  assert.deepEqual((await prepareAnswer(options)).staleDocuments, []);
+
+  const prepared = await prepareAnswer({ ...options, indexSignature: { model: provider.embeddingModelName, dimensions: 32 } });
+  assert.deepEqual(prepared.staleDocuments.map(doc => doc.docId), ['doc']);
+  assert.match(prepared.staleDocuments[0].reason, /16 dimensions/);
+});
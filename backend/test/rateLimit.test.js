@@ -0,0 +1,66 @@
+// backend/test/rateLimit.test.js
+// Rate limit configuration, the fixed-window limiter and quota days
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  rateLimitConfigFromEnv,
+  lowerLimit,
+  RateLimiter,
+  quotaDay,
+  quotaResetsAt,
+} = require('../utils/rateLimit');
+
+test('limits come from the environment, 0 turning one off', () => {
+  assert.deepEqual(rateLimitConfigFromEnv({}), {
+    keyPerMinute: 60,
+    ipPerMinute: 300,
+    dailyQuota: { ask: 500, upload: 50 },
+    trustProxy: false,
+  });
+
+  const config = rateLimitConfigFromEnv({ RATE_LIMIT_IP_PER_MINUTE: '0', DAILY_ASK_QUOTA: '10', TRUST_PROXY: '1' });
+  assert.equal(config.ipPerMinute, 0);
+  assert.equal(config.dailyQuota.ask, 10);
+  assert.equal(config.trustProxy, 1);
+
+  assert.throws(() => rateLimitConfigFromEnv({ DAILY_UPLOAD_QUOTA: 'lots' }), /Invalid DAILY_UPLOAD_QUOTA/);
+});
+
+test('a key can lower the server limit but never raise it', () => {
+  assert.equal(lowerLimit(10, 60), 10);
+  assert.equal(lowerLimit(100, 60), 60);
+  assert.equal(lowerLimit(null, 60), 60);
+  assert.equal(lowerLimit(10, 0), 10);
+  assert.equal(lowerLimit(undefined, 0), 0);
+});
+
+test('the limiter allows a fixed number of requests per window', () => {
+  const limiter = new RateLimiter({ windowMs: 1000 });
+  const now = 5000;
+
+  assert.deepEqual(limiter.hit('a', 2, now), { allowed: true, limit: 2, remaining: 1, resetAt: 6000 });
+  assert.equal(limiter.hit('a', 2, now + 10).allowed, true);
+  assert.deepEqual(limiter.hit('a', 2, now + 20), { allowed: false, limit: 2, remaining: 0, resetAt: 6000 });
+  assert.equal(limiter.hit('b', 2, now + 20).allowed, true);
+
+  assert.equal(limiter.hit('a', 2, now + 1000).allowed, true);
+  assert.equal(limiter.hit('c', 0, now).allowed, true);
+});
+
+test('finished windows are forgotten', () => {
+  const limiter = new RateLimiter({ windowMs: 1000 });
+  limiter.hit('a', 5, 0);
+  limiter.hit('b', 5, 500);
+
+  limiter.hit('c', 5, 1200);
+  assert.deepEqual([...limiter.windows.keys()], ['b', 'c']);
+});
+
+test('quotas count per UTC day', () => {
+  const date = new Date('2024-03-09T23:30:00-05:00');
+
+  assert.equal(quotaDay(date), '2024-03-10');
+  assert.equal(quotaResetsAt(date).toISOString(), '2024-03-11T00:00:00.000Z');
+});
@@ -0,0 +1,69 @@
+// backend/test/reindex.test.js
+// Detecting documents indexed with another embedding model or chunking
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  embeddingSignature,
+  resolveEmbeddingSignature,
+  indexMismatch,
+  reindexReason,
+  findStaleDocuments,
+} = require('../utils/reindex');
+const { MemoryVectorStore } = require('../utils/vectorStore');
+const { LocalProvider } = require('../utils/providers/local');
+
+const signature = { model: 'text-embedding-3-small', dimensions: 512 };
+const chunking = { strategy: 'sentence', unit: 'characters', size: 1000, overlap: 200 };
+const processed = fields => ({ _id: 'doc', filename: 'a.pdf', status: 'processed', ...fields });
+
+test('the signature is the model name and the configured size', () => {
+  assert.deepEqual(embeddingSignature(new LocalProvider({ dimensions: 32 })), { model: 'local-hash-32', dimensions: 32 });
+  assert.deepEqual(embeddingSignature({ embeddingModelName: 'm' }), { model: 'm', dimensions: null });
+});
+
+test('an unconfigured size is taken from the documents the model embedded', async () => {
+  const store = new MemoryVectorStore();
+  const provider = { embeddingModelName: 'nomic-embed-text' };
+  assert.deepEqual(await resolveEmbeddingSignature(provider, store), { model: 'nomic-embed-text', dimensions: null });
+
+  await store.saveDocument(processed({ _id: 'a', embeddingModel: 'nomic-embed-text', embeddingDimensions: 768, indexedAt: new Date() }));
+  await store.saveDocument(processed({ _id: 'b', embeddingModel: 'other', embeddingDimensions: 1536, indexedAt: new Date() }));
+  assert.deepEqual(await resolveEmbeddingSignature(provider, store), { model: 'nomic-embed-text', dimensions: 768 });
+
+  // A configured size always wins
+  assert.equal((await resolveEmbeddingSignature({ ...provider, dimensions: 256 }, store)).dimensions, 256);
+});
+
+test('documents from another model or of another size are mismatched', () => {
+  assert.equal(indexMismatch(processed({ embeddingModel: 'text-embedding-3-small', embeddingDimensions: 512 }), signature), null);
+  assert.match(indexMismatch(processed({ embeddingModel: 'text-embedding-004' }), signature), /text-embedding-004/);
+  assert.match(indexMismatch(processed({ embeddingModel: 'text-embedding-3-small', embeddingDimensions: 1536 }), signature), /1536 dimensions/);
+
+  // Unknown sizes, unrecorded models and unprocessed documents are left alone
+  assert.equal(indexMismatch(processed({ embeddingModel: 'text-embedding-3-small' }), signature), null);
+  assert.equal(indexMismatch(processed({}), signature), null);
+  assert.equal(indexMismatch({ status: 'pending', embeddingModel: 'other' }, signature), null);
+});
+
+test('a change of chunking settings is a reason to re-index too', () => {
+  const current = processed({ embeddingModel: signature.model, chunking });
+  assert.equal(reindexReason(current, signature, chunking), null);
+  assert.match(reindexReason(current, signature, { ...chunking, size: 500 }), /sentence, 1000 characters, overlap 200.*500/);
+  assert.match(reindexReason(processed({ embeddingModel: 'other', chunking }), signature, chunking), /Embedded with other/);
+
+  // Without a recorded chunking only the strategy can be compared
+  assert.equal(reindexReason(processed({}), signature, { ...chunking, strategy: 'paragraph' }), null);
+  assert.match(reindexReason(processed({}), signature, chunking), /Chunked as paragraph/);
+});
+
+test('stale documents are found among the ones asked about', async () => {
+  const store = new MemoryVectorStore();
+  await store.saveDocument(processed({ _id: 'old', embeddingModel: 'text-embedding-004', embeddingDimensions: 768 }));
+  await store.saveDocument(processed({ _id: 'new', embeddingModel: signature.model, embeddingDimensions: 512 }));
+
+  const stale = await findStaleDocuments(store, ['old', 'new'], signature);
+  assert.deepEqual(stale.map(doc => [doc.docId, doc.embeddingModel, doc.embeddingDimensions]), [['old', 'text-embedding-004', 768]]);
+  assert.ok(stale[0].reason);
+});
@@ -0,0 +1,83 @@
+// backend/test/reranker.test.js
+// Reranking and MMR diversification
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rerankChunks, rerankConfigFromEnv, mmrSelect, chunkSimilarity } = require('../utils/reranker');
+const { LocalProvider } = require('../utils/providers/local');
+const { lexicalOverlap } = require('../utils/textUtils');
+
+const chunk = (chunkIndex, text, startChar = chunkIndex * 100) => ({
+  docId: 'd',
+  chunkIndex,
+  text,
+  score: 1 / (chunkIndex + 1),
+  metadata: { startChar, endChar: startChar + text.length },
+});
+
+const candidates = [
+  chunk(0, 'Our company history began in a small garage.'),
+  chunk(1, 'The warranty covers the battery for two years.'),
+  chunk(2, 'Battery warranty claims need the original receipt.'),
+];
+
+test('reranking settings come from the environment', () => {
+  assert.deepEqual(rerankConfigFromEnv({}), { reranker: 'lexical', candidates: 12, mmr: false, mmrLambda: 0.7 });
+  assert.deepEqual(
+    rerankConfigFromEnv({ RERANKER: 'LLM', RERANK_CANDIDATES: '20', RERANK_MMR: 'true', RERANK_MMR_LAMBDA: '0.5' }),
+    { reranker: 'llm', candidates: 20, mmr: true, mmrLambda: 0.5 },
+  );
+  assert.throws(() => rerankConfigFromEnv({ RERANKER: 'magic' }), /Unknown reranker/);
+});
+
+test('lexical overlap rewards covering the query, and adjacent pairs more', () => {
+  assert.equal(lexicalOverlap('battery warranty', 'nothing relevant'), 0);
+  assert.ok(lexicalOverlap('battery warranty', 'battery warranty terms') >
+    lexicalOverlap('battery warranty', 'warranty for the battery'));
+});
+
+test('lexical reranking moves the relevant chunk up and keeps topK', async () => {
+  const kept = await rerankChunks('battery warranty receipt', candidates, {
+    topK: 2,
+    rerank: { reranker: 'lexical', candidates: 12, mmr: false, mmrLambda: 0.7 },
+  });
+
+  assert.deepEqual(kept.map(c => c.chunkIndex), [2, 1]);
+  assert.ok(kept[0].rerankScore > kept[1].rerankScore);
+});
+
+test('LLM and cross-encoder reranking go through the provider', async () => {
+  const chatProvider = new LocalProvider();
+  for (const reranker of ['llm', 'cross-encoder']) {
+    const [best] = await rerankChunks('battery warranty receipt', candidates, {
+      topK: 1,
+      rerank: { reranker, candidates: 12, mmr: false, mmrLambda: 0.7 },
+      chatProvider,
+    });
+    assert.equal(best.chunkIndex, 2, reranker);
+  }
+});
+
+test('a failing reranker keeps the retrieval order', async () => {
+  const chatProvider = { name: 'broken', generateText: async () => 'I cannot rate these' };
+  const kept = await rerankChunks('battery', candidates, {
+    topK: 2,
+    rerank: { reranker: 'llm', candidates: 12, mmr: false, mmrLambda: 0.7 },
+    chatProvider,
+  });
+  assert.deepEqual(kept.map(c => c.chunkIndex), [0, 1]);
+});
+
+test('MMR skips near-duplicate overlapping chunks', () => {
+  const chunks = [
+    chunk(0, 'Battery warranty lasts two years from purchase.', 0),
+    chunk(1, 'warranty lasts two years from purchase. Keep it.', 8),
+    chunk(2, 'Claims need the original receipt and serial.', 500),
+  ];
+  assert.ok(chunkSimilarity(chunks[0], chunks[1]) > 0.8);
+
+  const relevance = [1, 0.95, 0.6];
+  assert.deepEqual(mmrSelect(chunks, relevance, { topK: 2, lambda: 1 }), [0, 1]);
+  assert.deepEqual(mmrSelect(chunks, relevance, { topK: 2, lambda: 0.5 }), [0, 2]);
+});
@@ -0,0 +1,70 @@
+// backend/test/retry.test.js
+// Retryable errors and exponential backoff
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isRetryableError, backoffDelay, withRetry } = require('../utils/retry');
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+test('rate limits, timeouts, server errors and dropped connections are retryable', () => {
+  for (const status of [408, 425, 429, 500, 502, 503, 504]) {
+    assert.equal(isRetryableError(httpError(status)), true, String(status));
+  }
+  assert.equal(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isRetryableError(new TypeError('fetch failed', { cause: { code: 'UND_ERR_SOCKET' } })), true);
+  assert.equal(isRetryableError(new Error('Error fetching from https://example.test: fetch failed')), true);
+
+  for (const status of [400, 401, 403, 404, 413]) {
+    assert.equal(isRetryableError(httpError(status)), false, String(status));
+  }
+  assert.equal(isRetryableError(new Error('input too long')), false);
+});
+
+test('backoff doubles up to the cap, with full jitter', () => {
+  const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+  assert.equal(backoffDelay(0, { ...options, random: () => 0.999999 }), 100);
+  assert.equal(backoffDelay(3, { ...options, random: () => 0.999999 }), 800);
+  assert.equal(backoffDelay(10, { ...options, random: () => 0.999999 }), 1000);
+  assert.equal(backoffDelay(3, { ...options, random: () => 0.5 }), 400);
+  assert.equal(backoffDelay(3, { ...options, random: () => 0 }), 0);
+});
+
+test('withRetry retries retryable failures and gives up on the rest', async () => {
+  const delays = [];
+  const sleep = async (ms) => { delays.push(ms); };
+
+  let calls = 0;
+  const result = await withRetry(async () => {
+    calls++;
+    if (calls < 3) throw httpError(429);
+    return 'ok';
+  }, { retries: 5, baseDelayMs: 10, sleep });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+  assert.equal(delays.length, 2);
+
+  calls = 0;
+  await assert.rejects(
+    withRetry(async () => { calls++; throw httpError(400); }, { sleep }),
+    (error) => error.status === 400 && error.attempts === 1,
+  );
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await assert.rejects(
+    withRetry(async () => { calls++; throw httpError(503); }, { retries: 2, sleep }),
+    (error) => error.attempts === 3,
+  );
+  assert.equal(calls, 3);
+});
+
+test('a server-given Retry-After is waited out', async () => {
+  const delays = [];
+  let calls = 0;
+  await withRetry(async () => {
+    if (calls++ === 0) throw Object.assign(httpError(429), { retryAfterMs: 2000 });
+  }, { baseDelayMs: 10, sleep: async (ms) => { delays.push(ms); } });
+  assert.deepEqual(delays, [2000]);
+});
@@ -0,0 +1,606 @@
+// backend/test/server.test.js
+// HTTP routes, run against in-memory stores and a stubbed chat model
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MemoryVectorStore } = require('../utils/vectorStore');
+const { DiskFileStore } = require('../utils/fileStore');
+const { LocalProvider } = require('../utils/providers/local');
+const { setProviders } = require('../utils/providers');
+
+const ANSWER = 'This text only appears on the third page. [Source 1 - Page 3, Para 1]';
+
+// Canned answers for questions, the real local provider for everything else
+class StubChatProvider extends LocalProvider {
+  constructor() {
+    super({ dimensions: 64 });
+    this.name = 'stub';
+    this.chatModelName = 'stub-chat';
+    this.prompts = [];
+  }
+
+  async generateText(prompt, context = {}) {
+    if (context.task !== 'answer') {
+      return super.generateText(prompt, context);
+    }
+    this.prompts.push(prompt);
+    return ANSWER;
+  }
+}
+
+// The routes log every step; keep the test output readable
+console.log = () => {};
+
+// Every test request comes from 127.0.0.1, and job polling adds up
+process.env.RATE_LIMIT_IP_PER_MINUTE = '0';
+// The signed-in test user is the admin
+process.env.ADMIN_EMAILS = 'alice@example.com';
+
+const chatProvider = new StubChatProvider();
+// The server picks its providers up when it is loaded
+setProviders({ chatProvider, embeddingProvider: chatProvider });
+const { app, connectToStorage } = require('../server');
+
+const vectorStore = new MemoryVectorStore();
+let server;
+let baseUrl;
+
+before(async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+  await connectToStorage({ vectorStore, fileStore: new DiskFileStore({ dir }) });
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Requests go out as the signed-in test user unless another token is given
+let token;
+
+const api = async (method, route, body, as = token) => {
+  const headers = as ? { Authorization: `Bearer ${as}` } : {};
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: body && !(body instanceof FormData) ? { ...headers, 'Content-Type': 'application/json' } : headers,
+    ...(body && { body: body instanceof FormData ? body : JSON.stringify(body) }),
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+const register = (email, password = 'correct horse') =>
+  api('POST', '/api/auth/register', { email, password }, null);
+
+const uploadForm = (name, contents, type) => {
+  const form = new FormData();
+  form.append('pdf', new Blob([contents], { type }), name);
+  return form;
+};
+
+async function waitForJob(jobId, as = token) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await api('GET', `/api/jobs/${jobId}`, undefined, as);
+    if (body.status === 'completed' || body.status === 'failed') return body;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+let docId;
+
+test('public health only says the server is up', async () => {
+  const { status, body } = await api('GET', '/api/health');
+
+  assert.equal(status, 200);
+  assert.deepEqual(Object.keys(body).sort(), ['status', 'timestamp', 'version']);
+  assert.equal(body.status, 'ok');
+  assert.equal((await api('GET', '/api/health/details')).status, 401);
+});
+
+test('documents from before accounts existed go to the admin, not the first to register', async () => {
+  await vectorStore.saveDocument({ _id: 'legacy-doc', filename: 'legacy.pdf', uploadedAt: new Date(), status: 'completed' });
+
+  assert.equal((await register('dave@example.com')).status, 201);
+  assert.equal((await vectorStore.getDocument('legacy-doc')).ownerId, undefined);
+});
+
+test('accounts can register and log in; other routes need a token', async () => {
+  const registered = await register('Alice@Example.com');
+  assert.equal(registered.status, 201);
+  assert.equal(registered.body.user.email, 'alice@example.com');
+  assert.equal('passwordHash' in registered.body.user, false);
+  // Alice is the admin (ADMIN_EMAILS), so she takes the unowned document
+  assert.equal((await vectorStore.getDocument('legacy-doc')).ownerId, registered.body.user.id);
+  await vectorStore.deleteDocument('legacy-doc');
+
+  assert.equal((await register('alice@example.com')).status, 409);
+  assert.equal((await register('bob@example.com', 'short')).status, 400);
+
+  const wrong = await api('POST', '/api/auth/login', { email: 'alice@example.com', password: 'wrong horse' }, null);
+  assert.equal(wrong.status, 401);
+
+  const login = await api('POST', '/api/auth/login', { email: 'alice@example.com', password: 'correct horse' }, null);
+  assert.equal(login.status, 200);
+  token = login.body.token;
+
+  const me = await api('GET', '/api/auth/me');
+  assert.equal(me.body.user.email, 'alice@example.com');
+
+  assert.equal((await api('GET', '/api/documents', undefined, null)).status, 401);
+  assert.equal((await api('GET', '/api/documents', undefined, 'not.a.token')).status, 401);
+});
+
+test('health details report the store, the providers and, to admins, the library', async () => {
+  const { status, body } = await api('GET', '/api/health/details');
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'ok');
+  assert.equal(body.vectorStore.mode, 'memory');
+  // Only Atlas needs a search index
+  assert.equal(body.vectorStore.searchIndex, null);
+  assert.equal(body.providers.chat.model, 'stub-chat');
+  assert.equal(body.providers.embedding.staleDocuments, 0);
+  assert.equal(typeof body.database.documents, 'number');
+
+  // Other users see no counts across every library
+  const { body: dave } = await api('POST', '/api/auth/login', { email: 'dave@example.com', password: 'correct horse' }, null);
+  const { body: limited } = await api('GET', '/api/health/details', undefined, dave.token);
+  assert.equal(limited.providers.chat.model, 'stub-chat');
+  assert.equal('staleDocuments' in limited.providers.embedding, false);
+  assert.deepEqual(limited.database, { connected: true, store: 'memory' });
+});
+
+test('uploads of unsupported files and empty uploads are rejected', async () => {
+  const image = await api('POST', '/api/upload', uploadForm('photo.png', 'not text', 'image/png'));
+  assert.equal(image.status, 400);
+  assert.match(image.body.error, /Unsupported file type/);
+
+  const empty = await api('POST', '/api/upload', new FormData());
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.error, 'No file uploaded');
+
+  const badChunking = uploadForm('notes.txt', 'Some notes.', 'text/plain');
+  badChunking.append('chunking', 'by-vibes');
+  assert.equal((await api('POST', '/api/upload', badChunking)).status, 400);
+
+  // Rejected uploads do not count against the upload quota
+  const { body: usage } = await api('GET', '/api/usage');
+  assert.equal(usage.usage[0].today.upload, 0);
+});
+
+test('an uploaded PDF is processed in the background and listed', async () => {
+  const pdf = fs.readFileSync(path.join(__dirname, 'fixtures', 'three-pages.pdf'));
+  const form = uploadForm('three-pages.pdf', pdf, 'application/pdf');
+  form.append('tags', 'manuals, test');
+
+  const { status, body } = await api('POST', '/api/upload', form);
+  assert.equal(status, 202);
+  assert.equal(body.status, 'pending');
+  docId = body.docId;
+
+  const job = await waitForJob(body.jobId);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.result.totalPages, 3);
+
+  const { body: listed } = await api('GET', '/api/documents');
+  assert.deepEqual(listed.documents.map(doc => doc.docId), [docId]);
+
+  const { body: document } = await api('GET', `/api/document/${docId}`);
+  assert.equal(document.status, 'processed');
+  assert.equal(document.hasFile, true);
+  assert.deepEqual(document.tags, ['manuals', 'test']);
+});
+
+test('questions need a question and an existing scope', async () => {
+  assert.equal((await api('POST', '/api/ask', { docId })).status, 400);
+
+  const unscoped = await api('POST', '/api/ask', { question: 'Anything?' });
+  assert.equal(unscoped.status, 400);
+  assert.match(unscoped.body.error, /Missing docId/);
+
+  const unknown = await api('POST', '/api/ask', { docId: 'nope', question: 'Anything?' });
+  assert.equal(unknown.status, 404);
+  assert.equal((await api('GET', '/api/document/nope')).status, 404);
+});
+
+test('a question is answered from the retrieved chunks with checked citations', async () => {
+  const { status, body } = await api('POST', '/api/ask', { docId, question: 'What appears on the third page?' });
+
+  assert.equal(status, 200);
+  assert.equal(body.answer, ANSWER);
+  assert.equal(body.sources[0].page, 3);
+  assert.equal(body.citations.invalidCount, 0);
+  assert.equal(body.grounding.unsupportedCount, 0);
+  // The model saw the retrieved text
+  assert.match(chatProvider.prompts.at(-1), /only appears on the third page/);
+});
+
+test('a repeated question is embedded from the cache, shown in health', async () => {
+  const before = (await api('GET', '/api/health/details')).body.embeddingCache;
+  await api('POST', '/api/ask', { docId, question: 'What appears on the third page?' });
+  const after = (await api('GET', '/api/health/details')).body.embeddingCache;
+
+  assert.equal(after.store, 'database');
+  assert.equal(after.hits, before.hits + 1);
+  assert.equal(after.misses, before.misses);
+  assert.ok(after.entries > 0);
+});
+
+test("other users cannot see or ask about someone else's documents", async () => {
+  const { body: bob } = await register('bob@example.com');
+  const as = bob.token;
+
+  assert.deepEqual((await api('GET', '/api/documents', undefined, as)).body.documents, []);
+  assert.equal((await api('GET', `/api/document/${docId}`, undefined, as)).status, 404);
+  assert.equal((await api('GET', `/api/document/${docId}/file`, undefined, as)).status, 404);
+  assert.equal((await api('DELETE', `/api/document/${docId}`, undefined, as)).status, 404);
+  assert.equal((await api('POST', '/api/ask', { docId, question: 'Anything?' }, as)).status, 404);
+  assert.deepEqual((await api('GET', '/api/jobs', undefined, as)).body.jobs, []);
+
+  // Bob's whole library is empty, so nothing of Alice's is retrieved
+  const all = await api('POST', '/api/ask', { allDocuments: true, question: 'What appears on the third page?' }, as);
+  assert.equal(all.status, 200);
+  assert.deepEqual(all.body.sources, []);
+
+  const { body: conversation } = await api('POST', '/api/conversations', { docId });
+  assert.equal((await api('GET', `/api/conversations/${conversation.conversationId}`, undefined, as)).status, 404);
+  assert.deepEqual((await api('GET', '/api/conversations', undefined, as)).body.conversations, []);
+
+  // Vectors carry their owner too
+  const { body: me } = await api('GET', '/api/auth/me');
+  assert.ok((await vectorStore.getChunks(docId)).every(chunk => chunk.ownerId === me.user.id));
+});
+
+test('workspace members share documents within what their role allows', async () => {
+  const { body: carol } = await register('carol@example.com');
+  const as = carol.token;
+
+  const { status, body: workspace } = await api('POST', '/api/workspaces', { name: 'Support team' });
+  assert.equal(status, 201);
+  assert.equal(workspace.role, 'owner');
+  const base = `/api/workspaces/${workspace.workspaceId}`;
+
+  assert.equal((await api('GET', base, undefined, as)).status, 404);
+  assert.equal((await api('POST', `${base}/members`, { email: 'nobody@example.com' })).status, 404);
+  const added = await api('POST', `${base}/members`, { email: 'carol@example.com', role: 'viewer' });
+  assert.equal(added.status, 201);
+  assert.deepEqual(added.body.members.map(member => member.role), ['owner', 'viewer']);
+
+  const form = uploadForm('pump.txt', 'The pump needs servicing every 500 hours of operation.', 'text/plain');
+  form.append('workspaceId', workspace.workspaceId);
+  const { body: uploaded } = await api('POST', '/api/upload', form);
+  await waitForJob(uploaded.jobId);
+
+  // Viewers can read and ask
+  const { body: listed } = await api('GET', `/api/documents?workspaceId=${workspace.workspaceId}`, undefined, as);
+  assert.deepEqual(listed.documents.map(doc => [doc.docId, doc.role]), [[uploaded.docId, 'viewer']]);
+  const asked = await api('POST', '/api/ask', { workspaceId: workspace.workspaceId, question: 'How often is the pump serviced?' }, as);
+  assert.equal(asked.status, 200);
+  assert.deepEqual(asked.body.docIds, [uploaded.docId]);
+  assert.equal(asked.body.sources[0].docId, uploaded.docId);
+
+  // ...but not change anything
+  assert.equal((await api('DELETE', `/api/document/${uploaded.docId}`, undefined, as)).status, 403);
+  assert.equal((await api('PATCH', `/api/document/${uploaded.docId}`, { tags: 'x' }, as)).status, 403);
+  const upload = uploadForm('mine.txt', 'Carol was here.', 'text/plain');
+  upload.append('workspaceId', workspace.workspaceId);
+  assert.equal((await api('POST', '/api/upload', upload, as)).status, 403);
+
+  const promoted = await api('PATCH', `${base}/members/${carol.user.id}`, { role: 'editor' });
+  assert.equal(promoted.status, 200);
+  assert.equal((await api('PATCH', `/api/document/${uploaded.docId}`, { tags: 'pumps' }, as)).status, 200);
+  assert.equal((await api('DELETE', base, undefined, as)).status, 403);
+
+  // The last owner cannot leave; other members can
+  const { body: me } = await api('GET', '/api/auth/me');
+  assert.equal((await api('DELETE', `${base}/members/${me.user.id}`)).status, 400);
+  assert.equal((await api('DELETE', `${base}/members/${carol.user.id}`, undefined, as)).status, 200);
+  assert.equal((await api('GET', `/api/document/${uploaded.docId}`, undefined, as)).status, 404);
+
+  const deleted = await api('DELETE', base);
+  assert.equal(deleted.body.documentsDeleted, 1);
+  assert.equal((await api('GET', `/api/document/${uploaded.docId}`)).status, 404);
+});
+
+test('API keys work within their scopes, rate limit and quota until revoked', async () => {
+  assert.equal((await api('POST', '/api/keys', { name: 'Bot', scopes: ['admin'] })).status, 400);
+  const { status, body: created } = await api('POST', '/api/keys', {
+    name: 'Support bot',
+    scopes: ['ask'],
+    rateLimit: 4,
+    dailyQuota: { ask: 1 },
+  });
+  assert.equal(status, 201);
+  assert.deepEqual(created.scopes, ['ask']);
+  const { key } = created;
+
+  const { body: listed } = await api('GET', '/api/keys');
+  assert.deepEqual(listed.keys.map(apiKey => apiKey.name), ['Support bot']);
+  assert.equal('key' in listed.keys[0] || 'keyHash' in listed.keys[0], false);
+
+  // Ask-only: questions, but no listing or key management
+  const question = { docId, question: 'What is on the third page?' };
+  assert.equal((await api('POST', '/api/ask', question, key)).status, 200);
+  assert.equal((await api('GET', '/api/documents', undefined, key)).status, 403);
+  assert.equal((await api('POST', '/api/keys', { name: 'Another' }, key)).status, 403);
+
+  const overQuota = await api('POST', '/api/ask', question, key);
+  assert.equal(overQuota.status, 429);
+  assert.equal(overQuota.body.quota, 'ask');
+  assert.ok(Number(overQuota.headers.get('retry-after')) > 0);
+
+  const limited = await api('POST', '/api/ask', question, key);
+  assert.equal(limited.status, 429);
+  assert.match(limited.body.error, /4 requests per minute for this API key/);
+  assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+
+  const { body: usage } = await api('GET', '/api/usage');
+  assert.equal(usage.usage[0].type, 'user');
+  const keyUsage = usage.usage.find(entry => entry.keyId === created.keyId);
+  assert.deepEqual(keyUsage.today, { ask: 1, upload: 0 });
+  assert.deepEqual(keyUsage.dailyQuota, { ask: 1, upload: 50 });
+
+  assert.equal((await api('DELETE', `/api/keys/${created.keyId}`)).status, 200);
+  assert.equal((await api('POST', '/api/ask', question, key)).status, 401);
+});
+
+test("API keys share their owner's daily quota, so more keys do not mean more quota", async () => {
+  const question = { docId, question: 'What is on the third page?' };
+  const userToday = async () => (await api('GET', '/api/usage')).body.usage[0].today.ask;
+
+  const { body: first } = await api('POST', '/api/keys', { name: 'First', scopes: ['ask'] });
+  const before = await userToday();
+  assert.equal((await api('POST', '/api/ask', question, first.key)).status, 200);
+  assert.equal(await userToday(), before + 1);
+
+  // Use up the account's quota (the server's default, 500 a day)
+  const { body: me } = await api('GET', '/api/auth/me');
+  const usage = vectorStore.db.collection('usage');
+  const record = await usage.findOne({ subject: `user:${me.user.id}`, ask: before + 1 });
+  await usage.updateOne({ _id: record._id }, { $set: { ask: 500 } });
+
+  const { body: second } = await api('POST', '/api/keys', { name: 'Second', scopes: ['ask'] });
+  const refused = await api('POST', '/api/ask', question, second.key);
+  assert.equal(refused.status, 429);
+  assert.match(refused.body.error, /quota of 500 for this account/);
+  // The refused request was not counted for the new key either
+  const keyUsage = (await api('GET', '/api/usage')).body.usage.find(entry => entry.keyId === second.keyId);
+  assert.equal(keyUsage.today.ask, 0);
+
+  await usage.updateOne({ _id: record._id }, { $set: { ask: before + 1 } });
+  await api('DELETE', `/api/keys/${first.keyId}`);
+  await api('DELETE', `/api/keys/${second.keyId}`);
+});
+
+test("a request losing the race to create the day's usage record is still counted", async () => {
+  const today = async () => (await api('GET', '/api/usage')).body.usage[0].today.ask;
+  const before = await today();
+  const usage = vectorStore.db.collection('usage');
+  const findOneAndUpdate = usage.findOneAndUpdate;
+  let raced = false;
+  usage.findOneAndUpdate = async function (...args) {
+    if (!raced) {
+      raced = true;
+      throw Object.assign(new Error('E11000 duplicate key error collection: usage'), { code: 11000 });
+    }
+    return findOneAndUpdate.apply(this, args);
+  };
+  try {
+    assert.equal((await api('POST', '/api/ask', { docId, question: 'What is on the third page?' })).status, 200);
+  } finally {
+    delete usage.findOneAndUpdate;
+  }
+  assert.ok(raced);
+  assert.equal(await today(), before + 1);
+});
+
+test('refused questions and uploads, and duplicate uploads, do not count against the quota', async () => {
+  const today = async () => (await api('GET', '/api/usage')).body.usage[0].today;
+  const before = await today();
+
+  assert.equal((await api('POST', '/api/ask', { docId })).status, 400);
+  assert.equal((await api('POST', '/api/ask', { docId: 'missing', question: 'Anything?' })).status, 404);
+  assert.equal((await api('POST', '/api/ask/stream', { docId: 'missing', question: 'Anything?' })).status, 404);
+  assert.equal((await api('POST', '/api/conversations/missing/messages', { question: 'Anything?' })).status, 404);
+  assert.equal((await api('POST', '/api/conversations/missing/messages/stream', { question: 'Anything?' })).status, 404);
+  assert.equal((await api('POST', `/api/document/${docId}/resume`)).status, 409);
+
+  const pdf = fs.readFileSync(path.join(__dirname, 'fixtures', 'three-pages.pdf'));
+  const again = await api('POST', '/api/upload', uploadForm('three-pages.pdf', pdf, 'application/pdf'));
+  assert.equal(again.body.duplicate, true);
+
+  assert.deepEqual(await today(), before);
+});
+
+test('re-uploading the same file is deduplicated; a changed file becomes a new version', async () => {
+  const v1Text = 'The boiler runs at 60 degrees. Service it every spring.';
+  const { body: first } = await api('POST', '/api/upload', uploadForm('boiler.txt', v1Text, 'text/plain'));
+  assert.equal(first.version, 1);
+  await waitForJob(first.jobId);
+
+  const again = await api('POST', '/api/upload', uploadForm('boiler.txt', v1Text, 'text/plain'));
+  assert.equal(again.status, 200);
+  assert.equal(again.body.duplicate, true);
+  assert.equal(again.body.docId, first.docId);
+
+  const v2Text = 'The boiler runs at 70 degrees. Service it every spring.';
+  const { status, body: second } = await api('POST', '/api/upload', uploadForm('boiler.txt', v2Text, 'text/plain'));
+  assert.equal(status, 202);
+  assert.equal(second.version, 2);
+  assert.equal(second.previousVersionId, first.docId);
+  await waitForJob(second.jobId);
+
+  const { body: listed } = await api('GET', '/api/documents?workspaceId=personal');
+  const listedIds = listed.documents.map(doc => doc.docId);
+  assert.ok(listedIds.includes(second.docId) && !listedIds.includes(first.docId));
+
+  const { body: history } = await api('GET', `/api/document/${first.docId}/versions`);
+  assert.deepEqual(history.versions.map(doc => [doc.docId, doc.version, doc.latest]), [
+    [second.docId, 2, true],
+    [first.docId, 1, false],
+  ]);
+
+  const { body: changes } = await api('GET', `/api/document/${second.docId}/compare`);
+  assert.equal(changes.base.docId, first.docId);
+  assert.match(changes.added[0].text, /70 degrees/);
+  assert.match(changes.removed[0].text, /60 degrees/);
+
+  // An earlier version can still be asked about on its own
+  const asked = await api('POST', '/api/ask', { docId: first.docId, question: 'How hot does the boiler run?' });
+  assert.equal(asked.status, 200);
+  assert.deepEqual([...new Set(asked.body.sources.map(source => source.filename))], ['boiler.txt (v1)']);
+
+  // Deleting the current version makes the previous one current again
+  assert.equal((await api('DELETE', `/api/document/${second.docId}`)).status, 200);
+  assert.equal((await api('GET', `/api/document/${first.docId}`)).body.latest, true);
+  const removed = await api('DELETE', `/api/document/${first.docId}?allVersions=true`);
+  assert.equal(removed.body.versionsDeleted, 1);
+});
+
+test('uploads of a new version at the same time get a version number each', async () => {
+  const { body: first } = await api('POST', '/api/upload', uploadForm('kettle.txt', 'The kettle holds one litre.', 'text/plain'));
+  await waitForJob(first.jobId);
+
+  const uploads = await Promise.all([
+    api('POST', '/api/upload', uploadForm('kettle.txt', 'The kettle holds two litres.', 'text/plain')),
+    api('POST', '/api/upload', uploadForm('kettle.txt', 'The kettle holds three litres.', 'text/plain')),
+  ]);
+  assert.deepEqual(uploads.map(upload => upload.status), [202, 202]);
+  const [second, third] = uploads.map(upload => upload.body).sort((a, b) => a.version - b.version);
+  assert.deepEqual([second.version, third.version], [2, 3]);
+  assert.equal(second.previousVersionId, first.docId);
+  assert.equal(third.previousVersionId, second.docId);
+  await waitForJob(second.jobId);
+  await waitForJob(third.jobId);
+
+  const { body: history } = await api('GET', `/api/document/${first.docId}/versions`);
+  assert.deepEqual(history.versions.map(doc => [doc.version, doc.latest]), [[3, true], [2, false], [1, false]]);
+  await api('DELETE', `/api/document/${first.docId}?allVersions=true`);
+});
+
+test('a document whose embedding failed can be resumed', async () => {
+  const embedDocuments = chatProvider.embedDocuments;
+  chatProvider.embedDocuments = async () => {
+    throw Object.assign(new Error('Input rejected'), { status: 400 });
+  };
+
+  let uploaded;
+  try {
+    ({ body: uploaded } = await api('POST', '/api/upload', uploadForm('parts.txt', 'Spare filters are sold in packs of three.', 'text/plain')));
+    assert.equal((await waitForJob(uploaded.jobId)).status, 'failed');
+  } finally {
+    chatProvider.embedDocuments = embedDocuments;
+  }
+
+  const { body: failed } = await api('GET', `/api/document/${uploaded.docId}`);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.resumable, true);
+  assert.deepEqual(failed.embeddingFailures, [{ chunkIndex: 0, error: 'Input rejected' }]);
+
+  const { status, body: resumed } = await api('POST', `/api/document/${uploaded.docId}/resume`);
+  assert.equal(status, 202);
+  assert.equal((await waitForJob(resumed.jobId)).status, 'completed');
+  const { body: processed } = await api('GET', `/api/document/${uploaded.docId}`);
+  assert.equal(processed.status, 'processed');
+  assert.equal(processed.resumable, false);
+
+  // Only failed documents can be resumed
+  assert.equal((await api('POST', `/api/document/${uploaded.docId}/resume`)).status, 409);
+  await api('DELETE', `/api/document/${uploaded.docId}`);
+});
+
+test('documents are re-indexed with new chunking, or when the embedding model changed', async () => {
+  assert.equal((await api('POST', `/api/document/${docId}/reindex`, { chunking: 'nope' })).status, 400);
+
+  const { status, body: queued } = await api('POST', `/api/document/${docId}/reindex`, { chunking: 'sentence' });
+  assert.equal(status, 202);
+  assert.equal(queued.chunking.strategy, 'sentence');
+  assert.equal((await waitForJob(queued.jobId)).status, 'completed');
+  const { body: reindexed } = await api('GET', `/api/document/${docId}`);
+  assert.deepEqual([reindexed.chunking.strategy, reindexed.reindex.status], ['sentence', 'completed']);
+  assert.deepEqual([reindexed.embeddingModel, reindexed.embeddingDimensions, reindexed.indexMismatch], ['local-hash-64', 64, null]);
+
+  // Vectors from another model are left out of vector search and reported
+  await vectorStore.updateDocument(docId, { embeddingModel: 'older-model' });
+  const { body: stale } = await api('GET', `/api/document/${docId}`);
+  assert.match(stale.indexMismatch, /older-model/);
+  const { embedding } = (await api('GET', '/api/health/details')).body.providers;
+  assert.deepEqual([embedding.staleDocuments, embedding.outdatedDocuments], [1, 1]);
+  const asked = await api('POST', '/api/ask', { docId, question: 'What appears on the third page?' });
+  assert.equal(asked.status, 200);
+  assert.deepEqual(asked.body.staleDocuments.map(doc => doc.docId), [docId]);
+
+  // Re-indexing the library only queues what is out of date
+  const { body: library } = await api('POST', '/api/reindex', {});
+  assert.deepEqual(library.queued.map(doc => doc.docId), [docId]);
+  await waitForJob(library.queued[0].jobId);
+  assert.equal((await api('GET', `/api/document/${docId}`)).body.indexMismatch, null);
+  const { body: again } = await api('POST', '/api/reindex', {});
+  assert.deepEqual(again.queued, []);
+
+  // Health counts vectors of another size, and other chunking, the same way
+  await vectorStore.updateDocument(docId, { embeddingDimensions: 32 });
+  assert.equal((await api('GET', '/api/health/details')).body.providers.embedding.staleDocuments, 1);
+  await vectorStore.updateDocument(docId, { embeddingDimensions: 64, 'chunking.size': 10 });
+  const { embedding: rechunk } = (await api('GET', '/api/health/details')).body.providers;
+  assert.deepEqual([rechunk.staleDocuments, rechunk.outdatedDocuments], [0, 1]);
+
+  // Records from before chunking was recorded were chunked by paragraph, and
+  // are only re-chunked when another strategy is asked for
+  await vectorStore.updateDocument(docId, { chunking: null });
+  assert.deepEqual((await api('POST', '/api/reindex', {})).body.queued, []);
+  const { body: rechunked } = await api('POST', '/api/reindex', { chunking: 'sentence' });
+  assert.deepEqual(rechunked.queued.map(doc => doc.docId), [docId]);
+  await waitForJob(rechunked.queued[0].jobId);
+  assert.deepEqual((await api('POST', '/api/ask', { docId, question: 'What appears on the third page?' })).body.staleDocuments, []);
+});
+
+test('only admins can re-index every library at once', async () => {
+  const { body: erin } = await register('erin@example.com');
+  const { body: uploaded } = await api('POST', '/api/upload', uploadForm('erin.txt', 'Erin keeps spare fuses in the hall.', 'text/plain'), erin.token);
+  await waitForJob(uploaded.jobId, erin.token);
+  await vectorStore.updateDocument(uploaded.docId, { embeddingModel: 'older-model' });
+
+  const refused = await api('POST', '/api/reindex', { allLibraries: true }, erin.token);
+  assert.equal(refused.status, 403);
+
+  // Alice is the admin (ADMIN_EMAILS); her own library alone misses Erin's document
+  assert.deepEqual((await api('POST', '/api/reindex', {})).body.queued, []);
+  const { status, body } = await api('POST', '/api/reindex', { allLibraries: true });
+  assert.equal(status, 202);
+  assert.deepEqual(body.queued.map(doc => doc.docId), [uploaded.docId]);
+  await waitForJob(body.queued[0].jobId);
+  assert.equal((await api('GET', `/api/document/${uploaded.docId}`, undefined, erin.token)).body.indexMismatch, null);
+
+  await api('DELETE', `/api/document/${uploaded.docId}`, undefined, erin.token);
+});
+
+test('a failing vector search is reported and the server carries on', async () => {
+  const search = vectorStore.search;
+  vectorStore.search = async () => {
+    throw new Error('search index unavailable');
+  };
+
+  try {
+    const { status, body } = await api('POST', '/api/ask', { docId, question: 'What appears on the third page?' });
+    assert.equal(status, 500);
+    assert.match(body.error, /search index unavailable/);
+  } finally {
+    vectorStore.search = search;
+  }
+
+  assert.equal((await api('GET', '/api/health')).status, 200);
+});
+
+test('deleting a document removes it, its vectors and its file', async () => {
+  const { status } = await api('DELETE', `/api/document/${docId}`);
+  assert.equal(status, 200);
+
+  assert.equal((await api('GET', `/api/document/${docId}`)).status, 404);
+  assert.equal((await api('GET', `/api/document/${docId}/file`)).status, 404);
+  assert.deepEqual(await vectorStore.getChunks(docId), []);
+});
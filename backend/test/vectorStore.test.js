@@ -0,0 +1,361 @@
+// backend/test/vectorStore.test.js
+// In-memory and file-backed vector stores
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  AtlasVectorStore,
+  MemoryVectorStore,
+  FileVectorStore,
+  createVectorStore,
+  scopeFilter,
+  vectorIndexIssue,
+} = require('../utils/vectorStore');
+const { LocalDb } = require('../utils/localDb');
+
+const chunk = (chunkIndex, text, page = 1) => ({
+  text,
+  chunkIndex,
+  metadata: { page, pageLabel: String(page), paragraphNumber: 1, startChar: 0, endChar: text.length, chunkLength: text.length },
+});
+
+async function seed(store) {
+  await store.saveDocument({ _id: 'doc-a', filename: 'a.pdf', uploadedAt: new Date('2024-01-01') });
+  await store.saveDocument({ _id: 'doc-b', filename: 'b.pdf', uploadedAt: new Date('2024-02-01') });
+  await store.addDocuments('doc-a', [chunk(0, 'x'), chunk(1, 'y', 2)], [[1, 0], [0, 1]]);
+  await store.addDocuments('doc-b', [chunk(0, 'z')], [[1, 0]]);
+}
+
+test('search is scoped to one document and ranked by similarity', async () => {
+  const store = new MemoryVectorStore();
+  await seed(store);
+
+  const results = await store.search([0.9, 0.1], { docId: 'doc-a', topK: 5 });
+
+  assert.deepEqual(results.map(r => r.text), ['x', 'y']);
+  assert.ok(results.every(r => r.docId === 'doc-a'));
+  assert.ok(results[0].score > results[1].score);
+  assert.equal(results[1].metadata.page, 2);
+});
+
+test('search merges results across several documents or the whole library', async () => {
+  const store = new MemoryVectorStore();
+  await seed(store);
+  await store.saveDocument({ _id: 'doc-c', filename: 'c.pdf', uploadedAt: new Date('2024-03-01') });
+  await store.addDocuments('doc-c', [chunk(0, 'w')], [[1, 0]]);
+
+  const some = await store.search([1, 0], { docIds: ['doc-a', 'doc-b'], topK: 5 });
+  assert.deepEqual(some.map(r => r.text).sort(), ['x', 'y', 'z']);
+
+  const all = await store.search([1, 0], { docIds: null, topK: 5 });
+  assert.equal(all.length, 4);
+
+  const docs = await store.getDocuments(['doc-c', 'doc-a', 'missing']);
+  assert.deepEqual(docs.map(d => d._id).sort(), ['doc-a', 'doc-c']);
+});
+
+test('search has no fixed cap on how many chunks it scores', async () => {
+  const store = new MemoryVectorStore();
+  const chunks = Array.from({ length: 120 }, (_, i) => chunk(i, `chunk ${i}`));
+  const embeddings = chunks.map((_, i) => (i === 119 ? [0, 1] : [1, 0]));
+  await store.addDocuments('doc', chunks, embeddings);
+
+  const [best] = await store.search([0, 1], { docId: 'doc', topK: 1 });
+  assert.equal(best.chunkIndex, 119);
+});
+
+test('exact search streams projected chunks and keeps only the best topK', async () => {
+  const store = new MemoryVectorStore();
+  const chunks = Array.from({ length: 50 }, (_, i) => chunk(i, `chunk ${i}`));
+  await store.addDocuments('doc', chunks, chunks.map((_, i) => [1, i]));
+
+  const find = store.vectors.find.bind(store.vectors);
+  let projection = null;
+  store.vectors.find = (filter) => {
+    const cursor = find(filter);
+    cursor.toArray = async () => { throw new Error('exact search loaded every chunk at once'); };
+    const project = cursor.project.bind(cursor);
+    cursor.project = (spec) => { projection = spec; return project(spec); };
+    return cursor;
+  };
+
+  const results = await store.search([0, 1], { docId: 'doc', topK: 3 });
+
+  assert.deepEqual(results.map(r => r.chunkIndex), [49, 48, 47]);
+  assert.ok(results[0].score >= results[1].score && results[1].score >= results[2].score);
+  assert.equal(results[0].embedding, undefined);
+  assert.deepEqual(Object.keys(projection).sort(), ['_id', 'chunkIndex', 'docId', 'embedding', 'metadata', 'text']);
+});
+
+test('lists newest documents first and deletes vectors with the document', async () => {
+  const store = new MemoryVectorStore();
+  await seed(store);
+
+  const docs = await store.listDocuments();
+  assert.deepEqual(docs.map(d => d._id), ['doc-b', 'doc-a']);
+
+  assert.equal(await store.deleteDocument('doc-a'), true);
+  assert.deepEqual(await store.getStats(), { documents: 1, vectors: 1 });
+  assert.deepEqual(await store.getChunks('doc-a'), []);
+});
+
+test('extracted text and single chunks are stored and removed with the vectors', async () => {
+  const store = new MemoryVectorStore();
+  await seed(store);
+  await store.saveText('doc-a', {
+    fullText: 'x\n\ny',
+    pages: [{ pageNumber: 1, pageLabel: '1', startChar: 0, endChar: 1 }, { pageNumber: 2, pageLabel: '2', startChar: 3, endChar: 4 }],
+  });
+
+  assert.equal((await store.getText('doc-a')).fullText, 'x\n\ny');
+  assert.equal((await store.getChunk('doc-a', 1)).text, 'y');
+  assert.equal(await store.getChunk('doc-a', 7), null);
+
+  await store.deleteVectors('doc-a');
+  assert.equal(await store.getText('doc-a'), null);
+  assert.equal(await store.getChunk('doc-a', 1), null);
+  // The record stays until the document itself is deleted
+  assert.equal((await store.getDocument('doc-a')).filename, 'a.pdf');
+});
+
+test('document records are updated in place', async () => {
+  const store = new MemoryVectorStore();
+  await seed(store);
+
+  await store.updateDocument('doc-a', { status: 'processed', tags: ['x'] });
+  const doc = await store.getDocument('doc-a');
+  assert.equal(doc.status, 'processed');
+  assert.deepEqual(doc.tags, ['x']);
+  assert.equal(doc.filename, 'a.pdf');
+});
+
+test('replacing vectors swaps in the new index in one step', async () => {
+  const store = new MemoryVectorStore();
+  await seed(store);
+  await store.keywordSearch('x', { docId: 'doc-a' });
+
+  const stored = await store.replaceVectors('doc-a', [chunk(0, 'new words')], [[0, 1, 0]], {
+    ownerId: 'user-1',
+    embeddingModel: 'model-2',
+    text: { fullText: 'new words', pages: [] },
+    documentFields: { embeddingModel: 'model-2', 'reindex.status': 'completed' },
+  });
+
+  assert.equal(stored, 1);
+  const [vector] = await store.vectors.find({ docId: 'doc-a' }).toArray();
+  assert.deepEqual(
+    [vector.text, vector.ownerId, vector.embeddingModel, vector.dimensions],
+    ['new words', 'user-1', 'model-2', 3],
+  );
+  assert.equal((await store.getText('doc-a')).fullText, 'new words');
+  const doc = await store.getDocument('doc-a');
+  assert.deepEqual([doc.embeddingModel, doc.reindex.status], ['model-2', 'completed']);
+  assert.equal(await store.vectors.countDocuments({ docId: { $regex: ':staging:' } }), 0);
+  assert.deepEqual((await store.keywordSearch('words', { docId: 'doc-a' })).map(r => r.text), ['new words']);
+  assert.deepEqual(await store.keywordSearch('x', { docId: 'doc-a' }), []);
+
+  // The other document is untouched
+  assert.equal((await store.getChunks('doc-b')).length, 1);
+});
+
+test('a swap that fails before the vectors are written keeps the old vectors', async () => {
+  const store = new MemoryVectorStore();
+  await seed(store);
+  store.documents.updateOne = async () => { throw new Error('write failed'); };
+
+  await assert.rejects(
+    store.replaceVectors('doc-a', [chunk(0, 'new words')], [[0, 1]], { text: { fullText: 'new words', pages: [] } }),
+    /write failed/,
+  );
+  assert.deepEqual((await store.getChunks('doc-a')).map(c => c.text), ['x', 'y']);
+  assert.equal(await store.vectors.countDocuments({ docId: { $regex: ':staging:' } }), 0);
+});
+
+test('vectors staged by an unfinished re-index are dropped', async () => {
+  const store = new MemoryVectorStore();
+  await seed(store);
+  await store.addDocuments('doc-a:staging:1234', [chunk(0, 'half done')], [[1, 0]]);
+  await store.addDocuments('doc-b:staging:5678', [chunk(0, 'half done')], [[1, 0]]);
+
+  assert.equal(await store.deleteStagedVectors('doc-b'), 1);
+  assert.equal(await store.deleteStagedVectors(), 1);
+  assert.equal((await store.getChunks('doc-a')).length, 2);
+});
+
+test('keyword search is scoped like vector search', async () => {
+  const store = new MemoryVectorStore();
+  await store.addDocuments('doc-a', [chunk(0, 'battery warranty terms'), chunk(1, 'cleaning the filter')], [[1, 0], [0, 1]]);
+  await store.addDocuments('doc-b', [chunk(0, 'battery replacement')], [[1, 0]]);
+
+  const all = await store.keywordSearch('battery', { docIds: null, topK: 5 });
+  assert.deepEqual(all.map(r => r.docId).sort(), ['doc-a', 'doc-b']);
+
+  const scoped = await store.keywordSearch('battery', { docId: 'doc-b', topK: 5 });
+  assert.deepEqual(scoped.map(r => r.text), ['battery replacement']);
+  assert.ok(scoped[0].score > 0);
+});
+
+test('searches with an access filter only return what that user may see', async () => {
+  const store = new MemoryVectorStore();
+  await store.addDocuments('mine', [chunk(0, 'pump manual')], [[1, 0]], { ownerId: 'ada' });
+  await store.addDocuments('shared', [chunk(0, 'pump guide')], [[1, 0]], { workspaceId: 'team' });
+  await store.addDocuments('theirs', [chunk(0, 'pump notes')], [[1, 0]], { ownerId: 'bob' });
+  const access = { userId: 'ada', workspaceIds: ['team'] };
+
+  const vector = await store.search([1, 0], { docIds: null, access, topK: 5 });
+  assert.deepEqual(vector.map(r => r.docId).sort(), ['mine', 'shared']);
+
+  // Even when asked for by id
+  const keyword = await store.keywordSearch('pump', { docIds: ['shared', 'theirs'], access, topK: 5 });
+  assert.deepEqual(keyword.map(r => r.docId), ['shared']);
+
+  assert.deepEqual(scopeFilter({ docId: 'mine', access }), {
+    $and: [{ docId: 'mine' }, { $or: [{ ownerId: { $eq: 'ada' } }, { workspaceId: { $in: ['team'] } }] }],
+  });
+});
+
+test('file store survives a restart', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-store-'));
+  const filePath = path.join(dir, 'store.json');
+
+  try {
+    await seed(new FileVectorStore({ filePath }));
+
+    const reopened = new FileVectorStore({ filePath });
+    const doc = await reopened.getDocument('doc-b');
+    assert.ok(doc.uploadedAt instanceof Date);
+    assert.deepEqual(await reopened.getStats(), { documents: 2, vectors: 3 });
+
+    const [best] = await reopened.search([0, 1], { docId: 'doc-a', topK: 1 });
+    assert.equal(best.text, 'y');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('file store writes append to a journal instead of rewriting the file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-store-'));
+  const filePath = path.join(dir, 'store.json');
+  const journal = `${filePath}.log`;
+
+  try {
+    const db = new LocalDb({ filePath });
+    const usage = db.collection('usage');
+    await usage.insertOne({ _id: 'u1', ask: 0 });
+    await usage.updateOne({ _id: 'u1' }, { $inc: { ask: 1 } });
+    await usage.insertMany([{ _id: 'u2', ask: 5 }, { _id: 'u3', ask: 7 }]);
+    await usage.deleteOne({ _id: 'u2' });
+    await usage.bulkWrite([{ updateMany: { filter: {}, update: { $set: { day: new Date('2024-05-01') } } } }]);
+
+    // Nothing but the journal was written, one line per document changed
+    assert.equal(fs.existsSync(filePath), false);
+    assert.equal(fs.readFileSync(journal, 'utf8').trim().split('\n').length, 7);
+
+    // A line cut short by a crash is skipped
+    fs.appendFileSync(journal, '{"c":"usage","put":{"_id":"u4"');
+
+    const reopened = new LocalDb({ filePath });
+    const docs = await reopened.collection('usage').find().toArray();
+    assert.deepEqual(docs.map(doc => [doc._id, doc.ask]), [['u1', 1], ['u3', 7]]);
+    assert.ok(docs[0].day instanceof Date);
+    // Opening folds the journal into the file
+    assert.equal(fs.existsSync(journal), false);
+    assert.equal(await new LocalDb({ filePath }).collection('usage').countDocuments(), 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('createVectorStore picks the store from configuration', async () => {
+  assert.equal((await createVectorStore({ VECTOR_STORE: 'memory' })).name, 'memory');
+  await assert.rejects(createVectorStore({ VECTOR_STORE: 'redis' }), /Unknown vector store "redis"/);
+});
+
+// An Atlas store over a LocalDb, with the driver's search-index calls faked
+function fakeAtlas(indexes) {
+  const db = new LocalDb();
+  const created = [];
+  db.listCollections = () => ({ toArray: async () => [] });
+  db.createCollection = async name => created.push(name);
+  const store = new AtlasVectorStore({ db });
+  store.vectors.listSearchIndexes = name => ({ toArray: async () => indexes.filter(index => index.name === name) });
+  store.vectors.createSearchIndex = async ({ name, type, definition }) => {
+    indexes.push({ name, type, latestDefinition: definition, status: 'PENDING', queryable: false });
+  };
+  store.vectors.updateSearchIndex = async (name, definition) => {
+    indexes.find(index => index.name === name).latestDefinition = definition;
+  };
+  return { store, created };
+}
+
+test('the Atlas store creates its vector search index and searches exactly until it is ready', async () => {
+  const indexes = [];
+  const { store, created } = fakeAtlas(indexes);
+  await store.init({ embeddingSignature: { model: 'm', dimensions: 2 } });
+
+  assert.deepEqual(created, ['vectors']);
+  assert.equal(indexes[0].name, 'vector_index');
+  assert.equal(indexes[0].type, 'vectorSearch');
+  assert.deepEqual(indexes[0].latestDefinition.fields.map(field => [field.type, field.path, field.numDimensions]), [
+    ['vector', 'embedding', 2],
+    ['filter', 'docId', undefined],
+    ['filter', 'ownerId', undefined],
+    ['filter', 'workspaceId', undefined],
+  ]);
+  const pending = await store.searchIndexStatus();
+  assert.deepEqual([pending.status, pending.queryable, pending.dimensions], ['pending', false, 2]);
+
+  // $vectorSearch would find nothing on an index that is still building
+  await seed(store);
+  store.vectors.aggregate = () => { throw new Error('not ready'); };
+  assert.deepEqual((await store.search([1, 0], { docId: 'doc-a', topK: 1 })).map(r => r.text), ['x']);
+
+  Object.assign(indexes[0], { status: 'READY', queryable: true });
+  assert.equal((await store.searchIndexStatus({ refresh: true })).queryable, true);
+});
+
+test('without a known embedding size the index is created for the first vectors stored', async () => {
+  const indexes = [];
+  const { store } = fakeAtlas(indexes);
+  await store.init({ embeddingSignature: { model: 'm', dimensions: null } });
+
+  const missing = await store.searchIndexStatus();
+  assert.equal(missing.status, 'missing');
+  assert.match(missing.issue, /created.* when the first document is embedded/);
+  assert.equal(indexes.length, 0);
+
+  await seed(store);
+  assert.equal(indexes.length, 1);
+  assert.equal(indexes[0].latestDefinition.fields[0].numDimensions, 2);
+});
+
+test('an index of the wrong size or kind is reported; missing filter fields are added', async () => {
+  const legacy = { name: 'vector_index', type: 'search', latestDefinition: { mappings: { dynamic: true } } };
+  assert.match(vectorIndexIssue(legacy, 2).issue, /search index/);
+
+  const unfiltered = {
+    name: 'vector_index',
+    type: 'vectorSearch',
+    status: 'READY',
+    queryable: true,
+    latestDefinition: { fields: [{ type: 'vector', path: 'embedding', numDimensions: 768, similarity: 'cosine' }] },
+  };
+  const wrongSize = vectorIndexIssue(unfiltered, 1536);
+  assert.match(wrongSize.issue, /768-dimension vectors; the embedding model makes 1536/);
+  assert.equal(wrongSize.repairable, false);
+
+  const indexes = [unfiltered];
+  const { store } = fakeAtlas(indexes);
+  await store.init({ embeddingSignature: { model: 'm', dimensions: 1536 } });
+  const status = await store.searchIndexStatus();
+  assert.deepEqual([status.status, status.queryable, status.dimensions, status.expectedDimensions], ['mismatch', false, 768, 1536]);
+  assert.equal(indexes[0].latestDefinition.fields.length, 1);
+
+  await store.init({ embeddingSignature: { model: 'm', dimensions: 768 } });
+  assert.deepEqual(indexes[0].latestDefinition.fields.map(field => field.path), ['embedding', 'docId', 'ownerId', 'workspaceId']);
+  assert.equal((await store.searchIndexStatus()).status, 'ready');
+});
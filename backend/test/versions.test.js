@@ -0,0 +1,63 @@
+// backend/test/versions.test.js
+// Content hashes, version numbering and chunk comparison between versions
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  contentHash,
+  versionFields,
+  seriesFilter,
+  documentLabel,
+  reusableEmbeddings,
+  compareChunks,
+} = require('../utils/versions');
+
+test('identical bytes hash the same, any change does not', () => {
+  assert.equal(contentHash(Buffer.from('manual')), contentHash(Buffer.from('manual')));
+  assert.notEqual(contentHash(Buffer.from('manual')), contentHash(Buffer.from('manual.')));
+});
+
+test('versions number up within a series', () => {
+  assert.deepEqual(versionFields('a', null), { seriesId: 'a', version: 1, previousVersionId: null, supersededBy: null });
+  assert.deepEqual(versionFields('b', { _id: 'a', seriesId: 'a', version: 1 }), {
+    seriesId: 'a',
+    version: 2,
+    previousVersionId: 'a',
+    supersededBy: null,
+  });
+  // A failed upload keeps its number; the next version comes after it
+  assert.equal(versionFields('c', { _id: 'a', seriesId: 'a', version: 1 }, 2).version, 3);
+
+  // Documents from before versioning start their own series
+  const legacy = { _id: 'old', filename: 'x.pdf' };
+  assert.equal(versionFields('new', legacy).seriesId, 'old');
+  assert.deepEqual(seriesFilter(legacy), { $or: [{ _id: 'old' }, { seriesId: 'old' }] });
+});
+
+test('labels name the version only when there is more than one', () => {
+  assert.equal(documentLabel({ filename: 'x.pdf', version: 1 }), 'x.pdf');
+  assert.equal(documentLabel({ filename: 'x.pdf', version: 1, supersededBy: 'b' }), 'x.pdf (v1)');
+  assert.equal(documentLabel({ filename: 'x.pdf', version: 2 }), 'x.pdf (v2)');
+});
+
+test('embeddings carry over only from the same model', () => {
+  const chunks = [{ text: 'a', embedding: [1, 0] }, { text: 'b' }];
+
+  assert.deepEqual([...reusableEmbeddings({ embeddingModel: 'm' }, chunks, 'm')], [['a', [1, 0]]]);
+  assert.equal(reusableEmbeddings({ embeddingModel: 'other' }, chunks, 'm').size, 0);
+  assert.equal(reusableEmbeddings({}, chunks, 'm').size, 0);
+  assert.equal(reusableEmbeddings(null, chunks, 'm').size, 0);
+});
+
+test('comparison lists the chunks added and removed', () => {
+  const chunk = (chunkIndex, text) => ({ chunkIndex, text, metadata: { page: 1 } });
+  const changes = compareChunks(
+    [chunk(0, 'Intro'), chunk(1, 'Old step')],
+    [chunk(0, 'Intro'), chunk(1, 'New step'), chunk(2, 'Extra')],
+  );
+
+  assert.equal(changes.unchanged, 1);
+  assert.deepEqual(changes.added.map(c => c.text), ['New step', 'Extra']);
+  assert.deepEqual(changes.removed, [{ chunkIndex: 1, page: 1, pageLabel: null, section: null, text: 'Old step' }]);
+});
@@ -0,0 +1,46 @@
+// backend/test/workspaces.test.js
+// Workspace roles and what each member can reach
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { can, memberRole, userAccess, documentRole, membersUpdate, membersIssue } = require('../utils/workspaces');
+
+const workspace = {
+  _id: 'team',
+  members: [
+    { userId: 'ada', role: 'owner' },
+    { userId: 'bob', role: 'editor' },
+    { userId: 'cy', role: 'viewer' },
+  ],
+};
+
+test('roles grant what they are meant to', () => {
+  assert.equal(can('owner', 'manage'), true);
+  assert.equal(can('editor', 'upload'), true);
+  assert.equal(can('editor', 'delete'), true);
+  assert.equal(can('editor', 'manage'), false);
+  assert.equal(can('viewer', 'ask'), true);
+  assert.equal(can('viewer', 'upload'), false);
+  assert.equal(can(null, 'ask'), false);
+});
+
+test('a document is reachable through ownership or workspace membership', () => {
+  const access = userAccess('cy', [workspace]);
+  assert.deepEqual(access, { userId: 'cy', workspaceIds: ['team'], roles: { team: 'viewer' } });
+
+  assert.equal(documentRole({ workspaceId: 'team', uploadedBy: 'bob' }, access), 'viewer');
+  assert.equal(documentRole({ ownerId: 'cy' }, access), 'owner');
+  assert.equal(documentRole({ ownerId: 'ada' }, access), null);
+  assert.equal(documentRole({ workspaceId: 'other' }, access), null);
+  assert.equal(documentRole(null, access), null);
+  assert.equal(memberRole(workspace, 'nobody'), null);
+});
+
+test('member lists keep their ids in step and always keep an owner', () => {
+  const update = membersUpdate(workspace.members.slice(1));
+
+  assert.deepEqual(update.memberIds, ['bob', 'cy']);
+  assert.match(membersIssue(update.members), /at least one owner/);
+  assert.equal(membersIssue(workspace.members), null);
+});
@@ -0,0 +1,97 @@
+// backend/utils/apiKeys.js
+// API keys for programmatic access: generation, hashing and scopes.
+// A key acts as the user who created it, limited to its scopes. Only a
+// SHA-256 hash is stored; the key itself is shown once, when created.
+
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'rag_';
+
+// read: list and fetch documents, conversations, jobs and usage
+// ask: ask questions and hold conversations
+// write: upload, tag and delete documents
+const SCOPES = ['read', 'ask', 'write'];
+const DEFAULT_SCOPES = ['read', 'ask'];
+
+// Routes a key can never use, whatever its scopes: managing accounts and
+// keys, and changing workspaces or their members, needs a signed-in user
+const ACCOUNT_ROUTES = /^\/api\/(auth|keys)(\/|$)/;
+const WORKSPACE_ROUTES = /^\/api\/workspaces(\/|$)/;
+
+/**
+ * Make a new key
+ * @returns {{key: string, prefix: string, keyHash: string}} prefix is the
+ *   start of the key, kept to tell keys apart in listings
+ */
+function generateApiKey() {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return { key, prefix: key.slice(0, KEY_PREFIX.length + 6), keyHash: hashApiKey(key) };
+}
+
+/**
+ * @param {string} key
+ * @returns {string} Hex SHA-256, the form keys are stored and looked up in
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Whether a credential looks like an API key rather than a session token
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+}
+
+/**
+ * Validate requested scopes
+ * @param {Array<string>|string} [scopes] - Defaults to read + ask
+ * @returns {Array<string>} Unique scopes, in SCOPES order
+ * @throws {Error} On an unknown scope
+ */
+function parseScopes(scopes = DEFAULT_SCOPES) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes).split(',');
+  const requested = list.map(scope => String(scope).trim().toLowerCase()).filter(Boolean);
+  const unknown = requested.filter(scope => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scope "${unknown[0]}". Expected one of: ${SCOPES.join(', ')}`);
+  }
+  if (requested.length === 0) {
+    throw new Error('An API key needs at least one scope');
+  }
+  return SCOPES.filter(scope => requested.includes(scope));
+}
+
+/**
+ * The scope a request needs when made with an API key
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @returns {string|null} A scope, or null when no key may make the request
+ */
+function requiredScope(method, path) {
+  if (ACCOUNT_ROUTES.test(path)) {
+    return null;
+  }
+  if (method === 'GET' || method === 'HEAD') {
+    return 'read';
+  }
+  if (WORKSPACE_ROUTES.test(path)) {
+    return null;
+  }
+  if (path.startsWith('/api/ask') || path.startsWith('/api/conversations')) {
+    return 'ask';
+  }
+  return 'write';
+}
+
+module.exports = {
+  SCOPES,
+  DEFAULT_SCOPES,
+  generateApiKey,
+  hashApiKey,
+  isApiKey,
+  parseScopes,
+  requiredScope,
+};
@@ -0,0 +1,201 @@
+// backend/utils/auth.js
+// User accounts: scrypt password hashes, signed access tokens (HS256 JWTs)
+// and the Express middleware that puts the caller on req.user
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Token lifetimes such as "3600", "30m", "12h" or "7d"
+const TTL_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Authentication settings from configuration.
+ *   JWT_SECRET   - Key tokens are signed with. Without one a random key is
+ *                  used, so tokens stop working when the server restarts.
+ *   JWT_TTL      - How long a token lasts, e.g. 12h or 7d (default 7d)
+ *   CORS_ORIGINS - Comma-separated origins the browser app may call from
+ *                  (default http://localhost:5173); * allows any
+ *   ADMIN_EMAILS - Comma-separated accounts that may run operations over
+ *                  every library (none by default)
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {{secret: string, ephemeralSecret: boolean, tokenTtl: number, corsOrigins: Array<string>|'*', adminEmails: Array<string>}}
+ *   tokenTtl in seconds
+ */
+function authConfigFromEnv(env = process.env) {
+  const ttl = String(env.JWT_TTL || '7d').trim();
+  const match = ttl.match(/^(\d+)\s*([smhd]?)$/i);
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid JWT_TTL "${ttl}". Expected a number of seconds or e.g. 30m, 12h, 7d`);
+  }
+
+  const origins = (env.CORS_ORIGINS || 'http://localhost:5173')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+  return {
+    secret: env.JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+    ephemeralSecret: !env.JWT_SECRET,
+    tokenTtl: Number(match[1]) * TTL_UNITS[(match[2] || 's').toLowerCase()],
+    corsOrigins: origins.includes('*') ? '*' : origins,
+    adminEmails: (env.ADMIN_EMAILS || '').split(',').map(normalizeEmail).filter(Boolean),
+  };
+}
+
+/**
+ * Whether a signed-in user is one of the configured admins
+ * @param {{email: string}|undefined} user - req.user
+ * @param {Object} config - authConfigFromEnv() result
+ * @returns {boolean}
+ */
+function isAdmin(user, { adminEmails }) {
+  return Boolean(user?.email) && adminEmails.includes(normalizeEmail(user.email));
+}
+
+/**
+ * Normalise an email address for storage and lookup
+ * @param {string} email
+ * @returns {string|null} Lowercased address, or null if it is not one
+ */
+function normalizeEmail(email) {
+  const value = String(email || '').trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : null;
+}
+
+/**
+ * What is wrong with a new password, if anything
+ * @param {string} password
+ * @returns {string|null} Error message
+ */
+function passwordIssue(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password
+ * @returns {Promise<string>} "scrypt$<salt>$<key>", both base64
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_BYTES);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password
+ * @param {string} stored - hashPassword() output
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) {
+    return false;
+  }
+
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const base64url = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signature = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * Sign an access token for a user
+ * @param {{_id: string, email: string}} user
+ * @param {Object} config - authConfigFromEnv() result
+ * @param {number} [now] - Seconds since the epoch (for tests)
+ * @returns {string} JWT
+ */
+function signToken(user, { secret, tokenTtl }, now = Math.floor(Date.now() / 1000)) {
+  const data = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url({
+    sub: user._id,
+    email: user.email,
+    iat: now,
+    exp: now + tokenTtl,
+  })}`;
+  return `${data}.${signature(data, secret)}`;
+}
+
+/**
+ * Check an access token's signature and expiry
+ * @param {string} token
+ * @param {Object} config - authConfigFromEnv() result
+ * @param {number} [now] - Seconds since the epoch (for tests)
+ * @returns {{id: string, email: string}|null} The user it was issued to,
+ *   or null when it is malformed, tampered with or expired
+ */
+function verifyToken(token, { secret }, now = Math.floor(Date.now() / 1000)) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const expected = Buffer.from(signature(`${parts[0]}.${parts[1]}`, secret));
+  const actual = Buffer.from(parts[2]);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    if (header.alg !== 'HS256' || !payload.sub || !(payload.exp > now)) {
+      return null;
+    }
+    return { id: payload.sub, email: payload.email };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Express middleware requiring a valid "Authorization: Bearer <token>"
+ * header. Sets req.user ({id, email}) or answers 401. Requests an earlier
+ * middleware already authenticated (e.g. by API key) pass through.
+ * @param {Object} config - authConfigFromEnv() result
+ * @param {Object} [options]
+ * @param {Array<string>} [options.publicPaths] - Paths open without a token
+ * @returns {Function}
+ */
+function requireAuth(config, { publicPaths = [] } = {}) {
+  return (req, res, next) => {
+    if (req.user || req.method === 'OPTIONS' || publicPaths.includes(req.path)) {
+      return next();
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const user = scheme === 'Bearer' ? verifyToken(token, config) : null;
+    if (!user) {
+      return res.status(401).json({ error: token ? 'Invalid or expired token' : 'Authentication required' });
+    }
+
+    req.user = user;
+    next();
+  };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  authConfigFromEnv,
+  isAdmin,
+  normalizeEmail,
+  passwordIssue,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  requireAuth,
+};
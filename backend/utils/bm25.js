@@ -0,0 +1,161 @@
+// backend/utils/bm25.js
+// In-process BM25 keyword index over chunk text
+
+const { contentTerms } = require('./textUtils');
+
+/**
+ * Terms indexed for a text. Identifiers such as "AB-1234" are kept whole
+ * and also split into their parts, so a search for "1234" still finds them.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function indexTerms(text) {
+  const terms = [];
+  for (const term of contentTerms(text)) {
+    terms.push(term);
+    const parts = term.split(/[.\-_/]/);
+    if (parts.length > 1) {
+      terms.push(...parts.filter(Boolean));
+    }
+  }
+  return terms;
+}
+
+const chunkKey = (docId, chunkIndex) => `${docId}:${chunkIndex}`;
+
+class BM25Index {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.k1] - Term frequency saturation
+   * @param {number} [options.b] - Length normalisation
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.entries = new Map();   // key → {docId, chunkIndex, termFreqs, length}
+    this.postings = new Map();  // term → Set of keys
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Index a chunk, replacing any earlier version of it
+   * @param {{docId: string, chunkIndex: number, text: string}} chunk
+   */
+  add({ docId, chunkIndex, text }) {
+    const key = chunkKey(docId, chunkIndex);
+    this.remove(key);
+
+    const terms = indexTerms(text);
+    const termFreqs = new Map();
+    for (const term of terms) {
+      termFreqs.set(term, (termFreqs.get(term) || 0) + 1);
+    }
+
+    this.entries.set(key, { docId, chunkIndex, termFreqs, length: terms.length });
+    this.totalLength += terms.length;
+
+    for (const term of termFreqs.keys()) {
+      if (!this.postings.has(term)) this.postings.set(term, new Set());
+      this.postings.get(term).add(key);
+    }
+  }
+
+  /**
+   * Drop one chunk by key
+   * @param {string} key
+   */
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    for (const term of entry.termFreqs.keys()) {
+      const keys = this.postings.get(term);
+      keys.delete(key);
+      if (keys.size === 0) this.postings.delete(term);
+    }
+    this.totalLength -= entry.length;
+    this.entries.delete(key);
+  }
+
+  /**
+   * Drop every chunk of a document
+   * @param {string} docId
+   */
+  removeDocument(docId) {
+    for (const [key, entry] of this.entries) {
+      if (entry.docId === docId) this.remove(key);
+    }
+  }
+
+  /**
+   * BM25 score of one indexed chunk for a query (0 when not indexed)
+   * @param {string} query
+   * @param {string} docId
+   * @param {number} chunkIndex
+   * @returns {number}
+   */
+  score(query, docId, chunkIndex) {
+    const entry = this.entries.get(chunkKey(docId, chunkIndex));
+    return entry ? this.scoreEntry([...new Set(indexTerms(query))], entry) : 0;
+  }
+
+  scoreEntry(queryTerms, entry) {
+    const averageLength = this.totalLength / this.entries.size || 1;
+    let score = 0;
+
+    for (const term of queryTerms) {
+      const freq = entry.termFreqs.get(term);
+      if (!freq) continue;
+
+      const docFreq = this.postings.get(term).size;
+      const idf = Math.log(1 + (this.entries.size - docFreq + 0.5) / (docFreq + 0.5));
+      const norm = freq + this.k1 * (1 - this.b + this.b * (entry.length / averageLength));
+      score += idf * (freq * (this.k1 + 1)) / norm;
+    }
+
+    return score;
+  }
+
+  /**
+   * Chunks matching any query term, best first
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {Array<string>|null} [options.docIds] - Restrict to these documents
+   * @param {number} [options.topK]
+   * @returns {Array<{docId: string, chunkIndex: number, score: number}>}
+   */
+  search(query, { docIds, topK = 10 } = {}) {
+    const queryTerms = [...new Set(indexTerms(query))];
+    const allowed = Array.isArray(docIds) ? new Set(docIds) : null;
+
+    const candidates = new Set();
+    for (const term of queryTerms) {
+      for (const key of this.postings.get(term) || []) {
+        candidates.add(key);
+      }
+    }
+
+    const results = [];
+    for (const key of candidates) {
+      const entry = this.entries.get(key);
+      if (allowed && !allowed.has(entry.docId)) continue;
+      results.push({
+        docId: entry.docId,
+        chunkIndex: entry.chunkIndex,
+        score: this.scoreEntry(queryTerms, entry),
+      });
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, topK);
+  }
+}
+
+module.exports = {
+  BM25Index,
+  indexTerms,
+};
@@ -1,90 +1,137 @@
-// backend/utils/chunker-v5.js
-// Enhanced chunker that tracks page and paragraph numbers
+// backend/utils/chunker.js
+// Chunking strategies. Every strategy keeps chunks within a page and tracks
+// page, paragraph and character positions:
+//   paragraph - blank-line paragraphs packed by characters (the original chunker)
+//   sentence  - sentences packed by characters, overlapping by whole sentences
+//   section   - like sentence, but a chunk never crosses a heading and
+//               records the heading path it sits under
+//   token     - sentences packed by an (estimated) token budget
+
+const { splitSentences, estimateTokens } = require('./textUtils');
+
+const CHUNKING_STRATEGIES = ['sentence', 'section', 'token', 'paragraph'];
+
+/**
+ * Chunking settings from configuration. Uploads may pick another strategy;
+ * the sizes always come from here.
+ *   CHUNK_STRATEGY      - sentence (default) | section | token | paragraph
+ *   CHUNK_SIZE          - target chunk size in characters (default 1000)
+ *   CHUNK_OVERLAP       - characters repeated between chunks (default 200)
+ *   CHUNK_TOKENS        - target chunk size for the token strategy (default 256)
+ *   CHUNK_TOKEN_OVERLAP - tokens repeated between chunks (default 40)
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {{strategy: string, chunkSize: number, overlap: number, chunkTokens: number, tokenOverlap: number}}
+ */
+function chunkingConfigFromEnv(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
+
+  const config = {
+    strategy: 'sentence',
+    chunkSize: number(env.CHUNK_SIZE, 1000),
+    overlap: number(env.CHUNK_OVERLAP, 200),
+    chunkTokens: number(env.CHUNK_TOKENS, 256),
+    tokenOverlap: number(env.CHUNK_TOKEN_OVERLAP, 40),
+  };
+  return { ...config, strategy: resolveChunking(env.CHUNK_STRATEGY, config).strategy };
+}
+
+/**
+ * The settings one document is chunked with, as recorded on its record
+ * @param {string} [strategy] - Requested strategy; the configured one when empty
+ * @param {Object} config - See chunkingConfigFromEnv()
+ * @returns {{strategy: string, unit: string, size: number, overlap: number}}
+ */
+function resolveChunking(strategy, config) {
+  const name = (strategy || config.strategy).toLowerCase();
+  if (!CHUNKING_STRATEGIES.includes(name)) {
+    throw new Error(`Unknown chunking strategy "${name}". Expected one of: ${CHUNKING_STRATEGIES.join(', ')}`);
+  }
+
+  return name === 'token'
+    ? { strategy: name, unit: 'tokens', size: config.chunkTokens, overlap: config.tokenOverlap }
+    : { strategy: name, unit: 'characters', size: config.chunkSize, overlap: config.overlap };
+}
 
 /**
  * Split pages into chunks WITH metadata (page, paragraph)
- * @param {Array} pages - Array of {pageNumber, text, startChar, endChar}
+ * @param {Array} pages - Array of {pageNumber, pageLabel, text, startChar, endChar},
+ *   optionally with {section, headingPath} (see utils/loaders)
  * @param {number} chunkSize - Target chunk size
  * @param {number} overlap - Overlap between chunks
- * @returns {Array} Chunks with metadata
+ * @returns {Array} Chunks with metadata. Every chunk's text is exactly
+ *   fullText.slice(startChar, endChar) of the extracted document.
  */
 function splitIntoChunksWithMetadata(pages, chunkSize = 1000, overlap = 200) {
   const allChunks = [];
-  let globalChunkIndex = 0;
   
   for (const page of pages) {
     const { pageNumber, text, startChar } = page;
+    const pageLabel = page.pageLabel || String(pageNumber);
+    // Heading metadata from sectioned formats (Markdown, HTML, DOCX)
+    const section = page.section || null;
+    const headingPath = page.headingPath || [];
     
-    // Split page into paragraphs
-    const paragraphs = text.split(/\n\n+/).filter(p => p.trim().length > 0);
+    // Paragraphs as spans of the page text, so chunks are exact slices of it
+    const paragraphs = paragraphSpans(text);
+    const paragraphAt = offset => paragraphs.findIndex(p => offset < p.end) + 1;
     
-    let currentChunk = '';
-    let chunkStartChar = startChar;
-    let paragraphNumber = 0;
-    let chunkStartParagraph = 0;
+    // Current chunk: {start, end} in the page text and its paragraph numbers
+    let current = null;
     
-    for (let i = 0; i < paragraphs.length; i++) {
-      const paragraph = paragraphs[i];
-      paragraphNumber++;
-      
-      if (currentChunk.length + paragraph.length > chunkSize) {
-        // Save current chunk with metadata
-        if (currentChunk.trim().length > 0) {
-          allChunks.push({
-            text: currentChunk.trim(),
-            chunkIndex: globalChunkIndex++,
-            metadata: {
-              page: pageNumber,
-              paragraphNumber: chunkStartParagraph,
-              paragraphRange: chunkStartParagraph === paragraphNumber - 1 
-                ? chunkStartParagraph 
-                : `${chunkStartParagraph}-${paragraphNumber - 1}`,
-              startChar: chunkStartChar,
-              endChar: chunkStartChar + currentChunk.length,
-              chunkLength: currentChunk.length
-            }
-          });
+    const saveChunk = () => {
+      const chunkText = text.slice(current.start, current.end);
+      allChunks.push({
+        text: chunkText,
+        chunkIndex: allChunks.length,
+        metadata: {
+          page: pageNumber,
+          pageLabel,
+          section,
+          headingPath,
+          paragraphNumber: current.firstParagraph,
+          paragraphRange: current.firstParagraph === current.lastParagraph
+            ? current.firstParagraph
+            : `${current.firstParagraph}-${current.lastParagraph}`,
+          startChar: startChar + current.start,
+          endChar: startChar + current.end,
+          chunkLength: chunkText.length
         }
+      });
+    };
+    
+    paragraphs.forEach((paragraph, idx) => {
+      const paragraphNumber = idx + 1;
+      
+      if (current && paragraph.end - current.start > chunkSize) {
+        saveChunk();
         
-        // Start new chunk with overlap
-        if (currentChunk.length > overlap) {
-          const overlapText = currentChunk.slice(-overlap);
-          currentChunk = overlapText + '\n\n' + paragraph;
-          chunkStartChar = chunkStartChar + currentChunk.length - overlap - paragraph.length;
-        } else {
-          currentChunk = paragraph;
-          chunkStartChar = startChar + text.indexOf(paragraph);
+        // Start new chunk with overlap: the tail of the previous chunk, from
+        // the first word that starts within the last `overlap` characters
+        let overlapStart = null;
+        if (current.end - current.start > overlap) {
+          overlapStart = current.end - overlap;
+          while (overlapStart < current.end && /\S/.test(text[overlapStart - 1] || '')) overlapStart++;
+          while (overlapStart < current.end && /\s/.test(text[overlapStart])) overlapStart++;
         }
         
-        chunkStartParagraph = paragraphNumber;
-      } else {
+        current = overlapStart !== null && overlapStart < current.end
+          ? { start: overlapStart, end: paragraph.end, firstParagraph: paragraphAt(overlapStart), lastParagraph: paragraphNumber }
+          : { start: paragraph.start, end: paragraph.end, firstParagraph: paragraphNumber, lastParagraph: paragraphNumber };
+      } else if (current) {
         // Add to current chunk
-        if (currentChunk.length > 0) {
-          currentChunk += '\n\n' + paragraph;
-        } else {
-          currentChunk = paragraph;
-          chunkStartChar = startChar + text.indexOf(paragraph);
-          chunkStartParagraph = paragraphNumber;
-        }
+        current.end = paragraph.end;
+        current.lastParagraph = paragraphNumber;
+      } else {
+        current = { start: paragraph.start, end: paragraph.end, firstParagraph: paragraphNumber, lastParagraph: paragraphNumber };
       }
-    }
+    });
     
     // Save last chunk of page
-    if (currentChunk.trim().length > 0) {
-      allChunks.push({
-        text: currentChunk.trim(),
-        chunkIndex: globalChunkIndex++,
-        metadata: {
-          page: pageNumber,
-          paragraphNumber: chunkStartParagraph,
-          paragraphRange: chunkStartParagraph === paragraphNumber 
-            ? chunkStartParagraph 
-            : `${chunkStartParagraph}-${paragraphNumber}`,
-          startChar: chunkStartChar,
-          endChar: chunkStartChar + currentChunk.length,
-          chunkLength: currentChunk.length
-        }
-      });
+    if (current) {
+      saveChunk();
     }
   }
   
@@ -98,6 +145,211 @@ function splitIntoChunksWithMetadata(pages, chunkSize = 1000, overlap = 200) {
   return allChunks;
 }
 
+// Numbered headings ("2 Installation", "3.1 Power supply"), "Chapter 4 ..."
+// and Markdown-style "# Title" lines, for text without loader headings
+const NUMBERED_HEADING = /^(\d+(?:\.\d+){0,5})\.?\s+(\p{Lu}[\p{L}\p{N}].{0,77})$/u;
+const CHAPTER_HEADING = /^(?:chapter|part|appendix)\s+[\dIVXLC]+[.:]?\s*(.{0,78})$/i;
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.{1,80})$/;
+
+/**
+ * Recognise a paragraph that is a heading
+ * @param {string} paragraph
+ * @returns {{level: number, title: string}|null}
+ */
+function detectHeading(paragraph) {
+  const line = paragraph.trim();
+  if (line.includes('\n') || /[.,;:!?]$/.test(line)) {
+    return null;
+  }
+
+  let match = line.match(MARKDOWN_HEADING);
+  if (match) {
+    return { level: match[1].length, title: match[2].trim() };
+  }
+  match = line.match(NUMBERED_HEADING);
+  if (match && match[2].split(/\s+/).length <= 10) {
+    return { level: match[1].split('.').length, title: line };
+  }
+  if (CHAPTER_HEADING.test(line)) {
+    return { level: 1, title: line };
+  }
+  return null;
+}
+
+/**
+ * Paragraphs of a page with their offsets in the page text
+ * @param {string} text
+ * @returns {Array<{start: number, end: number}>}
+ */
+function paragraphSpans(text) {
+  const spans = [];
+  const pattern = /\S[\s\S]*?(?=\n[ \t]*\n|\s*$)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    spans.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return spans;
+}
+
+/**
+ * Cut a span that is over budget on its own at word boundaries
+ * @param {string} text - Page text
+ * @param {{start: number, end: number}} span
+ * @param {number} size
+ * @param {Function} measure
+ * @returns {Array<{start: number, end: number}>}
+ */
+function splitOversized(text, span, size, measure) {
+  if (measure(text.slice(span.start, span.end)) <= size) {
+    return [span];
+  }
+
+  const pieces = [];
+  const words = /\S+/g;
+  words.lastIndex = span.start;
+  let piece = null;
+  let match;
+  while ((match = words.exec(text)) !== null && match.index < span.end) {
+    const end = Math.min(match.index + match[0].length, span.end);
+    if (piece && measure(text.slice(piece.start, end)) > size) {
+      pieces.push(piece);
+      piece = null;
+    }
+    piece = piece ? { ...piece, end } : { start: match.index, end };
+  }
+  if (piece) pieces.push(piece);
+  return pieces;
+}
+
+/**
+ * Greedily pack units (sentences) into chunks of at most `size`. Each new
+ * chunk starts with the last whole units of the previous one, up to
+ * `overlap`, so no word is ever cut in half.
+ * @param {string} text - Page text the unit offsets refer to
+ * @param {Array<{start: number, end: number}>} units
+ * @param {Object} options - {size, overlap, measure}
+ * @returns {Array<Array<Object>>} Units of each chunk
+ */
+function packUnits(text, units, { size, overlap, measure }) {
+  const measureUnits = list => measure(text.slice(list[0].start, list[list.length - 1].end));
+  const chunks = [];
+  let current = [];
+
+  for (const unit of units) {
+    if (current.length > 0 && measureUnits([...current, unit]) > size) {
+      chunks.push(current);
+
+      let tail = [];
+      for (let i = current.length - 1; i > 0; i--) {
+        const candidate = current.slice(i);
+        if (measureUnits(candidate) > overlap) break;
+        tail = candidate;
+      }
+      while (tail.length > 0 && measureUnits([...tail, unit]) > size) {
+        tail = tail.slice(1);
+      }
+      current = tail;
+    }
+    current.push(unit);
+  }
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * Split pages into chunks with the given strategy
+ * @param {Array} pages - As for splitIntoChunksWithMetadata()
+ * @param {Object} chunking - See resolveChunking()
+ * @returns {Array} Chunks with metadata
+ */
+function chunkDocument(pages, chunking) {
+  const { strategy, size, overlap } = chunking;
+  if (strategy === 'paragraph') {
+    return splitIntoChunksWithMetadata(pages, size, overlap);
+  }
+
+  const measure = strategy === 'token' ? estimateTokens : text => text.length;
+  const allChunks = [];
+  // Heading stack carried across pages for text without loader headings
+  let headings = [];
+
+  for (const page of pages) {
+    const { pageNumber, text, startChar } = page;
+    const pageLabel = page.pageLabel || String(pageNumber);
+    const loaderPath = page.headingPath || [];
+
+    // Units are sentences (or word runs of over-long ones), grouped so that
+    // the section strategy can start a new chunk at every heading
+    const groups = [];
+    let group = null;
+    paragraphSpans(text).forEach((paragraph, idx) => {
+      const heading = strategy === 'section' && loaderPath.length === 0
+        ? detectHeading(text.slice(paragraph.start, paragraph.end))
+        : null;
+      if (heading) {
+        headings = [...headings.filter(h => h.level < heading.level), heading];
+      }
+      const headingPath = loaderPath.length > 0 ? loaderPath : headings.map(h => h.title);
+      if (heading && group && group.headingOnly) {
+        // A heading straight after another one joins its section
+        group.headingPath = headingPath;
+      } else if (!group || heading) {
+        group = { headingPath, units: [], headingOnly: true };
+        groups.push(group);
+      }
+      if (!heading) {
+        group.headingOnly = false;
+      }
+
+      const paragraphText = text.slice(paragraph.start, paragraph.end);
+      for (const sentence of splitSentences(paragraphText)) {
+        const span = { start: paragraph.start + sentence.start, end: paragraph.start + sentence.end };
+        for (const unit of splitOversized(text, span, size, measure)) {
+          group.units.push({ ...unit, paragraph: idx + 1 });
+        }
+      }
+    });
+
+    for (const { headingPath, units } of groups) {
+      for (const chunkUnits of packUnits(text, units, { size, overlap, measure })) {
+        const first = chunkUnits[0];
+        const last = chunkUnits[chunkUnits.length - 1];
+        const chunkText = text.slice(first.start, last.end);
+        allChunks.push({
+          text: chunkText,
+          chunkIndex: allChunks.length,
+          metadata: {
+            page: pageNumber,
+            pageLabel,
+            section: strategy === 'section'
+              ? headingPath[headingPath.length - 1] || null
+              : page.section || null,
+            headingPath: strategy === 'section' ? headingPath : loaderPath,
+            paragraphNumber: first.paragraph,
+            paragraphRange: first.paragraph === last.paragraph
+              ? first.paragraph
+              : `${first.paragraph}-${last.paragraph}`,
+            startChar: startChar + first.start,
+            endChar: startChar + last.end,
+            chunkLength: chunkText.length,
+          },
+        });
+      }
+    }
+  }
+
+  const averageSize = allChunks.length > 0
+    ? Math.round(allChunks.reduce((sum, c) => sum + measure(c.text), 0) / allChunks.length)
+    : 0;
+  console.log(`📊 ${strategy} chunking: ${allChunks.length} chunks from ${pages.length} pages, ` +
+    `average ${averageSize} ${chunking.unit} (target ${size}, overlap ${overlap})`);
+
+  return allChunks;
+}
+
 /**
  * Get statistics about chunks
  */
@@ -115,6 +367,11 @@ function getChunkStats(chunks) {
 }
 
 module.exports = {
+  CHUNKING_STRATEGIES,
+  chunkingConfigFromEnv,
+  resolveChunking,
+  detectHeading,
+  chunkDocument,
   splitIntoChunksWithMetadata,
   getChunkStats
 };
\ No newline at end of file
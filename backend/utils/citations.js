@@ -0,0 +1,102 @@
+// backend/utils/citations.js
+// Citations in generated answers: find the "[Source N - Page X, Para Y]"
+// markers the prompt asks for and check them against the retrieved sources
+
+// A bracket that cites one or more sources, e.g. "[Source 2 - Page 3, Para 1]",
+// "[Source 1 - report.pdf, Page iv]", "[Sources 1, 3]" or "[Source 1; Source 2]"
+const CITATION_PATTERN = /\[(Sources?\s+\d+[^\]]*)\]/gi;
+// The source numbers inside a bracket, with the details that follow them
+const SOURCE_NUMBERS_PATTERN = /Sources?\s+(\d+(?:\s*(?:,|and|&)\s*\d+)*)/gi;
+
+/**
+ * Find the citations in an answer
+ * @param {string} answer
+ * @returns {Array<Object>} One entry per cited source number: {sourceNumber,
+ *   label, page, section, start, end}; start/end locate the whole bracket,
+ *   so sources cited together share them
+ */
+function parseCitations(answer) {
+  const citations = [];
+
+  for (const bracket of (answer || '').matchAll(CITATION_PATTERN)) {
+    const label = bracket[1];
+    const groups = [...label.matchAll(SOURCE_NUMBERS_PATTERN)];
+
+    groups.forEach((group, idx) => {
+      // Details run up to the next "Source N" in the same bracket
+      const details = label.slice(group.index + group[0].length, groups[idx + 1]?.index ?? label.length);
+      const page = details.match(/\bPage\s+([^\s,;]+)/i);
+      const section = details.match(/\bSection\s+"([^"]+)"/i);
+
+      for (const number of group[1].match(/\d+/g)) {
+        citations.push({
+          sourceNumber: Number(number),
+          label,
+          page: page ? page[1] : null,
+          section: section ? section[1] : null,
+          start: bracket.index,
+          end: bracket.index + bracket[0].length,
+        });
+      }
+    });
+  }
+
+  return citations;
+}
+
+/**
+ * What is wrong with a citation, if anything
+ * @param {Object} citation - From parseCitations()
+ * @param {Array} sources - formatSources() output
+ * @returns {string|null} 'unknown-source' | 'wrong-page' | 'wrong-section' | null
+ */
+function citationIssue(citation, sources) {
+  const source = sources[citation.sourceNumber - 1];
+  if (!source) {
+    return 'unknown-source';
+  }
+
+  if (citation.section) {
+    const path = (source.headingPath || []).join(' > ') || source.section || '';
+    return path.toLowerCase().includes(citation.section.toLowerCase()) ? null : 'wrong-section';
+  }
+  if (citation.page && source.page !== 'N/A') {
+    const cited = citation.page.toLowerCase();
+    const matches = [source.pageLabel, source.page].some(value => String(value).toLowerCase() === cited);
+    return matches ? null : 'wrong-page';
+  }
+  return null;
+}
+
+/**
+ * Parse an answer's citations and check each against the sources that were
+ * actually retrieved for it
+ * @param {string} answer
+ * @param {Array} sources - formatSources() output, numbered from 1
+ * @returns {{items: Array<Object>, invalidCount: number, uncitedSources: Array<number>}}
+ *   items are parseCitations() entries plus {valid, issue}
+ */
+function checkCitations(answer, sources) {
+  const items = parseCitations(answer).map(citation => {
+    const issue = citationIssue(citation, sources);
+    return { ...citation, valid: issue === null, issue };
+  });
+
+  const cited = new Set(items.map(item => item.sourceNumber));
+  const invalidCount = items.filter(item => !item.valid).length;
+  if (invalidCount > 0) {
+    console.log(`⚠️  ${invalidCount} of ${items.length} citation(s) do not match the retrieved sources`);
+  }
+
+  return {
+    items,
+    invalidCount,
+    uncitedSources: sources.map(source => source.sourceNumber).filter(number => !cited.has(number)),
+  };
+}
+
+module.exports = {
+  CITATION_PATTERN,
+  parseCitations,
+  checkCitations,
+};
@@ -0,0 +1,175 @@
+// backend/utils/embeddingCache.js
+// Persistent embedding cache, so text that was embedded once (a chunk of a
+// re-uploaded or re-chunked document, a repeated question) is not sent to
+// the embedding model again. Entries are keyed by a hash of the normalised
+// text, the model name and the embedding size:
+// {_id, textHash, model, dimensions, embedding, createdAt}.
+
+const crypto = require('crypto');
+const { LocalDb } = require('./localDb');
+const { embeddingSignature } = require('./reindex');
+
+const MODES = ['database', 'disk', 'none'];
+
+/**
+ * Embedding cache settings from configuration.
+ *   EMBEDDING_CACHE      - database (default: the vector store's own
+ *                          database, so MongoDB on Atlas), disk (a JSON
+ *                          file of its own) or none
+ *   EMBEDDING_CACHE_PATH - JSON file for the disk cache
+ *                          (default ./data/embedding-cache.json)
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {{mode: string, path: string}}
+ */
+function embeddingCacheConfigFromEnv(env = process.env) {
+  const mode = (env.EMBEDDING_CACHE || 'database').toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown embedding cache "${mode}". Expected one of: ${MODES.join(', ')}`);
+  }
+  return { mode, path: env.EMBEDDING_CACHE_PATH || './data/embedding-cache.json' };
+}
+
+/**
+ * Text as the cache sees it: Unicode-normalised, with runs of whitespace
+ * collapsed, so re-extracted text that differs only in spacing still hits
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Embedding cache over a MongoDB-style collection
+ */
+class EmbeddingCache {
+  /**
+   * @param {Object} options
+   * @param {Object} options.collection - Driver collection or LocalCollection
+   * @param {string} [options.name] - Where entries live, for /api/health
+   */
+  constructor({ collection, name = 'database' }) {
+    this.collection = collection;
+    this.name = name;
+    this.hits = 0;
+    this.misses = 0;
+    this.errors = 0;
+  }
+
+  /**
+   * Cache key for a text embedded by a provider
+   * @param {string} text
+   * @param {Object} provider - Embedding provider
+   * @returns {{_id: string, textHash: string, model: string, dimensions: number|null}}
+   */
+  key(text, provider) {
+    const textHash = crypto.createHash('sha256').update(normalizeText(text)).digest('hex');
+    const { model, dimensions } = embeddingSignature(provider);
+    return { _id: `${model}:${dimensions || 'default'}:${textHash}`, textHash, model, dimensions };
+  }
+
+  /**
+   * Look texts up
+   * @param {Array<string>} texts
+   * @param {Object} provider - Embedding provider
+   * @returns {Promise<Array<Array<number>|null>>} One entry per text; null on a miss
+   */
+  async getMany(texts, provider) {
+    const ids = texts.map(text => this.key(text, provider)._id);
+    let entries = [];
+    try {
+      entries = await this.collection
+        .find({ _id: { $in: [...new Set(ids)] } })
+        .project({ embedding: 1 })
+        .toArray();
+    } catch (error) {
+      // A cache that is down costs API calls, never answers
+      this.errors++;
+      console.error('⚠️  Embedding cache lookup failed:', error.message);
+    }
+
+    const byId = new Map(entries.map(entry => [entry._id, entry.embedding]));
+    const found = ids.map(id => byId.get(id) || null);
+    const hits = found.filter(Boolean).length;
+    this.hits += hits;
+    this.misses += found.length - hits;
+    return found;
+  }
+
+  /**
+   * Store freshly made embeddings
+   * @param {Array<string>} texts
+   * @param {Array<Array<number>>} embeddings - Same order as texts
+   * @param {Object} provider - Embedding provider
+   */
+  async setMany(texts, embeddings, provider) {
+    const entries = new Map();
+    texts.forEach((text, idx) => {
+      const key = this.key(text, provider);
+      entries.set(key._id, { ...key, dimensions: embeddings[idx].length, embedding: embeddings[idx], createdAt: new Date() });
+    });
+    if (entries.size === 0) {
+      return;
+    }
+
+    try {
+      // Another request may have cached some of these meanwhile
+      const existing = await this.collection
+        .find({ _id: { $in: [...entries.keys()] } })
+        .project({ _id: 1 })
+        .toArray();
+      existing.forEach(entry => entries.delete(entry._id));
+      if (entries.size > 0) {
+        await this.collection.insertMany([...entries.values()], { ordered: false });
+      }
+    } catch (error) {
+      if (error.code !== 11000) {
+        this.errors++;
+        console.error('⚠️  Embedding cache write failed:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Hit and miss counts since the server started, plus the cache size
+   * @returns {Promise<{store: string, hits: number, misses: number, hitRate: number|null, errors: number, entries: number|null}>}
+   */
+  async stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      store: this.name,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 1000 : null,
+      errors: this.errors,
+      entries: await this.collection.countDocuments().catch(() => null),
+    };
+  }
+}
+
+/**
+ * Create the configured cache
+ * @param {Object} config - embeddingCacheConfigFromEnv() result
+ * @param {Object} db - The vector store's database, for the database mode
+ * @returns {EmbeddingCache|null} null when caching is off
+ */
+function createEmbeddingCache(config, db) {
+  switch (config.mode) {
+    case 'database':
+      return new EmbeddingCache({ collection: db.collection('embeddingCache'), name: 'database' });
+    case 'disk':
+      return new EmbeddingCache({
+        collection: new LocalDb({ filePath: config.path }).collection('embeddingCache'),
+        name: 'disk',
+      });
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  embeddingCacheConfigFromEnv,
+  normalizeText,
+  EmbeddingCache,
+  createEmbeddingCache,
+};
@@ -1,69 +1,257 @@
 // backend/utils/embeddings.js
-// Generates embeddings using Google Gemini API
+// Generates embeddings through the configured embedding provider, in
+// batches with bounded concurrency and retries
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getProviders } = require('./providers');
+const { isRetryableError, withRetry } = require('./retry');
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+let sharedCache = null;
 
 /**
- * Generate embeddings for text chunks using Google Gemini
+ * Set the embedding cache used when none is passed (see embeddingCache.js);
+ * null turns caching off
+ * @param {Object|null} cache - EmbeddingCache
+ */
+function setEmbeddingCache(cache) {
+  sharedCache = cache;
+}
+
+/**
+ * @returns {Object|null} The shared embedding cache, if any
+ */
+function getEmbeddingCache() {
+  return sharedCache;
+}
+
+/**
+ * Embedding request settings from configuration.
+ *   EMBEDDING_BATCH_SIZE    - Texts per embedding request (default 100, or
+ *                             less when the provider accepts fewer)
+ *   EMBEDDING_CONCURRENCY   - Requests in flight at once per document (default 2)
+ *   EMBEDDING_MAX_RETRIES   - Retries of a rate-limited, timed-out or
+ *                             server-failed request (default 5)
+ *   EMBEDDING_RETRY_BASE_MS - First backoff between retries; it doubles on
+ *                             each retry, with jitter, up to 30s (default 500)
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {{batchSize: number, concurrency: number, maxRetries: number, retryBaseMs: number, retryMaxMs: number}}
+ */
+function embeddingBatchConfigFromEnv(env = process.env) {
+  const setting = (name, fallback, min) => {
+    const value = env[name];
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+      throw new Error(`Invalid ${name} "${value}". Expected a whole number of at least ${min}`);
+    }
+    return number;
+  };
+
+  return {
+    batchSize: setting('EMBEDDING_BATCH_SIZE', 100, 1),
+    concurrency: setting('EMBEDDING_CONCURRENCY', 2, 1),
+    maxRetries: setting('EMBEDDING_MAX_RETRIES', 5, 0),
+    retryBaseMs: setting('EMBEDDING_RETRY_BASE_MS', 500, 0),
+    retryMaxMs: 30000,
+  };
+}
+
+/**
+ * Some chunks could not be embedded. Carries what did get embedded, so the
+ * caller can keep it and only retry the rest.
+ */
+class EmbeddingError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {Array<{index: number, error: string}>} details.failures - One
+   *   per text without an embedding, by its index in the input
+   * @param {Array<Array<number>|null>} details.embeddings - Input order; null
+   *   where embedding failed
+   */
+  constructor(message, { failures, embeddings }) {
+    super(message);
+    this.name = 'EmbeddingError';
+    this.failures = failures;
+    this.embeddings = embeddings;
+  }
+}
+
+// Run worker over items, at most `limit` at a time
+async function mapWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+}
+
+const retryOptions = (batching, sleep) => ({
+  retries: batching.maxRetries,
+  baseDelayMs: batching.retryBaseMs,
+  maxDelayMs: batching.retryMaxMs,
+  sleep,
+  onRetry: (error, retry, delay) =>
+    console.warn(`  ↻ Embedding request failed (${error.message}); retry ${retry}/${batching.maxRetries} in ${delay}ms`),
+});
+
+/**
+ * Generate embeddings for text chunks. Texts already in the embedding cache
+ * are not sent to the provider; the rest go in batches, a few requests at a
+ * time, each retried with backoff when it is rate-limited or fails on the
+ * server's side. A batch the provider rejects outright is retried text by
+ * text, so one bad chunk does not fail its neighbours.
  * @param {Array<string>} texts - Array of text chunks
- * @param {string} model - Embedding model to use
+ * @param {Object} provider - Embedding provider (defaults to the configured one)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (embeddedCount, totalCount) after each batch
+ * @param {Object|null} [options.cache] - Embedding cache (defaults to the shared one)
+ * @param {Object} [options.batching] - embeddingBatchConfigFromEnv() result
+ *   (read from the environment when omitted)
+ * @param {Function} [options.sleep] - async (ms) between retries (for tests)
  * @returns {Promise<Array<Array<number>>>} Array of embedding vectors
+ * @throws {EmbeddingError} When any text could not be embedded
  */
-async function generateEmbeddings(texts, model = 'gemini-embedding-001') {
+async function generateEmbeddings(texts, provider = getProviders().embeddingProvider, options = {}) {
   try {
-    console.log(`🧮 Generating embeddings for ${texts.length} chunks using Gemini ${model}...`);
-    
-    const embeddingModel = genAI.getGenerativeModel({ model: model });
-    const allEmbeddings = [];
-
-    // Process in batches to avoid rate limits
-    const batchSize = 100;
-
-    for (let i = 0; i < texts.length; i += batchSize) {
-      const batch = texts.slice(i, i + batchSize);
-      
-      // Gemini allows batch processing
-      const batchEmbeddings = await Promise.all(
-        batch.map(async (text) => {
-          const result = await embeddingModel.embedContent(text);
-          return result.embedding.values;
-        })
-      );
-
-      allEmbeddings.push(...batchEmbeddings);
-
-      console.log(`  ✓ Processed batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(texts.length / batchSize)}`);
-      
-      // Add small delay to respect rate limits
-      if (i + batchSize < texts.length) {
-        await new Promise(resolve => setTimeout(resolve, 100));
+    const cache = options.cache === undefined ? sharedCache : options.cache;
+    const batching = options.batching || embeddingBatchConfigFromEnv();
+    const allEmbeddings = cache ? await cache.getMany(texts, provider) : texts.map(() => null);
+    const missing = texts.map((text, idx) => idx).filter(idx => !allEmbeddings[idx]);
+    const cachedCount = texts.length - missing.length;
+
+    console.log(`🧮 Generating embeddings for ${missing.length} chunks using ${provider.name} ${provider.embeddingModelName}${cache ? ` (${cachedCount} cached)` : ''}...`);
+    if (options.onProgress && cachedCount > 0) {
+      await options.onProgress(cachedCount, texts.length);
+    }
+
+    const batchSize = Math.min(batching.batchSize, provider.maxBatchSize || Infinity);
+    const batches = [];
+    for (let i = 0; i < missing.length; i += batchSize) {
+      batches.push(missing.slice(i, i + batchSize));
+    }
+
+    const retry = fn => withRetry(fn, retryOptions(batching, options.sleep));
+    const failures = [];
+    let embeddedCount = cachedCount;
+    let batchesDone = 0;
+    // Set once the provider is still failing after every retry: it is down
+    // or over its limit, and further requests would fail the same way
+    let stoppedBy = null;
+
+    const embed = async (indices) => {
+      const vectors = await retry(() => provider.embedDocuments(indices.map(idx => texts[idx])));
+      if (!Array.isArray(vectors) || vectors.length !== indices.length) {
+        throw new Error(`Expected ${indices.length} embeddings, got ${Array.isArray(vectors) ? vectors.length : 'none'}`);
       }
+      return vectors;
+    };
+
+    const store = async (indices, vectors) => {
+      indices.forEach((idx, j) => { allEmbeddings[idx] = vectors[j]; });
+      if (cache) {
+        await cache.setMany(indices.map(idx => texts[idx]), vectors, provider);
+      }
+      embeddedCount += indices.length;
+      if (options.onProgress) {
+        await options.onProgress(embeddedCount, texts.length);
+      }
+    };
+
+    const fail = (indices, error) => {
+      indices.forEach(idx => failures.push({ index: idx, error: error.message }));
+      if (isRetryableError(error)) {
+        stoppedBy = stoppedBy || error;
+      }
+    };
+
+    await mapWithConcurrency(batches, batching.concurrency, async (batch) => {
+      if (stoppedBy) {
+        return;
+      }
+
+      let vectors = null;
+      try {
+        vectors = await embed(batch);
+      } catch (error) {
+        if (batch.length === 1 || isRetryableError(error)) {
+          fail(batch, error);
+          return;
+        }
+        // The provider rejected something in this batch; find out what
+        console.warn(`  ⚠️  Batch of ${batch.length} rejected (${error.message}); embedding its chunks one by one`);
+        for (const idx of batch) {
+          if (stoppedBy) {
+            return;
+          }
+          try {
+            await store([idx], await embed([idx]));
+          } catch (chunkError) {
+            fail([idx], chunkError);
+          }
+        }
+        return;
+      }
+
+      await store(batch, vectors);
+      console.log(`  ✓ Processed batch ${++batchesDone}/${batches.length}`);
+    });
+
+    // Chunks never sent because the provider stopped answering
+    if (stoppedBy) {
+      const reported = new Set(failures.map(failure => failure.index));
+      missing
+        .filter(idx => !allEmbeddings[idx] && !reported.has(idx))
+        .forEach(idx => failures.push({ index: idx, error: `Not attempted: ${stoppedBy.message}` }));
+    }
+
+    if (failures.length > 0) {
+      failures.sort((a, b) => a.index - b.index);
+      const message = `Failed to generate embeddings: ${failures[0].error} (${failures.length} of ${texts.length} chunks failed)`;
+      console.error(`❌ ${message}`);
+      throw new EmbeddingError(message, { failures, embeddings: allEmbeddings });
     }
 
-    console.log(`✅ Generated ${allEmbeddings.length} embeddings`);
-    console.log(`   Embedding dimension: ${allEmbeddings[0].length}`);
+    console.log(`✅ Generated ${missing.length} embeddings${cachedCount > 0 ? `, ${cachedCount} from cache` : ''}`);
+    console.log(`   Embedding dimension: ${allEmbeddings[0]?.length || 0}`);
 
     return allEmbeddings;
 
   } catch (error) {
+    if (error instanceof EmbeddingError) {
+      throw error;
+    }
     console.error('❌ Error generating embeddings:', error.message);
     throw new Error('Failed to generate embeddings: ' + error.message);
   }
 }
 
 /**
- * Generate embedding for a single text (optimized for questions)
+ * Generate embedding for a single text (optimized for questions). Retried
+ * like document batches when the provider is rate-limited or failing.
  * @param {string} text - Single text to embed
+ * @param {Object} provider - Embedding provider (defaults to the configured one)
+ * @param {Object} [options]
+ * @param {Object|null} [options.cache] - Embedding cache (defaults to the shared one)
+ * @param {Object} [options.batching] - embeddingBatchConfigFromEnv() result
+ * @param {Function} [options.sleep] - async (ms) between retries (for tests)
  * @returns {Promise<Array<number>>} Embedding vector
  */
-async function generateSingleEmbedding(text) {
+async function generateSingleEmbedding(text, provider = getProviders().embeddingProvider, options = {}) {
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-embedding-001' });
-    const result = await model.embedContent(text);
-    return result.embedding.values;
+    const cache = options.cache === undefined ? sharedCache : options.cache;
+    const [cached] = cache ? await cache.getMany([text], provider) : [null];
+    if (cached) {
+      return cached;
+    }
+
+    const batching = options.batching || embeddingBatchConfigFromEnv();
+    const embedding = await withRetry(() => provider.embedQuery(text), retryOptions(batching, options.sleep));
+    if (cache) {
+      await cache.setMany([text], [embedding], provider);
+    }
+    return embedding;
   } catch (error) {
     console.error('❌ Error generating single embedding:', error.message);
     throw new Error('Failed to generate embedding: ' + error.message);
@@ -74,7 +262,7 @@ async function generateSingleEmbedding(text) {
  * Calculate cosine similarity between two vectors
  * @param {Array<number>} vecA 
  * @param {Array<number>} vecB 
- * @returns {number} Similarity score (0-1)
+ * @returns {number} Similarity score (-1 to 1; 0 when either vector is zero)
  */
 function cosineSimilarity(vecA, vecB) {
   if (vecA.length !== vecB.length) {
@@ -91,18 +279,21 @@ function cosineSimilarity(vecA, vecB) {
     normB += vecB[i] * vecB[i];
   }
 
+  // A zero vector points nowhere; treat it as unrelated rather than NaN
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
   const similarity = dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
   return similarity;
 }
 
-/**
- * Get embedding model info
- */
-
-
 module.exports = {
+  EmbeddingError,
+  embeddingBatchConfigFromEnv,
+  setEmbeddingCache,
+  getEmbeddingCache,
   generateEmbeddings,
   generateSingleEmbedding,
   cosineSimilarity,
-  
 };
\ No newline at end of file
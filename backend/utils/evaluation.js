@@ -0,0 +1,240 @@
+// backend/utils/evaluation.js
+// Offline evaluation against a golden Q&A set: ingest the dataset's
+// documents, answer its questions through the normal pipeline and score
+// retrieval (recall@k, MRR), citations and answers
+
+const fs = require('fs');
+const path = require('path');
+
+const { ingestDocument } = require('./ingestion');
+const { chunkingConfigFromEnv, resolveChunking } = require('./chunker');
+const { answerQuestion } = require('./ragPipeline');
+const { CITATION_PATTERN, checkCitations } = require('./citations');
+const { contentTerms, stem } = require('./textUtils');
+
+// Summary metrics, in report order; all are between 0 and 1, higher is better
+const METRICS = ['recallAtK', 'mrr', 'citationAccuracy', 'answerSimilarity', 'groundedness'];
+
+/**
+ * Read a golden dataset. Document paths are resolved against the file.
+ * @param {string} file - JSON: {name, documents: [{id, path, chunking?}],
+ *   questions: [{id, question, expectedAnswer, expectedPages, documents?}]};
+ *   a document's chunking is a strategy name, questions without documents
+ *   are asked across all of them
+ * @returns {Object} The dataset, with absolute document paths
+ */
+function loadDataset(file) {
+  const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(dataset.documents) || !Array.isArray(dataset.questions)) {
+    throw new Error(`${file}: a dataset needs "documents" and "questions" arrays`);
+  }
+
+  return {
+    ...dataset,
+    name: dataset.name || path.basename(file, '.json'),
+    documents: dataset.documents.map(doc => ({
+      ...doc,
+      path: path.resolve(path.dirname(file), doc.path),
+    })),
+  };
+}
+
+/**
+ * Whether a chunk or source lies on one of the expected pages. Pages match
+ * by number or by printed label, so "iv" and 4 can both be expected.
+ * @param {Object} location - {page, pageLabel}
+ * @param {Array<number|string>} expectedPages
+ * @returns {boolean}
+ */
+function onExpectedPage(location, expectedPages) {
+  const expected = new Set(expectedPages.map(page => String(page).toLowerCase()));
+  return [location.page, location.pageLabel]
+    .filter(value => value != null)
+    .some(value => expected.has(String(value).toLowerCase()));
+}
+
+/**
+ * Retrieval scores for one question
+ * @param {Array} chunks - Retrieved chunks, best first
+ * @param {Array<number|string>} expectedPages
+ * @returns {{recall: number, reciprocalRank: number, retrievedPages: Array}}
+ *   recall is the share of expected pages among the chunks; reciprocalRank
+ *   is 1 / rank of the first chunk on an expected page (0 when none is)
+ */
+function retrievalScores(chunks, expectedPages) {
+  const locations = chunks.map(chunk => ({ page: chunk.metadata?.page, pageLabel: chunk.metadata?.pageLabel }));
+  const found = expectedPages.filter(page => locations.some(location => onExpectedPage(location, [page])));
+  const firstHit = locations.findIndex(location => onExpectedPage(location, expectedPages));
+
+  return {
+    recall: expectedPages.length > 0 ? found.length / expectedPages.length : 0,
+    reciprocalRank: firstHit === -1 ? 0 : 1 / (firstHit + 1),
+    retrievedPages: locations.map(location => location.pageLabel ?? location.page ?? null),
+  };
+}
+
+/**
+ * Share of an answer's citations that name a retrieved source on an expected
+ * page. An answer that cites nothing scores 0.
+ * @param {string} answer
+ * @param {Array} sources - formatSources() output
+ * @param {Array<number|string>} expectedPages
+ * @returns {number}
+ */
+function citationAccuracy(answer, sources, expectedPages) {
+  const { items } = checkCitations(answer, sources);
+  if (items.length === 0) {
+    return 0;
+  }
+
+  const accurate = items.filter(item => item.valid && onExpectedPage(sources[item.sourceNumber - 1], expectedPages));
+  return accurate.length / items.length;
+}
+
+/**
+ * Token F1 between an answer and the expected answer, on stemmed content
+ * terms with citations left out
+ * @param {string} answer
+ * @param {string} expected
+ * @returns {number} Between 0 and 1
+ */
+function answerSimilarity(answer, expected) {
+  const terms = text => contentTerms((text || '').replace(CITATION_PATTERN, ' ')).map(stem);
+  const answerTerms = terms(answer);
+  const expectedTerms = terms(expected);
+  if (answerTerms.length === 0 || expectedTerms.length === 0) {
+    return 0;
+  }
+
+  // Count shared terms with multiplicity
+  const remaining = new Map();
+  expectedTerms.forEach(term => remaining.set(term, (remaining.get(term) || 0) + 1));
+  let shared = 0;
+  answerTerms.forEach(term => {
+    if (remaining.get(term) > 0) {
+      shared++;
+      remaining.set(term, remaining.get(term) - 1);
+    }
+  });
+  if (shared === 0) {
+    return 0;
+  }
+
+  const precision = shared / answerTerms.length;
+  const recall = shared / expectedTerms.length;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+/**
+ * Run a golden dataset through chunk → embed → retrieve → answer
+ * @param {Object} dataset - loadDataset() result
+ * @param {Object} options
+ * @param {Object} options.vectorStore - Should start empty; documents are ingested into it
+ * @param {Object} options.chatProvider
+ * @param {Object} options.embeddingProvider
+ * @param {number} [options.topK] - Chunks retrieved per question (the k in recall@k)
+ * @param {Object} [options.chunking] - See resolveChunking(); a document's
+ *   own strategy in the dataset wins. The configured default when omitted.
+ * @param {Object} [options.retrieval] - See retrieveChunks()
+ * @param {Object} [options.grounding] - See checkGrounding()
+ * @returns {Promise<Object>} Report: {dataset, config, documents, summary, questions}
+ */
+async function runEvaluation(dataset, { vectorStore, chatProvider, embeddingProvider, topK = 3, chunking, retrieval, grounding }) {
+  const startedAt = Date.now();
+  const chunkingConfig = chunkingConfigFromEnv();
+  const documents = [];
+
+  for (const doc of dataset.documents) {
+    await vectorStore.saveDocument({
+      _id: doc.id,
+      filename: path.basename(doc.path),
+      status: 'pending',
+      uploadedAt: new Date(),
+    });
+    const ingested = await ingestDocument({
+      vectorStore,
+      embeddingProvider,
+      docId: doc.id,
+      buffer: fs.readFileSync(doc.path),
+      filename: doc.path,
+      chunking: doc.chunking ? resolveChunking(doc.chunking, chunkingConfig) : chunking || resolveChunking(null, chunkingConfig),
+    });
+    documents.push({ id: doc.id, chunking: ingested.chunking, chunkCount: ingested.chunkCount });
+  }
+
+  const questions = [];
+  for (const item of dataset.questions) {
+    const result = await answerQuestion({
+      vectorStore,
+      chatProvider,
+      embeddingProvider,
+      docIds: item.documents || dataset.documents.map(doc => doc.id),
+      question: item.question,
+      topK,
+      retrieval,
+      grounding,
+    });
+    const { recall, reciprocalRank, retrievedPages } = retrievalScores(result.chunks, item.expectedPages);
+
+    questions.push({
+      id: item.id,
+      question: item.question,
+      expectedPages: item.expectedPages,
+      retrievedPages,
+      answer: result.answer,
+      recallAtK: recall,
+      mrr: reciprocalRank,
+      citationAccuracy: citationAccuracy(result.answer, result.sources, item.expectedPages),
+      answerSimilarity: answerSimilarity(result.answer, item.expectedAnswer),
+      groundedness: result.grounding.score ?? 0,
+    });
+  }
+
+  return {
+    dataset: dataset.name,
+    createdAt: new Date().toISOString(),
+    durationMs: Date.now() - startedAt,
+    config: {
+      chatModel: chatProvider.chatModelName,
+      embeddingModel: embeddingProvider.embeddingModelName,
+      topK,
+      retrieval: retrieval || null,
+      grounding: grounding || null,
+    },
+    documents,
+    summary: {
+      questionCount: questions.length,
+      ...Object.fromEntries(METRICS.map(metric => [metric, mean(questions.map(q => q[metric]))])),
+    },
+    questions,
+  };
+}
+
+/**
+ * Metric changes between two reports
+ * @param {Object} previous - Earlier report
+ * @param {Object} current
+ * @returns {Array<{metric: string, previous: number, current: number, delta: number}>}
+ */
+function compareReports(previous, current) {
+  return METRICS
+    .filter(metric => previous.summary?.[metric] != null)
+    .map(metric => ({
+      metric,
+      previous: previous.summary[metric],
+      current: current.summary[metric],
+      delta: current.summary[metric] - previous.summary[metric],
+    }));
+}
+
+module.exports = {
+  METRICS,
+  loadDataset,
+  retrievalScores,
+  citationAccuracy,
+  answerSimilarity,
+  runEvaluation,
+  compareReports,
+};
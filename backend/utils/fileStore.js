@@ -0,0 +1,127 @@
+// backend/utils/fileStore.js
+// Original uploaded files, kept so the frontend can show them: in GridFS
+// next to the Atlas store, or in a directory on local disk
+
+const fs = require('fs');
+const path = require('path');
+const { GridFSBucket } = require('mongodb');
+
+/**
+ * Files as <dir>/<docId>
+ */
+class DiskFileStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding the files
+   */
+  constructor({ dir }) {
+    this.dir = dir;
+    this.name = 'disk';
+  }
+
+  filePath(docId) {
+    // Document ids are generated by the server, but never trust a path
+    return path.join(this.dir, encodeURIComponent(docId));
+  }
+
+  /**
+   * Store a file, replacing any earlier one
+   * @param {string} docId
+   * @param {Buffer} buffer
+   */
+  async save(docId, buffer) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this.filePath(docId), buffer);
+  }
+
+  /**
+   * Open a stored file
+   * @param {string} docId
+   * @returns {Promise<{stream: ReadableStream, length: number}|null>} null when not stored
+   */
+  async open(docId) {
+    try {
+      const { size } = await fs.promises.stat(this.filePath(docId));
+      return { stream: fs.createReadStream(this.filePath(docId)), length: size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} docId
+   */
+  async delete(docId) {
+    await fs.promises.rm(this.filePath(docId), { force: true });
+  }
+}
+
+/**
+ * Files in a GridFS bucket, keyed by document id
+ */
+class GridFSFileStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - MongoDB Db
+   * @param {string} [options.bucketName]
+   */
+  constructor({ db, bucketName = 'uploads' }) {
+    this.bucket = new GridFSBucket(db, { bucketName });
+    this.name = 'gridfs';
+  }
+
+  async save(docId, buffer, { filename, contentType } = {}) {
+    await this.delete(docId);
+    await new Promise((resolve, reject) => {
+      const upload = this.bucket.openUploadStreamWithId(docId, filename || docId, { metadata: { contentType } });
+      upload.once('finish', resolve);
+      upload.once('error', reject);
+      upload.end(buffer);
+    });
+  }
+
+  async open(docId) {
+    const [file] = await this.bucket.find({ _id: docId }).limit(1).toArray();
+    if (!file) return null;
+    return { stream: this.bucket.openDownloadStream(docId), length: file.length };
+  }
+
+  async delete(docId) {
+    try {
+      await this.bucket.delete(docId);
+    } catch (error) {
+      if (!/file not found/i.test(error.message)) throw error;
+    }
+  }
+}
+
+/**
+ * Create the file store selected by configuration.
+ *   FILE_STORE  - gridfs (default with the atlas vector store) | disk (default otherwise)
+ *   UPLOADS_DIR - directory for the disk store (default ./data/uploads)
+ * @param {Object} vectorStore - Its database hosts the GridFS bucket
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {DiskFileStore|GridFSFileStore}
+ */
+function createFileStore(vectorStore, env = process.env) {
+  const type = (env.FILE_STORE || (vectorStore.name === 'mongodb' ? 'gridfs' : 'disk')).toLowerCase();
+
+  switch (type) {
+    case 'gridfs':
+      if (vectorStore.name !== 'mongodb') {
+        throw new Error('FILE_STORE=gridfs needs the atlas vector store');
+      }
+      return new GridFSFileStore({ db: vectorStore.db });
+    case 'disk':
+      return new DiskFileStore({ dir: env.UPLOADS_DIR || './data/uploads' });
+    default:
+      throw new Error(`Unknown file store "${type}". Expected one of: gridfs, disk`);
+  }
+}
+
+module.exports = {
+  DiskFileStore,
+  GridFSFileStore,
+  createFileStore,
+};
@@ -0,0 +1,182 @@
+// backend/utils/grounding.js
+// Grounding check after generation: split the answer into claims (its
+// sentences) and check each against the excerpts the model was given
+
+const { CITATION_PATTERN } = require('./citations');
+const { contentTerms, claimSupport, splitSentences } = require('./textUtils');
+
+const GROUNDING_CHECKS = ['lexical', 'llm', 'none'];
+
+// Sentences with fewer content terms ("Yes.", "In short:") claim nothing
+const MIN_CLAIM_TERMS = 2;
+
+// Statements about the excerpts themselves rather than about the subject,
+// e.g. the "not in the provided excerpts" reply the prompt asks for
+const NOT_A_CLAIM = /\bnot (?:in|mentioned in|covered by|found in) the (?:provided )?(?:excerpts?|documents?|sources?)\b|\bno relevant information\b|\b(?:excerpts?|documents?|sources?) (?:do(?:es)? not|don't) (?:say|mention|cover|specify)\b/i;
+
+// Markdown list, quote and heading markers in front of a sentence
+const BLOCK_MARKERS = /^(?:(?:[-*+>]|#{1,6}|\d+[.)])\s+)+/;
+
+// A citation with the space in front of it, left out of claim text
+const SPACED_CITATION = new RegExp(`\\s*${CITATION_PATTERN.source}`, 'gi');
+
+// Excerpt text shown to the LLM judge
+const MAX_JUDGE_PASSAGE_CHARS = 800;
+
+/**
+ * Grounding settings from configuration.
+ *   GROUNDING_CHECK     - lexical (default) | llm | none
+ *   GROUNDING_THRESHOLD - support score a claim needs, 0 to 1 (default 0.6)
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {{method: string, threshold: number}}
+ */
+function groundingConfigFromEnv(env = process.env) {
+  const method = (env.GROUNDING_CHECK || 'lexical').toLowerCase();
+  if (!GROUNDING_CHECKS.includes(method)) {
+    throw new Error(`Unknown grounding check "${method}". Expected one of: ${GROUNDING_CHECKS.join(', ')}`);
+  }
+
+  return {
+    method,
+    threshold: env.GROUNDING_THRESHOLD ? parseFloat(env.GROUNDING_THRESHOLD) : 0.6,
+  };
+}
+
+/**
+ * The claims an answer makes: its sentences, citations left out
+ * @param {string} answer
+ * @returns {Array<{text: string, start: number, end: number}>} start/end
+ *   locate the sentence in the answer (citations included), past any
+ *   Markdown list marker
+ */
+function splitClaims(answer) {
+  // Blank citations out rather than removing them, so offsets still point
+  // into the answer and a trailing "[Source 1]" does not open the next
+  // sentence. A citation not followed by a full stop ends the claim it backs
+  // (e.g. a quoted heading), so it becomes a line break.
+  const text = answer || '';
+  const masked = text.replace(CITATION_PATTERN, (match, _label, offset, text) =>
+    /^\s*[.!?]/.test(text.slice(offset + match.length))
+      ? ' '.repeat(match.length)
+      : '\n' + ' '.repeat(match.length - 1));
+
+  return splitSentences(masked)
+    .map(sentence => {
+      const start = sentence.start + (sentence.text.match(BLOCK_MARKERS)?.[0].length || 0);
+      const claim = text.slice(start, sentence.end).replace(SPACED_CITATION, '').replace(/\s+/g, ' ').trim();
+      return { text: claim, start, end: sentence.end };
+    })
+    .filter(sentence => contentTerms(sentence.text).length >= MIN_CLAIM_TERMS && !NOT_A_CLAIM.test(sentence.text));
+}
+
+/**
+ * Build the LLM judge prompt
+ * @param {Array<string>} claims
+ * @param {Array<string>} passages
+ * @returns {string}
+ */
+function buildGroundingPrompt(claims, passages) {
+  const excerpts = passages
+    .map((text, idx) => `[${idx + 1}] ${text.substring(0, MAX_JUDGE_PASSAGE_CHARS)}`)
+    .join('\n\n');
+  const numbered = claims.map((claim, idx) => `[${idx + 1}] ${claim}`).join('\n');
+
+  return `Check whether each claim is supported by the excerpts. Rate each claim from 0 (not supported, or contradicted) to 10 (stated directly in an excerpt).
+
+Excerpts:
+${excerpts}
+
+Claims:
+${numbered}
+
+Reply with ONLY a JSON array of ${claims.length} numbers, one per claim, in order.`;
+}
+
+/**
+ * Scoring functions by check name. Each returns one {score, sourceNumber}
+ * per claim; score is between 0 and 1.
+ */
+const CHECKERS = {
+  lexical: async (claims, passages) => claims.map(claim => {
+    let best = { score: 0, sourceNumber: null };
+    passages.forEach((text, idx) => {
+      const score = claimSupport(claim, text);
+      if (score > best.score) {
+        best = { score, sourceNumber: idx + 1 };
+      }
+    });
+    return best;
+  }),
+
+  llm: async (claims, passages, { chatProvider }) => {
+    const reply = await chatProvider.generateText(buildGroundingPrompt(claims, passages), {
+      task: 'grounding',
+      claims,
+      passages,
+    });
+
+    const match = (reply || '').match(/\[[\s\S]*?\]/);
+    const ratings = match ? JSON.parse(match[0]) : null;
+    if (!Array.isArray(ratings) || ratings.length !== claims.length || !ratings.every(Number.isFinite)) {
+      throw new Error(`Unusable support ratings: ${(reply || '').substring(0, 100)}`);
+    }
+    return ratings.map(rating => ({ score: Math.min(Math.max(rating / 10, 0), 1), sourceNumber: null }));
+  },
+};
+
+/**
+ * Check how well an answer is grounded in the excerpts it was generated from
+ * @param {string} answer
+ * @param {Array<string>} passages - Excerpt texts, in source order
+ * @param {Object} [options]
+ * @param {Object} [options.grounding] - See groundingConfigFromEnv()
+ * @param {Object} [options.chatProvider] - For the llm check
+ * @returns {Promise<Object>} {method, threshold, score, unsupportedCount,
+ *   claims}; claims are splitClaims() entries plus {score, status,
+ *   sourceNumber}, status being 'supported' or 'unsupported'. score is the
+ *   share of claims supported, null when the answer makes none.
+ */
+async function checkGrounding(answer, passages, { grounding = groundingConfigFromEnv(), chatProvider } = {}) {
+  const claims = grounding.method === 'none' ? [] : splitClaims(answer);
+  let method = grounding.method;
+  let results = [];
+
+  if (claims.length > 0) {
+    const texts = claims.map(claim => claim.text);
+    try {
+      results = await CHECKERS[method](texts, passages, { chatProvider });
+    } catch (error) {
+      console.error(`⚠️  ${method} grounding check failed, using lexical:`, error.message);
+      method = 'lexical';
+      results = await CHECKERS.lexical(texts, passages);
+    }
+  }
+
+  const checked = claims.map((claim, idx) => ({
+    ...claim,
+    score: results[idx].score,
+    status: results[idx].score >= grounding.threshold ? 'supported' : 'unsupported',
+    sourceNumber: results[idx].sourceNumber,
+  }));
+  const unsupportedCount = checked.filter(claim => claim.status === 'unsupported').length;
+
+  if (checked.length > 0) {
+    console.log(`🔍 Grounding (${method}): ${checked.length - unsupportedCount} of ${checked.length} claim(s) supported`);
+  }
+
+  return {
+    method,
+    threshold: grounding.threshold,
+    score: checked.length > 0 ? (checked.length - unsupportedCount) / checked.length : null,
+    unsupportedCount,
+    claims: checked,
+  };
+}
+
+module.exports = {
+  GROUNDING_CHECKS,
+  groundingConfigFromEnv,
+  splitClaims,
+  buildGroundingPrompt,
+  checkGrounding,
+};
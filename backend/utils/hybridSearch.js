@@ -0,0 +1,162 @@
+// backend/utils/hybridSearch.js
+// Hybrid retrieval: vector and BM25 keyword results combined with
+// reciprocal rank fusion (RRF)
+
+const { cosineSimilarity } = require('./embeddings');
+
+const RETRIEVAL_MODES = ['hybrid', 'vector', 'keyword'];
+
+/**
+ * Retrieval settings from configuration.
+ *   RETRIEVAL_MODE        - hybrid (default) | vector | keyword
+ *   HYBRID_VECTOR_WEIGHT  - weight of the vector ranking in fusion (default 1)
+ *   HYBRID_KEYWORD_WEIGHT - weight of the keyword ranking in fusion (default 1)
+ *   RRF_K                 - rank constant; larger flattens the fusion (default 60)
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {{mode: string, vectorWeight: number, keywordWeight: number, rrfK: number}}
+ */
+function retrievalConfigFromEnv(env = process.env) {
+  const mode = (env.RETRIEVAL_MODE || 'hybrid').toLowerCase();
+  if (!RETRIEVAL_MODES.includes(mode)) {
+    throw new Error(`Unknown retrieval mode "${mode}". Expected one of: ${RETRIEVAL_MODES.join(', ')}`);
+  }
+
+  const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value === undefined || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+  };
+
+  return {
+    mode,
+    vectorWeight: number(env.HYBRID_VECTOR_WEIGHT, 1),
+    keywordWeight: number(env.HYBRID_KEYWORD_WEIGHT, 1),
+    rrfK: number(env.RRF_K, 60),
+  };
+}
+
+const resultKey = (result) => `${result.docId}:${result.chunkIndex}`;
+
+/**
+ * Reciprocal rank fusion: each list adds weight / (k + rank) to the items it
+ * contains, so items ranked well by several lists rise to the top
+ * @param {Array<Array<{docId: string, chunkIndex: number}>>} rankings - Best first
+ * @param {Object} [options]
+ * @param {Array<number>} [options.weights] - One per ranking (default 1)
+ * @param {number} [options.k] - Rank constant
+ * @returns {Array<{key: string, score: number, ranks: Array<number|null>}>} Best first
+ */
+function reciprocalRankFusion(rankings, { weights = [], k = 60 } = {}) {
+  const fused = new Map();
+
+  rankings.forEach((ranking, listIdx) => {
+    const weight = weights[listIdx] ?? 1;
+    ranking.forEach((result, idx) => {
+      const key = resultKey(result);
+      if (!fused.has(key)) {
+        fused.set(key, { key, score: 0, ranks: rankings.map(() => null) });
+      }
+      const entry = fused.get(key);
+      entry.score += weight / (k + idx + 1);
+      entry.ranks[listIdx] = idx + 1;
+    });
+  });
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Retrieve chunks by vector similarity, keywords or both. Every result
+ * reports both its vector and keyword score, whichever list found it.
+ * @param {Object} vectorStore
+ * @param {Object} options
+ * @param {string} options.query - Query text (for keywords)
+ * @param {Array<number>} options.queryEmbedding - Query vector
+ * @param {Array<string>|null} [options.docIds] - Documents to search; null for all
+ * @param {Array<string>} [options.vectorDocIds] - The ones to search by
+ *   vector too (default: all of docIds); the others are searched by keyword
+ *   only, in every mode, and get no vector score, e.g. when embedded with
+ *   another model
+ * @param {Object} [options.access] - Only chunks this user may see (see accessFilter())
+ * @param {number} [options.topK]
+ * @param {Object} [options.retrieval] - See retrievalConfigFromEnv()
+ * @returns {Promise<Array>} [{docId, chunkIndex, text, metadata, score,
+ *   vectorScore, keywordScore, vectorRank, keywordRank}]; score is the
+ *   fused RRF score in hybrid mode, and in vector mode when keyword-only
+ *   documents were searched too, otherwise the single method's score
+ */
+async function hybridSearch(vectorStore, { query, queryEmbedding, docIds, vectorDocIds = docIds, access, topK = 5, retrieval = retrievalConfigFromEnv() }) {
+  const { mode, vectorWeight, keywordWeight, rrfK } = retrieval;
+  // Fusion needs more than topK candidates from each side to work with
+  const candidates = mode === 'hybrid' ? Math.max(topK * 4, 20) : topK;
+  const searchByVector = mode !== 'keyword' && !(Array.isArray(vectorDocIds) && vectorDocIds.length === 0);
+  const comparable = chunk => vectorDocIds === docIds || vectorDocIds.includes(chunk.docId);
+  // Vector mode still searches the documents left out of vector search, by
+  // keyword, so they are not silently missing from the results
+  const keywordOnlyDocIds = Array.isArray(docIds) && vectorDocIds !== docIds
+    ? docIds.filter(id => !vectorDocIds.includes(id))
+    : [];
+  const keywordDocIds = mode === 'vector' ? keywordOnlyDocIds : docIds;
+  const searchByKeyword = mode !== 'vector' || keywordOnlyDocIds.length > 0;
+
+  const [vectorResults, keywordResults] = await Promise.all([
+    searchByVector ? vectorStore.search(queryEmbedding, { docIds: vectorDocIds, access, topK: candidates }) : [],
+    searchByKeyword ? vectorStore.keywordSearch(query, { docIds: keywordDocIds, access, topK: candidates }) : [],
+  ]);
+
+  const chunksByKey = new Map();
+  vectorResults.forEach((chunk, idx) => {
+    chunksByKey.set(resultKey(chunk), {
+      ...chunk,
+      vectorScore: chunk.score,
+      vectorRank: idx + 1,
+      keywordScore: null,
+      keywordRank: null,
+    });
+  });
+  keywordResults.forEach((chunk, idx) => {
+    const { embedding, ...rest } = chunk;
+    const known = chunksByKey.get(resultKey(chunk));
+    if (known) {
+      known.keywordScore = chunk.score;
+      known.keywordRank = idx + 1;
+    } else {
+      chunksByKey.set(resultKey(chunk), {
+        ...rest,
+        // Keyword-only hits get their similarity computed here
+        vectorScore: Array.isArray(embedding) && queryEmbedding && embedding.length === queryEmbedding.length && comparable(chunk)
+          ? cosineSimilarity(queryEmbedding, embedding)
+          : null,
+        vectorRank: null,
+        keywordScore: chunk.score,
+        keywordRank: idx + 1,
+      });
+    }
+  });
+
+  let results;
+  if (mode === 'hybrid' || (mode === 'vector' && keywordResults.length > 0)) {
+    results = reciprocalRankFusion([vectorResults, keywordResults], {
+      weights: mode === 'hybrid' ? [vectorWeight, keywordWeight] : [1, 1],
+      k: rrfK,
+    }).map(({ key, score }) => ({ ...chunksByKey.get(key), score }));
+  } else {
+    results = [...chunksByKey.values()];
+  }
+  results = results.slice(0, topK);
+
+  // Vector-only hits still report how well they match the keywords
+  const missing = results.filter(result => result.keywordScore === null);
+  if (missing.length > 0) {
+    const scores = await vectorStore.keywordScores(query, missing);
+    missing.forEach((result, idx) => { result.keywordScore = scores[idx]; });
+  }
+
+  return results;
+}
+
+module.exports = {
+  RETRIEVAL_MODES,
+  retrievalConfigFromEnv,
+  reciprocalRankFusion,
+  hybridSearch,
+};
@@ -0,0 +1,323 @@
+// backend/utils/ingestion.js
+// Document ingestion: extract → chunk → embed → store, reporting progress
+// and keeping the document record's status in step. Re-indexing runs the
+// same steps for a document that is already stored.
+
+const { loadDocument } = require('./loaders');
+const { chunkDocument, chunkingConfigFromEnv, resolveChunking } = require('./chunker');
+const { EmbeddingError, generateEmbeddings } = require('./embeddings');
+const { reusableEmbeddings } = require('./versions');
+const { embeddingSignature } = require('./reindex');
+
+// Share of the job's progress bar given to each stage
+const STAGES = {
+  extracting: { start: 0, end: 10 },
+  chunking: { start: 10, end: 15 },
+  embedding: { start: 15, end: 90 },
+  storing: { start: 90, end: 100 },
+};
+
+// Per-chunk errors kept on a failed document record
+const MAX_REPORTED_FAILURES = 20;
+
+/**
+ * Extract, chunk and embed a file: everything but storing the vectors.
+ * Chunks whose text already has an embedding from the same model (in
+ * `reuseFrom`, or checkpointed by an earlier failed attempt) are not
+ * embedded again. When embedding fails part-way, what was embedded is
+ * checkpointed and the error carries the failed record's fields as
+ * error.failure.
+ * @param {Object} options - See ingestDocument()
+ * @param {string} [options.reuseFrom] - Document whose stored chunk
+ *   embeddings may be reused
+ * @returns {Promise<Object>} {format, pages, totalPages, fullText, chunks,
+ *   embeddings, chunksReused, chunksResumed, embeddingModel, embeddingDimensions}
+ */
+async function buildIndex({ vectorStore, embeddingProvider, docId, buffer, mimetype, filename, chunking, reuseFrom, batching, onProgress }) {
+  // Step 1: Extract text with page (or section) information
+  await onProgress('extracting', STAGES.extracting.start);
+  console.log('📝 Extracting text...');
+  const { format, pages, totalPages, fullText } = await loadDocument(buffer, { mimetype, filename });
+  console.log(`✅ Extracted ${fullText.length} characters from ${totalPages} ${format === 'pdf' ? 'pages' : 'sections'} (${format})`);
+
+  // Step 2: Split into chunks with metadata
+  await onProgress('chunking', STAGES.chunking.start);
+  console.log(`✂️  Splitting into chunks (${chunking.strategy})...`);
+  const chunks = chunkDocument(pages, chunking);
+  console.log(`✅ Created ${chunks.length} chunks`);
+
+  // Step 3: Generate embeddings, advancing the bar batch by batch. A new
+  // version only embeds the chunks the previous one does not have, and a
+  // resumed ingestion only those its last attempt did not get to.
+  const { start, end } = STAGES.embedding;
+  const { model: embeddingModel, dimensions } = embeddingSignature(embeddingProvider);
+  const source = reuseFrom ? await vectorStore.getDocument(reuseFrom) : null;
+  const fromPrevious = reusableEmbeddings(
+    source,
+    source ? await vectorStore.getChunks(reuseFrom) : [],
+    embeddingModel,
+    dimensions,
+  );
+  const checkpoint = new Map(
+    [...await vectorStore.getCheckpoint(docId, embeddingModel)]
+      .filter(([, vector]) => !dimensions || vector.length === dimensions),
+  );
+  const reusable = new Map([...checkpoint, ...fromPrevious]);
+  const texts = chunks.map(c => c.text);
+  const toEmbedIndices = texts.map((text, idx) => idx).filter(idx => !reusable.has(texts[idx]));
+  const toEmbed = toEmbedIndices.map(idx => texts[idx]);
+  const chunksReused = texts.filter(text => fromPrevious.has(text)).length;
+  const chunksResumed = texts.length - toEmbed.length - chunksReused;
+  if (chunksReused > 0) {
+    console.log(`♻️  Reusing ${chunksReused} unchanged chunk embeddings from ${reuseFrom}`);
+  }
+  if (chunksResumed > 0) {
+    console.log(`⏯️  Resuming with ${chunksResumed} chunk embeddings from the last attempt`);
+  }
+
+  const alreadyEmbedded = chunksReused + chunksResumed;
+  await onProgress('embedding', start, { chunksTotal: texts.length, chunksEmbedded: alreadyEmbedded });
+  let fresh = [];
+  try {
+    if (toEmbed.length > 0) {
+      fresh = await generateEmbeddings(toEmbed, embeddingProvider, {
+        batching,
+        onProgress: (done, total) =>
+          onProgress('embedding', start + ((end - start) * done) / total, { chunksEmbedded: alreadyEmbedded + done }),
+      });
+    }
+  } catch (error) {
+    if (error instanceof EmbeddingError) {
+      error.failure = await checkpointEmbeddings(vectorStore, docId, { embeddingModel, checkpoint, toEmbed, toEmbedIndices }, error);
+    }
+    throw error;
+  }
+  let next = 0;
+  const embeddings = texts.map(text => reusable.get(text) || fresh[next++]);
+
+  return {
+    format,
+    pages,
+    totalPages,
+    fullText,
+    chunks,
+    embeddings,
+    chunksReused,
+    chunksResumed,
+    embeddingModel,
+    embeddingDimensions: embeddings[0]?.length || dimensions,
+  };
+}
+
+// Fields recorded on the document record once it is indexed
+function indexStats(built, chunking) {
+  return {
+    format: built.format,
+    chunking,
+    textLength: built.fullText.length,
+    chunkCount: built.chunks.length,
+    chunksReused: built.chunksReused,
+    chunksResumed: built.chunksResumed,
+    embeddingModel: built.embeddingModel,
+    embeddingDimensions: built.embeddingDimensions,
+    totalPages: built.totalPages,
+  };
+}
+
+/**
+ * Ingest an uploaded file into the vector store. The document record must
+ * already exist (status "pending"); it moves to "processing", then
+ * "processed" or "failed". When embedding fails part-way, the embeddings
+ * made so far are checkpointed and the record is marked resumable:
+ * ingesting it again only embeds the chunks that are missing.
+ * @param {Object} options
+ * @param {Object} options.vectorStore
+ * @param {Object} options.embeddingProvider
+ * @param {string} options.docId
+ * @param {Buffer} options.buffer - File contents
+ * @param {string} [options.mimetype] - Picks the loader (see utils/loaders)
+ * @param {string} [options.filename] - Picks the loader by extension otherwise
+ * @param {Object} [options.chunking] - See resolveChunking(); the configured default when omitted
+ * @param {string} [options.previousVersionId] - Document this one is a new
+ *   version of; chunks whose text is unchanged keep its embeddings
+ * @param {Object} [options.batching] - See embeddingBatchConfigFromEnv()
+ * @param {Function} [options.onProgress] - async (stage, percent, fields?)
+ * @returns {Promise<Object>} {docId, format, chunking, textLength, chunkCount,
+ *   chunksReused, chunksResumed, embeddingModel, embeddingDimensions, totalPages}
+ */
+async function ingestDocument({
+  vectorStore,
+  embeddingProvider,
+  docId,
+  buffer,
+  mimetype = 'application/pdf',
+  filename,
+  chunking = resolveChunking(null, chunkingConfigFromEnv()),
+  previousVersionId,
+  batching,
+  onProgress = async () => {},
+}) {
+  try {
+    await vectorStore.updateDocument(docId, { status: 'processing' });
+
+    const built = await buildIndex({
+      vectorStore,
+      embeddingProvider,
+      docId,
+      buffer,
+      mimetype,
+      filename,
+      chunking,
+      reuseFrom: previousVersionId,
+      batching,
+      onProgress,
+    });
+
+    // Step 4: Save vectors, unless the document was deleted meanwhile
+    await onProgress('storing', STAGES.storing.start);
+    const document = await vectorStore.getDocument(docId);
+    if (!document) {
+      throw new Error('Document was deleted during processing');
+    }
+    await vectorStore.saveText(docId, { fullText: built.fullText, pages: built.pages });
+    const storedCount = await vectorStore.addDocuments(docId, built.chunks, built.embeddings, {
+      ownerId: document.ownerId,
+      workspaceId: document.workspaceId,
+      embeddingModel: built.embeddingModel,
+    });
+    console.log(`✅ ${storedCount} vectors stored`);
+
+    const stats = indexStats(built, chunking);
+    await vectorStore.updateDocument(docId, { ...stats, status: 'processed', processedAt: new Date(), indexedAt: new Date() });
+    await vectorStore.deleteCheckpoint(docId);
+
+    return { docId, ...stats };
+  } catch (error) {
+    console.error(`❌ Error processing document ${docId}:`, error.message);
+    // Drop anything half-stored so a failed document never answers questions
+    await vectorStore.deleteVectors(docId).catch(() => {});
+    await vectorStore.updateDocument(docId, {
+      status: 'failed',
+      error: error.message,
+      ...(error.failure || { resumable: false }),
+    }).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Re-chunk and re-embed a processed document from its original file, e.g.
+ * after the embedding model or the chunking changed. The document keeps
+ * answering from its current vectors while the new ones are built; they
+ * then replace the old ones in one step (see VectorStore.replaceVectors()).
+ * Progress and the outcome are recorded on the record's `reindex` field;
+ * a failed re-index leaves the document as it was.
+ * @param {Object} options - Same as ingestDocument(), less previousVersionId
+ * @returns {Promise<Object>} Same as ingestDocument()
+ */
+async function reindexDocument({
+  vectorStore,
+  embeddingProvider,
+  docId,
+  buffer,
+  mimetype = 'application/pdf',
+  filename,
+  chunking = resolveChunking(null, chunkingConfigFromEnv()),
+  batching,
+  onProgress = async () => {},
+}) {
+  try {
+    await vectorStore.updateDocument(docId, { 'reindex.status': 'running', 'reindex.startedAt': new Date() });
+
+    // Chunks that come out the same keep their vectors, if the model did not change
+    const built = await buildIndex({
+      vectorStore,
+      embeddingProvider,
+      docId,
+      buffer,
+      mimetype,
+      filename,
+      chunking,
+      reuseFrom: docId,
+      batching,
+      onProgress,
+    });
+
+    await onProgress('storing', STAGES.storing.start);
+    const document = await vectorStore.getDocument(docId);
+    if (!document) {
+      throw new Error('Document was deleted during re-indexing');
+    }
+    const stats = indexStats(built, chunking);
+    const storedCount = await vectorStore.replaceVectors(docId, built.chunks, built.embeddings, {
+      ownerId: document.ownerId,
+      workspaceId: document.workspaceId,
+      embeddingModel: built.embeddingModel,
+      text: { fullText: built.fullText, pages: built.pages },
+      documentFields: {
+        ...stats,
+        indexedAt: new Date(),
+        'reindex.status': 'completed',
+        'reindex.error': null,
+        'reindex.finishedAt': new Date(),
+      },
+    });
+    console.log(`✅ Re-indexed ${docId}: ${storedCount} vectors (${built.embeddingModel}, ${built.embeddingDimensions} dimensions)`);
+    await vectorStore.deleteCheckpoint(docId);
+
+    return { docId, ...stats };
+  } catch (error) {
+    console.error(`❌ Error re-indexing document ${docId}:`, error.message);
+    // The document keeps its old index, so nothing of the new one is kept:
+    // no checkpoint and no staged vectors (with the embedding cache on,
+    // chunks embedded before the failure are not paid for again)
+    await vectorStore.deleteCheckpoint(docId).catch(() => {});
+    await vectorStore.deleteStagedVectors(docId).catch(() => {});
+    await vectorStore.updateDocument(docId, {
+      'reindex.status': 'failed',
+      'reindex.error': error.message,
+      'reindex.finishedAt': new Date(),
+    }).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Keep what a failed embedding step did get done
+ * @param {Object} vectorStore
+ * @param {string} docId
+ * @param {Object} embedding - {embeddingModel, checkpoint, toEmbed, toEmbedIndices}
+ * @param {EmbeddingError} error
+ * @returns {Promise<Object>} Fields for the failed document record:
+ *   {resumable, chunksCheckpointed, embeddingFailures: [{chunkIndex, error}]}
+ */
+async function checkpointEmbeddings(vectorStore, docId, { embeddingModel, checkpoint, toEmbed, toEmbedIndices }, error) {
+  const kept = new Map(checkpoint);
+  error.embeddings.forEach((vector, idx) => {
+    if (vector) {
+      kept.set(toEmbed[idx], vector);
+    }
+  });
+
+  let chunksCheckpointed = 0;
+  try {
+    chunksCheckpointed = await vectorStore.saveCheckpoint(docId, kept, embeddingModel);
+    console.log(`💾 Kept ${chunksCheckpointed} chunk embeddings of ${docId} for resuming`);
+  } catch (checkpointError) {
+    console.error(`⚠️  Could not checkpoint ${docId}:`, checkpointError.message);
+  }
+
+  return {
+    resumable: true,
+    chunksCheckpointed,
+    embeddingFailures: error.failures
+      .slice(0, MAX_REPORTED_FAILURES)
+      .map(failure => ({ chunkIndex: toEmbedIndices[failure.index], error: failure.error })),
+  };
+}
+
+module.exports = {
+  STAGES,
+  ingestDocument,
+  reindexDocument,
+};
@@ -0,0 +1,162 @@
+// backend/utils/jobQueue.js
+// In-process background job queue with job status documents.
+// Each job is a record in a MongoDB-style collection holding its stage,
+// percent and error, so clients can poll it or follow its "update" events.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.collection - Collection holding the job records
+   * @param {number} [options.concurrency] - Jobs run at the same time
+   */
+  constructor({ collection, concurrency = 1 }) {
+    super();
+    this.jobs = collection;
+    this.concurrency = concurrency;
+    this.waiting = [];
+    this.running = 0;
+  }
+
+  /**
+   * Fail jobs left queued or running by a previous process: their work
+   * (and any uploaded file held in memory) did not survive the restart.
+   * @returns {Promise<number>} Number of jobs marked failed
+   */
+  async recoverInterruptedJobs() {
+    const now = new Date();
+    const { modifiedCount } = await this.jobs.updateMany(
+      { status: { $in: ['queued', 'running'] } },
+      { $set: { status: 'failed', error: 'Interrupted by a server restart', finishedAt: now, updatedAt: now } },
+    );
+    if (modifiedCount > 0) {
+      console.log(`⚠️  Marked ${modifiedCount} interrupted job(s) as failed`);
+    }
+    return modifiedCount;
+  }
+
+  /**
+   * Queue a job
+   * @param {Object} fields - Extra fields stored on the job record (type, docId...)
+   * @param {Function} run - async (progress, job) => result. Call
+   *   progress(stage, percent, fields?) as work advances; the result is
+   *   stored on the job when it completes.
+   * @returns {Promise<Object>} The job record
+   */
+  async enqueue(fields, run) {
+    const now = new Date();
+    const job = {
+      _id: crypto.randomUUID(),
+      ...fields,
+      status: 'queued',
+      stage: 'queued',
+      percent: 0,
+      error: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    await this.jobs.insertOne(job);
+    this.emit('update', job);
+
+    this.waiting.push({ jobId: job._id, run });
+    this.drain();
+    return job;
+  }
+
+  /**
+   * @param {string} jobId
+   * @returns {Promise<Object|null>}
+   */
+  async getJob(jobId) {
+    return this.jobs.findOne({ _id: jobId });
+  }
+
+  /**
+   * Recent jobs, newest first
+   * @param {Object} [filter]
+   * @param {number} [limit]
+   * @returns {Promise<Array>}
+   */
+  async listJobs(filter = {}, limit = 50) {
+    return this.jobs.find(filter).sort({ createdAt: -1 }).limit(limit).toArray();
+  }
+
+  /**
+   * Update a job record and notify listeners
+   * @param {string} jobId
+   * @param {Object} fields
+   * @returns {Promise<Object>} The updated job
+   */
+  async update(jobId, fields) {
+    const job = await this.jobs.findOneAndUpdate(
+      { _id: jobId },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { returnDocument: 'after' },
+    );
+    if (job) {
+      this.emit('update', job);
+    }
+    return job;
+  }
+
+  /**
+   * Start waiting jobs while there is capacity
+   */
+  drain() {
+    while (this.running < this.concurrency && this.waiting.length > 0) {
+      const next = this.waiting.shift();
+      this.running++;
+      this.runJob(next).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async runJob({ jobId, run }) {
+    const progress = (stage, percent, fields = {}) =>
+      this.update(jobId, { stage, percent: Math.round(percent), ...fields });
+
+    try {
+      const job = await this.update(jobId, { status: 'running', startedAt: new Date() });
+      const result = await run(progress, job);
+      await this.update(jobId, {
+        status: 'completed',
+        stage: 'done',
+        percent: 100,
+        result: result ?? null,
+        finishedAt: new Date(),
+      });
+    } catch (error) {
+      console.error(`❌ Job ${jobId} failed:`, error.message);
+      await this.update(jobId, {
+        status: 'failed',
+        error: error.message,
+        finishedAt: new Date(),
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Resolve once no jobs are running or waiting (tests, shutdown)
+   * @returns {Promise<void>}
+   */
+  async idle() {
+    while (this.running > 0 || this.waiting.length > 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+}
+
+module.exports = {
+  FINISHED_STATUSES,
+  JobQueue,
+};
@@ -0,0 +1,27 @@
+// backend/utils/loaders/docx.js
+// Word (.docx) loader: mammoth converts the document to HTML, mapping the
+// built-in "Heading 1-6" styles to <h1>-<h6>, and the HTML loader takes it
+// from there
+
+const mammoth = require('mammoth');
+const { blocksToPages } = require('./sections');
+const { parseHtmlBlocks } = require('./html');
+
+/**
+ * @param {Buffer} buffer - .docx file
+ * @returns {Promise<Object>} {pages, totalPages, fullText}
+ */
+async function loadDocx(buffer) {
+  const { value: html, messages } = await mammoth.convertToHtml({ buffer });
+
+  const warnings = messages.filter(m => m.type === 'warning');
+  if (warnings.length > 0) {
+    console.log(`⚠️  DOCX conversion: ${warnings.length} warning(s), e.g. ${warnings[0].message}`);
+  }
+
+  return blocksToPages(parseHtmlBlocks(html));
+}
+
+module.exports = {
+  loadDocx,
+};
@@ -0,0 +1,116 @@
+// backend/utils/loaders/html.js
+// HTML loader: <h1>-<h6> start sections, block elements become paragraphs
+
+const { blocksToPages } = require('./sections');
+
+// Elements whose content is never document text
+const SKIPPED_ELEMENTS = ['script', 'style', 'noscript', 'template', 'head', 'svg'];
+
+// Elements that end a paragraph
+const BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'table', 'thead', 'tbody', 'tr',
+  'blockquote', 'pre', 'figure', 'figcaption', 'hr', 'body', 'html', 'form',
+]);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', reg: '®', trade: '™',
+};
+
+/**
+ * Decode character references (&amp;, &#39;, &#x2014;...)
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1].toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[ref.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Split HTML into heading and paragraph blocks
+ * @param {string} html
+ * @returns {Array<Object>} {type: 'heading', level, text} | {type: 'text', text}
+ */
+function parseHtmlBlocks(html) {
+  const skipped = SKIPPED_ELEMENTS.join('|');
+  const cleaned = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<![^>]*>|<\?[^>]*>/g, '')
+    .replace(new RegExp(`<(${skipped})\\b[\\s\\S]*?<\\/\\1\\s*>`, 'gi'), '');
+
+  const blocks = [];
+  let text = '';
+  let heading = null;
+  let preformatted = 0;
+
+  const flushText = () => {
+    const normalised = decodeEntities(text).replace(/[ \t\r\f\v]+/g, ' ').replace(/ *\n */g, '\n').trim();
+    if (normalised.length > 0) {
+      blocks.push({ type: 'text', text: normalised });
+    }
+    text = '';
+  };
+
+  const tagPattern = /<\/?([a-z][a-z0-9]*)\b[^>]*>|([^<]+)|(<)/gi;
+  let match;
+
+  while ((match = tagPattern.exec(cleaned)) !== null) {
+    const [token, tagName, content, strayBracket] = match;
+
+    if (content !== undefined || strayBracket !== undefined) {
+      const piece = content ?? strayBracket;
+      const value = preformatted > 0 ? piece : piece.replace(/\s+/g, ' ');
+      if (heading) heading.text += value;
+      else text += value;
+      continue;
+    }
+
+    const name = tagName.toLowerCase();
+    const closing = token[1] === '/';
+    const level = name.match(/^h([1-6])$/);
+
+    if (level) {
+      if (!closing) {
+        flushText();
+        heading = { type: 'heading', level: Number(level[1]), text: '' };
+      } else if (heading) {
+        heading.text = decodeEntities(heading.text).replace(/\s+/g, ' ').trim();
+        blocks.push(heading);
+        heading = null;
+      }
+    } else if (name === 'br') {
+      if (heading) heading.text += ' ';
+      else text += '\n';
+    } else if (BLOCK_ELEMENTS.has(name)) {
+      if (name === 'pre') preformatted += closing ? -1 : 1;
+      if (!heading) flushText();
+    } else if (name === 'td' || name === 'th') {
+      text += ' ';
+    }
+  }
+  flushText();
+
+  return blocks;
+}
+
+/**
+ * @param {Buffer} buffer - UTF-8 HTML
+ * @returns {Promise<Object>} {pages, totalPages, fullText}
+ */
+async function loadHtml(buffer) {
+  return blocksToPages(parseHtmlBlocks(buffer.toString('utf8')));
+}
+
+module.exports = {
+  decodeEntities,
+  parseHtmlBlocks,
+  loadHtml,
+};
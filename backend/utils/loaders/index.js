@@ -0,0 +1,92 @@
+// backend/utils/loaders/index.js
+// Loader registry: picks a loader for an upload by MIME type, falling back
+// to the file extension (browsers often send Markdown and other text
+// formats as "application/octet-stream" or no type at all)
+
+const path = require('path');
+const { loadPdf } = require('./pdf');
+const { loadDocx } = require('./docx');
+const { loadMarkdown } = require('./markdown');
+const { loadHtml } = require('./html');
+const { loadText } = require('./text');
+
+/**
+ * Every loader returns {pages, totalPages, fullText}. pages is the structure
+ * splitIntoChunksWithMetadata() consumes: {pageNumber, pageLabel, text,
+ * startChar, endChar}, plus {section, headingPath} for sectioned formats.
+ */
+const LOADERS = [
+  {
+    format: 'pdf',
+    mimeTypes: ['application/pdf'],
+    extensions: ['.pdf'],
+    load: loadPdf,
+  },
+  {
+    format: 'docx',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx'],
+    load: loadDocx,
+  },
+  {
+    format: 'markdown',
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['.md', '.markdown'],
+    load: loadMarkdown,
+  },
+  {
+    format: 'html',
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['.html', '.htm', '.xhtml'],
+    load: loadHtml,
+  },
+  {
+    format: 'text',
+    mimeTypes: ['text/plain'],
+    extensions: ['.txt', '.text'],
+    load: loadText,
+  },
+];
+
+const SUPPORTED_EXTENSIONS = LOADERS.flatMap(loader => loader.extensions);
+
+/**
+ * Find the loader for a file
+ * @param {Object} file
+ * @param {string} [file.mimetype]
+ * @param {string} [file.filename]
+ * @returns {Object|null} Loader entry, or null when the format is unsupported
+ */
+function getLoader({ mimetype, filename }) {
+  const type = (mimetype || '').split(';')[0].trim().toLowerCase();
+  const byType = LOADERS.find(loader => loader.mimeTypes.includes(type));
+  if (byType) {
+    return byType;
+  }
+
+  const extension = path.extname(filename || '').toLowerCase();
+  return LOADERS.find(loader => loader.extensions.includes(extension)) || null;
+}
+
+/**
+ * Load a file into pages
+ * @param {Buffer} buffer
+ * @param {Object} file - {mimetype, filename}
+ * @returns {Promise<Object>} {format, pages, totalPages, fullText}
+ */
+async function loadDocument(buffer, file) {
+  const loader = getLoader(file);
+  if (!loader) {
+    throw new Error(`Unsupported file type: ${file.filename || file.mimetype}`);
+  }
+
+  const loaded = await loader.load(buffer);
+  return { format: loader.format, ...loaded };
+}
+
+module.exports = {
+  LOADERS,
+  SUPPORTED_EXTENSIONS,
+  getLoader,
+  loadDocument,
+};
@@ -0,0 +1,100 @@
+// backend/utils/loaders/markdown.js
+// Markdown loader: ATX ("## Title") and setext headings start sections
+
+const { blocksToPages } = require('./sections');
+
+/**
+ * Plain text of a heading: drop emphasis, code ticks and link targets
+ * @param {string} text
+ * @returns {string}
+ */
+function stripInlineMarkdown(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]+/g, '')
+    .trim();
+}
+
+/**
+ * Split Markdown into heading and paragraph blocks
+ * @param {string} markdown
+ * @returns {Array<Object>} {type: 'heading', level, text} | {type: 'text', text}
+ */
+function parseMarkdownBlocks(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let fence = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'text', text: paragraph.join('\n') });
+      paragraph = [];
+    }
+  };
+
+  let start = 0;
+  // YAML front matter is metadata, not content
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end > 0) start = end + 1;
+  }
+
+  for (let i = start; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Fenced code is kept verbatim, blank lines included
+    const fenceMatch = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      paragraph.push(line);
+      if (fenceMatch && fenceMatch[1] === fence) {
+        fence = null;
+        flush();
+      }
+      continue;
+    }
+    if (fenceMatch) {
+      flush();
+      fence = fenceMatch[1];
+      paragraph.push(line);
+      continue;
+    }
+
+    const atx = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (atx) {
+      flush();
+      blocks.push({ type: 'heading', level: atx[1].length, text: stripInlineMarkdown(atx[2]) });
+      continue;
+    }
+
+    // Setext: a single paragraph line underlined with === or ---
+    const setext = line.match(/^\s{0,3}(=+|-+)\s*$/);
+    if (setext && paragraph.length === 1) {
+      blocks.push({ type: 'heading', level: setext[1][0] === '=' ? 1 : 2, text: stripInlineMarkdown(paragraph[0]) });
+      paragraph = [];
+      continue;
+    }
+
+    if (line.trim().length === 0) {
+      flush();
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+/**
+ * @param {Buffer} buffer - UTF-8 Markdown
+ * @returns {Promise<Object>} {pages, totalPages, fullText}
+ */
+async function loadMarkdown(buffer) {
+  return blocksToPages(parseMarkdownBlocks(buffer.toString('utf8')));
+}
+
+module.exports = {
+  parseMarkdownBlocks,
+  loadMarkdown,
+};
@@ -0,0 +1,16 @@
+// backend/utils/loaders/pdf.js
+// PDF loader: real pages and page labels (see pdfExtractor.js)
+
+const { extractPagesFromPDF } = require('../pdfExtractor');
+
+/**
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<Object>} {pages, totalPages, fullText}
+ */
+async function loadPdf(buffer) {
+  return extractPagesFromPDF(buffer);
+}
+
+module.exports = {
+  loadPdf,
+};
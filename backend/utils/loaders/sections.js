@@ -0,0 +1,93 @@
+// backend/utils/loaders/sections.js
+// Turns a flat list of heading and text blocks into the pages structure the
+// chunker consumes. Formats without real pages (Markdown, HTML, DOCX) get
+// one "page" per heading section, carrying the heading as citation metadata.
+
+const { PAGE_SEPARATOR } = require('../pdfExtractor');
+
+/**
+ * Group blocks into sections that start at each heading
+ * @param {Array<Object>} blocks - {type: 'heading', level, text} or {type: 'text', text}
+ * @returns {Array<{section: string|null, headingPath: Array<string>, text: string}>}
+ */
+function groupSections(blocks) {
+  const sections = [];
+  const headingStack = [];
+  let current = { section: null, headingPath: [], parts: [], hasBody: false };
+
+  const flush = () => {
+    // A heading directly followed by a sub-heading has no text of its own;
+    // its name lives on in the sub-section's heading path
+    if (current.hasBody) {
+      sections.push({
+        section: current.section,
+        headingPath: current.headingPath,
+        text: current.parts.join(PAGE_SEPARATOR),
+      });
+    }
+  };
+
+  for (const block of blocks) {
+    const text = block.text.trim();
+    if (text.length === 0) continue;
+
+    if (block.type === 'heading') {
+      flush();
+      while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= block.level) {
+        headingStack.pop();
+      }
+      headingStack.push({ level: block.level, text });
+      current = {
+        section: text,
+        headingPath: headingStack.map(h => h.text),
+        // The heading stays in the text so it is searchable
+        parts: [text],
+        hasBody: false,
+      };
+    } else {
+      current.parts.push(text);
+      current.hasBody = true;
+    }
+  }
+  flush();
+
+  return sections;
+}
+
+/**
+ * Build {pages, totalPages, fullText} from heading and text blocks
+ * @param {Array<Object>} blocks - See groupSections()
+ * @returns {Object} pages: Array of {pageNumber, pageLabel, section,
+ *   headingPath, text, startChar, endChar}
+ */
+function blocksToPages(blocks) {
+  const pages = [];
+  let currentPos = 0;
+
+  groupSections(blocks).forEach((section, idx) => {
+    if (idx > 0) {
+      currentPos += PAGE_SEPARATOR.length;
+    }
+
+    pages.push({
+      pageNumber: idx + 1,
+      pageLabel: String(idx + 1),
+      section: section.section,
+      headingPath: section.headingPath,
+      text: section.text,
+      startChar: currentPos,
+      endChar: currentPos + section.text.length,
+    });
+
+    currentPos += section.text.length;
+  });
+
+  const fullText = pages.map(p => p.text).join(PAGE_SEPARATOR);
+
+  return { pages, totalPages: pages.length, fullText };
+}
+
+module.exports = {
+  groupSections,
+  blocksToPages,
+};
@@ -0,0 +1,41 @@
+// backend/utils/loaders/text.js
+// Plain-text loader. Form feeds, where present, mark page breaks.
+
+const { PAGE_SEPARATOR } = require('../pdfExtractor');
+
+/**
+ * @param {Buffer} buffer - UTF-8 text
+ * @returns {Promise<Object>} {pages, totalPages, fullText}
+ */
+async function loadText(buffer) {
+  const pageTexts = buffer
+    .toString('utf8')
+    .replace(/\r\n?/g, '\n')
+    .split('\f')
+    .map(text => text.trim());
+
+  const pages = [];
+  let currentPos = 0;
+
+  pageTexts.forEach((text, idx) => {
+    if (idx > 0) {
+      currentPos += PAGE_SEPARATOR.length;
+    }
+    pages.push({
+      pageNumber: idx + 1,
+      pageLabel: String(idx + 1),
+      text,
+      startChar: currentPos,
+      endChar: currentPos + text.length,
+    });
+    currentPos += text.length;
+  });
+
+  const fullText = pages.map(p => p.text).join(PAGE_SEPARATOR);
+
+  return { pages, totalPages: pages.length, fullText };
+}
+
+module.exports = {
+  loadText,
+};
@@ -0,0 +1,641 @@
+// backend/utils/localDb.js
+// Minimal MongoDB-style database kept in memory, optionally saved to a JSON file.
+// Implements the subset of the driver's collection API this app uses, so the
+// server can run with no MongoDB at all. A saved database is a snapshot plus
+// a journal of the documents written since, so a write costs the size of
+// what it changed, not of the whole database.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// The journal is folded into the snapshot once it outgrows both this and the
+// snapshot itself, so rewriting the snapshot stays rare as the store grows
+const COMPACT_AFTER_BYTES = 16 * 1024 * 1024;
+
+/**
+ * Read a (possibly dotted) field path from a document
+ */
+function getPath(doc, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+/**
+ * Write a (possibly dotted) field path, creating intermediate objects
+ */
+function setPath(doc, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  let target = doc;
+  for (let i = 0; i < keys.length - 1; i++) {
+    if (target[keys[i]] == null || typeof target[keys[i]] !== 'object') {
+      target[keys[i]] = {};
+    }
+    target = target[keys[i]];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+function unsetPath(doc, fieldPath) {
+  const keys = fieldPath.split('.');
+  const parent = keys.length > 1 ? getPath(doc, keys.slice(0, -1).join('.')) : doc;
+  if (parent && typeof parent === 'object') {
+    delete parent[keys[keys.length - 1]];
+  }
+}
+
+function isOperatorObject(value) {
+  return value !== null
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && !(value instanceof Date)
+    && !(value instanceof RegExp)
+    && Object.keys(value).length > 0
+    && Object.keys(value).every(k => k.startsWith('$'));
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function valuesEqual(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return comparable(a) === comparable(b);
+  }
+  if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  // Mongo treats a missing field as equal to null
+  if (a === undefined && b === null) return true;
+  return a === b;
+}
+
+/**
+ * Equality with Mongo's array semantics: {tags: 'x'} matches tags: ['x', 'y']
+ */
+function matchesEquality(docValue, expected) {
+  if (Array.isArray(docValue) && !Array.isArray(expected)) {
+    return docValue.some(item => valuesEqual(item, expected));
+  }
+  return valuesEqual(docValue, expected);
+}
+
+function matchesOperators(docValue, conditions) {
+  return Object.entries(conditions).every(([op, arg]) => {
+    switch (op) {
+      case '$eq':
+        return matchesEquality(docValue, arg);
+      case '$ne':
+        return !matchesEquality(docValue, arg);
+      case '$in':
+        return arg.some(candidate => matchesEquality(docValue, candidate));
+      case '$nin':
+        return !arg.some(candidate => matchesEquality(docValue, candidate));
+      case '$gt':
+        return docValue != null && comparable(docValue) > comparable(arg);
+      case '$gte':
+        return docValue != null && comparable(docValue) >= comparable(arg);
+      case '$lt':
+        return docValue != null && comparable(docValue) < comparable(arg);
+      case '$lte':
+        return docValue != null && comparable(docValue) <= comparable(arg);
+      case '$exists':
+        return (docValue !== undefined) === Boolean(arg);
+      case '$regex': {
+        const regex = arg instanceof RegExp ? arg : new RegExp(arg, conditions.$options || '');
+        return typeof docValue === 'string' && regex.test(docValue);
+      }
+      case '$options':
+        return true;
+      default:
+        throw new Error(`Unsupported query operator ${op}`);
+    }
+  });
+}
+
+/**
+ * Test a document against a Mongo-style filter
+ * @param {Object} doc
+ * @param {Object} filter
+ * @returns {boolean}
+ */
+function matchesFilter(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => matchesFilter(doc, sub));
+    if (key === '$or') return condition.some(sub => matchesFilter(doc, sub));
+    if (key === '$nor') return !condition.some(sub => matchesFilter(doc, sub));
+
+    const docValue = getPath(doc, key);
+    if (condition instanceof RegExp) {
+      return typeof docValue === 'string' && condition.test(docValue);
+    }
+    if (isOperatorObject(condition)) {
+      return matchesOperators(docValue, condition);
+    }
+    return matchesEquality(docValue, condition);
+  });
+}
+
+/**
+ * Apply a Mongo-style update document in place
+ * @param {Object} doc
+ * @param {Object} update
+ * @param {boolean} isInsert - Whether $setOnInsert applies
+ */
+function applyUpdate(doc, update, isInsert = false) {
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [field, value] of Object.entries(fields)) {
+      switch (op) {
+        case '$set':
+          setPath(doc, field, structuredClone(value));
+          break;
+        case '$setOnInsert':
+          if (isInsert) setPath(doc, field, structuredClone(value));
+          break;
+        case '$unset':
+          unsetPath(doc, field);
+          break;
+        case '$inc':
+          setPath(doc, field, (getPath(doc, field) || 0) + value);
+          break;
+        case '$push': {
+          const list = getPath(doc, field) || [];
+          const items = value && value.$each ? value.$each : [value];
+          setPath(doc, field, [...list, ...structuredClone(items)]);
+          break;
+        }
+        case '$addToSet': {
+          const list = getPath(doc, field) || [];
+          const items = value && value.$each ? value.$each : [value];
+          const merged = [...list];
+          items.forEach(item => {
+            if (!merged.some(existing => valuesEqual(existing, item))) merged.push(structuredClone(item));
+          });
+          setPath(doc, field, merged);
+          break;
+        }
+        case '$pull': {
+          const list = getPath(doc, field) || [];
+          const isDocFilter = value !== null && typeof value === 'object'
+            && !Array.isArray(value) && !(value instanceof Date);
+          setPath(doc, field, list.filter(item => {
+            if (isOperatorObject(value)) return !matchesOperators(item, value);
+            if (isDocFilter) return !matchesFilter(item, value);
+            return !valuesEqual(item, value);
+          }));
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator ${op}`);
+      }
+    }
+  }
+}
+
+/**
+ * Apply an inclusion or exclusion projection
+ */
+function applyProjection(doc, projection) {
+  if (!projection || Object.keys(projection).length === 0) {
+    return { ...doc };
+  }
+
+  const entries = Object.entries(projection);
+  const including = entries.some(([key, v]) => v && key !== '_id');
+
+  if (including) {
+    const result = {};
+    if (projection._id !== 0 && projection._id !== false) result._id = doc._id;
+    entries.forEach(([key, v]) => {
+      if (v && key !== '_id') {
+        const value = getPath(doc, key);
+        if (value !== undefined) setPath(result, key, value);
+      }
+    });
+    return result;
+  }
+
+  const result = { ...doc };
+  entries.forEach(([key, v]) => {
+    if (!v) delete result[key];
+  });
+  return result;
+}
+
+function compareBySort(sort) {
+  const keys = Object.entries(sort);
+  return (a, b) => {
+    for (const [key, direction] of keys) {
+      const av = comparable(getPath(a, key));
+      const bv = comparable(getPath(b, key));
+      if (av === bv) continue;
+      if (av === undefined || av === null) return -direction;
+      if (bv === undefined || bv === null) return direction;
+      return av < bv ? -direction : direction;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Chainable cursor, like the driver's FindCursor
+ */
+class LocalCursor {
+  constructor(docs, projection) {
+    this.docs = docs;
+    this.projection = projection;
+    this.sortSpec = null;
+    this.skipCount = 0;
+    this.limitCount = 0;
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.skipCount = count;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  project(projection) {
+    this.projection = projection;
+    return this;
+  }
+
+  *results() {
+    let docs = [...this.docs];
+    if (this.sortSpec) docs.sort(compareBySort(this.sortSpec));
+    if (this.skipCount) docs = docs.slice(this.skipCount);
+    if (this.limitCount) docs = docs.slice(0, this.limitCount);
+    for (const doc of docs) yield applyProjection(doc, this.projection);
+  }
+
+  async toArray() {
+    return [...this.results()];
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* this.results();
+  }
+}
+
+/**
+ * A single collection. Reads return shallow copies; writes store deep copies.
+ */
+class LocalCollection {
+  constructor(name, db) {
+    this.collectionName = name;
+    this.db = db;
+    this.docs = [];
+    this.uniqueIndexes = new Map();
+  }
+
+  matching(filter) {
+    return this.docs.filter(doc => matchesFilter(doc, filter));
+  }
+
+  // Journal documents as they now are (see LocalDb#record)
+  written(docs) {
+    this.db.record(this.collectionName, docs.map(doc => ({ put: doc })));
+  }
+
+  // Journal documents that were removed
+  removed(docs) {
+    this.db.record(this.collectionName, docs.map(doc => ({ del: doc._id })));
+  }
+
+  // Throw the driver's duplicate key error (code 11000) when a new document
+  // clashes with a stored one on _id or on a unique index
+  assertUnique(doc) {
+    const indexes = [['_id', { fields: ['_id'], partial: {} }], ...this.uniqueIndexes];
+    for (const [name, { fields, partial }] of indexes) {
+      if (!matchesFilter(doc, partial)) continue;
+      const clash = this.docs.some(existing => matchesFilter(existing, partial)
+        && fields.every(field => valuesEqual(getPath(existing, field), getPath(doc, field))));
+      if (clash) {
+        const key = fields.map(field => `${field}: ${getPath(doc, field)}`).join(', ');
+        const error = new Error(`E11000 duplicate key error collection: ${this.collectionName} index: ${name} dup key: { ${key} }`);
+        error.code = 11000;
+        throw error;
+      }
+    }
+  }
+
+  async insertOne(doc) {
+    const stored = structuredClone(doc);
+    if (stored._id === undefined) {
+      stored._id = crypto.randomUUID();
+    }
+    this.assertUnique(stored);
+    this.docs.push(stored);
+    this.written([stored]);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    const stored = docs.map((doc, idx) => {
+      const copy = structuredClone(doc);
+      if (copy._id === undefined) copy._id = crypto.randomUUID();
+      insertedIds[idx] = copy._id;
+      return copy;
+    });
+    stored.forEach(doc => this.assertUnique(doc));
+    this.docs.push(...stored);
+    this.written(stored);
+    return { acknowledged: true, insertedCount: stored.length, insertedIds };
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const doc = this.docs.find(d => matchesFilter(d, filter));
+    return doc ? applyProjection(doc, options.projection) : null;
+  }
+
+  find(filter = {}, options = {}) {
+    return new LocalCursor(this.matching(filter), options.projection);
+  }
+
+  async countDocuments(filter = {}) {
+    return this.matching(filter).length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = [];
+    this.matching(filter).forEach(doc => {
+      const value = getPath(doc, field);
+      (Array.isArray(value) ? value : [value]).forEach(v => {
+        if (v !== undefined && !values.some(existing => valuesEqual(existing, v))) values.push(v);
+      });
+    });
+    return values;
+  }
+
+  upsertFromFilter(filter, update) {
+    const doc = {};
+    Object.entries(filter).forEach(([key, value]) => {
+      if (!key.startsWith('$') && !isOperatorObject(value)) setPath(doc, key, structuredClone(value));
+    });
+    applyUpdate(doc, update, true);
+    if (doc._id === undefined) doc._id = crypto.randomUUID();
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const doc = this.docs.find(d => matchesFilter(d, filter));
+    if (!doc) {
+      if (options.upsert) {
+        const inserted = this.upsertFromFilter(filter, update);
+        this.written([inserted]);
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+      }
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+    }
+    applyUpdate(doc, update);
+    this.written([doc]);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+  }
+
+  async updateMany(filter, update) {
+    const docs = this.matching(filter);
+    docs.forEach(doc => applyUpdate(doc, update));
+    this.written(docs);
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    let doc = this.docs.find(d => matchesFilter(d, filter));
+    if (!doc) {
+      if (!options.upsert) return null;
+      doc = this.upsertFromFilter(filter, update);
+      this.written([doc]);
+      return options.returnDocument === 'after' ? { ...doc } : null;
+    }
+    const before = structuredClone(doc);
+    applyUpdate(doc, update);
+    this.written([doc]);
+    return options.returnDocument === 'after' ? { ...doc } : before;
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    const idx = this.docs.findIndex(d => matchesFilter(d, filter));
+    if (idx === -1) {
+      if (options.upsert) return this.insertOne(replacement);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+    }
+    this.docs[idx] = { ...structuredClone(replacement), _id: this.docs[idx]._id };
+    this.written([this.docs[idx]]);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  }
+
+  async deleteOne(filter = {}) {
+    const idx = this.docs.findIndex(d => matchesFilter(d, filter));
+    if (idx === -1) return { acknowledged: true, deletedCount: 0 };
+    const [removed] = this.docs.splice(idx, 1);
+    this.removed([removed]);
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const doomed = this.matching(filter);
+    this.docs = this.docs.filter(d => !matchesFilter(d, filter));
+    this.removed(doomed);
+    return { acknowledged: true, deletedCount: doomed.length };
+  }
+
+  // Several writes in order, journaled at once. Every operation is applied
+  // before this returns, so other callers never see part of the batch.
+  async bulkWrite(operations) {
+    const counts = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0 };
+    const changes = [];
+    for (const operation of operations) {
+      const [type, args] = Object.entries(operation)[0];
+      if (type === 'insertOne') {
+        const stored = structuredClone(args.document);
+        if (stored._id === undefined) stored._id = crypto.randomUUID();
+        this.assertUnique(stored);
+        this.docs.push(stored);
+        changes.push({ put: stored });
+        counts.insertedCount++;
+      } else if (type === 'updateOne' || type === 'updateMany') {
+        const docs = this.matching(args.filter);
+        const targets = type === 'updateOne' ? docs.slice(0, 1) : docs;
+        targets.forEach(doc => applyUpdate(doc, args.update));
+        changes.push(...targets.map(doc => ({ put: doc })));
+        counts.matchedCount += targets.length;
+        counts.modifiedCount += targets.length;
+      } else if (type === 'deleteOne' || type === 'deleteMany') {
+        const doomed = new Set(type === 'deleteOne' ? this.matching(args.filter).slice(0, 1) : this.matching(args.filter));
+        this.docs = this.docs.filter(doc => !doomed.has(doc));
+        changes.push(...[...doomed].map(doc => ({ del: doc._id })));
+        counts.deletedCount += doomed.size;
+      } else {
+        throw new Error(`Unsupported bulk write operation "${type}" (${this.collectionName})`);
+      }
+    }
+    this.db.record(this.collectionName, changes);
+    return { acknowledged: true, ...counts };
+  }
+
+  // Indexes are not needed for a linear scan; accepted for API compatibility.
+  // Unique ones (with an optional partialFilterExpression) are enforced when
+  // documents are inserted, not when they are updated.
+  async createIndex(spec, options = {}) {
+    const name = options.name || Object.entries(spec).map(([field, order]) => `${field}_${order}`).join('_');
+    if (options.unique) {
+      this.uniqueIndexes.set(name, { fields: Object.keys(spec), partial: options.partialFilterExpression || {} });
+    }
+    return name;
+  }
+
+  aggregate() {
+    throw new Error(`Aggregation pipelines are not supported by the local database (${this.collectionName})`);
+  }
+}
+
+// Dates survive a JSON round trip as {"$date": "<iso string>"}
+function replacer(key, value) {
+  const original = this[key];
+  return original instanceof Date ? { $date: original.toISOString() } : value;
+}
+
+function reviver(key, value) {
+  if (value && typeof value === 'object' && Object.keys(value).length === 1 && typeof value.$date === 'string') {
+    return new Date(value.$date);
+  }
+  return value;
+}
+
+class LocalDb {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON file to load from and save to,
+   *   with its journal next to it in "<filePath>.log". Without it the
+   *   database lives only in memory.
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath ? path.resolve(options.filePath) : null;
+    this.journalPath = this.filePath ? `${this.filePath}.log` : null;
+    this.collections = new Map();
+    this.snapshotBytes = 0;
+    this.journalBytes = 0;
+
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      const snapshot = fs.readFileSync(this.filePath, 'utf8');
+      const data = JSON.parse(snapshot, reviver);
+      Object.entries(data.collections || {}).forEach(([name, docs]) => {
+        this.collection(name).docs = docs;
+      });
+      this.snapshotBytes = Buffer.byteLength(snapshot);
+    }
+    if (this.journalPath && fs.existsSync(this.journalPath)) {
+      this.replay(fs.readFileSync(this.journalPath, 'utf8'));
+      this.compact();
+    }
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new LocalCollection(name, this));
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Apply a journal to the loaded snapshot. Each line holds one document as
+   * it was written ({c, put}) or the id of one removed ({c, del}); a line
+   * cut short by a crash mid-write is skipped.
+   * @param {string} journal
+   */
+  replay(journal) {
+    // Documents by id, per collection; a Map keeps their order
+    const byId = new Map();
+    const key = id => JSON.stringify(id);
+
+    journal.split('\n').forEach(line => {
+      let entry;
+      try {
+        entry = line && JSON.parse(line, reviver);
+      } catch {
+        return;
+      }
+      if (!entry) return;
+
+      if (!byId.has(entry.c)) {
+        byId.set(entry.c, new Map(this.collection(entry.c).docs.map(doc => [key(doc._id), doc])));
+      }
+      const docs = byId.get(entry.c);
+      if ('put' in entry) {
+        docs.set(key(entry.put._id), entry.put);
+      } else {
+        docs.delete(key(entry.del));
+      }
+    });
+
+    byId.forEach((docs, name) => {
+      this.collection(name).docs = [...docs.values()];
+    });
+  }
+
+  /**
+   * Journal a collection's changes: a line per written or removed document,
+   * appended in one write (no-op for in-memory databases)
+   * @param {string} collectionName
+   * @param {Array<{put: Object}|{del: *}>} changes
+   */
+  record(collectionName, changes) {
+    if (!this.filePath || changes.length === 0) return;
+
+    const lines = changes
+      .map(change => JSON.stringify({ c: collectionName, ...change }, replacer) + '\n')
+      .join('');
+    fs.mkdirSync(path.dirname(this.journalPath), { recursive: true });
+    fs.appendFileSync(this.journalPath, lines);
+    this.journalBytes += Buffer.byteLength(lines);
+
+    if (this.journalBytes > Math.max(COMPACT_AFTER_BYTES, this.snapshotBytes)) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Write every collection to a new snapshot and start an empty journal.
+   * Writes to a temp file first so a crash never leaves a half-written
+   * store; replaying the old journal over the new snapshot changes nothing.
+   */
+  compact() {
+    if (!this.filePath) return;
+
+    const data = { collections: {} };
+    this.collections.forEach((collection, name) => {
+      data.collections[name] = collection.docs;
+    });
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const snapshot = JSON.stringify(data, replacer);
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, snapshot);
+    fs.renameSync(tempPath, this.filePath);
+    fs.rmSync(this.journalPath, { force: true });
+    this.snapshotBytes = Buffer.byteLength(snapshot);
+    this.journalBytes = 0;
+  }
+
+  // Mirrors db.admin().ping() on the driver
+  admin() {
+    return { ping: async () => ({ ok: 1 }) };
+  }
+}
+
+module.exports = {
+  LocalDb,
+  LocalCollection,
+  matchesFilter,
+  applyUpdate,
+};
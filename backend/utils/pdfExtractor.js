@@ -0,0 +1,95 @@
+// backend/utils/pdfExtractor.js
+// Extracts text page-by-page from a PDF, keeping real page numbers and labels
+
+const pdfParse = require('pdf-parse');
+
+// Separator placed between pages when building the full document text.
+// Matches the blank-line paragraph split used by the chunker.
+const PAGE_SEPARATOR = '\n\n';
+
+/**
+ * Render a single page's text content, starting a new line whenever the
+ * baseline changes (same approach as pdf-parse's default renderer)
+ * @param {Object} pageData - pdf.js page proxy
+ * @returns {Promise<string>} Page text
+ */
+async function renderPageText(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false,
+  });
+
+  let lastY;
+  let text = '';
+
+  for (const item of textContent.items) {
+    const y = item.transform[5];
+    if (lastY === undefined || lastY === y) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = y;
+  }
+
+  return text;
+}
+
+/**
+ * Extract every page of a PDF with its real page number and printed label
+ * @param {Buffer} buffer - Raw PDF bytes
+ * @returns {Promise<Object>} {pages, totalPages, fullText}
+ *   pages: Array of {pageNumber, pageLabel, text, startChar, endChar}
+ */
+async function extractPagesFromPDF(buffer) {
+  const pageTexts = [];
+  let pageLabels = null;
+
+  // Copy into a standalone array: small Node buffers are slices of a shared
+  // pool, and pdf.js reads from the start of the underlying ArrayBuffer
+  const data = await pdfParse(new Uint8Array(buffer), {
+    pagerender: async (pageData) => {
+      // Page labels live on the document, which pdf-parse only exposes
+      // through the page's transport. Fetch them once, on the first page.
+      if (pageLabels === null) {
+        pageLabels = await pageData.transport.getPageLabels().catch(() => undefined);
+      }
+
+      const text = await renderPageText(pageData);
+      pageTexts[pageData.pageIndex] = text;
+      return text;
+    },
+  });
+
+  const pages = [];
+  let currentPos = 0;
+
+  for (let i = 0; i < data.numpages; i++) {
+    // pdf-parse swallows render errors, so a failed page has no entry
+    const text = pageTexts[i] || '';
+    const pageNumber = i + 1;
+
+    if (i > 0) {
+      currentPos += PAGE_SEPARATOR.length;
+    }
+
+    pages.push({
+      pageNumber,
+      pageLabel: (pageLabels && pageLabels[i]) || String(pageNumber),
+      text,
+      startChar: currentPos,
+      endChar: currentPos + text.length,
+    });
+
+    currentPos += text.length;
+  }
+
+  const fullText = pages.map(p => p.text).join(PAGE_SEPARATOR);
+
+  return { pages, totalPages: pages.length, fullText };
+}
+
+module.exports = {
+  extractPagesFromPDF,
+  PAGE_SEPARATOR,
+};
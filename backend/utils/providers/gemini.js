@@ -0,0 +1,97 @@
+// backend/utils/providers/gemini.js
+// Google Gemini provider (chat + embeddings)
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Google API key
+   * @param {string} [options.chatModel] - Chat model name
+   * @param {string} [options.embeddingModel] - Embedding model name
+   * @param {number} [options.dimensions] - Embedding size to ask for
+   *   (outputDimensionality); the model's default when not given
+   * @param {Object} [options.generationConfig] - Gemini generation config
+   */
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.chatModelName = options.chatModel || 'gemini-3-flash-preview';
+    this.embeddingModelName = options.embeddingModel || 'gemini-embedding-001';
+    this.dimensions = options.dimensions;
+
+    this.genAI = new GoogleGenerativeAI(options.apiKey);
+    this.chatModel = this.genAI.getGenerativeModel({
+      model: this.chatModelName,
+      generationConfig: options.generationConfig || {
+        temperature: 0.7,
+        topP: 0.95,
+        maxOutputTokens: 2048,
+      },
+    });
+    this.embeddingModel = this.genAI.getGenerativeModel({ model: this.embeddingModelName });
+    // batchEmbedContents accepts at most 100 texts per call
+    this.maxBatchSize = 100;
+  }
+
+  /**
+   * Generate a completion for a prompt
+   * @param {string} prompt
+   * @returns {Promise<string>} Generated text
+   */
+  async generateText(prompt) {
+    const result = await this.chatModel.generateContent(prompt);
+    return result.response.text();
+  }
+
+  /**
+   * Stream a completion as it is generated
+   * @param {string} prompt
+   * @param {Object} [context] - Unused; see LocalProvider
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {AsyncGenerator<string>} Text fragments
+   */
+  async *streamText(prompt, context = {}, options = {}) {
+    const result = await this.chatModel.generateContentStream(prompt, { signal: options.signal });
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) {
+        yield text;
+      }
+    }
+  }
+
+  /**
+   * Embed a batch of document texts in one batchEmbedContents call
+   * @param {Array<string>} texts - At most maxBatchSize of them
+   * @returns {Promise<Array<Array<number>>>}
+   */
+  async embedDocuments(texts) {
+    const result = await this.embeddingModel.batchEmbedContents({
+      requests: texts.map(text => this.embedRequest(text)),
+    });
+    return result.embeddings.map(embedding => embedding.values);
+  }
+
+  // One text to embed, at the configured size if there is one
+  embedRequest(text) {
+    return {
+      content: { role: 'user', parts: [{ text }] },
+      ...(this.dimensions && { outputDimensionality: this.dimensions }),
+    };
+  }
+
+  /**
+   * Embed a single query text
+   * @param {string} text
+   * @returns {Promise<Array<number>>}
+   */
+  async embedQuery(text) {
+    const result = await this.embeddingModel.embedContent(this.embedRequest(text));
+    return result.embedding.values;
+  }
+}
+
+module.exports = {
+  GeminiProvider,
+};
@@ -0,0 +1,109 @@
+// backend/utils/providers/index.js
+// Picks the chat and embedding providers from configuration
+
+const { GeminiProvider } = require('./gemini');
+const { OpenAICompatibleProvider } = require('./openai');
+const { LocalProvider } = require('./local');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  local: LocalProvider,
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name - 'gemini' | 'openai' | 'local'
+ * @param {Object} options - Provider-specific options
+ * @returns {Object} Provider instance
+ */
+function createProvider(name, options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+/**
+ * Provider options for a given provider name, read from the environment
+ * @param {string} name
+ * @param {Object} env
+ * @returns {Object}
+ */
+function optionsFromEnv(name, env) {
+  // Size of the embeddings: chosen for the local provider, requested from
+  // models that can shorten theirs (Gemini, OpenAI text-embedding-3)
+  const dimensions = env.EMBEDDING_DIMENSIONS ? parseInt(env.EMBEDDING_DIMENSIONS, 10) : undefined;
+
+  switch (name) {
+    case 'gemini':
+      return {
+        apiKey: env.GOOGLE_API_KEY,
+        chatModel: env.CHAT_MODEL,
+        embeddingModel: env.EMBEDDING_MODEL,
+        dimensions,
+      };
+    case 'openai':
+      return {
+        baseUrl: env.OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY,
+        chatModel: env.CHAT_MODEL,
+        embeddingModel: env.EMBEDDING_MODEL,
+        rerankModel: env.RERANK_MODEL,
+        dimensions,
+      };
+    case 'local':
+      return { dimensions };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Build the chat and embedding providers from environment variables.
+ *   LLM_PROVIDER        - chat provider (default: gemini)
+ *   EMBEDDING_PROVIDER  - embedding provider (default: same as LLM_PROVIDER)
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {{chatProvider: Object, embeddingProvider: Object}}
+ */
+function createProvidersFromEnv(env = process.env) {
+  const chatName = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const embeddingName = (env.EMBEDDING_PROVIDER || chatName).toLowerCase();
+
+  const chatProvider = createProvider(chatName, optionsFromEnv(chatName, env));
+  const embeddingProvider = embeddingName === chatName
+    ? chatProvider
+    : createProvider(embeddingName, optionsFromEnv(embeddingName, env));
+
+  return { chatProvider, embeddingProvider };
+}
+
+let defaultProviders = null;
+
+/**
+ * Providers shared by the server and utilities, created on first use
+ * @returns {{chatProvider: Object, embeddingProvider: Object}}
+ */
+function getProviders() {
+  if (!defaultProviders) {
+    defaultProviders = createProvidersFromEnv();
+  }
+  return defaultProviders;
+}
+
+/**
+ * Replace the shared providers (tests, evaluation runs)
+ * @param {{chatProvider: Object, embeddingProvider: Object}} providers
+ */
+function setProviders(providers) {
+  defaultProviders = providers;
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+  createProvidersFromEnv,
+  getProviders,
+  setProviders,
+};
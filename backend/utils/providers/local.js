@@ -0,0 +1,207 @@
+// backend/utils/providers/local.js
+// Deterministic offline provider: hashing embeddings + extractive answers.
+// Needs no network or API key, so the whole pipeline can run in CI.
+
+const { tokenize, contentTerms, lexicalOverlap, claimSupport, splitSentences, fnv1a } = require('../textUtils');
+
+// Words that usually point back at something said earlier in a conversation
+const REFERRING_WORDS = new Set([
+  'it', 'its', 'this', 'that', 'these', 'those', 'they', 'them', 'their',
+  'he', 'she', 'him', 'her', 'there', 'one', 'ones', 'above', 'same',
+]);
+
+class LocalProvider {
+  /**
+   * @param {Object} options
+   * @param {number} [options.dimensions] - Embedding size
+   * @param {number} [options.maxSentences] - Sentences per extractive answer
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dimensions = options.dimensions || 768;
+    this.maxSentences = options.maxSentences || 3;
+    this.chatModelName = 'local-extractive';
+    this.embeddingModelName = `local-hash-${this.dimensions}`;
+  }
+
+  /**
+   * Feature-hash unigrams and bigrams into a fixed-size, L2-normalised vector
+   * @param {string} text
+   * @returns {Array<number>}
+   */
+  hashEmbedding(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = tokenize(text);
+    const features = [...tokens];
+
+    for (let i = 0; i < tokens.length - 1; i++) {
+      features.push(`${tokens[i]} ${tokens[i + 1]}`);
+    }
+
+    for (const feature of features) {
+      const hash = fnv1a(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % this.dimensions] += sign;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    if (norm === 0) {
+      // Keep empty text from producing a zero vector (cosine would be NaN)
+      vector[0] = 1;
+      return vector;
+    }
+
+    return vector.map(v => v / norm);
+  }
+
+  /**
+   * Pick the source sentences that share the most terms with the question
+   * @param {string} question
+   * @param {Array<{label: string, text: string}>} sources
+   * @returns {string} Answer with [Source ...] citations
+   */
+  extractiveAnswer(question, sources) {
+    const questionTerms = new Set(contentTerms(question));
+    const candidates = [];
+
+    sources.forEach((source, sourceIdx) => {
+      splitSentences(source.text).forEach((sentence, sentenceIdx) => {
+        const terms = new Set(contentTerms(sentence.text));
+        let overlap = 0;
+        terms.forEach(term => {
+          if (questionTerms.has(term)) overlap++;
+        });
+        if (overlap > 0) {
+          candidates.push({ text: sentence.text, label: source.label, overlap, sourceIdx, sentenceIdx });
+        }
+      });
+    });
+
+    if (candidates.length === 0) {
+      return 'The answer is not in the provided excerpts.';
+    }
+
+    // Best overlap first; ties keep document order
+    candidates.sort((a, b) =>
+      b.overlap - a.overlap || a.sourceIdx - b.sourceIdx || a.sentenceIdx - b.sentenceIdx
+    );
+
+    return candidates
+      .slice(0, this.maxSentences)
+      .map(c => `${c.text} [${c.label}]`)
+      .join(' ');
+  }
+
+  /**
+   * Make a follow-up standalone by carrying over the previous user question
+   * when the follow-up refers back to it or is too short to search on
+   * @param {string} question
+   * @param {Array<{role: string, content: string}>} history
+   * @returns {string}
+   */
+  rewriteFollowUp(question, history) {
+    const previous = [...history].reverse().find(m => m.role === 'user');
+    if (!previous) {
+      return question;
+    }
+
+    const tokens = tokenize(question);
+    const refersBack = tokens.some(t => REFERRING_WORDS.has(t));
+    if (!refersBack && contentTerms(question).length >= 3) {
+      return question;
+    }
+
+    // Prefer the earlier turn's own rewrite so references chain correctly
+    return `${question} (regarding: ${previous.standaloneQuestion || previous.content})`;
+  }
+
+  /**
+   * Generate text for a prompt. The local provider cannot follow free-form
+   * prompts, so it relies on the structured context callers pass alongside.
+   * @param {string} prompt
+   * @param {Object} [context]
+   * @param {string} [context.task] - 'answer' | 'rewrite' | 'rerank' | 'grounding'
+   * @param {string} [context.question]
+   * @param {Array<{label: string, text: string}>} [context.sources]
+   * @param {Array<{role: string, content: string}>} [context.history]
+   * @param {Array<string>} [context.passages] - Texts to rate for 'rerank',
+   *   or to check claims against for 'grounding'
+   * @param {Array<string>} [context.claims] - Claims to rate for 'grounding'
+   * @returns {Promise<string>}
+   */
+  async generateText(prompt, context = {}) {
+    if (context.task === 'answer') {
+      return this.extractiveAnswer(context.question || '', context.sources || []);
+    }
+    if (context.task === 'rewrite') {
+      return this.rewriteFollowUp(context.question || '', context.history || []);
+    }
+    if (context.task === 'rerank') {
+      // Same reply format asked of real models: a JSON array of 0-10 ratings
+      const scores = await this.rerank(context.question || '', context.passages || []);
+      return JSON.stringify(scores.map(score => Math.round(score * 10)));
+    }
+    if (context.task === 'grounding') {
+      // Rate each claim by its best-supporting passage, 0-10 like a judge model
+      const passages = context.passages || [];
+      return JSON.stringify((context.claims || []).map(claim =>
+        Math.round(Math.max(0, ...passages.map(text => claimSupport(claim, text))) * 10)
+      ));
+    }
+
+    return '';
+  }
+
+  /**
+   * Stream the generated text word by word
+   * @param {string} prompt
+   * @param {Object} [context] - Same as generateText()
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops the stream
+   * @returns {AsyncGenerator<string>} Text fragments
+   */
+  async *streamText(prompt, context = {}, options = {}) {
+    const text = await this.generateText(prompt, context);
+    const pieces = text.match(/\S+\s*/g) || [];
+
+    for (const piece of pieces) {
+      if (options.signal?.aborted) return;
+      yield piece;
+      // Let the event loop flush each piece, like a real token stream
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  /**
+   * Score how relevant each document is to a query (lexical overlap stands
+   * in for a cross-encoder)
+   * @param {string} query
+   * @param {Array<string>} documents
+   * @returns {Promise<Array<number>>} One score per document, 0 to 1
+   */
+  async rerank(query, documents) {
+    return documents.map(text => lexicalOverlap(query, text));
+  }
+
+  /**
+   * Embed a batch of document texts
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>>>}
+   */
+  async embedDocuments(texts) {
+    return texts.map(text => this.hashEmbedding(text));
+  }
+
+  /**
+   * Embed a single query text
+   * @param {string} text
+   * @returns {Promise<Array<number>>}
+   */
+  async embedQuery(text) {
+    return this.hashEmbedding(text);
+  }
+}
+
+module.exports = {
+  LocalProvider,
+};
@@ -0,0 +1,200 @@
+// backend/utils/providers/openai.js
+// OpenAI-compatible HTTP provider (OpenAI, Ollama, llama.cpp server, vLLM...)
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl] - API root, e.g. http://localhost:11434/v1
+   * @param {string} [options.apiKey] - Bearer token, if the server needs one
+   * @param {string} [options.chatModel] - Chat model name
+   * @param {string} [options.embeddingModel] - Embedding model name
+   * @param {string} [options.rerankModel] - Reranking (cross-encoder) model name
+   * @param {number} [options.dimensions] - Embedding size to ask for (models
+   *   that support it, like text-embedding-3); the model's default when not given
+   * @param {number} [options.temperature]
+   * @param {number} [options.maxTokens]
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.chatModelName = options.chatModel || 'llama3.1';
+    this.embeddingModelName = options.embeddingModel || 'nomic-embed-text';
+    this.rerankModelName = options.rerankModel || 'bge-reranker-v2-m3';
+    this.dimensions = options.dimensions;
+    this.temperature = options.temperature ?? 0.7;
+    this.maxTokens = options.maxTokens || 2048;
+  }
+
+  /**
+   * POST JSON to the server and return the parsed response
+   * @param {string} path - Path under the base URL
+   * @param {Object} body
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {boolean} [options.raw] - Return the fetch Response instead of parsed JSON
+   * @returns {Promise<Object>}
+   */
+  async post(path, body, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: options.signal,
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new Error(`${this.baseUrl}${path} returned ${response.status}: ${detail.slice(0, 200)}`);
+      error.status = response.status;
+      // Rate-limited responses may say how long to back off for
+      const retryAfter = Number(response.headers.get('retry-after'));
+      if (retryAfter > 0) {
+        error.retryAfterMs = retryAfter * 1000;
+      }
+      throw error;
+    }
+
+    return options.raw ? response : response.json();
+  }
+
+  /**
+   * Generate a completion for a prompt
+   * @param {string} prompt
+   * @returns {Promise<string>} Generated text
+   */
+  async generateText(prompt) {
+    const data = await this.post('/chat/completions', {
+      model: this.chatModelName,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: this.temperature,
+      max_tokens: this.maxTokens,
+    });
+
+    return data.choices?.[0]?.message?.content || '';
+  }
+
+  /**
+   * Stream a completion as it is generated (server-sent "data:" lines)
+   * @param {string} prompt
+   * @param {Object} [context] - Unused; see LocalProvider
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {AsyncGenerator<string>} Text fragments
+   */
+  async *streamText(prompt, context = {}, options = {}) {
+    const response = await this.post('/chat/completions', {
+      model: this.chatModelName,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: this.temperature,
+      max_tokens: this.maxTokens,
+      stream: true,
+    }, { signal: options.signal, raw: true });
+
+    const decoder = new TextDecoder();
+    let buffered = '';
+
+    for await (const bytes of response.body) {
+      buffered += decoder.decode(bytes, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        const event = this.parseStreamLine(line);
+        if (event.done) return;
+        if (event.text) {
+          yield event.text;
+        }
+      }
+    }
+
+    // The last line may end the stream without a newline after it
+    const event = this.parseStreamLine(buffered + decoder.decode());
+    if (event.text) {
+      yield event.text;
+    }
+  }
+
+  /**
+   * Read one line of a streamed completion
+   * @param {string} line
+   * @returns {{done?: boolean, text?: string}} done at the "[DONE]" marker;
+   *   empty for blank lines, comments and other fields
+   */
+  parseStreamLine(line) {
+    if (!line.startsWith('data:')) {
+      return {};
+    }
+    const data = line.slice('data:'.length).trim();
+    if (data.length === 0) {
+      return {};
+    }
+    if (data === '[DONE]') {
+      return { done: true };
+    }
+
+    try {
+      return { text: JSON.parse(data).choices?.[0]?.delta?.content };
+    } catch {
+      throw new Error(`${this.baseUrl}/chat/completions streamed an unreadable event: ${data.slice(0, 200)}`);
+    }
+  }
+
+  /**
+   * Score documents against a query with a cross-encoder via the /rerank
+   * endpoint (llama.cpp server, vLLM, Jina and Cohere-style APIs)
+   * @param {string} query
+   * @param {Array<string>} documents
+   * @returns {Promise<Array<number>>} One score per document, in input order
+   */
+  async rerank(query, documents) {
+    const data = await this.post('/rerank', {
+      model: this.rerankModelName,
+      query,
+      documents,
+    });
+
+    const scores = new Array(documents.length).fill(0);
+    for (const item of data.results || []) {
+      scores[item.index] = item.relevance_score ?? item.score ?? 0;
+    }
+    return scores;
+  }
+
+  /**
+   * Embed a batch of document texts
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>>>}
+   */
+  async embedDocuments(texts) {
+    const data = await this.post('/embeddings', {
+      model: this.embeddingModelName,
+      input: texts,
+      ...(this.dimensions && { dimensions: this.dimensions }),
+    });
+
+    // Servers are allowed to return items out of order
+    return [...data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  /**
+   * Embed a single query text
+   * @param {string} text
+   * @returns {Promise<Array<number>>}
+   */
+  async embedQuery(text) {
+    const [embedding] = await this.embedDocuments([text]);
+    return embedding;
+  }
+}
+
+module.exports = {
+  OpenAICompatibleProvider,
+};
@@ -0,0 +1,77 @@
+// backend/utils/queryRewriter.js
+// Rewrites follow-up questions into standalone search queries using chat history
+
+// How many previous messages the rewrite prompt sees
+const HISTORY_WINDOW = 6;
+
+/**
+ * Render chat history as "User: ... / Assistant: ..." lines
+ * @param {Array<{role: string, content: string}>} history
+ * @param {number} maxMessages
+ * @returns {string}
+ */
+function formatHistory(history, maxMessages = HISTORY_WINDOW) {
+  return history
+    .slice(-maxMessages)
+    .map(message => `${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`)
+    .join('\n');
+}
+
+/**
+ * Build the rewrite prompt
+ * @param {string} question - Follow-up question
+ * @param {Array} history - Previous messages
+ * @returns {string}
+ */
+function buildRewritePrompt(question, history) {
+  return `Rewrite the follow-up question so it can be understood without the conversation.
+Replace pronouns and references ("it", "that section", "the second one") with what they refer to.
+If the question is already standalone, return it unchanged.
+Return ONLY the rewritten question.
+
+Conversation:
+${formatHistory(history)}
+
+Follow-up question: ${question}
+
+Standalone question:`;
+}
+
+/**
+ * Turn a follow-up question into a standalone query for retrieval.
+ * Falls back to the original question if the model returns nothing usable.
+ * @param {string} question
+ * @param {Array<{role: string, content: string}>} history
+ * @param {Object} chatProvider
+ * @returns {Promise<string>} Standalone question
+ */
+async function rewriteQuestion(question, history, chatProvider) {
+  if (!history || history.length === 0) {
+    return question;
+  }
+
+  try {
+    const rewritten = await chatProvider.generateText(buildRewritePrompt(question, history), {
+      task: 'rewrite',
+      question,
+      history,
+    });
+
+    const cleaned = (rewritten || '').trim().replace(/^["']|["']$/g, '');
+    if (cleaned.length === 0) {
+      return question;
+    }
+
+    console.log(`🔁 Rewrote follow-up: "${question}" → "${cleaned}"`);
+    return cleaned;
+  } catch (error) {
+    console.error('⚠️  Question rewrite failed, using original question:', error.message);
+    return question;
+  }
+}
+
+module.exports = {
+  HISTORY_WINDOW,
+  formatHistory,
+  rewriteQuestion,
+};
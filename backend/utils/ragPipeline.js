@@ -0,0 +1,325 @@
+// backend/utils/ragPipeline.js
+// Retrieve → prompt → answer, shared by /api/ask and conversations.
+// Questions can target one document, several, or the whole library.
+
+const { generateSingleEmbedding } = require('./embeddings');
+const { rewriteQuestion, formatHistory } = require('./queryRewriter');
+const { hybridSearch, retrievalConfigFromEnv } = require('./hybridSearch');
+const { rerankChunks, rerankConfigFromEnv } = require('./reranker');
+const { checkCitations } = require('./citations');
+const { checkGrounding } = require('./grounding');
+const { documentLabel } = require('./versions');
+const { embeddingSignature, findStaleDocuments } = require('./reindex');
+
+const NO_RESULTS_ANSWER = 'No relevant information found. Please check if:\n1. Vector search index is created in MongoDB Atlas\n2. The document was uploaded successfully\n3. Your question relates to the document content';
+
+// Limit chunk text to 800 characters max in the prompt
+const MAX_PROMPT_CHUNK_CHARS = 800;
+
+/**
+ * Retrieve the chunks most relevant to a query (vector, keyword or hybrid),
+ * over-fetching candidates and reranking them when a reranker is configured
+ * @param {Object} options
+ * @param {Object} options.vectorStore
+ * @param {Object} options.embeddingProvider
+ * @param {Object} [options.chatProvider] - For LLM and cross-encoder reranking
+ * @param {string} options.query - Text to search for
+ * @param {Array<string>|null} options.docIds - Documents to search; null for all
+ * @param {Array<string>} [options.vectorDocIds] - Documents to search by
+ *   vector, when not all of docIds (see hybridSearch())
+ * @param {Object} [options.access] - Only chunks this user may see (see accessFilter())
+ * @param {number} options.topK
+ * @param {Object} [options.retrieval] - Mode and fusion weights (see hybridSearch.js),
+ *   plus a rerank config (see reranker.js)
+ * @returns {Promise<Array>} Chunks with scores, merged across documents
+ */
+async function retrieveChunks({ vectorStore, embeddingProvider, chatProvider, query, docIds, vectorDocIds, access, topK = 3, retrieval = retrievalConfigFromEnv() }) {
+  const rerank = retrieval.rerank || rerankConfigFromEnv();
+  const reranking = rerank.reranker !== 'none' || rerank.mmr;
+
+  const queryEmbedding = retrieval.mode === 'keyword'
+    ? null
+    : await generateSingleEmbedding(query, embeddingProvider);
+  const candidates = await hybridSearch(vectorStore, {
+    query,
+    queryEmbedding,
+    docIds,
+    vectorDocIds,
+    access,
+    topK: reranking ? Math.max(rerank.candidates, topK) : topK,
+    retrieval,
+  });
+  const chunks = await rerankChunks(query, candidates, { topK, rerank, chatProvider });
+
+  console.log(`📊 Chunk scores (${retrieval.mode}):`);
+  chunks.forEach((chunk, idx) => {
+    const rerankScore = chunk.rerankScore != null ? `, rerank ${chunk.rerankScore.toFixed(4)}` : '';
+    console.log(`  ${idx + 1}. Score: ${chunk.score?.toFixed(4)} (vector ${chunk.vectorScore?.toFixed(4) ?? '-'}, keyword ${chunk.keywordScore?.toFixed(4) ?? '-'}${rerankScore}), Doc: ${chunk.docId}, Page: ${chunk.metadata?.pageLabel || chunk.metadata?.page}`);
+  });
+
+  return chunks;
+}
+
+/**
+ * Label and trim retrieved chunks for the prompt
+ * @param {Array} chunks
+ * @param {Map<string, string>} [documentNames] - docId → filename; when given,
+ *   labels name the document so answers spanning several can be told apart
+ * @returns {Array<{label: string, text: string}>}
+ */
+function buildPromptSources(chunks, documentNames) {
+  return chunks.map((chunk, idx) => {
+    // Cite the heading for sectioned formats (Markdown, HTML, DOCX), else the
+    // printed page label (e.g. "iv") when the PDF defines one
+    const section = chunk.metadata?.headingPath?.length > 0
+      ? chunk.metadata.headingPath.join(' > ')
+      : chunk.metadata?.section;
+    const location = section
+      ? `Section "${section}"`
+      : `Page ${chunk.metadata?.pageLabel || chunk.metadata?.page || 'Unknown'}`;
+    const para = chunk.metadata?.paragraphNumber || 'Unknown';
+    const text = chunk.text.length > MAX_PROMPT_CHUNK_CHARS
+      ? chunk.text.substring(0, MAX_PROMPT_CHUNK_CHARS) + '...'
+      : chunk.text;
+    const doc = documentNames ? `${documentNames.get(chunk.docId) || chunk.docId}, ` : '';
+    return { label: `Source ${idx + 1} - ${doc}${location}, Para ${para}`, text };
+  });
+}
+
+/**
+ * Build the answer prompt
+ * @param {string} question
+ * @param {Array<{label: string, text: string}>} promptSources
+ * @param {Array<{role: string, content: string}>} history - Earlier turns, if any
+ * @returns {string}
+ */
+function buildPrompt(question, promptSources, history = []) {
+  const context = promptSources
+    .map(source => `[${source.label}]\n${source.text}`)
+    .join(' ');
+
+  const conversation = history.length > 0
+    ? `\nConversation so far:\n${formatHistory(history)}\n`
+    : '';
+
+  return `Based on these document excerpts, answer the question.
+Document Excerpts:
+${context}
+${conversation}
+Question: ${question}
+
+Instructions:
+- Answer ONLY using information from the excerpts above
+- Cite sources like [Source 1 - Page 3, Para 2]
+- If the answer is not in the excerpts, say so clearly
+- Be concise and specific
+
+Answer:`;
+}
+
+/**
+ * Shape retrieved chunks for API responses
+ * @param {Array} chunks
+ * @param {Map<string, string>} [documentNames] - docId → filename
+ * @returns {Array}
+ */
+function formatSources(chunks, documentNames = new Map()) {
+  return chunks.map((chunk, idx) => ({
+    sourceNumber: idx + 1,
+    docId: chunk.docId,
+    filename: documentNames.get(chunk.docId) || null,
+    page: chunk.metadata?.page || 'N/A',
+    pageLabel: chunk.metadata?.pageLabel || chunk.metadata?.page || 'N/A',
+    section: chunk.metadata?.section || null,
+    headingPath: chunk.metadata?.headingPath || [],
+    paragraphNumber: chunk.metadata?.paragraphNumber || 'N/A',
+    text: chunk.text.substring(0, 300) + '...',
+    // Cosine similarity; score is the retrieval ranking score (RRF when hybrid)
+    similarity: chunk.vectorScore ?? chunk.score ?? 0,
+    score: chunk.score || 0,
+    vectorScore: chunk.vectorScore ?? null,
+    keywordScore: chunk.keywordScore ?? null,
+    rerankScore: chunk.rerankScore ?? null,
+    startChar: chunk.metadata?.startChar || 0,
+    endChar: chunk.metadata?.endChar || 0,
+  }));
+}
+
+/**
+ * Names of the documents the chunks came from
+ * @param {Object} vectorStore
+ * @param {Array} chunks
+ * @returns {Promise<Map<string, string>>} docId → filename, with the version
+ *   for documents that have several (see documentLabel())
+ */
+async function lookupDocumentNames(vectorStore, chunks) {
+  const docIds = [...new Set(chunks.map(chunk => chunk.docId))];
+  const documents = await vectorStore.getDocuments(docIds);
+  return new Map(documents.map(doc => [doc._id, documentLabel(doc)]));
+}
+
+/**
+ * Everything up to generation: rewrite the question, retrieve chunks and
+ * build the prompt. Shared by the blocking and streaming answer paths.
+ * @param {Object} options - Same as answerQuestion()
+ * @returns {Promise<Object>} {standaloneQuestion, chunks, sources, promptSources,
+ *   prompt, staleDocuments}
+ */
+async function prepareAnswer({ vectorStore, chatProvider, embeddingProvider, indexSignature = embeddingSignature(embeddingProvider), docId, docIds, access, question, history = [], topK = 3, retrieval }) {
+  console.log(`❓ Question: ${question}`);
+
+  // Follow-ups ("what about the second one?") are rewritten before retrieval
+  const standaloneQuestion = await rewriteQuestion(question, history, chatProvider);
+
+  // Documents embedded with another model would match the question at
+  // random; leave them to keyword search until they are re-indexed
+  const scope = docIds !== undefined ? docIds : [docId];
+  const staleDocuments = scope ? await findStaleDocuments(vectorStore, scope, indexSignature) : [];
+  const staleIds = new Set(staleDocuments.map(doc => doc.docId));
+  if (staleDocuments.length > 0) {
+    console.warn(`⚠️  ${staleDocuments.length} document(s) need re-indexing for ${embeddingProvider.embeddingModelName}; searching them by keyword only`);
+  }
+
+  const chunks = await retrieveChunks({
+    vectorStore,
+    embeddingProvider,
+    chatProvider,
+    query: standaloneQuestion,
+    docIds: scope,
+    vectorDocIds: staleDocuments.length > 0 ? scope.filter(id => !staleIds.has(id)) : undefined,
+    access,
+    topK,
+    retrieval,
+  });
+
+  if (chunks.length === 0) {
+    return { standaloneQuestion, chunks, sources: [], promptSources: [], prompt: '', staleDocuments };
+  }
+
+  const documentNames = await lookupDocumentNames(vectorStore, chunks);
+  const multiDocument = scope === null || scope.length > 1;
+
+  const promptSources = buildPromptSources(chunks, multiDocument ? documentNames : undefined);
+  const prompt = buildPrompt(standaloneQuestion, promptSources, history);
+  console.log(`📝 Prompt length: ${prompt.length} characters`);
+
+  return {
+    standaloneQuestion,
+    chunks,
+    sources: formatSources(chunks, documentNames),
+    promptSources,
+    prompt,
+    staleDocuments,
+  };
+}
+
+/**
+ * Context passed to providers next to the prompt.
+ * Structured context lets the local provider answer offline.
+ */
+function answerContext(prepared) {
+  return {
+    task: 'answer',
+    question: prepared.standaloneQuestion,
+    sources: prepared.promptSources,
+  };
+}
+
+/**
+ * Check a generated answer against what was retrieved for it: its citations,
+ * and whether its claims are supported by the excerpts in the prompt
+ * @param {string} answer
+ * @param {Object} prepared - prepareAnswer() result
+ * @param {Object} options - answerQuestion() options (chatProvider, grounding)
+ * @returns {Promise<{citations: Object, grounding: Object}>}
+ */
+async function verifyAnswer(answer, prepared, { chatProvider, grounding }) {
+  return {
+    citations: checkCitations(answer, prepared.sources),
+    grounding: await checkGrounding(answer, prepared.promptSources.map(source => source.text), { grounding, chatProvider }),
+  };
+}
+
+/**
+ * Answer a question about a document, optionally as a follow-up in a chat
+ * @param {Object} options
+ * @param {Object} options.vectorStore
+ * @param {Object} options.chatProvider
+ * @param {Object} options.embeddingProvider
+ * @param {Object} [options.indexSignature] - Model and size the index holds,
+ *   which documents must match to be searched by vector (see
+ *   resolveEmbeddingSignature(); the provider's own by default)
+ * @param {string} [options.docId] - Ask one document
+ * @param {Array<string>|null} [options.docIds] - Ask several documents; null for the whole library
+ * @param {Object} [options.access] - Search only what this user may see (see accessFilter())
+ * @param {string} options.question
+ * @param {Array} [options.history] - Earlier messages [{role, content}]
+ * @param {number} [options.topK]
+ * @param {Object} [options.retrieval] - Retrieval mode and weights (default from env)
+ * @param {Object} [options.grounding] - Grounding check (default from env, see grounding.js)
+ * @returns {Promise<Object>} {answer, citations, grounding, sources, chunks,
+ *   prompt, standaloneQuestion, staleDocuments}; citations is checkCitations()
+ *   of the answer, grounding is checkGrounding(), staleDocuments those in
+ *   scope that need re-indexing (see findStaleDocuments())
+ */
+async function answerQuestion(options) {
+  const prepared = await prepareAnswer(options);
+
+  if (prepared.chunks.length === 0) {
+    return { ...prepared, answer: NO_RESULTS_ANSWER, ...await verifyAnswer('', prepared, options) };
+  }
+
+  const answer = await options.chatProvider.generateText(prepared.prompt, answerContext(prepared));
+
+  console.log('✅ Answer generated');
+  console.log(`📄 Answer preview: ${answer.substring(0, 100)}...`);
+
+  return { ...prepared, answer, ...await verifyAnswer(answer, prepared, options) };
+}
+
+/**
+ * Stream an answer. Sources are reported before generation starts.
+ * @param {Object} options - Same as answerQuestion(), plus:
+ * @param {Function} options.onSources - Called with the prepared retrieval result
+ * @param {Function} options.onToken - Called with each text fragment
+ * @param {AbortSignal} [options.signal] - Stops generation early
+ * @returns {Promise<Object>} Same as answerQuestion(), plus {cancelled}
+ */
+async function streamAnswer(options) {
+  const { chatProvider, onSources, onToken, signal } = options;
+  const prepared = await prepareAnswer(options);
+  onSources(prepared);
+
+  if (prepared.chunks.length === 0) {
+    onToken(NO_RESULTS_ANSWER);
+    return { ...prepared, answer: NO_RESULTS_ANSWER, ...await verifyAnswer('', prepared, options), cancelled: false };
+  }
+
+  let answer = '';
+  try {
+    for await (const text of chatProvider.streamText(prepared.prompt, answerContext(prepared), { signal })) {
+      if (signal?.aborted) break;
+      answer += text;
+      onToken(text);
+    }
+  } catch (error) {
+    // Aborting the request surfaces as an AbortError from the provider
+    if (!signal?.aborted) throw error;
+  }
+
+  const cancelled = Boolean(signal?.aborted);
+  console.log(cancelled ? '⏹️  Answer generation cancelled' : '✅ Answer streamed');
+
+  return { ...prepared, answer, ...await verifyAnswer(answer, prepared, options), cancelled };
+}
+
+module.exports = {
+  NO_RESULTS_ANSWER,
+  retrieveChunks,
+  buildPromptSources,
+  buildPrompt,
+  formatSources,
+  prepareAnswer,
+  answerQuestion,
+  streamAnswer,
+};
@@ -0,0 +1,136 @@
+// backend/utils/rateLimit.js
+// Request rate limits (per API key and per client IP, per minute) and daily
+// quotas on the requests that cost model calls (questions and uploads)
+
+// Daily quotas are counted per kind of request
+const QUOTA_KINDS = ['ask', 'upload'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const intSetting = (value, fallback, name) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`Invalid ${name} "${value}". Expected a whole number (0 turns it off)`);
+  }
+  return number;
+};
+
+// "true", a number of proxy hops, or addresses/subnets (see Express docs)
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Rate limit and quota settings from configuration. 0 turns a limit off.
+ *   RATE_LIMIT_KEY_PER_MINUTE - Requests per minute per API key (default 60)
+ *   RATE_LIMIT_IP_PER_MINUTE  - Requests per minute per client IP (default 300)
+ *   DAILY_ASK_QUOTA           - Questions per day per user or key (default 500)
+ *   DAILY_UPLOAD_QUOTA        - Uploads per day per user or key (default 50)
+ *   TRUST_PROXY               - Express "trust proxy" setting, so the client
+ *                               IP is read from X-Forwarded-For behind a proxy
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {{keyPerMinute: number, ipPerMinute: number, dailyQuota: {ask: number, upload: number}, trustProxy: string|boolean}}
+ */
+function rateLimitConfigFromEnv(env = process.env) {
+  return {
+    keyPerMinute: intSetting(env.RATE_LIMIT_KEY_PER_MINUTE, 60, 'RATE_LIMIT_KEY_PER_MINUTE'),
+    ipPerMinute: intSetting(env.RATE_LIMIT_IP_PER_MINUTE, 300, 'RATE_LIMIT_IP_PER_MINUTE'),
+    dailyQuota: {
+      ask: intSetting(env.DAILY_ASK_QUOTA, 500, 'DAILY_ASK_QUOTA'),
+      upload: intSetting(env.DAILY_UPLOAD_QUOTA, 50, 'DAILY_UPLOAD_QUOTA'),
+    },
+    trustProxy: parseTrustProxy(env.TRUST_PROXY),
+  };
+}
+
+/**
+ * A limit a key asked for, never above the server's own (0 = unlimited)
+ * @param {number} [requested]
+ * @param {number} serverLimit
+ * @returns {number}
+ */
+function lowerLimit(requested, serverLimit) {
+  if (!Number.isInteger(requested) || requested <= 0) return serverLimit;
+  return serverLimit === 0 ? requested : Math.min(requested, serverLimit);
+}
+
+/**
+ * Fixed-window request counter, kept in memory. Each key (an API key id or
+ * an IP address) gets `limit` requests per window.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.windowMs] - Window length (default one minute)
+   */
+  constructor({ windowMs = 60 * 1000 } = {}) {
+    this.windowMs = windowMs;
+    this.windows = new Map();
+    this.nextSweep = 0;
+  }
+
+  /**
+   * Count a request
+   * @param {string} key
+   * @param {number} limit - Requests allowed per window; 0 allows any
+   * @param {number} [now] - Milliseconds (for tests)
+   * @returns {{allowed: boolean, limit: number, remaining: number, resetAt: number}}
+   *   resetAt in milliseconds
+   */
+  hit(key, limit, now = Date.now()) {
+    this.sweep(now);
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+    window.count++;
+
+    return {
+      allowed: limit === 0 || window.count <= limit,
+      limit,
+      remaining: limit === 0 ? Infinity : Math.max(0, limit - window.count),
+      resetAt: window.resetAt,
+    };
+  }
+
+  // Forget finished windows once per window length, so memory stays bounded
+  sweep(now) {
+    if (now < this.nextSweep) return;
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+    this.nextSweep = now + this.windowMs;
+  }
+}
+
+/**
+ * The UTC day a quota counts towards
+ * @param {Date} [date]
+ * @returns {string} YYYY-MM-DD
+ */
+function quotaDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * When today's quotas start over (next UTC midnight)
+ * @param {Date} [date]
+ * @returns {Date}
+ */
+function quotaResetsAt(date = new Date()) {
+  return new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS + DAY_MS);
+}
+
+module.exports = {
+  QUOTA_KINDS,
+  rateLimitConfigFromEnv,
+  lowerLimit,
+  RateLimiter,
+  quotaDay,
+  quotaResetsAt,
+};
@@ -0,0 +1,135 @@
+// backend/utils/reindex.js
+// Whether a document's stored vectors can be searched with the embedding
+// model the server uses now. Vectors from different models (or of
+// different sizes) are not comparable: a question embedded with one model
+// finds nothing meaningful among vectors made by another, even when their
+// sizes happen to match. Such documents need re-indexing (see
+// reindexDocument() in ingestion.js).
+
+// Re-index states in which another re-index of the document is not queued
+const REINDEX_ACTIVE = ['queued', 'running'];
+
+/**
+ * What vectors made with a provider look like
+ * @param {Object} provider - Embedding provider
+ * @returns {{model: string, dimensions: number|null}} dimensions is null
+ *   when the provider does not say (it uses the model's default size)
+ */
+function embeddingSignature(provider) {
+  return {
+    model: provider.embeddingModelName,
+    dimensions: Number.isInteger(provider.dimensions) ? provider.dimensions : null,
+  };
+}
+
+/**
+ * embeddingSignature(), with the size filled in, without calling the model,
+ * when EMBEDDING_DIMENSIONS is not set: the size recorded on the document
+ * the model embedded last
+ * @param {Object} provider - Embedding provider
+ * @param {Object} vectorStore
+ * @returns {Promise<{model: string, dimensions: number|null}>} dimensions
+ *   stays null until the model has embedded a document
+ */
+async function resolveEmbeddingSignature(provider, vectorStore) {
+  const signature = embeddingSignature(provider);
+  if (signature.dimensions) {
+    return signature;
+  }
+  const [latest] = await vectorStore.documents
+    .find({ status: 'processed', embeddingModel: signature.model, embeddingDimensions: { $exists: true } })
+    .sort({ indexedAt: -1 })
+    .limit(1)
+    .toArray();
+  return { ...signature, dimensions: latest?.embeddingDimensions || null };
+}
+
+/**
+ * Why a document's vectors cannot be searched with the current model
+ * @param {Object} document - Document record
+ * @param {{model: string, dimensions: number|null}} signature - embeddingSignature()
+ * @returns {string|null} null when they can, or when the document does not
+ *   record its model (indexed before models were recorded)
+ */
+function indexMismatch(document, { model, dimensions }) {
+  if (!document || document.status !== 'processed') {
+    return null;
+  }
+  if (document.embeddingModel && document.embeddingModel !== model) {
+    return `Embedded with ${document.embeddingModel}; questions are embedded with ${model}`;
+  }
+  if (dimensions && document.embeddingDimensions && document.embeddingDimensions !== dimensions) {
+    return `Vectors have ${document.embeddingDimensions} dimensions; ${model} now makes ${dimensions}`;
+  }
+  return null;
+}
+
+/**
+ * The chunking strategy a document was indexed with. Records from before
+ * strategies were recorded were chunked by paragraph, the only chunker
+ * there was, whatever the default is now.
+ * @param {Object} document - Document record
+ * @returns {string}
+ */
+function recordedChunkingStrategy(document) {
+  return document.chunking?.strategy || 'paragraph';
+}
+
+// "sentence, 1000 characters, overlap 200"
+const describeChunking = ({ strategy, size, unit, overlap }) =>
+  size ? `${strategy}, ${size} ${unit}, overlap ${overlap}` : strategy;
+
+/**
+ * Why a document should be re-indexed: its vectors do not match the
+ * current model, or it was chunked with other settings than it would be now
+ * @param {Object} document - Document record
+ * @param {Object} signature - embeddingSignature()
+ * @param {Object} chunking - The chunking it would get now (see
+ *   resolveChunking()); by default its recorded strategy at today's sizes
+ * @returns {string|null} null when it is up to date
+ */
+function reindexReason(document, signature, chunking) {
+  const mismatch = indexMismatch(document, signature);
+  if (mismatch) {
+    return mismatch;
+  }
+  // Records from before chunking was configurable only know the strategy
+  const current = document.chunking || { strategy: recordedChunkingStrategy(document) };
+  const keys = document.chunking ? ['strategy', 'size', 'overlap'] : ['strategy'];
+  if (keys.some(key => current[key] !== chunking[key])) {
+    return `Chunked as ${describeChunking(current)}; the current settings are ${describeChunking(chunking)}`;
+  }
+  return null;
+}
+
+/**
+ * The documents among docIds that need re-indexing before vector search
+ * can use them
+ * @param {Object} vectorStore
+ * @param {Array<string>} docIds
+ * @param {Object} signature - embeddingSignature()
+ * @returns {Promise<Array<{docId: string, filename: string, embeddingModel: string, embeddingDimensions: number|null, reason: string}>>}
+ */
+async function findStaleDocuments(vectorStore, docIds, signature) {
+  const documents = await vectorStore.getDocuments(docIds);
+  return documents
+    .map(document => ({ document, reason: indexMismatch(document, signature) }))
+    .filter(({ reason }) => reason)
+    .map(({ document, reason }) => ({
+      docId: document._id,
+      filename: document.filename,
+      embeddingModel: document.embeddingModel,
+      embeddingDimensions: document.embeddingDimensions || null,
+      reason,
+    }));
+}
+
+module.exports = {
+  REINDEX_ACTIVE,
+  embeddingSignature,
+  resolveEmbeddingSignature,
+  indexMismatch,
+  recordedChunkingStrategy,
+  reindexReason,
+  findStaleDocuments,
+};
@@ -0,0 +1,210 @@
+// backend/utils/reranker.js
+// Reranking between retrieval and prompting: rescore over-fetched candidates,
+// optionally diversify them with maximal marginal relevance (MMR), keep the best
+
+const { contentTerms, lexicalOverlap } = require('./textUtils');
+
+const RERANKERS = ['none', 'lexical', 'llm', 'cross-encoder'];
+
+// Passage text shown to the LLM reranker
+const MAX_RERANK_PASSAGE_CHARS = 500;
+
+/**
+ * Reranking settings from configuration.
+ *   RERANKER          - lexical (default) | llm | cross-encoder | none
+ *   RERANK_CANDIDATES - how many chunks to retrieve before reranking (default 12)
+ *   RERANK_MMR        - "true" to diversify the kept chunks with MMR
+ *   RERANK_MMR_LAMBDA - relevance vs. diversity trade-off, 0 to 1 (default 0.7)
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {{reranker: string, candidates: number, mmr: boolean, mmrLambda: number}}
+ */
+function rerankConfigFromEnv(env = process.env) {
+  const reranker = (env.RERANKER || 'lexical').toLowerCase();
+  if (!RERANKERS.includes(reranker)) {
+    throw new Error(`Unknown reranker "${reranker}". Expected one of: ${RERANKERS.join(', ')}`);
+  }
+
+  return {
+    reranker,
+    candidates: env.RERANK_CANDIDATES ? parseInt(env.RERANK_CANDIDATES, 10) : 12,
+    mmr: env.RERANK_MMR === 'true',
+    mmrLambda: env.RERANK_MMR_LAMBDA ? parseFloat(env.RERANK_MMR_LAMBDA) : 0.7,
+  };
+}
+
+/**
+ * Build the LLM relevance prompt
+ * @param {string} query
+ * @param {Array<string>} passages
+ * @returns {string}
+ */
+function buildRerankPrompt(query, passages) {
+  const numbered = passages
+    .map((text, idx) => `[${idx + 1}] ${text.substring(0, MAX_RERANK_PASSAGE_CHARS)}`)
+    .join('\n\n');
+
+  return `Rate how useful each passage is for answering the question, from 0 (irrelevant) to 10 (answers it directly).
+
+Question: ${query}
+
+Passages:
+${numbered}
+
+Reply with ONLY a JSON array of ${passages.length} numbers, one per passage, in order.`;
+}
+
+/**
+ * Scoring functions by reranker name. Each returns one score per passage.
+ */
+const SCORERS = {
+  lexical: async (query, passages) => passages.map(text => lexicalOverlap(query, text)),
+
+  llm: async (query, passages, { chatProvider }) => {
+    const reply = await chatProvider.generateText(buildRerankPrompt(query, passages), {
+      task: 'rerank',
+      question: query,
+      passages,
+    });
+
+    const match = (reply || '').match(/\[[\s\S]*?\]/);
+    const scores = match ? JSON.parse(match[0]) : null;
+    if (!Array.isArray(scores) || scores.length !== passages.length || !scores.every(Number.isFinite)) {
+      throw new Error(`Unusable relevance ratings: ${(reply || '').substring(0, 100)}`);
+    }
+    return scores;
+  },
+
+  'cross-encoder': async (query, passages, { chatProvider }) => {
+    if (typeof chatProvider.rerank !== 'function') {
+      throw new Error(`Provider "${chatProvider.name}" has no cross-encoder reranking`);
+    }
+    return chatProvider.rerank(query, passages);
+  },
+};
+
+/**
+ * Similarity between two chunks for MMR: term overlap (Jaccard), or the
+ * shared share of their text when they are overlapping spans of one document
+ * @param {Object} a - Chunk with text, docId and metadata offsets
+ * @param {Object} b
+ * @returns {number} Between 0 and 1
+ */
+function chunkSimilarity(a, b) {
+  const termsA = a.terms || new Set(contentTerms(a.text));
+  const termsB = b.terms || new Set(contentTerms(b.text));
+  let shared = 0;
+  termsA.forEach(term => {
+    if (termsB.has(term)) shared++;
+  });
+  const union = termsA.size + termsB.size - shared;
+  const jaccard = union > 0 ? shared / union : 0;
+
+  if (a.docId !== b.docId || !a.metadata || !b.metadata) {
+    return jaccard;
+  }
+
+  const { startChar: startA = 0, endChar: endA = 0 } = a.metadata;
+  const { startChar: startB = 0, endChar: endB = 0 } = b.metadata;
+  const overlap = Math.min(endA, endB) - Math.max(startA, startB);
+  const shorter = Math.min(endA - startA, endB - startB);
+  const spanOverlap = overlap > 0 && shorter > 0 ? overlap / shorter : 0;
+
+  return Math.max(jaccard, spanOverlap);
+}
+
+/**
+ * Maximal marginal relevance: repeatedly pick the chunk with the best
+ * lambda * relevance - (1 - lambda) * similarity to anything already picked
+ * @param {Array} chunks - Candidates
+ * @param {Array<number>} relevance - One score per candidate
+ * @param {Object} options
+ * @param {number} options.topK
+ * @param {number} [options.lambda] - 1 = relevance only, 0 = diversity only
+ * @returns {Array<number>} Indexes of the picked candidates, in pick order
+ */
+function mmrSelect(chunks, relevance, { topK, lambda = 0.7 }) {
+  // Put relevance on a 0-1 scale so it is comparable with similarity.
+  // Non-negative scores keep their ratios; others (e.g. logits) are min-max scaled.
+  const min = Math.min(...relevance);
+  const max = Math.max(...relevance);
+  const normalised = min >= 0
+    ? relevance.map(score => (max > 0 ? score / max : 1))
+    : relevance.map(score => (score - min) / (max - min));
+
+  const withTerms = chunks.map(chunk => ({ ...chunk, terms: new Set(contentTerms(chunk.text)) }));
+  const remaining = chunks.map((_, idx) => idx);
+  const picked = [];
+
+  while (picked.length < topK && remaining.length > 0) {
+    let best = null;
+    let bestValue = -Infinity;
+
+    for (const idx of remaining) {
+      const redundancy = picked.length > 0
+        ? Math.max(...picked.map(p => chunkSimilarity(withTerms[idx], withTerms[p])))
+        : 0;
+      const value = lambda * normalised[idx] - (1 - lambda) * redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        best = idx;
+      }
+    }
+
+    picked.push(best);
+    remaining.splice(remaining.indexOf(best), 1);
+  }
+
+  return picked;
+}
+
+/**
+ * Rescore retrieved chunks and keep the best topK
+ * @param {string} query
+ * @param {Array} chunks - Retrieval results, best first
+ * @param {Object} options
+ * @param {number} options.topK - Chunks to keep
+ * @param {Object} [options.rerank] - See rerankConfigFromEnv()
+ * @param {Object} [options.chatProvider] - For the llm and cross-encoder rerankers
+ * @returns {Promise<Array>} Chunks with a rerankScore, best first
+ */
+async function rerankChunks(query, chunks, { topK, rerank = rerankConfigFromEnv(), chatProvider }) {
+  if (rerank.reranker === 'none' && !rerank.mmr) {
+    return chunks.slice(0, topK);
+  }
+
+  let relevance;
+  if (rerank.reranker === 'none') {
+    relevance = chunks.map(chunk => chunk.score || 0);
+  } else {
+    try {
+      relevance = await SCORERS[rerank.reranker](query, chunks.map(chunk => chunk.text), { chatProvider });
+    } catch (error) {
+      console.error(`⚠️  ${rerank.reranker} reranking failed, keeping retrieval order:`, error.message);
+      return chunks.slice(0, topK);
+    }
+  }
+
+  const order = rerank.mmr
+    ? mmrSelect(chunks, relevance, { topK, lambda: rerank.mmrLambda })
+    : chunks
+      .map((_, idx) => idx)
+      // Stable: ties keep retrieval order
+      .sort((a, b) => relevance[b] - relevance[a] || a - b)
+      .slice(0, topK);
+
+  console.log(`🏅 Reranked ${chunks.length} candidates (${rerank.reranker}${rerank.mmr ? ' + MMR' : ''}), kept ${order.length}`);
+
+  return order.map(idx => ({
+    ...chunks[idx],
+    rerankScore: rerank.reranker === 'none' ? null : relevance[idx],
+  }));
+}
+
+module.exports = {
+  RERANKERS,
+  rerankConfigFromEnv,
+  buildRerankPrompt,
+  chunkSimilarity,
+  mmrSelect,
+  rerankChunks,
+};
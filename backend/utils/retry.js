@@ -0,0 +1,96 @@
+// backend/utils/retry.js
+// Retrying calls to model providers: which failures are worth another try
+// (rate limits, overloaded or unreachable servers) and exponential backoff
+// with full jitter between attempts, so clients that failed together do not
+// retry together.
+
+// Timeouts, rate limits and server-side failures; anything else in the 4xx
+// range (a bad request, a bad key) fails the same way every time
+const RETRYABLE_STATUSES = new Set([408, 425, 429]);
+
+// Network failures reported by Node and undici
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed provider call may succeed if made again
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  const status = error?.status ?? error?.statusCode;
+  if (Number.isInteger(status)) {
+    return RETRYABLE_STATUSES.has(status) || status >= 500;
+  }
+  const code = error?.code ?? error?.cause?.code;
+  if (RETRYABLE_CODES.has(code)) {
+    return true;
+  }
+  // fetch() reports a dropped connection as TypeError("fetch failed"), and
+  // the Gemini SDK wraps that in a message of its own
+  return /fetch failed|socket hang up/i.test(error?.message || '');
+}
+
+/**
+ * How long to wait before retry number `attempt + 1`: a random time up to
+ * baseDelayMs * 2^attempt, capped at maxDelayMs
+ * @param {number} attempt - Attempts failed so far, minus one
+ * @param {Object} [options]
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {Function} [options.random] - Returns [0, 1) (for tests)
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(attempt, { baseDelayMs = 500, maxDelayMs = 30000, random = Math.random } = {}) {
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Call fn until it succeeds, it fails with an error that is not worth
+ * retrying, or the retries run out. A server's Retry-After (error.retryAfterMs)
+ * is waited out when it is longer than the backoff.
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt (default 5)
+ * @param {number} [options.baseDelayMs] - See backoffDelay()
+ * @param {number} [options.maxDelayMs] - See backoffDelay()
+ * @param {Function} [options.sleep] - async (ms) (for tests)
+ * @param {Function} [options.onRetry] - Called with (error, retryNumber, delayMs)
+ * @returns {Promise<*>} fn's result
+ * @throws The last error, with error.attempts set
+ */
+async function withRetry(fn, options = {}) {
+  const { retries = 5, maxDelayMs = 30000, onRetry } = options;
+  const wait = options.sleep || sleep;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+      const delay = Math.min(maxDelayMs, Math.max(backoffDelay(attempt, options), error.retryAfterMs || 0));
+      if (onRetry) {
+        onRetry(error, attempt + 1, delay);
+      }
+      await wait(delay);
+    }
+  }
+}
+
+module.exports = {
+  isRetryableError,
+  backoffDelay,
+  withRetry,
+};
@@ -0,0 +1,69 @@
+// backend/utils/spans.js
+// Exact source spans: a stretch of a document's extracted text, with the
+// text around it, located by the character offsets chunks carry
+
+// Characters of context shown on each side of a span by default
+const DEFAULT_CONTEXT_CHARS = 300;
+const MAX_CONTEXT_CHARS = 5000;
+
+/**
+ * The page (or section) an offset falls in
+ * @param {Array} pages - {pageNumber, pageLabel, section, headingPath, startChar, endChar}
+ * @param {number} offset
+ * @returns {Object|null}
+ */
+function pageAt(pages, offset) {
+  let found = null;
+  for (const page of pages) {
+    if (page.startChar <= offset) found = page;
+  }
+  return found;
+}
+
+/**
+ * Cut a span and the text around it out of a document. The context is cut
+ * at word boundaries; the span itself is returned exactly as requested.
+ * @param {Object} extracted - {fullText, pages}, see VectorStore.saveText()
+ * @param {Object} range
+ * @param {number} range.start - Offset of the first character
+ * @param {number} range.end - Offset after the last character
+ * @param {number} [range.context] - Characters of context on each side
+ * @returns {Object} {start, end, text, before, after, contextStart,
+ *   contextEnd, page, pageLabel, section, headingPath}
+ */
+function extractSpan({ fullText, pages }, { start, end, context = DEFAULT_CONTEXT_CHARS }) {
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end > fullText.length) {
+    throw new RangeError(`Span ${start}-${end} is outside the document text (0-${fullText.length})`);
+  }
+  const around = Math.min(Math.max(Number.isInteger(context) ? context : DEFAULT_CONTEXT_CHARS, 0), MAX_CONTEXT_CHARS);
+
+  // Move the context edges inwards rather than cut a word in half, and
+  // past any whitespace they land on
+  let contextStart = Math.max(0, start - around);
+  while (contextStart > 0 && contextStart < start && /\S/.test(fullText[contextStart - 1])) contextStart++;
+  let contextEnd = Math.min(fullText.length, end + around);
+  while (contextEnd < fullText.length && contextEnd > end && /\S/.test(fullText[contextEnd])) contextEnd--;
+  while (contextStart < start && /\s/.test(fullText[contextStart])) contextStart++;
+  while (contextEnd > end && /\s/.test(fullText[contextEnd - 1])) contextEnd--;
+
+  const page = pageAt(pages, start);
+
+  return {
+    start,
+    end,
+    text: fullText.slice(start, end),
+    before: fullText.slice(contextStart, start),
+    after: fullText.slice(end, contextEnd),
+    contextStart,
+    contextEnd,
+    page: page ? page.pageNumber : null,
+    pageLabel: page ? page.pageLabel : null,
+    section: page ? page.section : null,
+    headingPath: page ? page.headingPath : [],
+  };
+}
+
+module.exports = {
+  DEFAULT_CONTEXT_CHARS,
+  extractSpan,
+};
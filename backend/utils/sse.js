@@ -0,0 +1,51 @@
+// backend/utils/sse.js
+// Server-Sent Events helpers for streaming responses
+
+/**
+ * Switch an Express response into an event stream
+ * @param {Object} res - Express response
+ */
+function initSSE(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Send one named event with a JSON payload
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serialisable payload
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * AbortController that fires when the client goes away before the
+ * response has finished
+ * @param {Object} res - Express response
+ * @returns {AbortController}
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller;
+}
+
+module.exports = {
+  initSSE,
+  sendEvent,
+  abortOnDisconnect,
+};
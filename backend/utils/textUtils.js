@@ -0,0 +1,166 @@
+// backend/utils/textUtils.js
+// Small text helpers shared by the local (offline) components
+
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by',
+  'can', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'of', 'on', 'or', 'our',
+  'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'those', 'to', 'was', 'we', 'were', 'what', 'when',
+  'where', 'which', 'who', 'whom', 'why', 'will', 'with', 'would', 'you',
+  'your',
+]);
+
+/**
+ * Lowercase word tokens. Keeps digits, dots and dashes inside a token so
+ * identifiers such as "v2.1" or "AB-1234" survive as one term.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  const matches = (text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:[.\-_/][\p{L}\p{N}]+)*/gu);
+  return matches || [];
+}
+
+/**
+ * Tokens with stopwords removed
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function contentTerms(text) {
+  return tokenize(text).filter(t => !STOPWORDS.has(t));
+}
+
+/**
+ * How well a text covers a query: the share of the query's content terms it
+ * contains, with a bonus for query word pairs that appear side by side
+ * @param {string} query
+ * @param {string} text
+ * @returns {number} Between 0 and 1
+ */
+function lexicalOverlap(query, text) {
+  const queryTerms = [...new Set(contentTerms(query))];
+  if (queryTerms.length === 0) {
+    return 0;
+  }
+
+  const textTerms = contentTerms(text);
+  const termSet = new Set(textTerms);
+  const coverage = queryTerms.filter(term => termSet.has(term)).length / queryTerms.length;
+
+  const textPairs = new Set(textTerms.slice(1).map((term, i) => `${textTerms[i]} ${term}`));
+  const queryPairs = queryTerms.slice(1).map((term, i) => `${queryTerms[i]} ${term}`);
+  const pairCoverage = queryPairs.length > 0
+    ? queryPairs.filter(pair => textPairs.has(pair)).length / queryPairs.length
+    : 0;
+
+  return (coverage + 0.5 * pairCoverage) / 1.5;
+}
+
+/**
+ * Crude suffix-stripping stem, so "uses", "used" and "using" meet at "us".
+ * Terms with digits are left alone: "v2" and "v2s" are different things.
+ * @param {string} term - A token from tokenize()
+ * @returns {string}
+ */
+function stem(term) {
+  if (/\d/.test(term)) {
+    return term;
+  }
+  return term
+    .replace(/ies$/, 'y')
+    .replace(/^(.{2,}?)(?:ing|ed|es|e|(?<!s)s)$/, '$1');
+}
+
+/**
+ * How well a text backs a claim: the share of the claim's content terms
+ * (stemmed) it contains. Numbers must appear verbatim; each one missing
+ * scales the score down, since a wrong figure is the commonest way a
+ * paraphrase goes wrong.
+ * @param {string} claim
+ * @param {string} text
+ * @returns {number} Between 0 and 1
+ */
+function claimSupport(claim, text) {
+  const claimTerms = [...new Set(contentTerms(claim))];
+  if (claimTerms.length === 0) {
+    return 0;
+  }
+
+  const textTerms = contentTerms(text);
+  const stems = new Set(textTerms.map(stem));
+  const coverage = claimTerms.filter(term => stems.has(stem(term))).length / claimTerms.length;
+
+  const numbers = claimTerms.filter(term => /\d/.test(term));
+  if (numbers.length === 0) {
+    return coverage;
+  }
+  const exact = new Set(textTerms);
+  return coverage * (numbers.filter(term => exact.has(term)).length / numbers.length);
+}
+
+/**
+ * Split text into sentences, keeping each sentence's offset in the input
+ * @param {string} text
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+function splitSentences(text) {
+  const sentences = [];
+  // A terminator only ends a sentence when followed by whitespace or the
+  // end of the text, so "3.5" or "v2.1" stay inside their sentence
+  const pattern = /(?:[^.!?\n]|[.!?](?=[^\s.!?]))+(?:[.!?]+|(?=\n)|$)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const raw = match[0];
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (trimmed.length > 0) {
+      const start = match.index + leading;
+      sentences.push({ text: trimmed, start, end: start + trimmed.length });
+    }
+  }
+
+  return sentences;
+}
+
+/**
+ * Approximate token count. Close to what BPE tokenizers give for English
+ * prose: about one token per four characters of a word, plus one per
+ * punctuation mark. Good enough for sizing chunks, not for billing.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  let tokens = 0;
+  for (const piece of (text || '').match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || []) {
+    tokens += /[\p{L}\p{N}]/u.test(piece) ? Math.ceil(piece.length / 4) : 1;
+  }
+  return tokens;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} str
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+module.exports = {
+  STOPWORDS,
+  tokenize,
+  contentTerms,
+  lexicalOverlap,
+  stem,
+  claimSupport,
+  splitSentences,
+  estimateTokens,
+  fnv1a,
+};
@@ -1,130 +1,901 @@
-// backend/utils/vectorStore-v5.js
-// Enhanced vector store that preserves metadata
+// backend/utils/vectorStore.js
+// Vector store interface with MongoDB Atlas, in-memory and file-backed implementations
 
+const crypto = require('crypto');
+const { MongoClient } = require('mongodb');
 const { cosineSimilarity } = require('./embeddings');
+const { LocalDb } = require('./localDb');
+const { BM25Index } = require('./bm25');
 
 /**
- * Vector store with metadata support (Version 5)
+ * Filter on the documents or vectors collection for the records a user may
+ * see: their own, and those of the workspaces they belong to. Uses only
+ * operators $vectorSearch filters accept.
+ * @param {{userId: string, workspaceIds: Array<string>}} access - See userAccess()
+ * @returns {Object}
+ */
+function accessFilter({ userId, workspaceIds }) {
+  return { $or: [{ ownerId: { $eq: userId } }, { workspaceId: { $in: workspaceIds } }] };
+}
+
+/**
+ * Filter on the vectors collection for a search scope
+ * @param {Object} options - {docIds} or {docId}; neither means every
+ *   document. With {access}, only what that user may see.
+ * @returns {Object}
+ */
+function scopeFilter({ docIds, docId, access } = {}) {
+  const clauses = [];
+  if (Array.isArray(docIds)) {
+    clauses.push({ docId: { $in: docIds } });
+  } else if (docId) {
+    clauses.push({ docId });
+  }
+  if (access) {
+    clauses.push(accessFilter(access));
+  }
+  return clauses.length > 1 ? { $and: clauses } : clauses[0] || {};
+}
+
+// Fields $vectorSearch filters on (see scopeFilter() and accessFilter());
+// an Atlas index has to declare each of them
+const VECTOR_FILTER_FIELDS = ['docId', 'ownerId', 'workspaceId'];
+
+// How often a search index that is not ready yet is looked up again
+const SEARCH_INDEX_RECHECK_MS = 30 * 1000;
+
+/**
+ * Atlas Vector Search index definition for the vectors collection
+ * @param {number} dimensions - Embedding size
+ * @returns {Object}
+ */
+function vectorIndexDefinition(dimensions) {
+  return {
+    fields: [
+      { type: 'vector', path: 'embedding', numDimensions: dimensions, similarity: 'cosine' },
+      ...VECTOR_FILTER_FIELDS.map(path => ({ type: 'filter', path })),
+    ],
+  };
+}
+
+/**
+ * What keeps an existing Atlas search index from serving $vectorSearch over
+ * the current embeddings
+ * @param {Object} index - Entry from listSearchIndexes()
+ * @param {number|null} dimensions - Size the embedding model makes, if known
+ * @returns {{issue: string|null, missingFilters: Array<string>, numDimensions: number|null, repairable: boolean}}
+ *   repairable: the only issue is missing filter fields, which updating the
+ *   index in place adds
+ */
+function vectorIndexIssue(index, dimensions) {
+  const fields = (index.latestDefinition || index.definition || {}).fields || [];
+  const vector = fields.find(field => field.type === 'vector' && field.path === 'embedding');
+  const missingFilters = VECTOR_FILTER_FIELDS.filter(
+    path => !fields.some(field => field.type === 'filter' && field.path === path),
+  );
+  const numDimensions = vector?.numDimensions ?? null;
+
+  let issue = null;
+  let repairable = false;
+  if (index.type && index.type !== 'vectorSearch') {
+    issue = `"${index.name}" is a ${index.type} index; $vectorSearch needs a vectorSearch index`;
+  } else if (!vector) {
+    issue = `"${index.name}" does not index the embedding field`;
+  } else if (dimensions && numDimensions !== dimensions) {
+    issue = `"${index.name}" holds ${numDimensions}-dimension vectors; the embedding model makes ${dimensions}`;
+  } else if (missingFilters.length > 0) {
+    issue = `"${index.name}" cannot filter on ${missingFilters.join(', ')}`;
+    repairable = true;
+  }
+  return { issue, missingFilters, numDimensions, repairable };
+}
+
+/**
+ * Record in the texts collection: a document's full text and where each
+ * page or section starts and ends in it
+ * @param {string} docId
+ * @param {{fullText: string, pages: Array}} text
+ * @returns {Object}
+ */
+function textRecord(docId, { fullText, pages }) {
+  const pageBounds = pages.map(({ pageNumber, pageLabel, section, headingPath, startChar, endChar }) => ({
+    pageNumber,
+    pageLabel,
+    section: section || null,
+    headingPath: headingPath || [],
+    startChar,
+    endChar,
+  }));
+  return { _id: docId, fullText, pages: pageBounds, createdAt: new Date() };
+}
+
+/**
+ * Base vector store. Documents and their chunk vectors live in two
+ * collections ("documents" and "vectors") of a MongoDB-style database:
+ * either a real driver Db or a LocalDb. Subclasses implement search().
  */
 class VectorStore {
-  constructor() {
-    this.store = new Map();
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - MongoDB Db or LocalDb
+   */
+  constructor({ db }) {
+    this.db = db;
+    this.documents = db.collection('documents');
+    this.vectors = db.collection('vectors');
+    this.texts = db.collection('texts');
+    this.checkpoints = db.collection('embeddingCheckpoints');
+    this.name = 'base';
+    this.type = 'memory';
+    this.keywordIndex = null;
+  }
+
+  /**
+   * Prepare the store (indexes, checks). Called once at startup.
+   * @param {Object} [options]
+   * @param {Object} [options.embeddingSignature] - {model, dimensions} of
+   *   the vectors (see resolveEmbeddingSignature()), for sizing search indexes
+   */
+  async init(options = {}) {}
+
+  /**
+   * State of the search index vector search depends on, for /api/health
+   * @returns {Promise<Object|null>} null for stores that search exactly and
+   *   need none
+   */
+  async searchIndexStatus() {
+    return null;
   }
 
   /**
-   * Add documents with embeddings and metadata
-   * @param {string} docId 
+   * Save a document record
+   * @param {Object} record - Document metadata, keyed by _id
+   */
+  async saveDocument(record) {
+    await this.documents.insertOne(record);
+  }
+
+  /**
+   * Get a document record
+   * @param {string} docId
+   * @returns {Promise<Object|null>}
+   */
+  async getDocument(docId) {
+    return this.documents.findOne({ _id: docId });
+  }
+
+  /**
+   * Get several document records
+   * @param {Array<string>} docIds
+   * @returns {Promise<Array>}
+   */
+  async getDocuments(docIds) {
+    return this.documents.find({ _id: { $in: docIds } }).toArray();
+  }
+
+  /**
+   * Update fields on a document record
+   * @param {string} docId
+   * @param {Object} fields
+   */
+  async updateDocument(docId, fields) {
+    await this.documents.updateOne({ _id: docId }, { $set: fields });
+  }
+
+  /**
+   * List document records, newest first
+   * @param {Object} options
+   * @param {Object} options.filter - Extra filter on the document records
+   * @param {number} options.limit
+   * @returns {Promise<Array>}
+   */
+  async listDocuments({ filter = {}, limit = 50 } = {}) {
+    return this.documents.find(filter).sort({ uploadedAt: -1 }).limit(limit).toArray();
+  }
+
+  /**
+   * Save a document's extracted text, which chunk offsets point into
+   * @param {string} docId
+   * @param {Object} extracted
+   * @param {string} extracted.fullText
+   * @param {Array} extracted.pages - Page boundaries: {pageNumber, pageLabel,
+   *   section, headingPath, startChar, endChar}
+   */
+  async saveText(docId, extracted) {
+    await this.texts.replaceOne({ _id: docId }, textRecord(docId, extracted), { upsert: true });
+  }
+
+  /**
+   * Get a document's extracted text
+   * @param {string} docId
+   * @returns {Promise<Object|null>} {fullText, pages}, or null when not stored
+   */
+  async getText(docId) {
+    return this.texts.findOne({ _id: docId });
+  }
+
+  /**
+   * Vector records for a document's chunks
+   * @param {string} docId
    * @param {Array} chunks - Array of {text, chunkIndex, metadata}
    * @param {Array} embeddings - Array of embedding vectors
+   * @param {Object} options - See addDocuments()
+   * @returns {Array<Object>}
    */
-  async addDocuments(docId, chunks, embeddings) {
+  vectorRecords(docId, chunks, embeddings, { ownerId, workspaceId, embeddingModel }) {
     if (chunks.length !== embeddings.length) {
       throw new Error('Number of chunks and embeddings must match');
     }
 
-    const enrichedChunks = chunks.map((chunk, idx) => ({
+    return chunks.map((chunk, idx) => ({
+      docId,
+      ...(ownerId && { ownerId }),
+      ...(workspaceId && { workspaceId }),
+      chunkIndex: chunk.chunkIndex,
       text: chunk.text,
       embedding: embeddings[idx],
-      chunkIndex: chunk.chunkIndex,
+      ...(embeddingModel && { embeddingModel }),
+      dimensions: embeddings[idx].length,
       metadata: {
         page: chunk.metadata.page,
+        pageLabel: chunk.metadata.pageLabel,
+        section: chunk.metadata.section,
+        headingPath: chunk.metadata.headingPath,
         paragraphNumber: chunk.metadata.paragraphNumber,
         paragraphRange: chunk.metadata.paragraphRange,
         startChar: chunk.metadata.startChar,
         endChar: chunk.metadata.endChar,
-        chunkLength: chunk.metadata.chunkLength
-      }
+        chunkLength: chunk.metadata.chunkLength,
+      },
+      createdAt: new Date(),
     }));
+  }
 
-    this.store.set(docId, enrichedChunks);
-    
-    console.log(`💾 Stored ${enrichedChunks.length} chunks with metadata for doc ${docId}`);
-    console.log(`   Metadata includes: Page numbers, Paragraph numbers, Character positions`);
+  /**
+   * Add chunk vectors with metadata for a document
+   * @param {string} docId
+   * @param {Array} chunks - Array of {text, chunkIndex, metadata}
+   * @param {Array} embeddings - Array of embedding vectors
+   * @param {Object} [options]
+   * @param {string} [options.ownerId] - User the document belongs to, copied
+   *   onto every vector
+   * @param {string} [options.workspaceId] - Workspace it belongs to instead
+   * @param {string} [options.embeddingModel] - Model that made the vectors,
+   *   recorded on each with its size
+   * @returns {Promise<number>} Number of vectors stored
+   */
+  async addDocuments(docId, chunks, embeddings, options = {}) {
+    const vectorDocuments = this.vectorRecords(docId, chunks, embeddings, options);
+
+    if (vectorDocuments.length > 0) {
+      await this.vectors.insertMany(vectorDocuments);
+    }
+
+    if (this.keywordIndex) {
+      const index = await this.keywordIndex;
+      vectorDocuments.forEach(record => index.add(record));
+    }
+
+    console.log(`💾 Stored ${vectorDocuments.length} chunks with metadata for doc ${docId} (${this.name})`);
+    return vectorDocuments.length;
   }
 
   /**
-   * Search for most similar chunks with metadata
-   * @param {string} docId 
-   * @param {Array} queryEmbedding 
-   * @param {number} topK 
-   * @returns {Array} Top K results with metadata
+   * Replace a document's vectors, extracted text and index fields at once,
+   * so a search sees either the old index or the new one, never a mix. The
+   * new vectors are first written under a staging id that no search scope
+   * or access filter matches, then swapped in (see swapVectors()).
+   * @param {string} docId
+   * @param {Array} chunks - Array of {text, chunkIndex, metadata}
+   * @param {Array} embeddings - Array of embedding vectors
+   * @param {Object} options - addDocuments() options, plus:
+   * @param {Object} options.text - {fullText, pages}, see saveText()
+   * @param {Object} [options.documentFields] - Set on the document record in the same step
+   * @returns {Promise<number>} Number of vectors now stored for the document
    */
-  async search(docId, queryEmbedding, topK = 5) {
-    const chunks = this.store.get(docId);
-    
-    if (!chunks) {
-      throw new Error(`Document ${docId} not found in vector store`);
+  async replaceVectors(docId, chunks, embeddings, { text, documentFields = {}, ...options }) {
+    const { ownerId, workspaceId } = options;
+    const stagingId = `${docId}:staging:${crypto.randomUUID()}`;
+    const records = this.vectorRecords(stagingId, chunks, embeddings, { ...options, ownerId: null, workspaceId: null });
+
+    try {
+      if (records.length > 0) {
+        await this.vectors.insertMany(records);
+      }
+      await this.swapVectors(docId, stagingId, {
+        vectorFields: { docId, ...(ownerId && { ownerId }), ...(workspaceId && { workspaceId }) },
+        text: textRecord(docId, text),
+        documentFields,
+      });
+    } catch (error) {
+      await this.vectors.deleteMany({ docId: stagingId }).catch(() => {});
+      throw error;
     }
 
-    // Calculate similarity for all chunks
-    const results = chunks.map(chunk => ({
-      text: chunk.text,
-      chunkIndex: chunk.chunkIndex,
-      similarity: cosineSimilarity(queryEmbedding, chunk.embedding),
-      metadata: chunk.metadata  // Include all metadata
+    if (this.keywordIndex) {
+      const index = await this.keywordIndex;
+      index.removeDocument(docId);
+      records.forEach(record => index.add({ ...record, docId }));
+    }
+
+    console.log(`🔁 Swapped in ${records.length} chunks for doc ${docId} (${this.name})`);
+    return records.length;
+  }
+
+  /**
+   * Drop vectors staged by re-indexes that never finished (they failed, or
+   * the server stopped part-way)
+   * @param {string} [docId] - Only this document's; every document's by default
+   * @returns {Promise<number>} Vectors deleted
+   */
+  async deleteStagedVectors(docId) {
+    const prefix = docId ? `^${docId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` : '';
+    const { deletedCount } = await this.vectors.deleteMany({ docId: { $regex: `${prefix}:staging:` } });
+    return deletedCount;
+  }
+
+  /**
+   * Make staged vectors a document's own, dropping the ones it had, and
+   * store its new text and index fields. The writes run one after another,
+   * the vectors last, so a failure before them leaves the document's
+   * vectors as they were. They are not atomic together: a search between
+   * them can see the new text beside the old vectors. AtlasVectorStore
+   * runs them in a transaction instead.
+   * @param {string} docId
+   * @param {string} stagingId - docId the new vectors were written under
+   * @param {Object} changes - {vectorFields, text, documentFields}
+   */
+  async swapVectors(docId, stagingId, { vectorFields, text, documentFields }) {
+    await this.texts.replaceOne({ _id: docId }, text, { upsert: true });
+    await this.documents.updateOne({ _id: docId }, { $set: documentFields });
+    // One ordered bulk write (LocalDb applies it in full, with no other
+    // request in between)
+    await this.vectors.bulkWrite([
+      { deleteMany: { filter: { docId } } },
+      { updateMany: { filter: { docId: stagingId }, update: { $set: vectorFields } } },
+    ]);
+  }
+
+  /**
+   * All chunks of a document, in order
+   * @param {string} docId
+   * @returns {Promise<Array>}
+   */
+  async getChunks(docId) {
+    return this.vectors.find({ docId }).sort({ chunkIndex: 1 }).toArray();
+  }
+
+  /**
+   * One chunk of a document
+   * @param {string} docId
+   * @param {number} chunkIndex
+   * @returns {Promise<Object|null>}
+   */
+  async getChunk(docId, chunkIndex) {
+    return this.vectors.findOne({ docId, chunkIndex }, { projection: { embedding: 0 } });
+  }
+
+  /**
+   * Keep the embeddings made so far for a document whose ingestion failed,
+   * so resuming it only embeds the rest. Replaces any earlier checkpoint.
+   * @param {string} docId
+   * @param {Map<string, Array<number>>} embeddings - Chunk text → vector
+   * @param {string} embeddingModel - Model they were made with
+   * @returns {Promise<number>} Embeddings kept
+   */
+  async saveCheckpoint(docId, embeddings, embeddingModel) {
+    await this.deleteCheckpoint(docId);
+    const entries = [...embeddings].map(([text, embedding]) => ({
+      docId,
+      model: embeddingModel,
+      text,
+      embedding,
+      createdAt: new Date(),
     }));
+    if (entries.length > 0) {
+      await this.checkpoints.insertMany(entries);
+    }
+    return entries.length;
+  }
 
-    // Sort by similarity and take top K
-    results.sort((a, b) => b.similarity - a.similarity);
-    const topResults = results.slice(0, topK);
+  /**
+   * Embeddings kept from a failed ingestion of a document
+   * @param {string} docId
+   * @param {string} embeddingModel - Only those made with this model
+   * @returns {Promise<Map<string, Array<number>>>} Chunk text → vector
+   */
+  async getCheckpoint(docId, embeddingModel) {
+    const entries = await this.checkpoints.find({ docId, model: embeddingModel }).toArray();
+    return new Map(entries.map(entry => [entry.text, entry.embedding]));
+  }
 
-    console.log(`🔍 Search results for doc ${docId}:`);
-    topResults.forEach((result, idx) => {
-      console.log(`  ${idx + 1}. Page ${result.metadata.page}, Para ${result.metadata.paragraphNumber} - Similarity: ${result.similarity.toFixed(4)}`);
-    });
+  /**
+   * Drop a document's kept embeddings
+   * @param {string} docId
+   */
+  async deleteCheckpoint(docId) {
+    await this.checkpoints.deleteMany({ docId });
+  }
 
-    return topResults;
+  /**
+   * Search for the chunks most similar to a query embedding
+   * @param {Array<number>} queryEmbedding
+   * @param {Object} options
+   * @param {Array<string>} [options.docIds] - Restrict to these documents (all when omitted)
+   * @param {string} [options.docId] - Restrict to one document
+   * @param {Object} [options.access] - Restrict to what one user may see (see accessFilter())
+   * @param {number} options.topK
+   * @returns {Promise<Array>} [{docId, chunkIndex, text, metadata, score}], merged across documents
+   */
+  async search(queryEmbedding, options) {
+    throw new Error(`${this.constructor.name} does not implement search()`);
   }
 
   /**
-   * Get document by ID
+   * Exact search: score every chunk in scope with cosine similarity. Chunks
+   * are streamed from a cursor, so only the best topK are held in memory
+   * however many the scope covers.
+   * @param {Array<number>} queryEmbedding
+   * @param {Object} options - Same as search()
+   * @returns {Promise<Array>}
    */
-  getDocument(docId) {
-    return this.store.get(docId) || [];
+  async exactSearch(queryEmbedding, options = {}) {
+    const { topK = 5 } = options;
+    const cursor = this.vectors.find(scopeFilter(options))
+      .project({ _id: 0, docId: 1, chunkIndex: 1, text: 1, metadata: 1, embedding: 1 });
+
+    const results = [];
+    for await (const chunk of cursor) {
+      if (!Array.isArray(chunk.embedding) || chunk.embedding.length !== queryEmbedding.length) continue;
+
+      const score = cosineSimilarity(queryEmbedding, chunk.embedding);
+      if (results.length > 0 && results.length >= topK && score <= results[results.length - 1].score) continue;
+
+      // Keep results sorted best first, dropping whatever falls past topK
+      let at = results.length;
+      while (at > 0 && results[at - 1].score < score) at--;
+      results.splice(at, 0, {
+        docId: chunk.docId,
+        chunkIndex: chunk.chunkIndex,
+        text: chunk.text,
+        metadata: chunk.metadata,
+        score,
+      });
+      if (results.length > topK) results.pop();
+    }
+    return results;
   }
 
   /**
-   * Delete document
+   * BM25 index over the chunk text in the vectors collection. Built from the
+   * collection on first use, then kept up to date by this process's writes.
+   * @returns {Promise<BM25Index>}
    */
-  deleteDocument(docId) {
-    const deleted = this.store.delete(docId);
-    if (deleted) {
+  async getKeywordIndex() {
+    if (!this.keywordIndex) {
+      this.keywordIndex = (async () => {
+        const index = new BM25Index();
+        const chunks = await this.vectors
+          .find({})
+          .project({ _id: 0, docId: 1, chunkIndex: 1, text: 1 })
+          .toArray();
+        chunks.forEach(chunk => index.add(chunk));
+        console.log(`🔤 Keyword index built over ${index.size} chunks (${this.name})`);
+        return index;
+      })();
+      // Let a failed build be retried by the next search
+      this.keywordIndex.catch(() => { this.keywordIndex = null; });
+    }
+    return this.keywordIndex;
+  }
+
+  /**
+   * Keyword (BM25) search over chunk text
+   * @param {string} query
+   * @param {Object} options - Same scope options as search()
+   * @returns {Promise<Array>} [{docId, chunkIndex, text, metadata, embedding, score}]
+   */
+  async keywordSearch(query, options = {}) {
+    const { topK = 5 } = options;
+    const index = await this.getKeywordIndex();
+    const docIds = Array.isArray(options.docIds)
+      ? options.docIds
+      : (options.docId ? [options.docId] : null);
+
+    const hits = index.search(query, { docIds, topK });
+    if (hits.length === 0) {
+      return [];
+    }
+
+    // The index knows documents, not owners; drop hits the caller may not see
+    const hitFilter = { $or: hits.map(({ docId, chunkIndex }) => ({ docId, chunkIndex })) };
+    const chunks = await this.vectors
+      .find(options.access ? { $and: [hitFilter, accessFilter(options.access)] } : hitFilter)
+      .project({ _id: 0, docId: 1, chunkIndex: 1, text: 1, metadata: 1, embedding: 1 })
+      .toArray();
+    const byKey = new Map(chunks.map(chunk => [`${chunk.docId}:${chunk.chunkIndex}`, chunk]));
+
+    return hits
+      .filter(hit => byKey.has(`${hit.docId}:${hit.chunkIndex}`))
+      .map(hit => ({ ...byKey.get(`${hit.docId}:${hit.chunkIndex}`), score: hit.score }));
+  }
+
+  /**
+   * BM25 scores of already-retrieved chunks for a query
+   * @param {string} query
+   * @param {Array<{docId: string, chunkIndex: number}>} chunks
+   * @returns {Promise<Array<number>>}
+   */
+  async keywordScores(query, chunks) {
+    const index = await this.getKeywordIndex();
+    return chunks.map(chunk => index.score(query, chunk.docId, chunk.chunkIndex));
+  }
+
+  /**
+   * Delete a document's vectors and extracted text, keeping its record
+   * @param {string} docId
+   */
+  async deleteVectors(docId) {
+    await this.vectors.deleteMany({ docId });
+    await this.texts.deleteOne({ _id: docId });
+    if (this.keywordIndex) {
+      (await this.keywordIndex).removeDocument(docId);
+    }
+  }
+
+  /**
+   * Delete a document, its vectors and any embedding checkpoint
+   * @param {string} docId
+   * @returns {Promise<boolean>} Whether the document existed
+   */
+  async deleteDocument(docId) {
+    await this.deleteVectors(docId);
+    await this.deleteCheckpoint(docId);
+    const { deletedCount } = await this.documents.deleteOne({ _id: docId });
+    if (deletedCount > 0) {
       console.log(`🗑️  Deleted document ${docId}`);
     }
-    return deleted;
+    return deletedCount > 0;
   }
 
   /**
    * Get statistics
+   * @returns {Promise<{documents: number, vectors: number}>}
+   */
+  async getStats() {
+    return {
+      documents: await this.documents.countDocuments(),
+      vectors: await this.vectors.countDocuments(),
+    };
+  }
+
+  /**
+   * Check the backing database is reachable
+   */
+  async ping() {
+    await this.db.admin().ping();
+  }
+
+  /**
+   * Release connections
+   */
+  async close() {}
+}
+
+/**
+ * MongoDB Atlas store using the $vectorSearch aggregation stage
+ */
+class AtlasVectorStore extends VectorStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - MongoDB driver Db
+   * @param {Object} [options.client] - MongoClient, closed by close()
+   * @param {string} [options.indexName] - Atlas vector search index name
+   */
+  constructor({ db, client, indexName = 'vector_index' }) {
+    super({ db });
+    this.client = client;
+    this.indexName = indexName;
+    this.name = 'mongodb';
+    this.type = 'persistent';
+    // Size the index must hold, and what was last found (see searchIndexStatus())
+    this.expectedDimensions = null;
+    this.searchIndex = null;
+  }
+
+  async init({ embeddingSignature } = {}) {
+    await this.ensureSearchIndex(embeddingSignature?.dimensions || null);
+  }
+
+  // When the embedding size was neither configured nor recorded, the index
+  // is created once the first vectors are stored, sized for them
+  async addDocuments(docId, chunks, embeddings, options = {}) {
+    const stored = await super.addDocuments(docId, chunks, embeddings, options);
+    await this.sizeSearchIndex(embeddings);
+    return stored;
+  }
+
+  async replaceVectors(docId, chunks, embeddings, options) {
+    const stored = await super.replaceVectors(docId, chunks, embeddings, options);
+    await this.sizeSearchIndex(embeddings);
+    return stored;
+  }
+
+  async sizeSearchIndex(embeddings) {
+    if (!this.expectedDimensions && embeddings.length > 0) {
+      await this.ensureSearchIndex(embeddings[0].length);
+    }
+  }
+
+  /**
+   * The vector search index, as Atlas describes it (listIndexes() does not
+   * list search indexes)
+   * @returns {Promise<Object|null>}
+   */
+  async findSearchIndex() {
+    const [index] = await this.vectors.listSearchIndexes(this.indexName).toArray();
+    return index || null;
+  }
+
+  /**
+   * Create the vector search index if it is missing, add filter fields an
+   * older index lacks, and report anything that needs a person: an index
+   * of the wrong kind or size is left alone, since replacing it makes
+   * vector search unavailable until it rebuilds. Never throws; problems
+   * show in searchIndexStatus().
+   * @param {number|null} dimensions - Embedding size, when known
    */
-  getStats() {
-    const stats = {
-      totalDocuments: this.store.size,
-      documents: []
+  async ensureSearchIndex(dimensions) {
+    this.expectedDimensions = dimensions;
+
+    try {
+      const index = await this.findSearchIndex();
+      if (!index && dimensions) {
+        console.log(`📊 Creating vector search index "${this.indexName}" (${dimensions} dimensions)...`);
+        // Search indexes can only be created on a collection that exists
+        const collections = await this.db.listCollections({ name: 'vectors' }, { nameOnly: true }).toArray();
+        if (collections.length === 0) {
+          await this.db.createCollection('vectors');
+        }
+        await this.vectors.createSearchIndex({
+          name: this.indexName,
+          type: 'vectorSearch',
+          definition: vectorIndexDefinition(dimensions),
+        });
+      } else if (index) {
+        const { missingFilters, numDimensions, repairable } = vectorIndexIssue(index, dimensions);
+        if (repairable) {
+          console.log(`📊 Adding filter fields to vector search index "${this.indexName}": ${missingFilters.join(', ')}`);
+          await this.vectors.updateSearchIndex(this.indexName, vectorIndexDefinition(numDimensions));
+        }
+      }
+    } catch (error) {
+      console.error(`⚠️  Could not create vector search index "${this.indexName}":`, error.message);
+    }
+
+    const status = await this.searchIndexStatus({ refresh: true });
+    if (status.queryable) {
+      console.log(`✅ Vector search index "${this.indexName}" is ready (${status.dimensions} dimensions)`);
+    } else if (status.status === 'pending' || status.status === 'building') {
+      console.log(`⏳ Vector search index "${this.indexName}" is ${status.status}; exact search is used until it is ready`);
+    } else if (status.status === 'missing' && !dimensions) {
+      console.log(`⏳ Vector search index "${this.indexName}" will be created when the first document is embedded`);
+    } else {
+      this.printSearchIndexHelp(status);
+    }
+  }
+
+  // What to do about an index the server could not create or fix itself
+  printSearchIndexHelp(status) {
+    const definition = vectorIndexDefinition(this.expectedDimensions || '<embedding size>');
+    console.warn(`
+⚠️  Vector search index "${this.indexName}" is not usable: ${status.issue}
+    Exact search (slow on large libraries) is used meanwhile.
+
+    In MongoDB Atlas → Search → Create Search Index → Atlas Vector Search →
+    JSON Editor, on the "vectors" collection, create (or replace) "${this.indexName}" with:
+
+${JSON.stringify(definition, null, 2).replace(/^/gm, '    ')}
+
+    After changing the embedding model, re-create the index with the new
+    size and POST /api/reindex.
+    `);
+  }
+
+  /**
+   * State of the vector search index. Looked up again when asked to, or
+   * when it was not ready the last time and SEARCH_INDEX_RECHECK_MS passed.
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Look it up now
+   * @returns {Promise<{name: string, status: string, queryable: boolean, dimensions: number|null, expectedDimensions: number|null, issue: string|null, checkedAt: Date}>}
+   *   status is Atlas's own (pending, building, ready, failed...) lower-cased,
+   *   or missing, mismatch (see vectorIndexIssue()) or unavailable (the
+   *   lookup failed)
+   */
+  async searchIndexStatus({ refresh = false } = {}) {
+    const due = !this.searchIndex
+      || (!this.searchIndex.queryable && Date.now() - this.searchIndex.checkedAt >= SEARCH_INDEX_RECHECK_MS);
+    if (refresh || due) {
+      this.searchIndex = await this.describeSearchIndex();
+    }
+    return this.searchIndex;
+  }
+
+  // Look the index up and check it against the embedding size
+  async describeSearchIndex() {
+    const described = { name: this.indexName, expectedDimensions: this.expectedDimensions, checkedAt: new Date() };
+    try {
+      const index = await this.findSearchIndex();
+      if (!index) {
+        const issue = this.expectedDimensions
+          ? 'The index does not exist'
+          : 'The index does not exist yet; it is created, sized for the embedding model, when the first document is embedded';
+        return { ...described, status: 'missing', queryable: false, dimensions: null, issue };
+      }
+      const { issue, numDimensions } = vectorIndexIssue(index, this.expectedDimensions);
+      return {
+        ...described,
+        status: issue ? 'mismatch' : String(index.status || 'unknown').toLowerCase(),
+        queryable: !issue && index.queryable === true,
+        dimensions: numDimensions,
+        issue,
+      };
+    } catch (error) {
+      return { ...described, status: 'unavailable', queryable: false, dimensions: null, issue: error.message };
+    }
+  }
+
+  /**
+   * $vectorSearch, falling back to an exact scan of the document's chunks
+   * when the search index is missing or the query fails
+   */
+  async search(queryEmbedding, options = {}) {
+    const { topK = 5 } = options;
+    // $vectorSearch on a missing or building index finds nothing rather
+    // than failing, so only use it once the index is known to be ready
+    const index = await this.searchIndexStatus();
+    if (!index.queryable) {
+      console.warn(`⚠️  Vector search index "${this.indexName}" is ${index.status}, using exact search`);
+      return this.exactSearch(queryEmbedding, options);
+    }
+
+    const vectorSearch = {
+      index: this.indexName,
+      path: 'embedding',
+      queryVector: queryEmbedding,
+      numCandidates: topK * 10,
+      limit: topK,
     };
+    const filter = scopeFilter(options);
+    if (Object.keys(filter).length > 0) {
+      vectorSearch.filter = filter;
+    }
 
-    this.store.forEach((chunks, docId) => {
-      const pages = new Set(chunks.map(c => c.metadata.page));
-      stats.documents.push({
-        docId,
-        chunkCount: chunks.length,
-        uniquePages: pages.size,
-        embeddingDimension: chunks[0]?.embedding.length || 0
+    try {
+      const results = await this.vectors.aggregate([
+        { $vectorSearch: vectorSearch },
+        {
+          $project: {
+            _id: 0,
+            docId: 1,
+            chunkIndex: 1,
+            text: 1,
+            metadata: 1,
+            score: { $meta: 'vectorSearchScore' },
+          },
+        },
+      ]).toArray();
+      console.log(`✅ Found ${results.length} chunks`);
+      return results;
+    } catch (error) {
+      console.error('⚠️  Vector search failed, using exact search fallback:', error.message);
+      return this.exactSearch(queryEmbedding, options);
+    }
+  }
+
+  /**
+   * Swap staged vectors in inside a transaction (Atlas clusters are replica
+   * sets, which support them)
+   */
+  async swapVectors(docId, stagingId, { vectorFields, text, documentFields }) {
+    if (!this.client) {
+      return super.swapVectors(docId, stagingId, { vectorFields, text, documentFields });
+    }
+
+    const session = this.client.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await this.vectors.deleteMany({ docId }, { session });
+        await this.vectors.updateMany({ docId: stagingId }, { $set: vectorFields }, { session });
+        await this.texts.replaceOne({ _id: docId }, text, { upsert: true, session });
+        await this.documents.updateOne({ _id: docId }, { $set: documentFields }, { session });
       });
-    });
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.close();
+    }
+  }
+}
+
+/**
+ * In-memory store with exact cosine search. Nothing survives a restart.
+ */
+class MemoryVectorStore extends VectorStore {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.db] - LocalDb (a fresh in-memory one by default)
+   */
+  constructor({ db = new LocalDb() } = {}) {
+    super({ db });
+    this.name = 'memory';
+    this.type = 'memory';
+  }
 
-    return stats;
+  async search(queryEmbedding, options = {}) {
+    return this.exactSearch(queryEmbedding, options);
   }
+}
 
+/**
+ * In-memory store saved to a JSON file, with every write journaled next to it
+ */
+class FileVectorStore extends MemoryVectorStore {
   /**
-   * Clear all documents
+   * @param {Object} options
+   * @param {string} options.filePath - JSON file to persist to
    */
-  clear() {
-    this.store.clear();
-    console.log('🗑️  Cleared all documents');
+  constructor({ filePath }) {
+    super({ db: new LocalDb({ filePath }) });
+    this.filePath = filePath;
+    this.name = 'file';
+    this.type = 'persistent';
+  }
+}
+
+/**
+ * Create the vector store selected by configuration.
+ *   VECTOR_STORE       - atlas (default) | memory | file
+ *   VECTOR_STORE_PATH  - JSON file for the file store (default ./data/rag-store.json)
+ *   MONGODB_URI, MONGODB_DATABASE - for the atlas store
+ *   ATLAS_VECTOR_INDEX - its vector search index (default vector_index,
+ *                        created at startup when missing)
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {Promise<VectorStore>}
+ */
+async function createVectorStore(env = process.env) {
+  const type = (env.VECTOR_STORE || 'atlas').toLowerCase();
+
+  switch (type) {
+    case 'atlas':
+    case 'mongodb': {
+      const client = new MongoClient(env.MONGODB_URI);
+      await client.connect();
+      console.log('✅ Connected to MongoDB Atlas');
+      const db = client.db(env.MONGODB_DATABASE || 'pdf_qa_rag');
+      return new AtlasVectorStore({ db, client, indexName: env.ATLAS_VECTOR_INDEX || 'vector_index' });
+    }
+    case 'memory':
+      return new MemoryVectorStore();
+    case 'file':
+      return new FileVectorStore({ filePath: env.VECTOR_STORE_PATH || './data/rag-store.json' });
+    default:
+      throw new Error(`Unknown vector store "${type}". Expected one of: atlas, memory, file`);
   }
 }
 
 module.exports = {
-  VectorStore
-};
\ No newline at end of file
+  accessFilter,
+  scopeFilter,
+  vectorIndexDefinition,
+  vectorIndexIssue,
+  VectorStore,
+  AtlasVectorStore,
+  MemoryVectorStore,
+  FileVectorStore,
+  createVectorStore,
+};
@@ -0,0 +1,129 @@
+// backend/utils/versions.js
+// Duplicate detection and document versions. Every upload records a
+// SHA-256 of the file; uploading the same bytes again into the same library
+// returns the existing document. A different file under a name already in
+// the library becomes the next version of that document: a new record
+// {seriesId, version, previousVersionId}, with the one it replaces marked
+// {supersededBy}. Each version keeps its own docId, so asking about one
+// version is asking about that docId. Version numbers are unique within a
+// series (a unique index on {seriesId, version}) and never reused, so two
+// uploads racing for the same number cannot both get it.
+
+const crypto = require('crypto');
+
+// Filter for the current version of every document (records from before
+// versioning have no supersededBy and count as current)
+const LATEST_VERSION = { supersededBy: null };
+
+/**
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {string} Hex SHA-256 of the contents
+ */
+function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Version fields for a new upload
+ * @param {string} docId - The new document's id
+ * @param {Object|null} previous - The version it replaces, if any
+ * @param {number} [highestVersion] - Highest version number in the series,
+ *   failed uploads included (the previous version's by default)
+ * @returns {{seriesId: string, version: number, previousVersionId: string|null, supersededBy: null}}
+ */
+function versionFields(docId, previous, highestVersion = previous?.version || 1) {
+  return {
+    seriesId: previous ? seriesIdOf(previous) : docId,
+    version: previous ? Math.max(previous.version || 1, highestVersion) + 1 : 1,
+    previousVersionId: previous ? previous._id : null,
+    supersededBy: null,
+  };
+}
+
+/**
+ * The id shared by every version of a document
+ * @param {Object} document - Document record
+ * @returns {string}
+ */
+function seriesIdOf(document) {
+  return document.seriesId || document._id;
+}
+
+/**
+ * Filter for every version of a document
+ * @param {Object} document - Any version's record
+ * @returns {Object}
+ */
+function seriesFilter(document) {
+  const seriesId = seriesIdOf(document);
+  return { $or: [{ _id: seriesId }, { seriesId }] };
+}
+
+/**
+ * How a document is named in answers: its filename, plus the version when
+ * there is more than one, so sources from two versions can be told apart
+ * @param {Object} document - Document record
+ * @returns {string}
+ */
+function documentLabel(document) {
+  const versioned = (document.version || 1) > 1 || Boolean(document.supersededBy);
+  return versioned ? `${document.filename} (v${document.version || 1})` : document.filename;
+}
+
+/**
+ * Embeddings that can be carried over from a previous version: chunk text →
+ * vector, for chunks embedded with the same model (and size)
+ * @param {Object|null} previous - Previous version's record
+ * @param {Array} previousChunks - Its stored chunks (with embeddings)
+ * @param {string} embeddingModel - Model the new version is embedded with
+ * @param {number|null} [dimensions] - Size it makes, when known
+ * @returns {Map<string, Array<number>>}
+ */
+function reusableEmbeddings(previous, previousChunks, embeddingModel, dimensions = null) {
+  if (!previous || previous.embeddingModel !== embeddingModel) {
+    return new Map();
+  }
+  return new Map(
+    previousChunks
+      .filter(chunk => Array.isArray(chunk.embedding))
+      .filter(chunk => !dimensions || chunk.embedding.length === dimensions)
+      .map(chunk => [chunk.text, chunk.embedding]),
+  );
+}
+
+const chunkSummary = chunk => ({
+  chunkIndex: chunk.chunkIndex,
+  page: chunk.metadata?.page ?? null,
+  pageLabel: chunk.metadata?.pageLabel ?? null,
+  section: chunk.metadata?.section || null,
+  text: chunk.text,
+});
+
+/**
+ * Chunk-level differences between two versions
+ * @param {Array} baseChunks - The older version's chunks
+ * @param {Array} chunks - The newer version's chunks
+ * @returns {{unchanged: number, added: Array, removed: Array}} added: chunks
+ *   only in the newer version; removed: chunks only in the older one
+ */
+function compareChunks(baseChunks, chunks) {
+  const baseTexts = new Set(baseChunks.map(chunk => chunk.text));
+  const texts = new Set(chunks.map(chunk => chunk.text));
+
+  return {
+    unchanged: chunks.filter(chunk => baseTexts.has(chunk.text)).length,
+    added: chunks.filter(chunk => !baseTexts.has(chunk.text)).map(chunkSummary),
+    removed: baseChunks.filter(chunk => !texts.has(chunk.text)).map(chunkSummary),
+  };
+}
+
+module.exports = {
+  LATEST_VERSION,
+  contentHash,
+  versionFields,
+  seriesIdOf,
+  seriesFilter,
+  documentLabel,
+  reusableEmbeddings,
+  compareChunks,
+};
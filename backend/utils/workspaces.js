@@ -0,0 +1,97 @@
+// backend/utils/workspaces.js
+// Shared workspaces: who belongs to which, and what each role may do.
+// A workspace record is {_id, name, members: [{userId, email, role, addedAt}],
+// memberIds, createdBy, createdAt, updatedAt}; memberIds mirrors members so
+// "workspaces this user is in" is a plain array match.
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+// ask: list, read and ask about documents; edit: change their tags;
+// manage: rename or delete the workspace and change its members
+const PERMISSIONS = {
+  owner: ['ask', 'upload', 'edit', 'delete', 'manage'],
+  editor: ['ask', 'upload', 'edit', 'delete'],
+  viewer: ['ask'],
+};
+
+/**
+ * Whether a role grants a permission
+ * @param {string|null} role
+ * @param {string} permission - ask | upload | edit | delete | manage
+ * @returns {boolean}
+ */
+function can(role, permission) {
+  return Boolean(PERMISSIONS[role]?.includes(permission));
+}
+
+/**
+ * A user's role in a workspace
+ * @param {Object} workspace
+ * @param {string} userId
+ * @returns {string|null} null when they are not a member
+ */
+function memberRole(workspace, userId) {
+  return workspace?.members?.find(member => member.userId === userId)?.role || null;
+}
+
+/**
+ * What a user can reach: their own documents plus those of every
+ * workspace they belong to
+ * @param {string} userId
+ * @param {Array<Object>} workspaces - The workspaces they are a member of
+ * @returns {{userId: string, workspaceIds: Array<string>, roles: Object}}
+ *   roles maps workspace id → role
+ */
+function userAccess(userId, workspaces) {
+  return {
+    userId,
+    workspaceIds: workspaces.map(workspace => workspace._id),
+    roles: Object.fromEntries(workspaces.map(workspace => [workspace._id, memberRole(workspace, userId)])),
+  };
+}
+
+/**
+ * The caller's role for a document: "owner" of their personal documents,
+ * their workspace role for workspace documents
+ * @param {Object} document - Document record
+ * @param {Object} access - userAccess() result
+ * @returns {string|null} null when they cannot see it
+ */
+function documentRole(document, access) {
+  if (!document) {
+    return null;
+  }
+  if (document.workspaceId) {
+    return access.roles[document.workspaceId] || null;
+  }
+  return document.ownerId === access.userId ? 'owner' : null;
+}
+
+/**
+ * Fields to $set for a new member list
+ * @param {Array<Object>} members
+ * @returns {{members: Array<Object>, memberIds: Array<string>, updatedAt: Date}}
+ */
+function membersUpdate(members) {
+  return { members, memberIds: members.map(member => member.userId), updatedAt: new Date() };
+}
+
+/**
+ * What is wrong with a change to the member list, if anything
+ * @param {Array<Object>} members - The list after the change
+ * @returns {string|null} Error message
+ */
+function membersIssue(members) {
+  return members.some(member => member.role === 'owner') ? null : 'A workspace needs at least one owner';
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  can,
+  memberRole,
+  userAccess,
+  documentRole,
+  membersUpdate,
+  membersIssue,
+};
@@ -1,59 +1,212 @@
 // frontend/src/App.js - VERSION 6: With MongoDB Features
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, lazy, Suspense } from 'react';
 import axios from 'axios';
-import { Upload, MessageSquare, FileText, AlertCircle, CheckCircle, Zap, Database, DollarSign, BookOpen, Trash2, List } from 'lucide-react';
+import { Upload, MessageSquare, FileText, AlertCircle, CheckCircle, Zap, Database, DollarSign, BookOpen, Trash2, List, Plus, Square, LogOut, KeyRound, RotateCcw, RefreshCw } from 'lucide-react';
+import { API_URL, getAuthToken, setAuthToken, onUnauthorized } from './api';
+import { postEventStream, followJob } from './streaming';
+import ChatTranscript from './components/ChatTranscript';
+import IngestionProgress from './components/IngestionProgress';
+import AuthScreen from './components/AuthScreen';
+import WorkspacePanel from './components/WorkspacePanel';
+import ApiKeysPanel from './components/ApiKeysPanel';
+import VersionHistory from './components/VersionHistory';
+
+// The PDF viewer (and pdf.js) loads only when a source is first opened
+const DocumentViewer = lazy(() => import('./components/DocumentViewer'));
+
+// What the chat asks about, in the shape the API accepts
+// ({ docId } | { docIds } | { tag } | { workspaceId } | { allDocuments }), or null.
+// "All documents" inside a workspace means the whole workspace.
+function chatScopeFor(selectedDocIds, scopeTag, allDocuments, workspaceId) {
+  if (allDocuments) return workspaceId ? { workspaceId } : { allDocuments: true };
+  if (scopeTag) return { tag: scopeTag };
+  if (selectedDocIds.length > 1) return { docIds: selectedDocIds };
+  if (selectedDocIds.length === 1) return { docId: selectedDocIds[0] };
+  return null;
+}
 
-const API_URL = 'http://localhost:5001';
+function describeScope(scope) {
+  if (scope.allDocuments) return 'all documents';
+  if (scope.workspaceId) return 'this workspace';
+  if (scope.tag) return `documents tagged "${scope.tag}"`;
+  if (scope.docIds) return `${scope.docIds.length} documents`;
+  return 'this document';
+}
 
-function App() {
+// Formats the backend has loaders for (backend/utils/loaders)
+const SUPPORTED_EXTENSIONS = ['.pdf', '.docx', '.md', '.markdown', '.html', '.htm', '.txt'];
+
+// Workspace roles that may upload, tag and delete (see backend/utils/workspaces.js)
+const EDITING_ROLES = ['owner', 'editor'];
+
+// PDFs are split by page; other formats by heading section
+function pageUnit(doc) {
+  return !doc.format || doc.format === 'pdf' ? 'pages' : 'sections';
+}
+
+// Chunking strategies the backend offers (backend/utils/chunker.js);
+// an empty value uses the server's CHUNK_STRATEGY
+const CHUNKING_OPTIONS = [
+  { value: '', label: 'Default chunking' },
+  { value: 'sentence', label: 'By sentence' },
+  { value: 'section', label: 'By section (follows headings)' },
+  { value: 'token', label: 'By token budget' },
+  { value: 'paragraph', label: 'By paragraph (legacy)' },
+];
+
+// The signed-in user, kept next to their token (see api.js)
+const USER_KEY = 'authUser';
+
+function storedUser() {
+  try {
+    return getAuthToken() ? JSON.parse(localStorage.getItem(USER_KEY)) : null;
+  } catch {
+    return null;
+  }
+}
+
+function LibraryScreen({ user, onLogout }) {
   const [file, setFile] = useState(null);
-  const [docId, setDocId] = useState(null);
+  const [tagsInput, setTagsInput] = useState('');
+  const [chunking, setChunking] = useState('');
+  const [viewerSource, setViewerSource] = useState(null);
+  const [selectedDocIds, setSelectedDocIds] = useState([]);
+  const [scopeTag, setScopeTag] = useState('');
+  const [allDocuments, setAllDocuments] = useState(false);
   const [documentInfo, setDocumentInfo] = useState(null);
   const [documents, setDocuments] = useState([]);
   const [question, setQuestion] = useState('');
-  const [answer, setAnswer] = useState('');
-  const [sources, setSources] = useState([]);
+  const [conversations, setConversations] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(false);
   const [uploading, setUploading] = useState(false);
+  const [job, setJob] = useState(null);
   const [error, setError] = useState('');
   const [showDocuments, setShowDocuments] = useState(false);
   const [dbStatus, setDbStatus] = useState(null);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceId, setWorkspaceId] = useState('');
+  const [showApiKeys, setShowApiKeys] = useState(false);
+  const [historyDocId, setHistoryDocId] = useState(null);
+  const abortRef = useRef(null);
+
+  const docId = selectedDocIds.length === 1 ? selectedDocIds[0] : null;
+  const chatScope = chatScopeFor(selectedDocIds, scopeTag, allDocuments, workspaceId);
+  const workspaceRole = workspaces.find((workspace) => workspace.workspaceId === workspaceId)?.role;
+  const canUpload = !workspaceId || EDITING_ROLES.includes(workspaceRole);
+  const allTags = [...new Set(documents.flatMap((doc) => doc.tags || []))].sort();
 
   // Load documents on mount
   useEffect(() => {
-    loadDocuments();
+    loadDocuments('');
+    loadWorkspaces();
     checkHealth();
   }, []);
 
-  const loadDocuments = async () => {
+  // Documents of one library: the user's own ('') or a workspace's
+  const loadDocuments = async (library) => {
     try {
-      const response = await axios.get(`${API_URL}/api/documents`);
+      const response = await axios.get(`${API_URL}/api/documents`, {
+        params: { workspaceId: library || 'personal' },
+      });
       setDocuments(response.data.documents);
     } catch (err) {
       console.error('Error loading documents:', err);
     }
   };
 
+  const loadWorkspaces = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/workspaces`);
+      setWorkspaces(response.data.workspaces);
+    } catch (err) {
+      console.error('Error loading workspaces:', err);
+    }
+  };
+
+  const handleSelectWorkspace = (id) => {
+    setWorkspaceId(id);
+    setDocumentInfo(null);
+    setDocuments([]);
+    changeScope({});
+    loadDocuments(id);
+  };
+
   const checkHealth = async () => {
     try {
-      const response = await axios.get(`${API_URL}/api/health`);
-      setDbStatus(response.data.database);
+      const response = await axios.get(`${API_URL}/api/health/details`);
+      setDbStatus({ ...response.data.database, searchIndex: response.data.vectorStore.searchIndex });
     } catch (err) {
       console.error('Error checking health:', err);
     }
   };
 
+  const loadConversations = async (scope) => {
+    if (!scope) {
+      setConversations([]);
+      return;
+    }
+
+    try {
+      const params = scope.docIds ? { docIds: scope.docIds.join(',') } : scope;
+      const response = await axios.get(`${API_URL}/api/conversations`, { params });
+      setConversations(response.data.conversations);
+    } catch (err) {
+      console.error('Error loading conversations:', err);
+    }
+  };
+
+  const startNewChat = () => {
+    setConversationId(null);
+    setMessages([]);
+  };
+
+  // Switch what the chat covers; each scope has its own conversations
+  const changeScope = ({ docIds = [], tag = '', all = false }) => {
+    setSelectedDocIds(docIds);
+    setScopeTag(tag);
+    setAllDocuments(all);
+    startNewChat();
+    loadConversations(chatScopeFor(docIds, tag, all, workspaceId));
+  };
+
+  const handleSelectConversation = async (id) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/conversations/${id}`);
+      setConversationId(id);
+      setMessages(response.data.messages);
+    } catch (err) {
+      console.error('Error loading conversation:', err);
+      setError(err.response?.data?.error || 'Failed to load conversation');
+    }
+  };
+
+  const handleDeleteConversation = async (id, e) => {
+    e.stopPropagation();
+
+    try {
+      await axios.delete(`${API_URL}/api/conversations/${id}`);
+      if (id === conversationId) {
+        startNewChat();
+      }
+      await loadConversations(chatScope);
+    } catch (err) {
+      console.error('Delete error:', err);
+      alert('Failed to delete conversation');
+    }
+  };
+
   const handleFileSelect = (e) => {
     const selectedFile = e.target.files[0];
-    if (selectedFile && selectedFile.type === 'application/pdf') {
+    const extension = selectedFile ? selectedFile.name.slice(selectedFile.name.lastIndexOf('.')).toLowerCase() : '';
+    if (selectedFile && SUPPORTED_EXTENSIONS.includes(extension)) {
       setFile(selectedFile);
       setError('');
-      setDocId(null);
       setDocumentInfo(null);
-      setAnswer('');
-      setSources([]);
+      changeScope({});
     } else {
-      setError('Please select a PDF file');
+      setError('Please select a PDF, Word, Markdown, HTML or text file');
       setFile(null);
     }
   };
@@ -70,53 +223,128 @@ function App() {
     try {
       const formData = new FormData();
       formData.append('pdf', file);
+      formData.append('tags', tagsInput);
+      if (workspaceId) {
+        formData.append('workspaceId', workspaceId);
+      }
+      if (chunking) {
+        formData.append('chunking', chunking);
+      }
 
       const response = await axios.post(`${API_URL}/api/upload`, formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
       });
+      // The same file was uploaded before: use that document as it is
+      if (response.data.duplicate) {
+        setDocumentInfo(response.data);
+        setTagsInput('');
+        changeScope({ docIds: [response.data.docId] });
+        return;
+      }
 
-      setDocId(response.data.docId);
-      setDocumentInfo(response.data);
-      console.log('Document uploaded to MongoDB:', response.data);
-      
-      // Reload documents list
-      await loadDocuments();
-      await checkHealth();
+      console.log('Document queued:', response.data);
+      setJob({ jobId: response.data.jobId, status: 'queued', stage: 'queued', percent: 0 });
+      // Show it in the list as pending straight away
+      await loadDocuments(workspaceId);
+
+      // Processing happens in the background; follow its progress
+      const finished = await followJob(`${API_URL}/api/jobs/${response.data.jobId}/stream`, {
+        onProgress: setJob,
+      });
+
+      setDocumentInfo({ ...response.data, ...finished.result });
+      setTagsInput('');
+      changeScope({ docIds: [response.data.docId] });
+      console.log('Document processed:', finished);
     } catch (err) {
       console.error('Upload error:', err);
-      setError(err.response?.data?.error || 'Failed to upload file');
+      setError(err.response?.data?.error || err.message || 'Failed to upload file');
     } finally {
+      setJob(null);
       setUploading(false);
+      // Reload documents list
+      await loadDocuments(workspaceId);
+      await checkHealth();
     }
   };
 
+  // Documents still processing (or failed) have nothing to search yet
+  const isReady = (doc) => !doc.status || doc.status === 'processed';
+
   const handleSelectDocument = (doc) => {
-    setDocId(doc.docId);
+    if (!isReady(doc)) return;
     setDocumentInfo(doc);
     setShowDocuments(false);
-    setAnswer('');
-    setSources([]);
+    changeScope({ docIds: [doc.docId] });
+  };
+
+  // Checkboxes build up a set of documents to ask across
+  const handleToggleDocument = (doc) => {
+    const docIds = selectedDocIds.includes(doc.docId)
+      ? selectedDocIds.filter((id) => id !== doc.docId)
+      : [...selectedDocIds, doc.docId];
+    setDocumentInfo(docIds.length === 1 ? documents.find((d) => d.docId === docIds[0]) : null);
+    changeScope({ docIds });
+  };
+
+  const handleSelectTag = (tag) => {
+    setDocumentInfo(null);
+    changeScope(tag ? { tag } : {});
+  };
+
+  const handleToggleAllDocuments = () => {
+    setDocumentInfo(null);
+    changeScope(allDocuments ? {} : { all: true });
+  };
+
+  // Process a failed document again ("resume"; chunks embedded before it
+  // failed are kept) or re-chunk and re-embed a processed one ("reindex",
+  // e.g. after the embedding model changed)
+  const handleDocumentJob = async (doc, action, e) => {
+    e.stopPropagation();
+    setUploading(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`${API_URL}/api/document/${doc.docId}/${action}`);
+      setJob({ jobId: response.data.jobId, status: 'queued', stage: 'queued', percent: 0 });
+      await loadDocuments(workspaceId);
+      await followJob(`${API_URL}/api/jobs/${response.data.jobId}/stream`, {
+        onProgress: setJob,
+      });
+    } catch (err) {
+      console.error(`${action} error:`, err);
+      setError(err.response?.data?.error || err.message || `Failed to ${action} document`);
+    } finally {
+      setJob(null);
+      setUploading(false);
+      await loadDocuments(workspaceId);
+    }
   };
 
-  const handleDeleteDocument = async (docId, e) => {
+  const handleDeleteDocument = async (doc, e) => {
     e.stopPropagation();
-    
-    if (!window.confirm('Are you sure you want to delete this document?')) {
+    const { docId } = doc;
+
+    const confirmation = doc.version > 1
+      ? `Delete version ${doc.version}? Version ${doc.version - 1} becomes current again.`
+      : 'Are you sure you want to delete this document?';
+    if (!window.confirm(confirmation)) {
       return;
     }
 
     try {
       await axios.delete(`${API_URL}/api/document/${docId}`);
-      await loadDocuments();
+      await loadDocuments(workspaceId);
       await checkHealth();
       
       if (docId === documentInfo?.docId) {
-        setDocId(null);
         setDocumentInfo(null);
-        setAnswer('');
-        setSources([]);
+      }
+      if (selectedDocIds.includes(docId)) {
+        changeScope({ docIds: selectedDocIds.filter((id) => id !== docId) });
       }
     } catch (err) {
       console.error('Delete error:', err);
@@ -130,33 +358,88 @@ function App() {
       return;
     }
 
-    if (!docId) {
-      setError('Please upload a document first');
+    if (!chatScope) {
+      setError('Please upload or select a document first');
       return;
     }
 
     setLoading(true);
     setError('');
-    setAnswer('');
-    setSources([]);
 
-    try {
-      const response = await axios.post(`${API_URL}/api/ask`, {
-        docId,
-        question,
+    const asked = question;
+    // Optimistic user message plus an assistant message that fills in as tokens arrive
+    setMessages((prev) => [
+      ...prev,
+      { role: 'user', content: asked },
+      { role: 'assistant', content: '', sources: [], streaming: true },
+    ]);
+    setQuestion('');
+
+    const updateStreamingMessage = (update) => {
+      setMessages((prev) => {
+        const last = prev[prev.length - 1];
+        return [...prev.slice(0, -1), { ...last, ...update(last) }];
       });
+    };
+
+    const controller = new AbortController();
+    abortRef.current = controller;
 
-      setAnswer(response.data.answer);
-      setSources(response.data.sources || []);
-      console.log('Answer from MongoDB:', response.data);
+    try {
+      // The first question starts a new conversation
+      let activeId = conversationId;
+      if (!activeId) {
+        const created = await axios.post(`${API_URL}/api/conversations`, chatScope);
+        activeId = created.data.conversationId;
+        setConversationId(activeId);
+      }
+
+      await postEventStream(
+        `${API_URL}/api/conversations/${activeId}/messages/stream`,
+        { question: asked },
+        {
+          signal: controller.signal,
+          onEvent: (event, data) => {
+            if (event === 'sources') {
+              updateStreamingMessage(() => ({ sources: data.sources }));
+              setMessages((prev) => prev.map((m, idx) =>
+                idx === prev.length - 2 ? { ...m, standaloneQuestion: data.standaloneQuestion } : m
+              ));
+            } else if (event === 'token') {
+              updateStreamingMessage((last) => ({ content: last.content + data.text }));
+            } else if (event === 'done') {
+              // Replace the optimistic pair with the stored messages
+              setMessages((prev) => [...prev.slice(0, -2), ...data.messages]);
+              console.log('Answer from MongoDB:', data);
+            } else if (event === 'error') {
+              throw new Error(data.error);
+            }
+          },
+        },
+      );
+
+      await loadConversations(chatScope);
     } catch (err) {
-      console.error('Question error:', err);
-      setError(err.response?.data?.error || 'Failed to get answer');
+      if (controller.signal.aborted) {
+        // The server keeps what was generated so far; mirror that locally
+        updateStreamingMessage(() => ({ streaming: false, cancelled: true }));
+        await loadConversations(chatScope);
+      } else {
+        console.error('Question error:', err);
+        setError(err.response?.data?.error || err.message || 'Failed to get answer');
+        setMessages((prev) => prev.slice(0, -2));
+        setQuestion(asked);
+      }
     } finally {
+      abortRef.current = null;
       setLoading(false);
     }
   };
 
+  const handleCancel = () => {
+    abortRef.current?.abort();
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !loading) {
       handleAskQuestion();
@@ -176,6 +459,17 @@ function App() {
             <p className="subtitle">
               With MongoDB Atlas Vector Search - Persistent Storage
             </p>
+            <div className="user-bar">
+              <span>Signed in as <strong>{user.email}</strong></span>
+              <button onClick={() => setShowApiKeys(!showApiKeys)} className="btn-link">
+                <KeyRound className="icon-small" />
+                API keys
+              </button>
+              <button onClick={onLogout} className="btn-link">
+                <LogOut className="icon-small" />
+                Log out
+              </button>
+            </div>
             <div className="badges-container">
               <div className="rag-badge">
                 <Database className="icon-small" />
@@ -196,8 +490,11 @@ function App() {
               <div className="db-status">
                 <Database className="icon-small" />
                 <span>
-                  MongoDB: {dbStatus.connected ? '✅ Connected' : '❌ Disconnected'} • 
-                  {' '}{dbStatus.documents} docs • {dbStatus.vectors} vectors
+                  {dbStatus.store === 'mongodb' || !dbStatus.store ? 'MongoDB' : `Store (${dbStatus.store})`}: {dbStatus.connected ? '✅ Connected' : '❌ Disconnected'}
+                  {dbStatus.documents !== undefined && <> • {dbStatus.documents} docs • {dbStatus.vectors} vectors</>}
+                  {dbStatus.searchIndex && !dbStatus.searchIndex.queryable && (
+                    <span title={dbStatus.searchIndex.issue || ''}> • ⚠️ Search index {dbStatus.searchIndex.status}</span>
+                  )}
                 </span>
               </div>
             )}
@@ -211,6 +508,16 @@ function App() {
             </div>
           )}
 
+          {showApiKeys && <ApiKeysPanel />}
+
+          <WorkspacePanel
+            user={user}
+            workspaces={workspaces}
+            activeId={workspaceId}
+            onSelect={handleSelectWorkspace}
+            onChange={loadWorkspaces}
+          />
+
           {/* Documents List Button */}
           {documents.length > 0 && (
             <div className="section">
@@ -223,175 +530,276 @@ function App() {
               </button>
 
               {showDocuments && (
+                <>
+                <div className="scope-controls">
+                  <label className="scope-option">
+                    <input
+                      type="checkbox"
+                      checked={allDocuments}
+                      onChange={handleToggleAllDocuments}
+                    />
+                    {workspaceId ? 'Ask the whole workspace' : 'Ask all documents'}
+                  </label>
+                  {allTags.length > 0 && (
+                    <select
+                      value={scopeTag}
+                      onChange={(e) => handleSelectTag(e.target.value)}
+                      className="scope-select"
+                    >
+                      <option value="">Filter by tag...</option>
+                      {allTags.map((tag) => (
+                        <option key={tag} value={tag}>{tag}</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
                 <div className="documents-list">
                   {documents.map((doc) => (
-                    <div
-                      key={doc.docId}
-                      className={`document-item ${doc.docId === docId ? 'selected' : ''}`}
-                      onClick={() => handleSelectDocument(doc)}
-                    >
-                      <div className="document-info">
-                        <strong>{doc.filename}</strong>
-                        <small>
-                          {doc.totalPages} pages • {doc.chunkCount} chunks • 
-                          {' '}{new Date(doc.uploadedAt).toLocaleDateString()}
-                        </small>
-                      </div>
-                      <button
-                        onClick={(e) => handleDeleteDocument(doc.docId, e)}
-                        className="btn-delete"
-                        title="Delete document"
+                    <React.Fragment key={doc.docId}>
+                      <div
+                        className={`document-item ${
+                          allDocuments || selectedDocIds.includes(doc.docId) || (scopeTag && doc.tags?.includes(scopeTag))
+                            ? 'selected' : ''
+                        }`}
+                        onClick={() => handleSelectDocument(doc)}
                       >
-                        <Trash2 className="icon-small" />
-                      </button>
-                    </div>
+                        <input
+                          type="checkbox"
+                          disabled={!isReady(doc)}
+                          checked={selectedDocIds.includes(doc.docId)}
+                          onClick={(e) => e.stopPropagation()}
+                          onChange={() => handleToggleDocument(doc)}
+                          title="Ask across several documents"
+                          className="document-checkbox"
+                        />
+                        <div className="document-info">
+                          <strong>
+                            {doc.filename}
+                            {doc.version > 1 && (
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  setHistoryDocId(historyDocId === doc.docId ? null : doc.docId);
+                                }}
+                                className="document-version"
+                                title="Earlier versions"
+                              >
+                                v{doc.version}
+                              </button>
+                            )}
+                            {!isReady(doc) && (
+                              <span className={`document-status ${doc.status}`} title={doc.error || ''}>
+                                {doc.status}
+                              </span>
+                            )}
+                            {doc.indexMismatch && (
+                              <span className="document-status stale" title={doc.indexMismatch}>
+                                needs re-index
+                              </span>
+                            )}
+                          </strong>
+                          <small>
+                            {doc.totalPages} {pageUnit(doc)} • {doc.chunkCount} chunks • 
+                            {' '}{new Date(doc.uploadedAt).toLocaleDateString()}
+                            {doc.tags?.length > 0 && <> • {doc.tags.join(', ')}</>}
+                          </small>
+                        </div>
+                        {doc.resumable && EDITING_ROLES.includes(doc.role) && (
+                          <button
+                            onClick={(e) => handleDocumentJob(doc, 'resume', e)}
+                            disabled={uploading}
+                            className="btn-resume"
+                            title={
+                              doc.embeddingFailures?.length > 0
+                                ? `Resume processing (${doc.embeddingFailures.length} chunks could not be embedded)`
+                                : 'Resume processing'
+                            }
+                          >
+                            <RotateCcw className="icon-small" />
+                          </button>
+                        )}
+                        {doc.indexMismatch && EDITING_ROLES.includes(doc.role) && (
+                          <button
+                            onClick={(e) => handleDocumentJob(doc, 'reindex', e)}
+                            disabled={uploading || ['queued', 'running'].includes(doc.reindex?.status)}
+                            className="btn-resume"
+                            title={`Re-index: ${doc.indexMismatch}`}
+                          >
+                            <RefreshCw className="icon-small" />
+                          </button>
+                        )}
+                        {EDITING_ROLES.includes(doc.role) && (
+                          <button
+                            onClick={(e) => handleDeleteDocument(doc, e)}
+                            className="btn-delete"
+                            title="Delete document"
+                          >
+                            <Trash2 className="icon-small" />
+                          </button>
+                        )}
+                      </div>
+                      {historyDocId === doc.docId && (
+                        <VersionHistory docId={doc.docId} onSelect={handleSelectDocument} />
+                      )}
+                    </React.Fragment>
                   ))}
                 </div>
+                </>
               )}
             </div>
           )}
 
-          {/* File Upload Section */}
-          <div className="section">
-            <label className="label">Upload New PDF Document</label>
-            <div className="upload-area">
-              <input
-                type="file"
-                accept=".pdf"
-                onChange={handleFileSelect}
-                className="file-input"
-                id="pdf-upload"
-              />
-              <label htmlFor="pdf-upload" className="upload-label">
-                <Upload className="icon-large upload-icon" />
-                <span className="upload-text">
-                  {file ? file.name : 'Click to select PDF file'}
-                </span>
-              </label>
-            </div>
+          {/* File Upload Section (workspace viewers cannot upload) */}
+          {canUpload && (
+            <div className="section">
+              <label className="label">Upload New Document</label>
+              <div className="upload-area">
+                <input
+                  type="file"
+                  accept={SUPPORTED_EXTENSIONS.join(',')}
+                  onChange={handleFileSelect}
+                  className="file-input"
+                  id="pdf-upload"
+                />
+                <label htmlFor="pdf-upload" className="upload-label">
+                  <Upload className="icon-large upload-icon" />
+                  <span className="upload-text">
+                    {file ? file.name : 'Click to select a PDF, Word, Markdown, HTML or text file'}
+                  </span>
+                </label>
+              </div>
 
-            {file && !docId && (
-              <button
-                onClick={handleUpload}
-                disabled={uploading}
-                className="btn btn-primary"
-              >
-                {uploading ? 'Uploading to MongoDB...' : 'Upload & Process'}
-              </button>
-            )}
+              {file && !docId && (
+                <input
+                  type="text"
+                  value={tagsInput}
+                  onChange={(e) => setTagsInput(e.target.value)}
+                  placeholder="Tags (optional, comma-separated)"
+                  className="input tags-input"
+                  disabled={uploading}
+                />
+              )}
+
+              {file && !docId && (
+                <select
+                  value={chunking}
+                  onChange={(e) => setChunking(e.target.value)}
+                  className="input chunking-select"
+                  disabled={uploading}
+                >
+                  {CHUNKING_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              )}
+
+              {file && !docId && (
+                <button
+                  onClick={handleUpload}
+                  disabled={uploading}
+                  className="btn btn-primary"
+                >
+                  {uploading ? 'Uploading to MongoDB...' : 'Upload & Process'}
+                </button>
+              )}
 
-            {uploading && (
-              <div className="processing-steps">
-                <p className="status-text uploading">
-                  <span className="spinner">⏳</span> Processing and storing in MongoDB...
-                </p>
-                <div className="steps-list">
-                  <div>✓ Extracting text from PDF</div>
-                  <div>✓ Detecting pages & paragraphs</div>
-                  <div>⏳ Generating embeddings...</div>
-                  <div>⏳ Storing in MongoDB Atlas...</div>
-                  <div>⏳ Creating vector index...</div>
+              {uploading && <IngestionProgress job={job} />}
+
+              {documentInfo && (
+                <div className="success-message">
+                  <CheckCircle className="icon-small" />
+                  <div>
+                    <strong>{documentInfo.filename}</strong>{' '}
+                    {documentInfo.duplicate
+                      ? 'is already in this library; nothing was re-processed'
+                      : 'saved to MongoDB'}
+                    {documentInfo.version > 1 && (
+                      <> as version {documentInfo.version}
+                        {documentInfo.chunksReused > 0 && <> ({documentInfo.chunksReused} unchanged chunks reused)</>}
+                      </>
+                    )}
+                    <br />
+                    <small>
+                      {documentInfo.totalPages} {pageUnit(documentInfo)} • {' '}
+                      {documentInfo.chunkCount} chunks
+                      {documentInfo.chunking && <> ({documentInfo.chunking.strategy})</>} • {' '}
+                      Persistent storage ✓
+                    </small>
+                  </div>
                 </div>
+              )}
+            </div>
+          )}
+
+          {/* Chat Section */}
+          {chatScope && (
+            <div className="section">
+              <div className="chat-toolbar">
+                <label className="label">Conversation about {describeScope(chatScope)}</label>
+                <button onClick={startNewChat} className="btn-link" disabled={loading}>
+                  <Plus className="icon-small" />
+                  New chat
+                </button>
               </div>
-            )}
 
-            {documentInfo && (
-              <div className="success-message">
-                <CheckCircle className="icon-small" />
-                <div>
-                  <strong>{documentInfo.filename}</strong> saved to MongoDB
-                  <br />
-                  <small>
-                    {documentInfo.totalPages} pages • {' '}
-                    {documentInfo.chunkCount} chunks • {' '}
-                    Persistent storage ✓
-                  </small>
+              {conversations.length > 0 && (
+                <div className="conversation-list">
+                  {conversations.map((conv) => (
+                    <div
+                      key={conv.conversationId}
+                      className={`conversation-item ${conv.conversationId === conversationId ? 'selected' : ''}`}
+                      onClick={() => !loading && handleSelectConversation(conv.conversationId)}
+                    >
+                      <span>{conv.title}</span>
+                      <small>{Math.floor(conv.messageCount / 2)} questions</small>
+                      <button
+                        onClick={(e) => handleDeleteConversation(conv.conversationId, e)}
+                        className="btn-delete"
+                        title="Delete conversation"
+                      >
+                        <Trash2 className="icon-small" />
+                      </button>
+                    </div>
+                  ))}
                 </div>
-              </div>
-            )}
-          </div>
+              )}
+
+              <ChatTranscript messages={messages} onOpenSource={setViewerSource} />
 
-          {/* Question Section */}
-          {docId && (
-            <div className="section">
-              <label className="label">Ask a Question</label>
               <div className="question-input-group">
                 <input
                   type="text"
                   value={question}
                   onChange={(e) => setQuestion(e.target.value)}
                   onKeyPress={handleKeyPress}
-                  placeholder="What would you like to know about this document?"
+                  placeholder={messages.length > 0
+                    ? 'Ask a follow-up question...'
+                    : `What would you like to know about ${describeScope(chatScope)}?`}
                   className="input"
                   disabled={loading}
                 />
-                <button
-                  onClick={handleAskQuestion}
-                  disabled={!question.trim() || loading}
-                  className="btn btn-primary"
-                >
-                  <MessageSquare className="icon-small" />
-                  {loading ? 'Searching MongoDB...' : 'Ask'}
-                </button>
+                {loading ? (
+                  <button onClick={handleCancel} className="btn btn-secondary">
+                    <Square className="icon-small" />
+                    Stop
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleAskQuestion}
+                    disabled={!question.trim()}
+                    className="btn btn-primary"
+                  >
+                    <MessageSquare className="icon-small" />
+                    Ask
+                  </button>
+                )}
               </div>
               <p className="help-text">
-                💡 Using MongoDB Vector Search to find relevant information
+                💡 Follow-up questions use the conversation so far
               </p>
             </div>
           )}
 
-          {/* Answer Section */}
-          {answer && (
-            <>
-              <div className="answer-box">
-                <h3 className="answer-title">
-                  <AlertCircle className="icon-small" />
-                  Answer (from MongoDB)
-                </h3>
-                <div className="answer-content">{answer}</div>
-              </div>
-
-              {/* Source References */}
-              {sources && sources.length > 0 && (
-                <div className="sources-section">
-                  <h4 className="sources-title">
-                    <BookOpen className="icon-small" />
-                    Source References ({sources.length})
-                  </h4>
-                  <p className="sources-subtitle">
-                    Retrieved from MongoDB Atlas Vector Search
-                  </p>
-                  <div className="sources-list">
-                    {sources.map((source) => (
-                      <div key={source.sourceNumber} className="source-item">
-                        <div className="source-header">
-                          <span className="source-badge">
-                            SOURCE {source.sourceNumber}
-                          </span>
-                          <span className="source-location">
-                            📄 Page {source.page}
-                          </span>
-                          <span className="source-location">
-                            ¶ Paragraph {source.paragraphNumber}
-                          </span>
-                          <span className="source-similarity">
-                            {(source.similarity * 100).toFixed(1)}% match
-                          </span>
-                        </div>
-                        <div className="source-text">
-                          {source.text}
-                        </div>
-                        <div className="source-meta">
-                          Stored in MongoDB • Characters {source.startChar}-{source.endChar}
-                        </div>
-                      </div>
-                    ))}
-                  </div>
-                </div>
-              )}
-            </>
-          )}
-
           {/* Instructions */}
           <div className="instructions">
             <h3 className="instructions-title">Version 6 Features (MongoDB):</h3>
@@ -414,8 +822,47 @@ function App() {
           </div>
         </div>
       </div>
+
+      {viewerSource && (
+        <Suspense fallback={null}>
+          <DocumentViewer
+            key={`${viewerSource.docId}:${viewerSource.startChar}`}
+            source={viewerSource}
+            onClose={() => setViewerSource(null)}
+          />
+        </Suspense>
+      )}
     </div>
   );
 }
 
+// Log in first; each user only ever sees their own documents and chats
+function App() {
+  const [user, setUser] = useState(storedUser);
+
+  const handleAuthenticated = ({ token, user: signedIn }) => {
+    setAuthToken(token);
+    localStorage.setItem(USER_KEY, JSON.stringify(signedIn));
+    setUser(signedIn);
+  };
+
+  const handleLogout = () => {
+    setAuthToken(null);
+    localStorage.removeItem(USER_KEY);
+    setUser(null);
+  };
+
+  // An expired or rejected token sends the user back to the login screen
+  useEffect(() => {
+    onUnauthorized(handleLogout);
+    return () => onUnauthorized(() => {});
+  }, []);
+
+  if (!user) {
+    return <AuthScreen onAuthenticated={handleAuthenticated} />;
+  }
+  // Keyed by user so nothing carries over from a previous session
+  return <LibraryScreen key={user.id} user={user} onLogout={handleLogout} />;
+}
+
 export default App;
\ No newline at end of file
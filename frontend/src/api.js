@@ -0,0 +1,52 @@
+// frontend/src/api.js
+// Backend base URL and the signed-in user's access token, shared by the app
+// and its components. Axios requests carry the token automatically; fetch
+// callers add authHeaders() themselves.
+import axios from 'axios';
+
+export const API_URL = 'http://localhost:5001';
+
+const TOKEN_KEY = 'authToken';
+
+let unauthorizedHandler = () => {};
+
+export function getAuthToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+// Remember the token (or forget it, given null) and send it with every request
+export function setAuthToken(token) {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+    delete axios.defaults.headers.common.Authorization;
+  }
+}
+
+export function authHeaders() {
+  const token = getAuthToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Called whenever the server rejects the token (expired, or the account is gone)
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler;
+}
+
+export function notifyUnauthorized() {
+  unauthorizedHandler();
+}
+
+setAuthToken(getAuthToken());
+
+axios.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401) {
+      notifyUnauthorized();
+    }
+    return Promise.reject(error);
+  }
+);
@@ -0,0 +1,120 @@
+// frontend/src/components/AnswerMarkdown.jsx
+// An answer rendered as Markdown, its "[Source N - Page X]" citations shown
+// as chips. Citations the backend could not match to a retrieved source
+// (or that name a source that was never retrieved) are flagged, and so are
+// sentences its grounding check found no support for.
+import React from 'react';
+import Markdown from 'react-markdown';
+
+// Same patterns as backend/utils/citations.js, so chips appear while the
+// answer is still streaming, before the backend has checked them
+const CITATION_PATTERN = /\[(Sources?\s+\d+[^\]]*)\]/gi;
+const SOURCE_NUMBERS_PATTERN = /Sources?\s+(\d+(?:\s*(?:,|and|&)\s*\d+)*)/gi;
+
+const ISSUE_TEXT = {
+  'unknown-source': 'No such source was retrieved for this answer',
+  'wrong-page': 'The cited page does not match the source',
+  'wrong-section': 'The cited section does not match the source',
+};
+
+// Turn each citation into a link the Markdown renderer hands to
+// CitationChip, "[Source 1](#citation-<offset>)", and remember what it cited.
+// Unsupported claims become "[claim text](#claim-<index>)"; one whose text
+// cannot sit inside a link (it holds a citation or code) gets a marker after it.
+function withAnswerLinks(content, grounding) {
+  const cited = new Map();
+  const edits = [];
+
+  for (const match of content.matchAll(CITATION_PATTERN)) {
+    const numbers = [...match[1].matchAll(SOURCE_NUMBERS_PATTERN)]
+      .flatMap((group) => group[1].match(/\d+/g))
+      .map(Number);
+    cited.set(match.index, { label: match[1], numbers });
+    edits.push({ start: match.index, end: match.index + match[0].length, text: `[Source](#citation-${match.index})` });
+  }
+
+  (grounding?.claims || []).forEach((claim, idx) => {
+    if (claim.status !== 'unsupported' || claim.end > content.length) return;
+    const text = content.slice(claim.start, claim.end);
+    edits.push(/[[\]`\n]/.test(text)
+      ? { start: claim.end, end: claim.end, text: ` [⚠️](#claim-${idx})` }
+      : { start: claim.start, end: claim.end, text: `[${text}](#claim-${idx})` });
+  });
+
+  // Apply from the end so earlier offsets stay valid; at the same offset a
+  // replacement goes before an insertion
+  let markdown = content;
+  edits
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .forEach(({ start, end, text }) => {
+      markdown = markdown.slice(0, start) + text + markdown.slice(end);
+    });
+
+  return { markdown, cited };
+}
+
+function CitationChip({ label, offset, numbers, sources, citations, onCite }) {
+  // Backend checks when available, otherwise just whether the source exists
+  const checked = citations?.items?.filter((item) => item.start === offset) || [];
+  const issues = checked.length > 0
+    ? checked.filter((item) => !item.valid).map((item) => ISSUE_TEXT[item.issue] || item.issue)
+    : numbers.filter((n) => !sources?.[n - 1]).map(() => ISSUE_TEXT['unknown-source']);
+  const firstKnown = numbers.find((n) => sources?.[n - 1]);
+
+  return (
+    <button
+      type="button"
+      className={`citation-chip${issues.length > 0 ? ' invalid' : ''}`}
+      title={issues.length > 0 ? `${label}\n⚠️ ${[...new Set(issues)].join('; ')}` : label}
+      onClick={() => firstKnown && onCite(firstKnown)}
+      disabled={!firstKnown}
+    >
+      {issues.length > 0 && '⚠️ '}
+      {numbers.length > 1 ? `Sources ${numbers.join(', ')}` : `Source ${numbers[0]}`}
+    </button>
+  );
+}
+
+function AnswerMarkdown({ content, sources, citations, grounding, onCite }) {
+  const { markdown, cited } = withAnswerLinks(content, grounding);
+
+  const components = {
+    a: ({ href, children }) => {
+      const claim = grounding?.claims?.[Number(href?.match(/^#claim-(\d+)$/)?.[1])];
+      if (claim) {
+        return (
+          <span
+            className="unsupported-claim"
+            title={`Not supported by the retrieved excerpts (support ${Math.round(claim.score * 100)}%)`}
+          >
+            {children}
+          </span>
+        );
+      }
+
+      const match = href?.match(/^#citation-(\d+)$/);
+      const citation = match && cited.get(Number(match[1]));
+      if (!citation) {
+        return <a href={href} target="_blank" rel="noreferrer">{children}</a>;
+      }
+      return (
+        <CitationChip
+          label={citation.label}
+          offset={Number(match[1])}
+          numbers={citation.numbers}
+          sources={sources}
+          citations={citations}
+          onCite={onCite}
+        />
+      );
+    },
+  };
+
+  return (
+    <div className="answer-markdown">
+      <Markdown components={components}>{markdown}</Markdown>
+    </div>
+  );
+}
+
+export default AnswerMarkdown;
@@ -0,0 +1,149 @@
+// frontend/src/components/ApiKeysPanel.jsx
+// Create, list and revoke API keys for scripts and integrations, and see
+// today's question and upload quota usage
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Copy, Trash2 } from 'lucide-react';
+import { API_URL } from '../api';
+
+const SCOPES = {
+  read: 'List and read documents, conversations and usage',
+  ask: 'Ask questions and hold conversations',
+  write: 'Upload, tag and delete documents',
+};
+
+// "3 / 500 questions", or just the count when there is no quota
+const formatUsage = (used, quota, noun) => `${used}${quota ? ` / ${quota}` : ''} ${noun}`;
+
+// The caller's keys and today's usage
+async function fetchKeysAndUsage() {
+  const [keysResponse, usageResponse] = await Promise.all([
+    axios.get(`${API_URL}/api/keys`),
+    axios.get(`${API_URL}/api/usage`, { params: { days: 1 } }),
+  ]);
+  return { keys: keysResponse.data.keys, usage: usageResponse.data };
+}
+
+function ApiKeysPanel() {
+  const [keys, setKeys] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['read', 'ask']);
+  const [newKey, setNewKey] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = () =>
+    fetchKeysAndUsage()
+      .then(({ keys, usage }) => {
+        setKeys(keys);
+        setUsage(usage);
+      })
+      .catch((err) => setError(err.response?.data?.error || 'Could not load API keys'));
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const usageFor = (keyId) => usage?.usage.find((entry) => (keyId ? entry.keyId === keyId : entry.type === 'user'));
+
+  const toggleScope = (scope) =>
+    setScopes(scopes.includes(scope) ? scopes.filter((s) => s !== scope) : [...scopes, scope]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const response = await axios.post(`${API_URL}/api/keys`, { name, scopes });
+      setNewKey(response.data);
+      setName('');
+      await load();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not create the key');
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke ${apiKey.name}? Anything using it will stop working.`)) return;
+    setError('');
+    try {
+      await axios.delete(`${API_URL}/api/keys/${apiKey.keyId}`);
+      if (newKey?.keyId === apiKey.keyId) setNewKey(null);
+      await load();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not revoke the key');
+    }
+  };
+
+  const mine = usageFor(null);
+
+  return (
+    <div className="section api-keys-panel">
+      <p className="label">API keys</p>
+
+      {mine && (
+        <p className="help-text">
+          Today (resets {new Date(usage.resetsAt).toLocaleTimeString()}):{' '}
+          {formatUsage(mine.today.ask, mine.dailyQuota.ask, 'questions')},{' '}
+          {formatUsage(mine.today.upload, mine.dailyQuota.upload, 'uploads')}
+        </p>
+      )}
+
+      {newKey && (
+        <div className="api-key-created">
+          <p>Copy this key now; it will not be shown again.</p>
+          <code>{newKey.key}</code>
+          <button onClick={() => navigator.clipboard.writeText(newKey.key)} className="btn-link">
+            <Copy className="icon-small" />
+            Copy
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="api-key-create">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Key name, e.g. Support bot"
+          className="input"
+        />
+        {Object.entries(SCOPES).map(([scope, help]) => (
+          <label key={scope} title={help} className="api-key-scope">
+            <input type="checkbox" checked={scopes.includes(scope)} onChange={() => toggleScope(scope)} />
+            {scope}
+          </label>
+        ))}
+        <button type="submit" disabled={!name.trim() || scopes.length === 0} className="btn btn-secondary">
+          Create key
+        </button>
+      </form>
+
+      {error && <p className="workspace-error">{error}</p>}
+
+      {keys.map((apiKey) => {
+        const keyUsage = usageFor(apiKey.keyId);
+        return (
+          <div key={apiKey.keyId} className={`api-key${apiKey.revokedAt ? ' api-key-revoked' : ''}`}>
+            <span>
+              <strong>{apiKey.name}</strong> <code>{apiKey.prefix}…</code> {apiKey.scopes.join(', ')}
+            </span>
+            <small>
+              {apiKey.revokedAt
+                ? 'Revoked'
+                : keyUsage &&
+                  `${formatUsage(keyUsage.today.ask, keyUsage.dailyQuota.ask, 'questions')} today` +
+                    (apiKey.lastUsedAt ? `, last used ${new Date(apiKey.lastUsedAt).toLocaleString()}` : '')}
+            </small>
+            {!apiKey.revokedAt && (
+              <button onClick={() => handleRevoke(apiKey)} className="btn-delete" title="Revoke key">
+                <Trash2 className="icon-small" />
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ApiKeysPanel;
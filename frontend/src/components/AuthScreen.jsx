@@ -0,0 +1,97 @@
+// frontend/src/components/AuthScreen.jsx
+// Log in or create an account; hands the token and user to onAuthenticated
+import React, { useState } from 'react';
+import axios from 'axios';
+import { AlertCircle, FileText, LogIn, UserPlus } from 'lucide-react';
+import { API_URL } from '../api';
+
+function AuthScreen({ onAuthenticated }) {
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const registering = mode === 'register';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`${API_URL}/api/auth/${mode}`, { email, password });
+      onAuthenticated(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not reach the server');
+      setSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(registering ? 'login' : 'register');
+    setError('');
+  };
+
+  return (
+    <div className="app">
+      <div className="container auth-container">
+        <div className="card">
+          <div className="header">
+            <h1 className="title">
+              <FileText className="icon-large" />
+              PDF Q&A RAG
+            </h1>
+            <p className="subtitle">
+              {registering ? 'Create an account to keep your own documents' : 'Log in to your documents'}
+            </p>
+          </div>
+
+          {error && (
+            <div className="error-message">
+              <AlertCircle className="icon-small" />
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="auth-form">
+            <label className="label" htmlFor="auth-email">Email</label>
+            <input
+              id="auth-email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="input"
+              autoComplete="email"
+              required
+            />
+            <label className="label" htmlFor="auth-password">Password</label>
+            <input
+              id="auth-password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="input"
+              autoComplete={registering ? 'new-password' : 'current-password'}
+              minLength={registering ? 8 : undefined}
+              required
+            />
+            <button type="submit" disabled={submitting} className="btn btn-primary">
+              {registering ? <UserPlus className="icon-small" /> : <LogIn className="icon-small" />}
+              {registering ? 'Create account' : 'Log in'}
+            </button>
+          </form>
+
+          <p className="help-text">
+            {registering ? 'Already have an account?' : 'New here?'}{' '}
+            <button type="button" onClick={switchMode} className="btn-link">
+              {registering ? 'Log in' : 'Create an account'}
+            </button>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AuthScreen;
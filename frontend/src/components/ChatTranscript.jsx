@@ -0,0 +1,105 @@
+// frontend/src/components/ChatTranscript.jsx
+// Conversation transcript: user questions and answers with their sources
+import React, { useEffect, useRef, useState } from 'react';
+import { AlertCircle, BookOpen, User } from 'lucide-react';
+import SourceList from './SourceList';
+import AnswerMarkdown from './AnswerMarkdown';
+
+function AssistantMessage({ message, onOpenSource }) {
+  const [showSources, setShowSources] = useState(false);
+  // Source card a citation chip asked for; seq re-triggers repeated clicks
+  const [focus, setFocus] = useState(null);
+  const sourceCount = message.sources?.length || 0;
+
+  const handleCite = (sourceNumber) => {
+    setShowSources(true);
+    setFocus({ sourceNumber, seq: (focus?.seq || 0) + 1 });
+  };
+
+  return (
+    <div className="chat-message assistant">
+      <div className="chat-message-header">
+        <AlertCircle className="icon-small" />
+        Answer
+        {message.cancelled && <span className="chat-cancelled">stopped</span>}
+      </div>
+      {message.streaming && !message.content ? (
+        <div className="answer-content">
+          <span className="spinner">⏳</span> Searching MongoDB...
+        </div>
+      ) : (
+        <div className="answer-content">
+          <AnswerMarkdown
+            content={message.content}
+            sources={message.sources}
+            citations={message.citations}
+            grounding={message.grounding}
+            onCite={handleCite}
+          />
+          {message.streaming && <span className="stream-cursor">▍</span>}
+        </div>
+      )}
+      {sourceCount > 0 && (
+        <button
+          onClick={() => setShowSources(!showSources)}
+          className="btn-link"
+        >
+          <BookOpen className="icon-small" />
+          {showSources ? 'Hide' : 'Show'} sources ({sourceCount})
+        </button>
+      )}
+      {message.grounding?.score != null && (
+        <small className={`grounding-score${message.grounding.unsupportedCount > 0 ? ' low' : ''}`}>
+          🔍 {Math.round(message.grounding.score * 100)}% of claims supported by the sources
+          {message.grounding.unsupportedCount > 0 &&
+            ` — ${message.grounding.unsupportedCount} unsupported, marked in the answer`}
+        </small>
+      )}
+      {message.citations?.invalidCount > 0 && (
+        <small className="citation-warning">
+          ⚠️ {message.citations.invalidCount} citation(s) do not match the retrieved sources
+        </small>
+      )}
+      {showSources && <SourceList sources={message.sources} onOpenSource={onOpenSource} focus={focus} />}
+    </div>
+  );
+}
+
+function ChatTranscript({ messages, onOpenSource }) {
+  const endRef = useRef(null);
+
+  const lastContentLength = messages[messages.length - 1]?.content.length || 0;
+
+  // Keep the newest message (and streamed text) in view
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ behavior: 'smooth', block: 'end' });
+  }, [messages.length, lastContentLength]);
+
+  if (messages.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="chat-transcript">
+      {messages.map((message, idx) =>
+        message.role === 'user' ? (
+          <div key={idx} className="chat-message user">
+            <div className="chat-message-header">
+              <User className="icon-small" />
+              You
+            </div>
+            <div>{message.content}</div>
+            {message.standaloneQuestion && message.standaloneQuestion !== message.content && (
+              <small className="chat-rewrite">Searched for: {message.standaloneQuestion}</small>
+            )}
+          </div>
+        ) : (
+          <AssistantMessage key={idx} message={message} onOpenSource={onOpenSource} />
+        )
+      )}
+      <div ref={endRef} />
+    </div>
+  );
+}
+
+export default ChatTranscript;
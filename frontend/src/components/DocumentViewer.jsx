@@ -0,0 +1,166 @@
+// frontend/src/components/DocumentViewer.jsx
+// Shows the document a source came from: the original PDF at the cited page
+// with the chunk highlighted, or the extracted text for other formats
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import axios from 'axios';
+import { Document, Page, pdfjs } from 'react-pdf';
+import 'react-pdf/dist/Page/TextLayer.css';
+import 'react-pdf/dist/Page/AnnotationLayer.css';
+import { ChevronLeft, ChevronRight, X } from 'lucide-react';
+import { API_URL, authHeaders } from '../api';
+import { findHighlightRanges, markItem } from '../pdfHighlight';
+
+pdfjs.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.mjs', import.meta.url).toString();
+
+// Characters of surrounding text shown for formats without a page view
+const TEXT_CONTEXT_CHARS = 2000;
+
+const PAGE_WIDTH = 760;
+
+function PdfView({ docId, span }) {
+  const [pageNumber, setPageNumber] = useState(span.page || 1);
+  const [numPages, setNumPages] = useState(null);
+  const [highlights, setHighlights] = useState(new Map());
+  const [error, setError] = useState('');
+  const pageRef = useRef(null);
+
+  // A new object would make react-pdf load the file again on every render
+  const file = useMemo(
+    () => ({ url: `${API_URL}/api/document/${docId}/file`, httpHeaders: authHeaders() }),
+    [docId]
+  );
+
+  const handleText = ({ items }) => {
+    setHighlights(pageNumber === span.page
+      ? findHighlightRanges(items.map((item) => item.str ?? ''), span.text)
+      : new Map());
+  };
+
+  const renderText = useCallback(
+    ({ str, itemIndex }) => markItem(str, highlights.get(itemIndex)),
+    [highlights]
+  );
+
+  const scrollToHighlight = () => {
+    pageRef.current?.querySelector('mark')?.scrollIntoView({ block: 'center' });
+  };
+
+  if (error) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  return (
+    <>
+      <div className="viewer-toolbar">
+        <button
+          className="btn-icon"
+          onClick={() => setPageNumber(pageNumber - 1)}
+          disabled={pageNumber <= 1}
+          title="Previous page"
+        >
+          <ChevronLeft className="icon-small" />
+        </button>
+        <span>
+          Page {pageNumber}{numPages && ` of ${numPages}`}
+          {pageNumber !== span.page && (
+            <button className="btn-link viewer-back" onClick={() => setPageNumber(span.page)}>
+              back to cited page {span.pageLabel || span.page}
+            </button>
+          )}
+        </span>
+        <button
+          className="btn-icon"
+          onClick={() => setPageNumber(pageNumber + 1)}
+          disabled={numPages !== null && pageNumber >= numPages}
+          title="Next page"
+        >
+          <ChevronRight className="icon-small" />
+        </button>
+      </div>
+      <div className="viewer-page" ref={pageRef}>
+        <Document
+          file={file}
+          onLoadSuccess={({ numPages: total }) => setNumPages(total)}
+          onLoadError={(err) => setError(`Could not open the PDF: ${err.message}`)}
+          loading={<div className="viewer-loading">Loading PDF...</div>}
+        >
+          <Page
+            pageNumber={pageNumber}
+            width={PAGE_WIDTH}
+            onGetTextSuccess={handleText}
+            customTextRenderer={renderText}
+            onRenderTextLayerSuccess={scrollToHighlight}
+          />
+        </Document>
+      </div>
+    </>
+  );
+}
+
+function TextView({ span }) {
+  const markRef = useRef(null);
+
+  useEffect(() => {
+    markRef.current?.scrollIntoView({ block: 'center' });
+  }, []);
+
+  return (
+    <div className="viewer-text">
+      {span.contextStart > 0 && '… '}
+      {span.before}
+      <mark ref={markRef}>{span.text}</mark>
+      {span.after}
+      {' …'}
+    </div>
+  );
+}
+
+function DocumentViewer({ source, onClose }) {
+  const [span, setSpan] = useState(null);
+  const [error, setError] = useState('');
+
+  // The exact chunk text (and, for text formats, what surrounds it)
+  useEffect(() => {
+    axios
+      .get(`${API_URL}/api/document/${source.docId}/span`, {
+        params: { start: source.startChar, end: source.endChar, context: TEXT_CONTEXT_CHARS },
+      })
+      .then((response) => setSpan(response.data))
+      .catch((err) => setError(err.response?.data?.error || 'Could not load the source'));
+  }, [source]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const location = source.headingPath?.length > 0
+    ? `§ ${source.headingPath.join(' > ')}`
+    : `Page ${source.pageLabel || source.page}`;
+
+  return (
+    <div className="viewer-backdrop" onClick={onClose}>
+      <div className="viewer" onClick={(e) => e.stopPropagation()} role="dialog" aria-label="Document viewer">
+        <div className="viewer-header">
+          <div>
+            <strong>{span?.filename || source.filename || 'Document'}</strong>
+            <small> — Source {source.sourceNumber}, {location}</small>
+          </div>
+          <button className="btn-icon" onClick={onClose} title="Close">
+            <X className="icon-small" />
+          </button>
+        </div>
+        {error && <div className="error-message">{error}</div>}
+        {!span && !error && <div className="viewer-loading">Loading...</div>}
+        {span && (span.format === 'pdf' && span.hasFile
+          ? <PdfView docId={source.docId} span={span} />
+          : <TextView span={span} />)}
+      </div>
+    </div>
+  );
+}
+
+export default DocumentViewer;
@@ -0,0 +1,42 @@
+// frontend/src/components/IngestionProgress.jsx
+// Live progress of a background ingestion job
+import React from 'react';
+
+const STAGES = [
+  { id: 'extracting', label: 'Extracting text from PDF' },
+  { id: 'chunking', label: 'Detecting pages & paragraphs' },
+  { id: 'embedding', label: 'Generating embeddings' },
+  { id: 'storing', label: 'Storing vectors' },
+];
+
+function IngestionProgress({ job }) {
+  if (!job) {
+    return null;
+  }
+
+  const current = STAGES.findIndex((stage) => stage.id === job.stage);
+
+  return (
+    <div className="processing-steps">
+      <p className="status-text uploading">
+        <span className="spinner">⏳</span>
+        {job.status === 'queued' ? 'Waiting to be processed...' : `Processing... ${job.percent}%`}
+      </p>
+      <div className="progress-bar">
+        <div className="progress-bar-fill" style={{ width: `${job.percent}%` }} />
+      </div>
+      <div className="steps-list">
+        {STAGES.map((stage, idx) => (
+          <div key={stage.id} className={idx === current ? 'step-current' : ''}>
+            {idx < current ? '✓' : '⏳'} {stage.label}
+            {stage.id === 'embedding' && job.chunksTotal > 0 && idx <= current && (
+              <> ({job.chunksEmbedded || 0}/{job.chunksTotal} chunks)</>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default IngestionProgress;
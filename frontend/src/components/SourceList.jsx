@@ -0,0 +1,149 @@
+// frontend/src/components/SourceList.jsx
+// Source reference cards for an answer
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { BookOpen } from 'lucide-react';
+import { API_URL } from '../api';
+
+// The source's exact span of the document, highlighted within its context
+function SourceContext({ source }) {
+  const [span, setSpan] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState('');
+
+  const toggle = async () => {
+    if (open || span) {
+      setOpen(!open);
+      return;
+    }
+    try {
+      const response = await axios.get(`${API_URL}/api/document/${source.docId}/span`, {
+        params: { start: source.startChar, end: source.endChar },
+      });
+      setSpan(response.data);
+      setOpen(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not load the surrounding text');
+    }
+  };
+
+  return (
+    <>
+      <div className="source-meta">
+        Stored in MongoDB • Characters {source.startChar}-{source.endChar}
+        {source.docId && (
+          <>
+            {' '}•{' '}
+            <button
+              type="button"
+              className="source-context-toggle"
+              onClick={(e) => {
+                e.stopPropagation();
+                toggle();
+              }}
+              onKeyDown={(e) => e.stopPropagation()}
+            >
+              {open ? 'Hide context' : 'Show in context'}
+            </button>
+          </>
+        )}
+        {error && <span className="source-context-error"> {error}</span>}
+      </div>
+      {open && span && (
+        <div className="source-context">
+          {span.contextStart > 0 && '… '}
+          {span.before}
+          <mark>{span.text}</mark>
+          {span.after}
+          {' …'}
+        </div>
+      )}
+    </>
+  );
+}
+
+function SourceList({ sources, onOpenSource, focus }) {
+  const cardRefs = useRef({});
+
+  // Bring the card a citation chip points at into view
+  useEffect(() => {
+    if (focus) {
+      cardRefs.current[focus.sourceNumber]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [focus]);
+
+  if (!sources || sources.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="sources-section">
+      <h4 className="sources-title">
+        <BookOpen className="icon-small" />
+        Source References ({sources.length})
+      </h4>
+      <p className="sources-subtitle">
+        Retrieved with vector and keyword search
+      </p>
+      <div className="sources-list">
+        {sources.map((source) => (
+          <div
+            key={source.sourceNumber}
+            ref={(el) => { cardRefs.current[source.sourceNumber] = el; }}
+            className={`source-item source-item-clickable${focus?.sourceNumber === source.sourceNumber ? ' focused' : ''}`}
+            onClick={() => onOpenSource(source)}
+            onKeyDown={(e) => e.key === 'Enter' && onOpenSource(source)}
+            role="button"
+            tabIndex={0}
+            title="Open in the document"
+          >
+            <div className="source-header">
+              <span className="source-badge">
+                SOURCE {source.sourceNumber}
+              </span>
+              {source.filename && (
+                <span className="source-location source-document">
+                  🗂️ {source.filename}
+                </span>
+              )}
+              {source.headingPath && source.headingPath.length > 0 ? (
+                <span className="source-location" title="Section">
+                  § {source.headingPath.join(' > ')}
+                </span>
+              ) : (
+                <span className="source-location">
+                  📄 Page {source.pageLabel || source.page}
+                  {source.pageLabel && String(source.pageLabel) !== String(source.page) && (
+                    <small> (PDF page {source.page})</small>
+                  )}
+                </span>
+              )}
+              <span className="source-location">
+                ¶ Paragraph {source.paragraphNumber}
+              </span>
+              <span className="source-similarity">
+                {(source.similarity * 100).toFixed(1)}% match
+              </span>
+              {source.keywordScore != null && (
+                <span className="source-similarity" title="BM25 keyword score">
+                  keyword {source.keywordScore.toFixed(2)}
+                </span>
+              )}
+              {source.rerankScore != null && (
+                <span className="source-similarity" title="Reranker relevance score">
+                  rerank {source.rerankScore.toFixed(2)}
+                </span>
+              )}
+            </div>
+            <div className="source-text">
+              {source.text}
+            </div>
+            <SourceContext source={source} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default SourceList;
@@ -0,0 +1,76 @@
+// frontend/src/components/VersionHistory.jsx
+// Earlier versions of a document: pick one to ask about it, or see which
+// chunks changed from the version before
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { API_URL } from '../api';
+
+function VersionHistory({ docId, onSelect }) {
+  const [versions, setVersions] = useState([]);
+  const [changes, setChanges] = useState({});
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    axios
+      .get(`${API_URL}/api/document/${docId}/versions`)
+      .then((response) => setVersions(response.data.versions))
+      .catch((err) => setError(err.response?.data?.error || 'Could not load versions'));
+  }, [docId]);
+
+  const handleShowChanges = async (version, e) => {
+    e.stopPropagation();
+    if (changes[version.docId]) {
+      setChanges({ ...changes, [version.docId]: null });
+      return;
+    }
+    try {
+      const response = await axios.get(`${API_URL}/api/document/${version.docId}/compare`);
+      setChanges({ ...changes, [version.docId]: response.data });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not compare versions');
+    }
+  };
+
+  if (error) return <p className="workspace-error">{error}</p>;
+
+  return (
+    <div className="version-history" onClick={(e) => e.stopPropagation()}>
+      {versions.map((version) => (
+        <div key={version.docId}>
+          <div className="version-item">
+            <button
+              onClick={() => onSelect(version)}
+              disabled={version.status !== 'processed'}
+              className="btn-link"
+              title="Ask about this version"
+            >
+              v{version.version}{version.latest && ' (current)'}
+            </button>
+            <small>{new Date(version.uploadedAt).toLocaleString()}</small>
+            {version.previousVersionId && (
+              <button onClick={(e) => handleShowChanges(version, e)} className="btn-link">
+                Changes
+              </button>
+            )}
+          </div>
+          {changes[version.docId] && (
+            <div className="version-changes">
+              <small>
+                {changes[version.docId].added.length} chunks added, {changes[version.docId].removed.length} removed,{' '}
+                {changes[version.docId].unchanged} unchanged since v{changes[version.docId].base.version}
+              </small>
+              {changes[version.docId].added.map((chunk) => (
+                <p key={`+${chunk.chunkIndex}`} className="version-added">+ {chunk.text}</p>
+              ))}
+              {changes[version.docId].removed.map((chunk) => (
+                <p key={`-${chunk.chunkIndex}`} className="version-removed">− {chunk.text}</p>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default VersionHistory;
@@ -0,0 +1,174 @@
+// frontend/src/components/WorkspacePanel.jsx
+// Switch between your own documents and shared workspaces, create
+// workspaces and manage their members (owners) or leave them
+import React, { useState } from 'react';
+import axios from 'axios';
+import { Plus, Trash2, Users } from 'lucide-react';
+import { API_URL } from '../api';
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+const ROLE_HELP = {
+  owner: 'Owners manage members and can do everything editors can',
+  editor: 'Editors upload, tag and delete documents',
+  viewer: 'Viewers can only read and ask',
+};
+
+function WorkspacePanel({ user, workspaces, activeId, onSelect, onChange }) {
+  const [newName, setNewName] = useState('');
+  const [memberEmail, setMemberEmail] = useState('');
+  const [memberRole, setMemberRole] = useState('viewer');
+  const [showMembers, setShowMembers] = useState(false);
+  const [error, setError] = useState('');
+
+  const active = workspaces.find((workspace) => workspace.workspaceId === activeId);
+  const isOwner = active?.role === 'owner';
+
+  // Run a workspace request, then reload the list; errors show inline
+  const run = async (request) => {
+    setError('');
+    try {
+      const response = await request();
+      await onChange();
+      return response;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Request failed');
+      return null;
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const response = await run(() => axios.post(`${API_URL}/api/workspaces`, { name: newName }));
+    if (response) {
+      setNewName('');
+      onSelect(response.data.workspaceId);
+    }
+  };
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    const response = await run(() =>
+      axios.post(`${API_URL}/api/workspaces/${activeId}/members`, { email: memberEmail, role: memberRole })
+    );
+    if (response) setMemberEmail('');
+  };
+
+  const handleChangeRole = (userId, role) =>
+    run(() => axios.patch(`${API_URL}/api/workspaces/${activeId}/members/${userId}`, { role }));
+
+  const handleRemoveMember = async (userId) => {
+    const leaving = userId === user.id;
+    if (!window.confirm(leaving ? `Leave ${active.name}?` : 'Remove this member?')) return;
+    const response = await run(() => axios.delete(`${API_URL}/api/workspaces/${activeId}/members/${userId}`));
+    if (response && leaving) onSelect('');
+  };
+
+  const handleDeleteWorkspace = async () => {
+    if (!window.confirm(`Delete ${active.name} and all of its documents?`)) return;
+    const response = await run(() => axios.delete(`${API_URL}/api/workspaces/${activeId}`));
+    if (response) onSelect('');
+  };
+
+  return (
+    <div className="section workspace-panel">
+      <label className="label" htmlFor="workspace-select">Library</label>
+      <div className="workspace-bar">
+        <select
+          id="workspace-select"
+          value={activeId}
+          onChange={(e) => {
+            setShowMembers(false);
+            onSelect(e.target.value);
+          }}
+          className="scope-select"
+        >
+          <option value="">My documents</option>
+          {workspaces.map((workspace) => (
+            <option key={workspace.workspaceId} value={workspace.workspaceId}>
+              {workspace.name} ({workspace.role})
+            </option>
+          ))}
+        </select>
+        {active && (
+          <button onClick={() => setShowMembers(!showMembers)} className="btn-link">
+            <Users className="icon-small" />
+            {active.members.length} member{active.members.length === 1 ? '' : 's'}
+          </button>
+        )}
+        <form onSubmit={handleCreate} className="workspace-create">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New workspace name"
+            className="input"
+          />
+          <button type="submit" disabled={!newName.trim()} className="btn-link">
+            <Plus className="icon-small" />
+            Create
+          </button>
+        </form>
+      </div>
+
+      {error && <p className="workspace-error">{error}</p>}
+
+      {active && showMembers && (
+        <div className="workspace-members">
+          <p className="help-text">{ROLE_HELP[active.role]}.</p>
+          {active.members.map((member) => (
+            <div key={member.userId} className="workspace-member">
+              <span>{member.email}{member.userId === user.id && ' (you)'}</span>
+              {isOwner ? (
+                <select
+                  value={member.role}
+                  onChange={(e) => handleChangeRole(member.userId, e.target.value)}
+                  className="scope-select"
+                  title={ROLE_HELP[member.role]}
+                >
+                  {ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+                </select>
+              ) : (
+                <small>{member.role}</small>
+              )}
+              {(isOwner || member.userId === user.id) && (
+                <button
+                  onClick={() => handleRemoveMember(member.userId)}
+                  className="btn-delete"
+                  title={member.userId === user.id ? 'Leave workspace' : 'Remove member'}
+                >
+                  <Trash2 className="icon-small" />
+                </button>
+              )}
+            </div>
+          ))}
+
+          {isOwner && (
+            <>
+              <form onSubmit={handleAddMember} className="workspace-add-member">
+                <input
+                  type="email"
+                  value={memberEmail}
+                  onChange={(e) => setMemberEmail(e.target.value)}
+                  placeholder="Add a member by email"
+                  className="input"
+                  required
+                />
+                <select value={memberRole} onChange={(e) => setMemberRole(e.target.value)} className="scope-select">
+                  {ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+                </select>
+                <button type="submit" className="btn btn-secondary">Add</button>
+              </form>
+              <button onClick={handleDeleteWorkspace} className="btn-link workspace-delete">
+                <Trash2 className="icon-small" />
+                Delete workspace
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WorkspacePanel;
@@ -0,0 +1,80 @@
+// frontend/src/pdfHighlight.js
+// Find a chunk's text among a PDF page's text-layer items and mark it.
+// Matching ignores whitespace: the text layer and the backend's extracted
+// text break lines and space words differently.
+
+// Shortest prefix worth highlighting when the full text is not on the page
+const MIN_MATCH_CHARS = 20;
+
+/**
+ * Character ranges to mark in each text item
+ * @param {Array<string>} itemStrings - Text of each text-layer item, in order
+ * @param {string} target - Text to highlight
+ * @returns {Map<number, Array<[number, number]>>} item index → [start, end) ranges
+ */
+export function findHighlightRanges(itemStrings, target) {
+  const ranges = new Map();
+  const needle = (target || '').replace(/\s+/g, '');
+  if (!needle) return ranges;
+
+  // The page's non-whitespace characters, each with the item it came from
+  let haystack = '';
+  const origins = [];
+  itemStrings.forEach((str, itemIndex) => {
+    for (let i = 0; i < (str || '').length; i++) {
+      if (!/\s/.test(str[i])) {
+        haystack += str[i];
+        origins.push([itemIndex, i]);
+      }
+    }
+  });
+
+  // Fall back to ever shorter prefixes (e.g. ligatures the text layer
+  // renders differently further on)
+  let length = needle.length;
+  let at = haystack.indexOf(needle);
+  while (at === -1 && length > MIN_MATCH_CHARS) {
+    length = Math.max(MIN_MATCH_CHARS, Math.floor(length / 2));
+    at = haystack.indexOf(needle.slice(0, length));
+  }
+  if (at === -1) return ranges;
+
+  for (let k = at; k < at + length; k++) {
+    const [itemIndex, charIndex] = origins[k];
+    const list = ranges.get(itemIndex) || [];
+    const last = list[list.length - 1];
+    // Extend the previous range over the whitespace between matched characters
+    if (last) {
+      last[1] = charIndex + 1;
+    } else {
+      list.push([charIndex, charIndex + 1]);
+    }
+    ranges.set(itemIndex, list);
+  }
+
+  return ranges;
+}
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * HTML for one text item with its ranges marked
+ * @param {string} str
+ * @param {Array<[number, number]>} [ranges]
+ * @returns {string}
+ */
+export function markItem(str, ranges) {
+  if (!ranges || ranges.length === 0) {
+    return escapeHtml(str);
+  }
+
+  let html = '';
+  let position = 0;
+  for (const [start, end] of ranges) {
+    html += escapeHtml(str.slice(position, start));
+    html += `<mark class="pdf-highlight">${escapeHtml(str.slice(start, end))}</mark>`;
+    position = end;
+  }
+  return html + escapeHtml(str.slice(position));
+}
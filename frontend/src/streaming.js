@@ -0,0 +1,97 @@
+// frontend/src/streaming.js
+// Server-Sent Events, parsed by hand from fetch responses: EventSource can
+// neither POST nor send the Authorization header.
+import { authHeaders, notifyUnauthorized } from './api';
+
+// Start a streaming request; errors before the stream starts (validation,
+// auth) come back as plain JSON
+async function openEventStream(url, { method = 'GET', body, signal }) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      ...authHeaders(),
+      ...(body && { 'Content-Type': 'application/json' }),
+    },
+    body: body && JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    if (response.status === 401) {
+      notifyUnauthorized();
+    }
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+  return response;
+}
+
+// Call onEvent(eventName, data) for each event until the stream ends
+async function readEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffered += decoder.decode(value, { stream: true });
+    const frames = buffered.split('\n\n');
+    buffered = frames.pop();
+
+    for (const frame of frames) {
+      let event = 'message';
+      let data = '';
+      for (const line of frame.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) {
+        onEvent(event, JSON.parse(data));
+      }
+    }
+  }
+}
+
+/**
+ * POST a JSON body and read the Server-Sent Events response
+ * @param {string} url
+ * @param {Object} body - JSON request body
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Aborting cancels the generation
+ * @param {Function} options.onEvent - Called with (eventName, data)
+ */
+export async function postEventStream(url, body, { signal, onEvent }) {
+  const response = await openEventStream(url, { method: 'POST', body, signal });
+  await readEvents(response, onEvent);
+}
+
+/**
+ * Follow a background job's progress stream until it finishes
+ * @param {string} url - The job's /stream URL
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the job on every update
+ * @returns {Promise<Object>} The finished job; rejects if the job failed
+ */
+export async function followJob(url, { onProgress }) {
+  const lostConnection = () => new Error('Lost connection to the server while processing');
+  const response = await openEventStream(url, {});
+
+  let finished = null;
+  try {
+    await readEvents(response, (event, data) => {
+      if (event === 'progress') onProgress(data);
+      else if (event === 'done') finished = data;
+      else if (event === 'failed') throw new Error(data.error || 'Processing failed');
+    });
+  } catch (err) {
+    // A dropped connection surfaces as a TypeError from the reader
+    throw err instanceof TypeError ? lostConnection() : err;
+  }
+
+  if (!finished) {
+    throw lostConnection();
+  }
+  return finished;
+}